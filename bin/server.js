@@ -5,6 +5,10 @@
 const express = require("express");
 const connectDB = require("../config/db");
 const swaggerSetup = require('../swagger');
+const requestId = require("../middleware/requestId");
+const validateRequest = require("../middleware/validateRequest");
+const { notFound, errorHandler } = require("../middleware/errorHandler");
+const { scheduleTrashPurge } = require("../utils/trash");
 
 // Conectar a la base de datos
 connectDB();
@@ -12,12 +16,26 @@ connectDB();
 const app = express();
 
 /**
- * Middleware para parsear JSON.
+ * Asignar un identificador a cada solicitud (cabecera X-Request-Id).
+ * @name useRequestId
+ * @function
+ * @memberof module:express
+ */
+app.use(requestId);
+
+/**
+ * Middleware para parsear JSON, incluidos los parches de PATCH (merge-patch y json-patch).
+ * El límite se amplía a 1 MB para admitir lotes de hasta 500 operaciones.
  * @name useJsonMiddleware
  * @function
  * @memberof module:express
  */
-app.use(express.json());
+app.use(
+  express.json({
+    limit: "1mb",
+    type: ["application/json", "application/merge-patch+json", "application/json-patch+json"],
+  })
+);
 
 /**
  * Configurar Swagger
@@ -27,6 +45,22 @@ app.use(express.json());
  */
 swaggerSetup(app); // Configura Swagger
 
+/**
+ * Validar parámetros, query y cuerpo de cada solicitud contra la especificación OpenAPI.
+ * @name useRequestValidation
+ * @function
+ * @memberof module:express
+ */
+app.use("/api", validateRequest(swaggerSetup.swaggerSpec));
+
+/**
+ * Definir rutas de autenticación (registro e inicio de sesión).
+ * @name useAuthRoutes
+ * @function
+ * @memberof module:express
+ */
+app.use("/api/auth", require("../routes/authRoutes"));
+
 /**
  * Definir rutas para la API de restaurantes.
  * @name useRestaurantRoutes
@@ -35,6 +69,47 @@ swaggerSetup(app); // Configura Swagger
  */
 app.use("/api/restaurants", require("../routes/restaurantRoutes"));
 
+/**
+ * Definir rutas para las estadísticas de restaurantes.
+ * @name useStatsRoutes
+ * @function
+ * @memberof module:express
+ */
+app.use("/api/stats", require("../routes/statsRoutes"));
+
+/**
+ * Definir rutas públicas de los usuarios (sus comentarios).
+ * @name useUserRoutes
+ * @function
+ * @memberof module:express
+ */
+app.use("/api/users", require("../routes/userRoutes"));
+
+/**
+ * Definir rutas de moderación de comentarios.
+ * @name useModerationRoutes
+ * @function
+ * @memberof module:express
+ */
+app.use("/api/moderation", require("../routes/moderationRoutes"));
+
+/**
+ * Definir rutas de administración (papelera de restaurantes y comentarios).
+ * @name useAdminRoutes
+ * @function
+ * @memberof module:express
+ */
+app.use("/api/admin", require("../routes/adminRoutes"));
+
+/**
+ * Responder con 404 a las rutas inexistentes y con el formato común de errores a cualquier fallo.
+ * @name useErrorHandler
+ * @function
+ * @memberof module:express
+ */
+app.use(notFound);
+app.use(errorHandler);
+
 /**
  * Iniciar el servidor en el puerto especificado.
  * @name listen
@@ -45,3 +120,10 @@ app.use("/api/restaurants", require("../routes/restaurantRoutes"));
  */
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Servidor corriendo en el puerto ${PORT}`));
+
+/**
+ * Purgar periódicamente los elementos de la papelera cuya retención ha vencido.
+ * @name scheduleTrashPurge
+ * @function
+ */
+scheduleTrashPurge();
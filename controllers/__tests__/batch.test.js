@@ -0,0 +1,119 @@
+const request = require("supertest");
+const { buildApp, loginAs, restaurantDoc } = require("../../test/helpers");
+const Restaurant = require("../../models/Restaurant");
+const RestaurantHistory = require("../../models/RestaurantHistory");
+
+describe("POST /api/restaurants/batch", () => {
+  const app = buildApp();
+  let authorization;
+  let stored;
+  let session;
+  let insertOne;
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    ({ authorization } = loginAs("admin"));
+    stored = restaurantDoc();
+
+    // Sesión que ejecuta la función de la transacción una vez y propaga su error, como withTransaction
+    session = {
+      id: "batch-session",
+      withTransaction: jest.fn(async (fn) => fn()),
+      endSession: jest.fn(async () => {}),
+    };
+    jest.spyOn(Restaurant, "startSession").mockResolvedValue(session);
+
+    insertOne = jest.spyOn(Restaurant.collection, "insertOne").mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Restaurant.collection, "findOne").mockImplementation(async () => restaurantDoc({ _id: stored._id }));
+    jest
+      .spyOn(Restaurant.collection, "updateOne")
+      .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    findOneAndUpdate = jest
+      .spyOn(Restaurant.collection, "findOneAndUpdate")
+      .mockImplementation(async () => restaurantDoc({ _id: stored._id, __v: 4, deletedAt: new Date() }));
+    jest.spyOn(RestaurantHistory.collection, "updateOne").mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const batch = (operations, query = "") =>
+    request(app)
+      .post(`/api/restaurants/batch${query}`)
+      .set("Authorization", authorization)
+      .send({ operations });
+
+  const create = { op: "create", data: { name: "Casa Pepe", borough: "Queens", cuisine: "Spanish" } };
+  const staleUpdate = () => ({
+    op: "update",
+    id: String(stored._id),
+    ifMatch: '"2"',
+    data: { name: "Riviera", borough: "Brooklyn", cuisine: "American" },
+  });
+  const remove = () => ({ op: "delete", id: String(stored._id) });
+
+  it("sin atomic cada operación se aplica por separado", async () => {
+    const res = await batch([create, staleUpdate(), remove()]);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ atomic: false, succeeded: 2, failed: 1 });
+    expect(res.body.results.map(({ status }) => status)).toEqual([201, 412, 200]);
+    expect(res.body.results[1].error.code).toBe("PRECONDITION_FAILED");
+    expect(Restaurant.startSession).not.toHaveBeenCalled();
+  });
+
+  it("con atomic=true ejecuta todas las operaciones en la sesión de la transacción", async () => {
+    const res = await batch([create, remove()], "?atomic=true");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ atomic: true, succeeded: 2, failed: 0 });
+    expect(insertOne.mock.calls[0][1].session).toMatchObject({ id: "batch-session" });
+    expect(findOneAndUpdate.mock.calls[0][2].session).toMatchObject({ id: "batch-session" });
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it("con atomic=true una operación fallida deshace el lote: lleva su error y el resto BATCH_ABORTED", async () => {
+    const res = await batch([create, staleUpdate(), remove()], "?atomic=true");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ atomic: true, succeeded: 0, failed: 3 });
+    expect(res.body.results).toEqual([
+      expect.objectContaining({ index: 0, op: "create", status: 424, error: expect.objectContaining({ code: "BATCH_ABORTED" }) }),
+      expect.objectContaining({ index: 1, op: "update", status: 412, error: expect.objectContaining({ code: "PRECONDITION_FAILED" }) }),
+      expect.objectContaining({ index: 2, op: "delete", status: 424, error: expect.objectContaining({ code: "BATCH_ABORTED" }) }),
+    ]);
+    // La transacción se interrumpe en la operación que falla
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it("repite el lote completo ante un error transitorio de la transacción", async () => {
+    const transient = Object.assign(new Error("WriteConflict"), {
+      hasErrorLabel: (label) => label === "TransientTransactionError",
+    });
+    insertOne.mockRejectedValueOnce(transient);
+    session.withTransaction.mockImplementation(async (fn) => {
+      try {
+        return await fn();
+      } catch (err) {
+        if (!err.hasErrorLabel?.("TransientTransactionError")) throw err;
+        return fn();
+      }
+    });
+
+    const res = await batch([create, remove()], "?atomic=true");
+
+    expect(res.body).toMatchObject({ succeeded: 2, failed: 0 });
+    expect(res.body.results).toHaveLength(2);
+    expect(insertOne).toHaveBeenCalledTimes(2);
+  });
+
+  it("responde 400 si MongoDB no admite transacciones", async () => {
+    insertOne.mockRejectedValue(Object.assign(new Error("Transaction numbers are only allowed on a replica set"), { code: 20 }));
+
+    const res = await batch([create], "?atomic=true");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("TRANSACTIONS_UNAVAILABLE");
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { buildApp, loginAs, restaurantDoc } = require("../../test/helpers");
+const Restaurant = require("../../models/Restaurant");
+const RestaurantHistory = require("../../models/RestaurantHistory");
+const Grade = require("../../models/Grade");
+
+describe("Versiones de los restaurantes (ETag e If-Match)", () => {
+  const app = buildApp();
+  let authorization;
+  let stored;
+  let updateOne;
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    ({ authorization } = loginAs("admin"));
+    stored = restaurantDoc();
+    jest.spyOn(Restaurant.collection, "findOne").mockImplementation(async () => restaurantDoc({ _id: stored._id }));
+    updateOne = jest
+      .spyOn(Restaurant.collection, "updateOne")
+      .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    findOneAndUpdate = jest.spyOn(Restaurant.collection, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(RestaurantHistory.collection, "updateOne").mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const replacement = { name: "Riviera", borough: "Queens", cuisine: "Italian" };
+
+  it("GET devuelve la versión del restaurante como ETag", async () => {
+    const res = await request(app).get(`/api/restaurants/${stored._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.get("ETag")).toBe('"3"');
+  });
+
+  it.each(['"3"', '"1", "3"', "*"])("PUT con If-Match %s modifica el restaurante", async (ifMatch) => {
+    const res = await request(app)
+      .put(`/api/restaurants/${stored._id}`)
+      .set("Authorization", authorization)
+      .set("If-Match", ifMatch)
+      .send(replacement);
+
+    expect(res.status).toBe(200);
+    expect(res.get("ETag")).toBe('"4"');
+  });
+
+  it("PUT con una versión anterior responde 412 con la versión actual y no guarda nada", async () => {
+    const res = await request(app)
+      .put(`/api/restaurants/${stored._id}`)
+      .set("Authorization", authorization)
+      .set("If-Match", '"2"')
+      .send(replacement);
+
+    expect(res.status).toBe(412);
+    expect(res.body.code).toBe("PRECONDITION_FAILED");
+    expect(res.body.message).toContain('"3"');
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it("PUT responde 409 si otra solicitud guarda una versión entre la lectura y la escritura", async () => {
+    updateOne.mockResolvedValue({ acknowledged: true, matchedCount: 0, modifiedCount: 0 });
+
+    const res = await request(app)
+      .put(`/api/restaurants/${stored._id}`)
+      .set("Authorization", authorization)
+      .set("If-Match", '"3"')
+      .send(replacement);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("VERSION_CONFLICT");
+  });
+
+  it("DELETE comprueba la versión en la misma operación que lo envía a la papelera", async () => {
+    const res = await request(app)
+      .delete(`/api/restaurants/${stored._id}`)
+      .set("Authorization", authorization)
+      .set("If-Match", '"2"');
+
+    expect(res.status).toBe(412);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: stored._id, __v: { $in: [2] } });
+    expect(update.$inc).toEqual({ __v: 1 });
+  });
+
+  it("las escrituras de calificaciones también respetan If-Match", async () => {
+    const gradeId = new mongoose.Types.ObjectId();
+    jest.spyOn(Grade.collection, "findOne").mockResolvedValue({
+      _id: gradeId,
+      restaurantId: stored._id,
+      date: new Date("2024-01-10"),
+      grade: "A",
+      score: 9,
+    });
+    const findOneAndDelete = jest.spyOn(Grade.collection, "findOneAndDelete");
+
+    const res = await request(app)
+      .delete(`/api/restaurants/${stored._id}/grades/${gradeId}`)
+      .set("Authorization", authorization)
+      .set("If-Match", '"0"');
+
+    expect(res.status).toBe(412);
+    expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject({ __v: { $in: [0, null] } });
+    expect(findOneAndDelete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,152 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { buildApp, cursorOf, restaurantDoc } = require("../../test/helpers");
+const Restaurant = require("../../models/Restaurant");
+const Comment = require("../../models/Comment");
+const Grade = require("../../models/Grade");
+
+const { ObjectId } = mongoose.Types;
+
+/**
+ * Extrae los enlaces de la cabecera `Link` por su relación.
+ */
+const linksOf = (res) =>
+  Object.fromEntries(
+    (res.get("Link") || "")
+      .split(", ")
+      .filter(Boolean)
+      .map((link) => {
+        const [, url, rel] = link.match(/^<([^>]+)>; rel="(\w+)"$/);
+        return [rel, url];
+      })
+  );
+
+describe("Paginación de los comentarios y calificaciones de un restaurante", () => {
+  const app = buildApp();
+  let stored;
+
+  beforeEach(() => {
+    stored = restaurantDoc();
+    jest.spyOn(Restaurant.collection, "findOne").mockImplementation(async () => restaurantDoc({ _id: stored._id }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("GET /api/restaurants/:id/grades", () => {
+    const gradeOn = (date, grade) => ({ _id: new ObjectId(), restaurantId: stored._id, date: new Date(date), grade, score: 10 });
+
+    it("devuelve la primera página y el enlace a la siguiente, conservando los demás parámetros", async () => {
+      const grades = [gradeOn("2024-03-01", "A"), gradeOn("2024-02-01", "B"), gradeOn("2024-01-01", "C")];
+      const find = jest.spyOn(Grade.collection, "find").mockReturnValue(cursorOf(grades));
+
+      const res = await request(app).get(`/api/restaurants/${stored._id}/grades?limit=2`);
+
+      expect(res.status).toBe(200);
+      expect(res.get("ETag")).toBe('"3"');
+      expect(res.body.map(({ grade }) => grade)).toEqual(["A", "B"]);
+      expect(find.mock.calls[0][0]).toEqual({ restaurantId: stored._id });
+
+      const links = linksOf(res);
+      expect(links.prev).toBeUndefined();
+      const next = new URL(links.next, "http://localhost");
+      expect(next.pathname).toBe(`/api/restaurants/${stored._id}/grades`);
+      expect(next.searchParams.get("limit")).toBe("2");
+      expect(next.searchParams.get("cursor")).toBeTruthy();
+    });
+
+    it("el enlace siguiente continúa después de la última calificación y la última página solo enlaza a la anterior", async () => {
+      const grades = [gradeOn("2024-03-01", "A"), gradeOn("2024-02-01", "B"), gradeOn("2024-01-01", "C")];
+      const find = jest
+        .spyOn(Grade.collection, "find")
+        .mockReturnValueOnce(cursorOf(grades))
+        .mockReturnValueOnce(cursorOf(grades.slice(2)));
+
+      const first = await request(app).get(`/api/restaurants/${stored._id}/grades?limit=2`);
+      const res = await request(app).get(linksOf(first).next);
+
+      expect(res.status).toBe(200);
+      expect(res.body.map(({ grade }) => grade)).toEqual(["C"]);
+      const [filter] = find.mock.calls[1];
+      expect(filter.$and[0]).toEqual({ restaurantId: stored._id });
+      expect(JSON.stringify(filter.$and[1])).toContain(grades[1].date.toISOString());
+
+      const links = linksOf(res);
+      expect(links.next).toBeUndefined();
+      expect(links.prev).toBeDefined();
+    });
+
+    it("sin más páginas no envía la cabecera Link", async () => {
+      jest.spyOn(Grade.collection, "find").mockReturnValue(cursorOf([gradeOn("2024-03-01", "A")]));
+
+      const res = await request(app).get(`/api/restaurants/${stored._id}/grades`);
+
+      expect(res.status).toBe(200);
+      expect(res.get("Link")).toBeUndefined();
+    });
+
+    it("rechaza un cursor que no es válido", async () => {
+      const res = await request(app).get(`/api/restaurants/${stored._id}/grades?cursor=no-es-un-cursor`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("GET /api/restaurants/:id/comments", () => {
+    const commentOn = (date, overrides = {}) => ({
+      _id: new ObjectId(),
+      restaurantId: stored._id,
+      name: "Ana",
+      comment: "Muy bueno",
+      date: new Date(date),
+      status: "approved",
+      helpfulCount: 0,
+      notHelpfulCount: 0,
+      ...overrides,
+    });
+
+    it("pagina los hilos y carga las respuestas de los hilos de la página", async () => {
+      const roots = [commentOn("2024-01-01"), commentOn("2024-02-01"), commentOn("2024-03-01")];
+      const reply = commentOn("2024-01-02", { parentId: roots[0]._id, threadId: roots[0]._id });
+      const find = jest
+        .spyOn(Comment.collection, "find")
+        .mockReturnValueOnce(cursorOf(roots))
+        .mockReturnValueOnce(cursorOf([reply]));
+
+      const res = await request(app).get(`/api/restaurants/${stored._id}/comments?limit=2`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(2);
+      expect(res.body[0]).toMatchObject({ _id: String(roots[0]._id), replyCount: 1 });
+      expect(res.body[0].replies).toEqual([expect.objectContaining({ _id: String(reply._id) })]);
+      expect(res.body[1]).toMatchObject({ _id: String(roots[1]._id), replyCount: 0, replies: [] });
+
+      expect(find.mock.calls[0][0]).toMatchObject({ restaurantId: stored._id, parentId: null, deletedAt: null });
+      expect(find.mock.calls[1][0].threadId).toEqual({ $in: [roots[0]._id, roots[1]._id] });
+
+      const next = new URL(linksOf(res).next, "http://localhost");
+      expect(next.searchParams.get("limit")).toBe("2");
+      expect(next.searchParams.get("cursor")).toBeTruthy();
+    });
+
+    it("un cursor no sirve con otro orden", async () => {
+      const roots = [commentOn("2024-01-01"), commentOn("2024-02-01")];
+      jest.spyOn(Comment.collection, "find").mockReturnValue(cursorOf(roots));
+
+      const first = await request(app).get(`/api/restaurants/${stored._id}/comments?limit=1`);
+      const cursor = new URL(linksOf(first).next, "http://localhost").searchParams.get("cursor");
+      const res = await request(app).get(`/api/restaurants/${stored._id}/comments?sort=helpful&cursor=${cursor}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it("responde 404 si el restaurante no existe", async () => {
+      Restaurant.collection.findOne.mockResolvedValue(null);
+      const find = jest.spyOn(Comment.collection, "find");
+
+      const res = await request(app).get(`/api/restaurants/${stored._id}/comments`);
+
+      expect(res.status).toBe(404);
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
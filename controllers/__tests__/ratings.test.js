@@ -0,0 +1,171 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { buildApp, loginAs, restaurantDoc } = require("../../test/helpers");
+const Restaurant = require("../../models/Restaurant");
+const Rating = require("../../models/Rating");
+const { summarizeRatings } = require("../../utils/ratings");
+
+describe("Valoraciones de los comensales (/api/restaurants/:id/ratings/me)", () => {
+  const app = buildApp();
+  let user;
+  let authorization;
+  let stored;
+  let applyChange;
+  let upsert;
+
+  beforeEach(() => {
+    ({ user, authorization } = loginAs());
+    stored = restaurantDoc();
+    jest.spyOn(Restaurant.collection, "findOne").mockImplementation(async () => restaurantDoc({ _id: stored._id }));
+    applyChange = jest
+      .spyOn(Restaurant.collection, "findOneAndUpdate")
+      .mockResolvedValue({ _id: stored._id, __v: 4, dinerRating: summarizeRatings([{ stars: 4 }]) });
+    upsert = jest.spyOn(Rating.collection, "findOneAndUpdate").mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const previousRating = (stars) => ({
+    _id: new mongoose.Types.ObjectId(),
+    restaurantId: stored._id,
+    user: user._id,
+    stars,
+    createdAt: new Date("2024-01-10"),
+    updatedAt: new Date("2024-01-10"),
+  });
+
+  const rate = (stars) =>
+    request(app)
+      .put(`/api/restaurants/${stored._id}/ratings/me`)
+      .set("Authorization", authorization)
+      .send({ stars });
+
+  describe("PUT", () => {
+    it("la primera valoración responde 201 y suma un voto al restaurante", async () => {
+      const res = await rate(4);
+
+      expect(res.status).toBe(201);
+      expect(res.get("ETag")).toBe('"4"');
+      expect(res.body.rating).toMatchObject({ stars: 4, user: String(user._id), restaurantId: String(stored._id) });
+      expect(res.body.dinerRating).toEqual(summarizeRatings([{ stars: 4 }]));
+
+      const [filter, update, options] = upsert.mock.calls[0];
+      expect(filter).toEqual({ restaurantId: stored._id, user: user._id });
+      expect(update.$setOnInsert._id).toEqual(expect.anything());
+      expect(options).toMatchObject({ upsert: true, returnDocument: "before" });
+
+      const [, pipeline] = applyChange.mock.calls[0];
+      expect(pipeline[0].$set["dinerRating.count"].$add[1]).toBe(1);
+      expect(pipeline[0].$set["dinerRating.sum"].$add[1]).toBe(4);
+    });
+
+    it("cambiar la valoración responde 200 y aplica solo la diferencia de estrellas", async () => {
+      upsert.mockResolvedValue(previousRating(2));
+
+      const res = await rate(5);
+
+      expect(res.status).toBe(200);
+      expect(res.body.rating).toMatchObject({ stars: 5, createdAt: "2024-01-10T00:00:00.000Z" });
+      const [, pipeline] = applyChange.mock.calls[0];
+      expect(pipeline[0].$set["dinerRating.count"].$add[1]).toBe(0);
+      expect(pipeline[0].$set["dinerRating.sum"].$add[1]).toBe(3);
+    });
+
+    it("repetir la misma valoración no cambia el restaurante", async () => {
+      upsert.mockResolvedValue(previousRating(4));
+
+      const res = await rate(4);
+
+      expect(res.status).toBe(200);
+      expect(res.get("ETag")).toBe('"3"');
+      expect(applyChange).not.toHaveBeenCalled();
+    });
+
+    it("rechaza un número de estrellas fuera del rango", async () => {
+      const res = await rate(6);
+
+      expect(res.status).toBe(400);
+      expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it("deshace la valoración nueva si el restaurante se envía a la papelera entre tanto", async () => {
+      applyChange.mockResolvedValue(null);
+      const deleteOne = jest.spyOn(Rating.collection, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+
+      const res = await rate(4);
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("RESTAURANT_NOT_FOUND");
+      expect(deleteOne.mock.calls[0][0]).toEqual({
+        _id: upsert.mock.calls[0][1].$setOnInsert._id,
+        updatedAt: upsert.mock.calls[0][1].$set.updatedAt,
+      });
+    });
+
+    it("restaura la valoración anterior si el restaurante se envía a la papelera entre tanto", async () => {
+      const previous = previousRating(2);
+      upsert.mockResolvedValue(previous);
+      applyChange.mockResolvedValue(null);
+      const updateOne = jest
+        .spyOn(Rating.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+
+      const res = await rate(5);
+
+      expect(res.status).toBe(404);
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: previous._id, updatedAt: upsert.mock.calls[0][1].$set.updatedAt });
+      expect(update.$set).toEqual({ stars: 2, updatedAt: previous.updatedAt });
+    });
+  });
+
+  describe("DELETE", () => {
+    const remove = () =>
+      request(app).delete(`/api/restaurants/${stored._id}/ratings/me`).set("Authorization", authorization);
+
+    it("retira la valoración y resta su voto del restaurante", async () => {
+      const rating = previousRating(4);
+      jest.spyOn(Rating.collection, "findOne").mockResolvedValue(rating);
+      jest.spyOn(Rating.collection, "findOneAndDelete").mockResolvedValue(rating);
+      applyChange.mockResolvedValue({ _id: stored._id, __v: 5, dinerRating: summarizeRatings([]) });
+
+      const res = await remove();
+
+      expect(res.status).toBe(200);
+      expect(res.get("ETag")).toBe('"5"');
+      expect(res.body.dinerRating).toEqual(summarizeRatings([]));
+      const [, pipeline] = applyChange.mock.calls[0];
+      expect(pipeline[0].$set["dinerRating.count"].$add[1]).toBe(-1);
+      expect(pipeline[0].$set["dinerRating.sum"].$add[1]).toBe(-4);
+    });
+
+    it("responde 404 si el usuario no lo había valorado", async () => {
+      jest.spyOn(Rating.collection, "findOne").mockResolvedValue(null);
+
+      const res = await remove();
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("RATING_NOT_FOUND");
+      expect(applyChange).not.toHaveBeenCalled();
+    });
+
+    it("vuelve a guardar la valoración si el restaurante se envía a la papelera entre tanto", async () => {
+      const rating = previousRating(4);
+      jest.spyOn(Rating.collection, "findOne").mockResolvedValue(rating);
+      jest.spyOn(Rating.collection, "findOneAndDelete").mockResolvedValue(rating);
+      applyChange.mockResolvedValue(null);
+      const updateOne = jest
+        .spyOn(Rating.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, matchedCount: 0, upsertedCount: 1 });
+
+      const res = await remove();
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("RESTAURANT_NOT_FOUND");
+      const [filter, update, options] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ restaurantId: stored._id, user: user._id });
+      expect(update.$setOnInsert).toMatchObject({ _id: rating._id, stars: 4 });
+      expect(options).toMatchObject({ upsert: true });
+    });
+  });
+});
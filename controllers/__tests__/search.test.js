@@ -0,0 +1,73 @@
+const request = require("supertest");
+const { buildApp, cursorOf, restaurantDoc } = require("../../test/helpers");
+const Restaurant = require("../../models/Restaurant");
+const Comment = require("../../models/Comment");
+
+describe("GET /api/restaurants/search?q=", () => {
+  const app = buildApp();
+  let riviera;
+  let pizzeria;
+  let diner;
+  let find;
+  let aggregate;
+
+  beforeEach(() => {
+    riviera = restaurantDoc({ name: "Riviera Pizza" });
+    pizzeria = restaurantDoc({ name: "Pizza Hut" });
+    diner = restaurantDoc({ name: "Brooklyn Diner" });
+    find = jest.spyOn(Restaurant.collection, "find");
+    aggregate = jest.spyOn(Comment.collection, "aggregate");
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("sin comentarios que coincidan devuelve los restaurantes por su propia relevancia", async () => {
+    find.mockReturnValueOnce(cursorOf([{ ...riviera, score: 2 }, { ...pizzeria, score: 1 }]));
+    aggregate.mockReturnValue(cursorOf([]));
+
+    const res = await request(app).get("/api/restaurants/search?q=pizza");
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(({ name }) => name)).toEqual(["Riviera Pizza", "Pizza Hut"]);
+    expect(find).toHaveBeenCalledTimes(1);
+  });
+
+  it("suma la relevancia de los comentarios publicados e incluye los restaurantes que solo coinciden por ellos", async () => {
+    find
+      .mockReturnValueOnce(cursorOf([{ ...riviera, score: 2 }, { ...pizzeria, score: 1 }]))
+      .mockReturnValueOnce(cursorOf([pizzeria, diner]))
+      .mockReturnValueOnce(cursorOf([]));
+    aggregate.mockReturnValue(
+      cursorOf([
+        { _id: pizzeria._id, score: 0.5 },
+        { _id: diner._id, score: 3 },
+      ])
+    );
+
+    const res = await request(app).get("/api/restaurants/search?q=pizza&limit=2");
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(({ name, score }) => [name, score])).toEqual([
+      ["Brooklyn Diner", 3],
+      ["Riviera Pizza", 2],
+    ]);
+
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toMatchObject({ $text: { $search: "pizza" }, deletedAt: null });
+    // La relevancia propia solo se consulta para los restaurantes que no estaban entre los primeros
+    expect(find.mock.calls[2][0]._id).toEqual({ $in: [diner._id] });
+  });
+
+  it("con otro orden lo respeta al combinar ambos grupos", async () => {
+    find
+      .mockReturnValueOnce(cursorOf([{ ...pizzeria, score: 1 }]))
+      .mockReturnValueOnce(cursorOf([diner]))
+      .mockReturnValueOnce(cursorOf([{ _id: diner._id, score: 0 }]));
+    aggregate.mockReturnValue(cursorOf([{ _id: diner._id, score: 3 }]));
+
+    const res = await request(app).get("/api/restaurants/search?q=pizza&sort=name");
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(({ name }) => name)).toEqual(["Brooklyn Diner", "Pizza Hut"]);
+  });
+});
@@ -0,0 +1,142 @@
+const request = require("supertest");
+const { buildApp, loginAs, restaurantDoc } = require("../../test/helpers");
+const Restaurant = require("../../models/Restaurant");
+const RestaurantHistory = require("../../models/RestaurantHistory");
+
+describe("Reemplazo y modificación parcial de restaurantes", () => {
+  const app = buildApp();
+  let authorization;
+  let stored;
+  let updateOne;
+
+  beforeEach(() => {
+    ({ authorization } = loginAs("admin"));
+    // Con los valores por defecto del esquema ya guardados, para que Mongoose no los escriba al cargar el documento
+    const defaults = { grades: [], comments: [], ratingSummary: { count: 0 } };
+    stored = restaurantDoc(defaults);
+    jest
+      .spyOn(Restaurant.collection, "findOne")
+      .mockImplementation(async () => restaurantDoc({ ...defaults, _id: stored._id }));
+    updateOne = jest
+      .spyOn(Restaurant.collection, "updateOne")
+      .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(RestaurantHistory.collection, "updateOne").mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("PUT /api/restaurants/:id", () => {
+    it("sustituye los campos editables, elimina los omitidos y devuelve la nueva versión", async () => {
+      const res = await request(app)
+        .put(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .send({ name: "Riviera", borough: "Queens", cuisine: "Italian" });
+
+      expect(res.status).toBe(200);
+      expect(res.get("ETag")).toBe('"4"');
+      expect(res.body).toMatchObject({ name: "Riviera", borough: "Queens", cuisine: "Italian", __v: 4 });
+      expect(res.body.address).toBeUndefined();
+
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter).toMatchObject({ _id: stored._id, __v: 3 });
+      expect(update.$unset).toHaveProperty("address");
+      expect(update.$inc).toEqual({ __v: 1 });
+    });
+
+    it("no guarda una versión nueva si el restaurante no cambia", async () => {
+      const { name, borough, cuisine, address } = stored;
+      const res = await request(app)
+        .put(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .send({ name, borough, cuisine, address });
+
+      expect(res.status).toBe(200);
+      expect(res.get("ETag")).toBe('"3"');
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it("rechaza los campos de solo lectura", async () => {
+      const res = await request(app)
+        .put(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .send({ name: "Riviera", borough: "Queens", cuisine: "Italian", grades: [] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([expect.objectContaining({ path: "grades", rule: "readOnly" })]);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("PATCH /api/restaurants/:id", () => {
+    it("aplica un JSON Merge Patch: null elimina el campo y el resto se conserva", async () => {
+      const res = await request(app)
+        .patch(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .set("Content-Type", "application/merge-patch+json")
+        .send({ cuisine: "Italian", address: { zipcode: null } });
+
+      expect(res.status).toBe(200);
+      expect(res.get("ETag")).toBe('"4"');
+      expect(res.body).toMatchObject({ name: stored.name, cuisine: "Italian", __v: 4 });
+      expect(res.body.address).toEqual({
+        building: stored.address.building,
+        street: stored.address.street,
+        coord: stored.address.coord,
+      });
+    });
+
+    it("aplica un JSON Patch en orden", async () => {
+      const res = await request(app)
+        .patch(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .set("Content-Type", "application/json-patch+json")
+        .send([
+          { op: "test", path: "/borough", value: "Brooklyn" },
+          { op: "replace", path: "/name", value: "Riviera" },
+          { op: "copy", from: "/address/street", path: "/cuisine" },
+        ]);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ name: "Riviera", cuisine: stored.address.street, __v: 4 });
+    });
+
+    it("responde 409 si una operación test no se cumple y no guarda nada", async () => {
+      const res = await request(app)
+        .patch(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .set("Content-Type", "application/json-patch+json")
+        .send([
+          { op: "replace", path: "/name", value: "Riviera" },
+          { op: "test", path: "/borough", value: "Queens" },
+        ]);
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe("PATCH_TEST_FAILED");
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it("responde 422 si una operación apunta a un campo protegido", async () => {
+      const res = await request(app)
+        .patch(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .set("Content-Type", "application/json-patch+json")
+        .send([{ op: "add", path: "/grades/-", value: { grade: "A" } }]);
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toEqual([expect.objectContaining({ path: "0", rule: "readOnly" })]);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it("responde 422 si el resultado no es un restaurante válido", async () => {
+      const res = await request(app)
+        .patch(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .set("Content-Type", "application/merge-patch+json")
+        .send({ name: null });
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe("VALIDATION_FAILED");
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
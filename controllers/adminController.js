@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Lógica de los endpoints de administración: papelera de restaurantes y comentarios eliminados,
+ * restauración y purga definitiva, y gestión de los roles de los usuarios.
+ */
+
+const Restaurant = require("../models/Restaurant");
+const Comment = require("../models/Comment");
+const Grade = require("../models/Grade");
+const Rating = require("../models/Rating");
+const User = require("../models/User");
+const { NotFoundError } = require("../utils/errors");
+const { setETag, VERSION_INCREMENT } = require("../utils/concurrency");
+const {
+  parseLimit,
+  parseBoolean,
+  parseSort,
+  toSortObject,
+  decodeCursor,
+  keysetFilter,
+  buildPage,
+  paginateKeyset,
+} = require("../utils/pagination");
+const { purgeDate, purgeExpiredTrash } = require("../utils/trash");
+const { actorOf } = require("../utils/actor");
+const { trackItem, recordHistory } = require("../utils/history");
+const { RESTAURANT_LOOKUP, bumpVersion, findItem } = require("../utils/restaurantItems");
+
+/**
+ * Condición que selecciona los elementos en la papelera.
+ */
+const IN_TRASH = { $ne: null };
+
+/**
+ * Orden de los listados de la papelera: primero lo eliminado más recientemente.
+ * @type {Array<[string, number]>}
+ */
+const TRASH_SORT = parseSort("-deletedAt");
+
+/**
+ * Añade a un elemento de la papelera la fecha en que se eliminará definitivamente.
+ * @function withPurgeDate
+ * @param {Object} item - Restaurante o comentario en la papelera.
+ * @returns {Object}
+ */
+const withPurgeDate = (item) => ({ ...item, purgeAt: purgeDate(item.deletedAt) });
+
+/**
+ * Listar los restaurantes en la papelera (GET).
+ * @async
+ * @function listDeletedRestaurants
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {number} [req.query.limit=10] - Número de restaurantes por página.
+ * @param {string} [req.query.cursor] - Cursor de la página a obtener.
+ * @param {boolean} [req.query.includeTotal=false] - Si se incluye el total de restaurantes en la papelera.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la página de restaurantes.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.listDeletedRestaurants = async (req, res, next) => {
+  try {
+    const page = await paginateKeyset(
+      Restaurant,
+      { deletedAt: IN_TRASH },
+      {
+        sort: TRASH_SORT,
+        limit: parseLimit(req.query.limit),
+        cursor: req.query.cursor,
+        includeTotal: parseBoolean(req.query.includeTotal),
+      }
+    );
+
+    res.status(200).json({ ...page, data: page.data.map(withPurgeDate) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Restaurar un restaurante de la papelera (POST).
+ * @async
+ * @function restoreRestaurant
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el restaurante restaurado.
+ * @throws {NotFoundError} - Si el restaurante no está en la papelera.
+ */
+exports.restoreRestaurant = async (req, res, next) => {
+  try {
+    const restaurant = await Restaurant.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: IN_TRASH },
+      { $unset: { deletedAt: 1, deletedBy: 1 }, ...VERSION_INCREMENT },
+      { new: true }
+    );
+
+    if (!restaurant) {
+      throw new NotFoundError("RESTAURANT_NOT_IN_TRASH");
+    }
+
+    await recordHistory(restaurant, { operation: "restore", actor: actorOf(req) });
+
+    setETag(res, restaurant);
+    res.status(200).json(restaurant);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Eliminar definitivamente un restaurante de la papelera (DELETE), junto con todos sus comentarios, calificaciones y valoraciones.
+ * @async
+ * @function purgeRestaurant
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con un mensaje de confirmación.
+ * @throws {NotFoundError} - Si el restaurante no está en la papelera.
+ */
+exports.purgeRestaurant = async (req, res, next) => {
+  try {
+    const restaurant = await Restaurant.findOneAndDelete({
+      _id: req.params.id,
+      deletedAt: IN_TRASH,
+    });
+
+    if (!restaurant) {
+      throw new NotFoundError("RESTAURANT_NOT_IN_TRASH");
+    }
+    await Comment.deleteMany({ restaurantId: restaurant._id });
+    await Grade.deleteMany({ restaurantId: restaurant._id });
+    await Rating.deleteMany({ restaurantId: restaurant._id });
+
+    res.status(200).json({ message: "Restaurante eliminado definitivamente" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Listar los comentarios en la papelera (GET). Solo incluye los de restaurantes que no están a su vez
+ * en la papelera; esos se restauran o purgan junto con su restaurante.
+ * @async
+ * @function listDeletedComments
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {number} [req.query.limit=10] - Número de comentarios por página.
+ * @param {string} [req.query.cursor] - Cursor de la página a obtener.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la página de comentarios.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.listDeletedComments = async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const position = req.query.cursor ? decodeCursor(req.query.cursor, TRASH_SORT) : null;
+    const backwards = position?.direction === "prev";
+
+    const comments = await Comment.aggregate([
+      { $match: { deletedAt: IN_TRASH } },
+      ...(position ? [{ $match: keysetFilter(TRASH_SORT, position.values, backwards) }] : []),
+      { $sort: toSortObject(TRASH_SORT, backwards) },
+      ...RESTAURANT_LOOKUP,
+      // Se pide un comentario extra para saber si existe otra página en el mismo sentido
+      { $limit: limit + 1 },
+      {
+        $project: {
+          restaurantId: 1,
+          restaurantName: "$restaurant.name",
+          comment: 1,
+          date: 1,
+          author: 1,
+          authorName: 1,
+          deletedAt: 1,
+          deletedBy: 1,
+        },
+      },
+    ]);
+
+    const page = buildPage(comments, { sort: TRASH_SORT, limit, position });
+    res.status(200).json({ ...page, data: page.data.map(withPurgeDate) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Busca un comentario en la papelera, incrementa la versión de su restaurante y le aplica una operación atómica.
+ * @async
+ * @function updateDeletedComment
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {string} commentId - ID del comentario.
+ * @param {function(Object): Promise<Object|null>} apply - Operación a aplicar; recibe el filtro del comentario.
+ * @returns {Promise<{restaurant: mongoose.Document, comment: Object}>} - Restaurante actualizado y el comentario
+ *   devuelto por la operación.
+ * @throws {NotFoundError} - Si el restaurante no existe o el comentario no está en la papelera.
+ */
+const updateDeletedComment = async (restaurantId, commentId, apply) => {
+  await findItem(Comment, restaurantId, commentId, {
+    filter: { deletedAt: IN_TRASH },
+    notFoundCode: "COMMENT_NOT_IN_TRASH",
+  });
+  const restaurant = await bumpVersion(restaurantId);
+  const comment = await apply({ _id: commentId, restaurantId, deletedAt: IN_TRASH });
+
+  // El comentario se restauró o purgó entre ambas consultas
+  if (!comment) {
+    throw new NotFoundError("COMMENT_NOT_IN_TRASH");
+  }
+  return { restaurant, comment };
+};
+
+/**
+ * Restaurar un comentario de la papelera (POST).
+ * @async
+ * @function restoreComment
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {string} req.params.commentId - El ID del comentario.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el comentario restaurado.
+ * @throws {NotFoundError} - Si el restaurante no existe o el comentario no está en la papelera.
+ */
+exports.restoreComment = async (req, res, next) => {
+  try {
+    const { id: restaurantId, commentId } = req.params;
+    const { restaurant, comment } = await updateDeletedComment(restaurantId, commentId, (filter) =>
+      Comment.findOneAndUpdate(filter, { $unset: { deletedAt: 1, deletedBy: 1 } }, { new: true })
+    );
+    await recordHistory(restaurant, {
+      operation: "comment.restore",
+      actor: actorOf(req),
+      item: trackItem("comments", comment),
+    });
+
+    setETag(res, restaurant);
+    res.status(200).json(comment);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Eliminar definitivamente un comentario de la papelera (DELETE).
+ * @async
+ * @function purgeComment
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {string} req.params.commentId - El ID del comentario.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con un mensaje de confirmación.
+ * @throws {NotFoundError} - Si el restaurante no existe o el comentario no está en la papelera.
+ */
+exports.purgeComment = async (req, res, next) => {
+  try {
+    const { id: restaurantId, commentId } = req.params;
+    const { restaurant, comment } = await updateDeletedComment(restaurantId, commentId, (filter) =>
+      Comment.findOneAndDelete(filter)
+    );
+    await recordHistory(restaurant, {
+      operation: "comment.purge",
+      actor: actorOf(req),
+      item: trackItem("comments", null, comment._id),
+    });
+
+    setETag(res, restaurant);
+    res.status(200).json({ message: "Comentario eliminado definitivamente" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Purgar ahora los elementos cuya retención ha vencido (POST), sin esperar a la purga periódica.
+ * @async
+ * @function purgeExpired
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con los elementos eliminados.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.purgeExpired = async (req, res, next) => {
+  try {
+    res.status(200).json(await purgeExpiredTrash());
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Listar los usuarios (GET), del registrado más recientemente al más antiguo.
+ * @async
+ * @function listUsers
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {number} [req.query.limit=10] - Número de usuarios por página.
+ * @param {string} [req.query.cursor] - Cursor de la página a obtener.
+ * @param {string} [req.query.role] - Mostrar solo los usuarios con este rol.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la página de usuarios.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.listUsers = async (req, res, next) => {
+  try {
+    const page = await paginateKeyset(User, req.query.role ? { role: req.query.role } : {}, {
+      sort: parseSort("-_id"),
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+      projection: { passwordHash: 0, __v: 0 },
+    });
+
+    res.status(200).json(page);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Cambiar el rol de un usuario (PUT).
+ * @async
+ * @function updateUserRole
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del usuario.
+ * @param {Object} req.body - Objeto con el nuevo rol.
+ * @param {string} req.body.role - Rol a asignar.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el usuario actualizado.
+ * @throws {NotFoundError} - Si el usuario no existe.
+ */
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role: req.body.role } },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      throw new NotFoundError("USER_NOT_FOUND");
+    }
+
+    res.status(200).json(user);
+  } catch (err) {
+    next(err);
+  }
+};
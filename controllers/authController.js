@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Lógica de los endpoints de autenticación: registro, inicio de sesión y datos del usuario actual.
+ */
+
+const User = require("../models/User");
+const { UnauthorizedError } = require("../utils/errors");
+const { signToken } = require("../middleware/auth");
+
+/**
+ * Registrar un usuario (POST). Las cuentas nuevas tienen el rol `viewer`; los administradores asignan el resto.
+ * @async
+ * @function register
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.body - Datos del usuario.
+ * @param {string} req.body.email - Correo con el que iniciará sesión.
+ * @param {string} req.body.name - Nombre visible.
+ * @param {string} req.body.password - Contraseña.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el usuario y su token.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo (409 si el correo ya está registrado).
+ */
+exports.register = async (req, res, next) => {
+  try {
+    const { email, name, password } = req.body;
+    const user = new User({ email, name });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({ user, ...signToken(user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Iniciar sesión (POST).
+ * @async
+ * @function login
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.body - Credenciales.
+ * @param {string} req.body.email - Correo del usuario.
+ * @param {string} req.body.password - Contraseña.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el usuario y su token.
+ * @throws {UnauthorizedError} - Si el correo o la contraseña no son correctos.
+ */
+exports.login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() }).select("+passwordHash");
+
+    // El mismo error para un correo desconocido y una contraseña incorrecta
+    if (!user || !(await user.checkPassword(password))) {
+      throw new UnauthorizedError("INVALID_CREDENTIALS");
+    }
+
+    res.status(200).json({ user, ...signToken(user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtener el usuario autenticado (GET).
+ * @function me
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.user - Usuario autenticado.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @returns {void}
+ */
+exports.me = (req, res) => {
+  res.status(200).json(req.user);
+};
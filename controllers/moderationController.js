@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Lógica de los endpoints de moderación: cola de comentarios pendientes o marcados y decisiones
+ * de los moderadores.
+ */
+
+const Comment = require("../models/Comment");
+const { NotFoundError } = require("../utils/errors");
+const { setETag } = require("../utils/concurrency");
+const {
+  parseLimit,
+  parseSort,
+  toSortObject,
+  decodeCursor,
+  keysetFilter,
+  buildPage,
+} = require("../utils/pagination");
+const { QUEUE_STATUSES } = require("../utils/moderation");
+const { actorOf } = require("../utils/actor");
+const { trackItem, recordHistory } = require("../utils/history");
+const { RESTAURANT_LOOKUP, bumpVersion, findComment } = require("../utils/restaurantItems");
+
+/**
+ * Orden de la cola de moderación: primero los comentarios más antiguos.
+ * @type {Array<[string, number]>}
+ */
+const QUEUE_SORT = parseSort("createdAt");
+
+/**
+ * Listar la cola de moderación (GET): comentarios pendientes y marcados, o solo los del estado indicado.
+ * @async
+ * @function listComments
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.status] - Mostrar solo los comentarios con este estado.
+ * @param {number} [req.query.limit=10] - Número de comentarios por página.
+ * @param {string} [req.query.cursor] - Cursor de la página a obtener.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la página de comentarios.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.listComments = async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const status = req.query.status ? [req.query.status] : QUEUE_STATUSES;
+    // El cursor solo es válido para el mismo estado con el que se generó
+    const scope = status.join(",");
+    const position = req.query.cursor ? decodeCursor(req.query.cursor, QUEUE_SORT, scope) : null;
+    const backwards = position?.direction === "prev";
+
+    const comments = await Comment.aggregate([
+      { $match: { status: { $in: status }, deletedAt: null } },
+      ...(position ? [{ $match: keysetFilter(QUEUE_SORT, position.values, backwards) }] : []),
+      { $sort: toSortObject(QUEUE_SORT, backwards) },
+      ...RESTAURANT_LOOKUP,
+      // Se pide un comentario extra para saber si existe otra página en el mismo sentido
+      { $limit: limit + 1 },
+      {
+        $project: {
+          restaurantId: 1,
+          restaurantName: "$restaurant.name",
+          comment: 1,
+          parentId: 1,
+          author: 1,
+          authorName: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          edited: 1,
+          status: 1,
+          autoFlags: 1,
+          reports: 1,
+          moderatedBy: 1,
+          moderatedAt: 1,
+          moderationReason: 1,
+        },
+      },
+    ]);
+
+    res.status(200).json(buildPage(comments, { sort: QUEUE_SORT, limit, position, scope }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Registra la decisión de un moderador sobre un comentario. La versión del restaurante cambia antes de modificar
+ * el comentario, de modo que la comprobación de If-Match forma parte de esa misma operación atómica.
+ * @async
+ * @function decide
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {Object} options
+ * @param {string} options.status - Estado resultante (`approved` o `rejected`).
+ * @param {string} options.operation - Operación que se registra en el historial.
+ * @param {Object} [options.update] - Cambios adicionales sobre el comentario.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|PreconditionFailedError} - Si el restaurante o el comentario no existen, o si la versión
+ *   no coincide con If-Match.
+ */
+const decide = async (req, res, { status, operation, update = {} }) => {
+  const { id: restaurantId, commentId } = req.params;
+  const ifMatch = req.get("If-Match");
+  const actor = actorOf(req);
+
+  await findComment(restaurantId, commentId);
+  const restaurant = await bumpVersion(restaurantId, { ifMatch });
+  const comment = await Comment.findOneAndUpdate(
+    { _id: commentId, restaurantId, deletedAt: null },
+    {
+      ...update,
+      $set: {
+        status,
+        moderatedBy: actor,
+        moderatedAt: new Date(),
+        moderationReason: req.body?.reason ?? null,
+      },
+    },
+    { new: true }
+  );
+
+  // El comentario se eliminó entre ambas consultas
+  if (!comment) {
+    throw new NotFoundError("COMMENT_NOT_FOUND");
+  }
+
+  await recordHistory(restaurant, { operation, actor, item: trackItem("comments", comment) });
+
+  setETag(res, restaurant);
+  res.status(200).json(comment);
+};
+
+/**
+ * Aprobar un comentario (POST). Se publica y se descartan sus denuncias, de modo que solo las nuevas vuelven
+ * a enviarlo a la cola.
+ * @async
+ * @function approveComment
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {string} req.params.commentId - El ID del comentario.
+ * @param {Object} [req.body] - Objeto con el motivo de la decisión.
+ * @param {string} [req.body.reason] - Motivo opcional.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el comentario aprobado.
+ * @throws {NotFoundError} - Si el restaurante o el comentario no existen.
+ */
+exports.approveComment = async (req, res, next) => {
+  try {
+    await decide(req, res, {
+      status: "approved",
+      operation: "comment.approve",
+      update: { $unset: { reports: "" } },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Rechazar un comentario (POST). Deja de publicarse; su autor todavía puede eliminarlo.
+ * @async
+ * @function rejectComment
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {string} req.params.commentId - El ID del comentario.
+ * @param {Object} req.body - Objeto con el motivo de la decisión.
+ * @param {string} req.body.reason - Motivo del rechazo.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el comentario rechazado.
+ * @throws {NotFoundError} - Si el restaurante o el comentario no existen.
+ */
+exports.rejectComment = async (req, res, next) => {
+  try {
+    await decide(req, res, { status: "rejected", operation: "comment.reject" });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -2,43 +2,633 @@
  * @fileoverview Lógica de los endpoints de la API REST, separando las operaciones de las rutas para mantener el código limpio y fácil de mantener.
  */
 
+const { isDeepStrictEqual } = require("util");
 const Restaurant = require("../models/Restaurant");
+const RestaurantHistory = require("../models/RestaurantHistory");
+const Comment = require("../models/Comment");
+const Grade = require("../models/Grade");
+const Rating = require("../models/Rating");
+const {
+  SORTABLE_FIELDS,
+  SORT_ALIASES,
+  QueryError,
+  idFilter,
+  parseFields,
+  MAX_EXPAND_LIMIT,
+  parseExpand,
+  buildProjection,
+  buildFilter,
+  containsText,
+  textSearch,
+} = require("../utils/restaurantQuery");
+const {
+  DEFAULT_LIMIT,
+  parseLimit,
+  parseBoolean,
+  parseSort,
+  toSortObject,
+  compareBySort,
+  paginateKeyset,
+  setPageLinks,
+} = require("../utils/pagination");
+const {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  ValidationError,
+  ForbiddenError,
+  ConflictError,
+} = require("../utils/errors");
+const { JSON_PATCH, applyMergePatch, applyJsonPatch } = require("../utils/patch");
+const {
+  etagOf,
+  setETag,
+  checkIfMatch,
+  versionFilter,
+  VERSION_INCREMENT,
+} = require("../utils/concurrency");
+const { failUpdate, bumpVersion, findItem, findComment } = require("../utils/restaurantItems");
+const { compileSchema } = require("../middleware/validateRequest");
+const { describeError } = require("../middleware/errorHandler");
+const { resolveLanguage } = require("../utils/i18n");
+const { actorOf } = require("../utils/actor");
+const { hasRole } = require("../middleware/auth");
+const {
+  MODERATOR_ROLES,
+  PUBLISHED,
+  analyzeComment,
+  initialStatus,
+  reportThreshold,
+} = require("../utils/moderation");
+const { THREAD_SORTS, maxReplyDepth, toPublicComment, buildThreads } = require("../utils/comments");
+const { snapshot, trackItem, recordHistory, diffStates, withChanges } = require("../utils/history");
+const { swaggerSpec } = require("../swagger");
+const {
+  DEFAULT_RADIUS,
+  parsePoint,
+  parseUnit,
+  parseDistance,
+  geoNearPage,
+  parseArea,
+  parseFormat,
+  toFeatureCollection,
+  parseBbox,
+  INDIVIDUAL_ZOOM,
+  MAX_CLUSTER_POINTS,
+  parseZoom,
+  parseBreakdown,
+  cellSize,
+  clusterPipeline,
+  clustersToFeatureCollection,
+} = require("../utils/geo");
+
+/**
+ * Orden por defecto de la paginación clásica del listado, la que usaban los clientes antes de los cursores.
+ * @type {Array<[string, number]>}
+ */
+const LEGACY_SORT = parseSort("-createdAt");
+
+/**
+ * Campos que se pueden reemplazar con PUT o modificar con PATCH.
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = ["name", "borough", "cuisine", "address"];
+
+/**
+ * Campos que solo se modifican mediante sus propias rutas (o nunca, en el caso de los identificadores).
+ * @type {string[]}
+ */
+const PROTECTED_FIELDS = [
+  "_id",
+  "__v",
+  "restaurant_id",
+  "grades",
+  "comments",
+  "ratingSummary",
+  "dinerRating",
+  "deletedAt",
+  "deletedBy",
+];
+
+/**
+ * Valida un restaurante completo contra el esquema `RestaurantReplace` de la especificación.
+ * @type {function(Object): Object[]}
+ */
+const validateReplacement = compileSchema(swaggerSpec, "RestaurantReplace");
+
+/**
+ * Valida un restaurante nuevo contra el esquema `RestaurantInput` de la especificación.
+ * @type {function(Object): Object[]}
+ */
+const validateCreation = compileSchema(swaggerSpec, "RestaurantInput");
+
+/**
+ * Campos que se restauran al revertir un restaurante a una versión anterior. La papelera (`deletedAt`) no
+ * forma parte de la reversión: un restaurante eliminado se recupera desde las rutas de administración. Los
+ * comentarios y las calificaciones tampoco: están en sus propias colecciones y se modifican con sus rutas.
+ * @type {string[]}
+ */
+const REVERTIBLE_FIELDS = EDITABLE_FIELDS;
+
+/**
+ * Orden de las calificaciones: de la más reciente a la más antigua.
+ * @type {Array<[string, number]>}
+ */
+const GRADES_SORT = parseSort("-date");
+
+/**
+ * Orden del historial: de la versión más reciente a la más antigua.
+ * @type {Array<[string, number]>}
+ */
+const HISTORY_SORT = parseSort("-version");
+
+/**
+ * Código de error de MongoDB cuando se usan transacciones en un servidor que no forma parte de un replica set.
+ * @type {number}
+ */
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+/**
+ * Devuelve los campos editables de un restaurante como JSON plano, que es sobre lo que se aplican los parches.
+ * @function editableView
+ * @param {mongoose.Document} restaurant - Documento del restaurante.
+ * @returns {Object} - Campos editables presentes en el documento.
+ */
+const editableView = (restaurant) => {
+  const json = JSON.parse(JSON.stringify(restaurant));
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => json[field] !== undefined).map((field) => [field, json[field]])
+  );
+};
+
+/**
+ * Reemplaza los campos editables del documento; los que no aparecen en `data` se eliminan. Los campos sin cambios
+ * no se asignan, porque Mongoose marca como modificados los arrays anidados (`address.coord`) aunque sean iguales.
+ * @function replaceEditable
+ * @param {mongoose.Document} restaurant - Documento del restaurante.
+ * @param {Object} data - Nuevos valores de los campos editables.
+ * @returns {void}
+ */
+const replaceEditable = (restaurant, data) => {
+  const current = editableView(restaurant);
+  for (const field of EDITABLE_FIELDS) {
+    if (!isDeepStrictEqual(current[field], data[field])) {
+      restaurant.set(field, data[field]);
+    }
+  }
+};
+
+/**
+ * Construye un comentario nuevo: el autor y las fechas los asigna el servidor y el estado inicial depende
+ * del análisis automático del texto.
+ * @function buildComment
+ * @param {Object} user - Usuario autenticado, que figura como autor.
+ * @param {Object} body - Texto del comentario (`comment`) y su idioma (`language`).
+ * @param {Object} [thread] - Posición en el hilo de las respuestas (`parentId`, `threadId` y `depth`).
+ * @returns {Object}
+ */
+const buildComment = (user, { comment, language }, thread = {}) => {
+  const now = new Date();
+  const flags = analyzeComment(comment);
+  return {
+    comment,
+    language,
+    date: now,
+    author: user._id,
+    authorName: user.name,
+    createdAt: now,
+    updatedAt: now,
+    edited: false,
+    status: initialStatus(flags),
+    ...(flags.length && { autoFlags: flags }),
+    ...thread,
+  };
+};
+
+/**
+ * Últimos comentarios publicados de un restaurante, en orden cronológico y en su representación pública.
+ * @async
+ * @function recentComments
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {mongoose.Document} own - Comentario que se incluye aunque no esté publicado, para que su autor vea su estado.
+ * @returns {Promise<Object[]>}
+ */
+const recentComments = async (restaurantId, own) => {
+  const comments = await Comment.find({ restaurantId, deletedAt: null, status: PUBLISHED })
+    .sort({ date: -1, _id: -1 })
+    .limit(DEFAULT_LIMIT)
+    .lean();
+  comments.reverse();
+  if (!comments.some((comment) => comment._id.equals(own._id))) {
+    comments.push(own);
+  }
+  return comments.map(toPublicComment);
+};
+
+/**
+ * Comprueba que el usuario pueda modificar o eliminar un comentario: debe ser su autor o un moderador.
+ * @function checkCommentOwner
+ * @param {Object} comment - Comentario.
+ * @param {Object} user - Usuario autenticado.
+ * @returns {void}
+ * @throws {ForbiddenError} - Si el usuario no es el autor ni un moderador (403).
+ */
+const checkCommentOwner = (comment, user) => {
+  // Los comentarios heredados no tienen autor: solo los moderadores pueden cambiarlos
+  if (!hasRole(user, ...MODERATOR_ROLES) && String(comment.author) !== String(user._id)) {
+    throw new ForbiddenError("COMMENT_NOT_OWNED");
+  }
+};
+
+/**
+ * Número de reacciones de un tipo en un comentario, como expresión de agregación.
+ * @function countReactions
+ * @param {string} value - Reacción a contar (una de `REACTIONS`).
+ * @returns {Object}
+ */
+const countReactions = (value) => ({
+  $size: { $filter: { input: "$reactions", cond: { $eq: ["$$this.value", value] } } },
+});
+
+/**
+ * Actualización (pipeline de agregación) que retira la reacción de un usuario a un comentario, añade la nueva si
+ * se indica y recalcula los recuentos, todo en una sola operación atómica.
+ * @function reactionUpdate
+ * @param {mongoose.Types.ObjectId} user - Usuario que reacciona.
+ * @param {Object} [reaction] - Nueva reacción del usuario.
+ * @returns {Object[]}
+ */
+const reactionUpdate = (user, reaction = null) => {
+  const others = {
+    $filter: { input: { $ifNull: ["$reactions", []] }, cond: { $ne: ["$$this.user", user] } },
+  };
+  return [
+    { $set: { reactions: reaction ? { $concatArrays: [others, [reaction]] } : others } },
+    { $set: { helpfulCount: countReactions("helpful"), notHelpfulCount: countReactions("not_helpful") } },
+  ];
+};
+
+/**
+ * Página de calificaciones de un restaurante, de la más reciente a la más antigua.
+ * @async
+ * @function gradesPage
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {Object} options
+ * @param {number} options.limit - Calificaciones por página.
+ * @param {string} [options.cursor] - Cursor recibido del cliente.
+ * @returns {Promise<{limit: number, data: Object[], next: string|null, prev: string|null}>}
+ */
+const gradesPage = (restaurantId, { limit, cursor }) =>
+  paginateKeyset(Grade, { restaurantId }, { sort: GRADES_SORT, limit, cursor });
+
+/**
+ * Carga los comentarios publicados y las calificaciones solicitados mediante `expand`, del más reciente al más
+ * antiguo. Sin límite se devuelven como máximo `MAX_EXPAND_LIMIT`.
+ * @async
+ * @function loadExpanded
+ * @param {mongoose.Types.ObjectId} restaurantId - ID del restaurante.
+ * @param {Object<string, number|null>} expand - Arrays expandidos (resultado de `parseExpand`).
+ * @returns {Promise<Object<string, Object[]>>}
+ */
+const loadExpanded = async (restaurantId, expand) => {
+  const queries = {
+    comments: () => Comment.find({ restaurantId, deletedAt: null, status: PUBLISHED }),
+    grades: () => Grade.find({ restaurantId }),
+  };
+  const entries = await Promise.all(
+    Object.entries(expand).map(async ([name, limit]) => {
+      const items = await queries[name]()
+        .sort({ date: -1, _id: -1 })
+        .limit(limit ?? MAX_EXPAND_LIMIT)
+        .lean();
+      return [name, name === "comments" ? items.map(toPublicComment) : items];
+    })
+  );
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Interpreta el parámetro `sort` de los listados de restaurantes: una lista de campos de `SORTABLE_FIELDS` o uno
+ * de los nombres de `SORT_ALIASES`.
+ * @function parseRestaurantSort
+ * @param {string} [sort] - Valor del parámetro `sort`.
+ * @returns {Array<[string, number]>} - Campos de ordenación con su dirección.
+ * @throws {QueryError} - Si el formato no es válido o algún campo no está permitido.
+ */
+const parseRestaurantSort = (sort) =>
+  parseSort(Object.hasOwn(SORT_ALIASES, sort) ? SORT_ALIASES[sort] : sort, SORTABLE_FIELDS);
+
+/**
+ * Búsqueda de texto completo en los restaurantes y en sus comentarios publicados. La relevancia (`score`) de cada
+ * restaurante es la de su nombre, cocina y calle más la de sus comentarios que coinciden con el texto.
+ * @async
+ * @function searchText
+ * @param {Object} filters - Filtros de la búsqueda.
+ * @param {Object} search - Condición `$text` (ver `textSearch`).
+ * @param {Array<[string, number]>|null} sort - Ordenación solicitada, o `null` para ordenar por relevancia.
+ * @param {number} limit - Número máximo de resultados.
+ * @returns {Promise<Object[]>} - Restaurantes encontrados, con su relevancia.
+ */
+const searchText = async (filters, search, sort, limit) => {
+  const order = sort ? toSortObject(sort) : { score: { $meta: "textScore" } };
+  const [matched, commentScores] = await Promise.all([
+    Restaurant.find({ ...filters, $text: search }, { score: { $meta: "textScore" } })
+      .sort(order)
+      .limit(limit)
+      .lean(),
+    Comment.textScores(search),
+  ]);
+  if (!commentScores.size) return matched;
+
+  // Los primeros resultados están entre los primeros por sus propios campos y los que tienen comentarios que
+  // coinciden; con otro orden basta con los primeros de cada grupo
+  const commented = await Restaurant.find({ $and: [filters, { _id: { $in: [...commentScores.keys()] } }] })
+    .sort(sort ? order : {})
+    .limit(sort ? limit : 0)
+    .lean();
+
+  const results = new Map(matched.map((restaurant) => [String(restaurant._id), restaurant]));
+  const pending = commented.filter((restaurant) => !results.has(String(restaurant._id)));
+  const ownScores = pending.length
+    ? await Restaurant.find(
+        { _id: { $in: pending.map((restaurant) => restaurant._id) }, $text: search },
+        { _id: 1, score: { $meta: "textScore" } }
+      ).lean()
+    : [];
+  const scoreOf = new Map(ownScores.map(({ _id, score }) => [String(_id), score]));
+  for (const restaurant of pending) {
+    results.set(String(restaurant._id), { ...restaurant, score: scoreOf.get(String(restaurant._id)) ?? 0 });
+  }
+
+  return [...results.values()]
+    .map((restaurant) => ({
+      ...restaurant,
+      score: restaurant.score + (commentScores.get(String(restaurant._id)) ?? 0),
+    }))
+    .sort(sort ? compareBySort(sort) : (a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Busca la valoración de un usuario a un restaurante.
+ * @async
+ * @function findOwnRating
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {mongoose.Types.ObjectId} user - Usuario autenticado.
+ * @returns {Promise<Object>} - La valoración como objeto plano.
+ * @throws {NotFoundError} - Si el restaurante no existe o el usuario no lo ha valorado.
+ */
+const findOwnRating = async (restaurantId, user) => {
+  const [restaurant, rating] = await Promise.all([
+    Restaurant.exists({ _id: restaurantId }),
+    Rating.findOne({ restaurantId, user }).lean(),
+  ]);
+  if (!restaurant) {
+    throw new NotFoundError("RESTAURANT_NOT_FOUND");
+  }
+  if (!rating) {
+    throw new NotFoundError("RATING_NOT_FOUND");
+  }
+  return rating;
+};
+
+/**
+ * Deshace el cambio en la valoración de un usuario cuando el restaurante se envió a la papelera antes de actualizar
+ * su resumen, para que las valoraciones sigan cuadrando con él si se restaura.
+ * @async
+ * @function undoRatingChange
+ * @param {Object|null} previous - Valoración anterior al cambio (`null` si el usuario no lo había valorado).
+ * @param {Object|null} written - Valoración guardada por el cambio (`null` si se retiró).
+ * @returns {Promise<void>}
+ */
+const undoRatingChange = async (previous, written) => {
+  if (!written) {
+    // Si el usuario lo ha vuelto a valorar mientras tanto se conserva la valoración nueva
+    await Rating.updateOne(
+      { restaurantId: previous.restaurantId, user: previous.user },
+      { $setOnInsert: previous },
+      { upsert: true }
+    );
+    return;
+  }
+
+  // Solo se deshace si nadie ha modificado la valoración después
+  const current = { _id: written._id, updatedAt: written.updatedAt };
+  if (previous) {
+    await Rating.updateOne(current, { $set: { stars: previous.stars, updatedAt: previous.updatedAt } });
+  } else {
+    await Rating.deleteOne(current);
+  }
+};
+
+/**
+ * Crea un restaurante. La usan `createRestaurant` y las operaciones `create` de los lotes.
+ * @async
+ * @function insertRestaurant
+ * @param {Object} data - Datos del restaurante.
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Quién lo crea.
+ * @param {mongoose.ClientSession} [options.session] - Sesión de la transacción en curso.
+ * @returns {Promise<mongoose.Document>} - Restaurante creado.
+ */
+const insertRestaurant = async (data, { actor = null, session = null } = {}) => {
+  const restaurant = await new Restaurant(data).save({ session });
+  await recordHistory(restaurant, { operation: "create", actor, session });
+  return restaurant;
+};
+
+/**
+ * Reemplaza los campos editables de un restaurante. La usan `updateRestaurant` y las operaciones `update` de los lotes.
+ * @async
+ * @function replaceRestaurant
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {Object} data - Nuevos valores de los campos editables.
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - Valor de If-Match de la operación.
+ * @param {string} [options.actor] - Quién lo modifica.
+ * @param {mongoose.ClientSession} [options.session] - Sesión de la transacción en curso.
+ * @returns {Promise<mongoose.Document>} - Restaurante actualizado.
+ * @throws {NotFoundError|PreconditionFailedError}
+ */
+const replaceRestaurant = async (restaurantId, data, { ifMatch, actor = null, session = null } = {}) => {
+  const restaurant = await Restaurant.findById(restaurantId).session(session);
+  if (!restaurant) {
+    throw new NotFoundError("RESTAURANT_NOT_FOUND");
+  }
+
+  checkIfMatch(ifMatch, restaurant);
+  replaceEditable(restaurant, data);
+  // Si no cambia nada no se guarda una versión nueva
+  if (restaurant.isModified()) {
+    await restaurant.save({ validateModifiedOnly: true, session });
+    await recordHistory(restaurant, { operation: "replace", actor, session });
+  }
+  return restaurant;
+};
+
+/**
+ * Envía un restaurante a la papelera. La usan `deleteRestaurant` y las operaciones `delete` de los lotes.
+ * @async
+ * @function removeRestaurant
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - Valor de If-Match de la operación.
+ * @param {string} [options.actor] - Quién lo elimina.
+ * @param {mongoose.ClientSession} [options.session] - Sesión de la transacción en curso.
+ * @returns {Promise<mongoose.Document>} - Restaurante eliminado.
+ * @throws {NotFoundError|PreconditionFailedError}
+ */
+const removeRestaurant = async (restaurantId, { ifMatch, actor = null, session = null } = {}) => {
+  // Encuentra el restaurante por ID (y versión, si se envía If-Match) y lo marca como eliminado
+  const deletedRestaurant = await Restaurant.findOneAndUpdate(
+    { _id: restaurantId, ...versionFilter(ifMatch) },
+    { $set: { deletedAt: new Date(), deletedBy: actor }, ...VERSION_INCREMENT },
+    { new: true, session }
+  );
+
+  if (!deletedRestaurant) {
+    await failUpdate(restaurantId, { ifMatch, session });
+  }
+  await recordHistory(deletedRestaurant, { operation: "delete", actor, session });
+  return deletedRestaurant;
+};
+
+/**
+ * Ejecuta una operación de un lote con las mismas validaciones que su ruta individual: primero el esquema
+ * de la especificación y después el del modelo.
+ * @async
+ * @function runBatchOperation
+ * @param {Object} operation - Operación (`op`, `id`, `data`, `ifMatch`).
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Quién ejecuta el lote.
+ * @param {mongoose.ClientSession} [options.session] - Sesión de la transacción en curso.
+ * @returns {Promise<{id: string, status: number, etag?: string}>} - Resultado de la operación.
+ * @throws {AppError} - El mismo error que devolvería la ruta individual.
+ */
+const runBatchOperation = async ({ op, id, data, ifMatch }, { actor = null, session = null } = {}) => {
+  if (op === "delete") {
+    const restaurant = await removeRestaurant(id, { ifMatch, actor, session });
+    return { id, status: 200, etag: etagOf(restaurant) };
+  }
+
+  const errors = (op === "create" ? validateCreation : validateReplacement)(data);
+  if (errors.length) {
+    throw new BadRequestError("INVALID_REQUEST", { details: errors });
+  }
+
+  const restaurant =
+    op === "create"
+      ? await insertRestaurant(data, { actor, session })
+      : await replaceRestaurant(id, data, { ifMatch, actor, session });
+  return { id: restaurant.id, status: op === "create" ? 201 : 200, etag: etagOf(restaurant) };
+};
 
 /**
  * Obtener todos los restaurantes con paginación y ordenación (GET).
+ * Por defecto mantiene la paginación clásica (`total`, `page`, `pages`) para los clientes existentes; con `cursor`
+ * o `pagination=cursor` usa la paginación por cursor (`next`, `prev`).
  * @async
  * @function getAllRestaurants
  * @param {Object} req - Objeto de solicitud de Express.
  * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
- * @param {string} [req.query.limit=10] - Número de documentos por página.
- * @param {string} [req.query.page=1] - Número de la página actual.
- * @param {string} [req.query.sort=-createdAt] - Campo por el cual ordenar los resultados.
+ * @param {string} [req.query.limit=10] - Número de documentos por página (máximo 100).
+ * @param {string} [req.query.pagination=page] - Tipo de paginación: `page` (clásica) o `cursor`.
+ * @param {string} [req.query.cursor] - Cursor opaco devuelto en `next` o `prev` por una respuesta anterior.
+ * @param {string} [req.query.includeTotal=false] - Si es `true`, la paginación por cursor incluye el número total de restaurantes.
+ * @param {string} [req.query.page=1] - Número de la página actual (paginación clásica).
+ * @param {string} [req.query.sort] - Campos por los cuales ordenar los resultados, separados por comas, o `best_rated`
+ *   (por defecto `-createdAt` en la paginación clásica y `-_id` en la paginación por cursor).
+ * @param {Object} [req.query.filter] - Filtros con la forma `filter[campo][operador]=valor`.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la lista de restaurantes o un mensaje de error.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.getAllRestaurants = async (req, res) => {
+exports.getAllRestaurants = async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 10; // Número de documentos por página, por defecto 10
-    const page = parseInt(req.query.page) || 1; // Página actual, por defecto 1
-    const sort = req.query.sort || "-createdAt"; // Campo por el cual ordenar, por defecto -createdAt
-    const skip = (page - 1) * limit;
-
-    const restaurants = await Restaurant.find()
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
-    const total = await Restaurant.countDocuments();
-
-    res.status(200).json({
-      total,
-      page,
-      pages: Math.ceil(total / limit),
-      limit,
-      data: restaurants,
-    });
+    const limit = parseLimit(req.query.limit); // Número de documentos por página, por defecto 10
+    const keyset = Boolean(req.query.cursor) || req.query.pagination === "cursor";
+    // Campos por los cuales ordenar; sin `sort`, la paginación clásica conserva su orden de siempre
+    const sort =
+      keyset || req.query.sort !== undefined ? parseRestaurantSort(req.query.sort) : LEGACY_SORT;
+    const filter = await buildFilter(req.query.filter);
+
+    // Paginación clásica, la que esperan los clientes que no piden cursores
+    if (!keyset) {
+      const page = parseInt(req.query.page) || 1; // Página actual, por defecto 1
+      const skip = (page - 1) * limit;
+
+      const restaurants = await Restaurant.find(filter)
+        .sort(toSortObject(sort))
+        .skip(skip)
+        .limit(limit);
+      const total = await Restaurant.countDocuments(filter);
+
+      return res.status(200).json({
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+        data: restaurants,
+      });
+    }
+
+    const result = await paginateKeyset(
+      Restaurant,
+      filter,
+      {
+        sort,
+        limit,
+        cursor: req.query.cursor,
+        includeTotal: parseBoolean(req.query.includeTotal),
+      }
+    );
+
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtener un restaurante por ID (GET).
+ * @async
+ * @function getRestaurantById
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - ObjectId del restaurante o su `restaurant_id` heredado.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.fields] - Campos a devolver, separados por comas (por ejemplo `name,address.zipcode`).
+ * @param {string} [req.query.expand] - Comentarios o calificaciones a incluir, con un límite opcional (por ejemplo `comments:5,grades`).
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el restaurante o un mensaje de error.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.getRestaurantById = async (req, res, next) => {
+  try {
+    const fields = parseFields(req.query.fields);
+    const expand = parseExpand(req.query.expand);
+
+    // La versión se lee siempre para el ETag, aunque no se haya pedido entre los campos
+    const projection = buildProjection(fields);
+    const restaurant = await Restaurant.findOne(idFilter(req.params.id))
+      .select(fields.length ? { ...projection, __v: 1 } : projection)
+      .lean();
+
+    if (!restaurant) {
+      throw new NotFoundError("RESTAURANT_NOT_FOUND");
+    }
+
+    setETag(res, restaurant);
+    if (fields.length && !fields.includes("__v")) {
+      delete restaurant.__v;
+    }
+
+    Object.assign(restaurant, await loadExpanded(restaurant._id, expand));
+    res.status(200).json(restaurant);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 };
 
@@ -52,120 +642,289 @@ exports.getAllRestaurants = async (req, res) => {
  * @param {string} req.body.address - Dirección del restaurante.
  * @param {string} req.body.cuisine - Tipo de cocina del restaurante.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el nuevo restaurante creado o un mensaje de error.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.createRestaurant = async (req, res) => {
-  const restaurant = new Restaurant(req.body);
+exports.createRestaurant = async (req, res, next) => {
   try {
-    const newRestaurant = await restaurant.save();
+    const newRestaurant = await insertRestaurant(req.body, { actor: actorOf(req) });
+    setETag(res, newRestaurant);
     res.status(201).json(newRestaurant);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    next(err);
   }
 };
 
 /**
- * Actualizar un Restaurante (PUT).
+ * Reemplazar los campos editables de un Restaurante (PUT).
+ * Los campos editables omitidos se eliminan. Los identificadores y los arrays de comentarios y calificaciones
+ * no se pueden enviar: se modifican mediante sus propias rutas.
  * @async
  * @function updateRestaurant
  * @param {Object} req - Objeto de solicitud de Express.
  * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
  * @param {string} req.params.id - ID del restaurante a actualizar.
- * @param {Object} req.body - Objeto que contiene los datos actualizados del restaurante.
+ * @param {Object} req.body - Representación completa de los campos editables del restaurante.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el restaurante actualizado o un mensaje de error.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.updateRestaurant = async (req, res) => {
+exports.updateRestaurant = async (req, res, next) => {
   try {
-    const restaurantId = req.params.id;
-    const updateData = req.body;
+    const restaurant = await replaceRestaurant(req.params.id, req.body, {
+      ifMatch: req.get("If-Match"),
+      actor: actorOf(req),
+    });
 
-    // Encuentra el restaurante por ID y actualiza con los nuevos datos
-    const updatedRestaurant = await Restaurant.findByIdAndUpdate(
-      restaurantId,
-      updateData,
-      {
-        new: true, // Devuelve el documento actualizado
-        runValidators: true, // Ejecuta las validaciones del esquema
+    setETag(res, restaurant);
+    res.status(200).json(restaurant);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Modificar parcialmente un Restaurante (PATCH) con JSON Merge Patch (`application/merge-patch+json`)
+ * o JSON Patch (`application/json-patch+json`). El parche se aplica sobre los campos editables y el resultado
+ * debe cumplir las mismas reglas que un PUT.
+ * @async
+ * @function patchRestaurant
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - ID del restaurante a modificar.
+ * @param {Object|Object[]} req.body - Parche a aplicar.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el restaurante modificado o un mensaje de error.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.patchRestaurant = async (req, res, next) => {
+  try {
+    const ifMatch = req.get("If-Match");
+    const restaurant = await Restaurant.findById(req.params.id);
+    if (!restaurant) {
+      throw new NotFoundError("RESTAURANT_NOT_FOUND");
+    }
+
+    checkIfMatch(ifMatch, restaurant);
+    const current = editableView(restaurant);
+    let patched;
+    if (req.is(JSON_PATCH)) {
+      // Las rutas que apuntan a campos protegidos se rechazan antes de aplicar nada
+      const details = req.body
+        .map((operation, index) => ({ operation, index }))
+        .filter(({ operation }) =>
+          [operation.path, operation.op === "move" ? operation.from : undefined].some(
+            (pointer) => pointer !== undefined && PROTECTED_FIELDS.includes(pointer.split("/")[1])
+          )
+        )
+        .map(({ index }) => ({ in: "body", path: String(index), rule: "readOnly" }));
+      if (details.length) {
+        throw new ValidationError(details);
       }
-    );
+      patched = applyJsonPatch(current, req.body);
+    } else {
+      patched = applyMergePatch(current, req.body);
+    }
 
-    if (!updatedRestaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
+    const errors = validateReplacement(patched);
+    if (errors.length) {
+      throw new ValidationError(errors);
     }
 
-    res.status(200).json(updatedRestaurant);
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error al actualizar el restaurante", error });
+    replaceEditable(restaurant, patched);
+    if (restaurant.isModified()) {
+      await restaurant.save({ validateModifiedOnly: true });
+      await recordHistory(restaurant, { operation: "patch", actor: actorOf(req) });
+    }
+
+    setETag(res, restaurant);
+    res.status(200).json(restaurant);
+  } catch (err) {
+    next(err);
   }
 };
 
 /**
- * Eliminar un Restaurante (DELETE).
+ * Eliminar un Restaurante (DELETE). El restaurante pasa a la papelera, desde donde se puede restaurar
+ * hasta que venza el periodo de retención.
  * @async
  * @function deleteRestaurant
  * @param {Object} req - Objeto de solicitud de Express.
  * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
  * @param {string} req.params.id - ID del restaurante a eliminar.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el restaurante eliminado o un mensaje de error.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.deleteRestaurant = async (req, res) => {
+exports.deleteRestaurant = async (req, res, next) => {
   try {
-    const restaurantId = req.params.id;
+    const deletedRestaurant = await removeRestaurant(req.params.id, {
+      ifMatch: req.get("If-Match"),
+      actor: actorOf(req),
+    });
+
+    setETag(res, deletedRestaurant);
+    res.status(200).json(deletedRestaurant);
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Encuentra el restaurante por ID y elimina
-    const deletedRestaurant = await Restaurant.findByIdAndDelete(restaurantId);
+/**
+ * Crear, reemplazar y eliminar restaurantes por lotes (POST).
+ * Cada operación pasa las mismas validaciones que su ruta individual y la respuesta incluye el resultado de cada una.
+ * Con `atomic=true` el lote se ejecuta en una transacción: si una operación falla no se aplica ninguna
+ * (requiere que MongoDB sea un replica set).
+ * @async
+ * @function batchRestaurants
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.atomic=false] - Si es `true`, ejecuta el lote en una transacción.
+ * @param {Object} req.body - Objeto que contiene el lote.
+ * @param {Object[]} req.body.operations - Operaciones (`create`, `update` o `delete`) en el orden en que se ejecutan.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el resultado de cada operación o un mensaje de error.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.batchRestaurants = async (req, res, next) => {
+  try {
+    const atomic = parseBoolean(req.query.atomic);
+    const actor = actorOf(req);
+    const { operations } = req.body;
+    const lang = resolveLanguage(req);
+
+    // Describe el error de una operación con el mismo formato que las respuestas de error de la API
+    const failed = (index, { op, id }, err) => {
+      const { status, body } = describeError(err, lang);
+      if (status >= 500) {
+        console.error(`[${req.id}] ${req.method} ${req.originalUrl} (operación ${index}):`, err);
+      }
+      return { index, op, id, status, error: body };
+    };
+
+    let results = [];
+    let failure;
+
+    if (!atomic) {
+      for (const [index, operation] of operations.entries()) {
+        try {
+          results.push({ index, op: operation.op, ...(await runBatchOperation(operation, { actor })) });
+        } catch (err) {
+          results.push(failed(index, operation, err));
+        }
+      }
+    } else {
+      const session = await Restaurant.startSession();
+      try {
+        // withTransaction repite la función ante errores transitorios, así que cada intento empieza de cero
+        await session.withTransaction(async () => {
+          results = [];
+          failure = undefined;
+          for (const [index, operation] of operations.entries()) {
+            try {
+              results.push({
+                index,
+                op: operation.op,
+                ...(await runBatchOperation(operation, { actor, session })),
+              });
+            } catch (err) {
+              if (err.code === TRANSACTIONS_UNSUPPORTED) {
+                throw new BadRequestError("TRANSACTIONS_UNAVAILABLE");
+              }
+              if (!(err.hasErrorLabel && err.hasErrorLabel("TransientTransactionError"))) {
+                failure = { index, err };
+              }
+              throw err;
+            }
+          }
+        });
+      } catch (err) {
+        if (!failure) throw err;
+      } finally {
+        await session.endSession();
+      }
 
-    if (!deletedRestaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
+      if (failure) {
+        // La transacción se deshizo: la operación que falló lleva su error y el resto uno común
+        const aborted = new AppError("BATCH_ABORTED", { status: 424 });
+        results = operations.map((operation, index) =>
+          failed(index, operation, index === failure.index ? failure.err : aborted)
+        );
+      }
     }
 
-    res.status(200).json(deletedRestaurant);
-  } catch (error) {
-    res
-      .status(500)
-      .json({ message: "Error al eliminar el restaurante", error });
+    const succeeded = results.filter((result) => !result.error).length;
+    res.status(200).set("Content-Language", lang).json({
+      atomic,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (err) {
+    next(err);
   }
 };
 
 /* Operaciones CRUD para Comentarios de Restaurantes */
 
 /**
- * Obtener todos los Comentarios de un Restaurante por ID (GET).
+ * Obtener los Comentarios de un Restaurante por ID (GET). Solo devuelve los comentarios aprobados, organizados en
+ * hilos con sus respuestas. Se paginan los comentarios raíz, cada uno con su hilo completo; los enlaces a la página
+ * siguiente y a la anterior se envían en la cabecera `Link`.
  * @async
  * @function getAllCommentsById
  * @param {Object} req - Objeto de solicitud de Express.
  * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
  * @param {string} req.params.id - El ID del restaurante.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.sort=oldest] - Orden de los comentarios: `newest`, `oldest` o `helpful`.
+ * @param {string} [req.query.limit=10] - Número de hilos por página (máximo 100).
+ * @param {string} [req.query.cursor] - Cursor opaco de la cabecera `Link` de una respuesta anterior.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con los comentarios del restaurante o un mensaje de error.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.getAllCommentsById = async (req, res) => {
+exports.getAllCommentsById = async (req, res, next) => {
   try {
     const restaurantId = req.params.id;
-    const restaurant = await Restaurant.findById(restaurantId).select(
-      "comments"
-    );
+    const sort = req.query.sort || "oldest";
+    const restaurant = await Restaurant.findById(restaurantId).select("__v").lean();
 
     if (!restaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
+      throw new NotFoundError("RESTAURANT_NOT_FOUND");
     }
 
-    res.status(200).json(restaurant.comments);
+    const page = await paginateKeyset(
+      Comment,
+      { restaurantId, parentId: null, deletedAt: null, status: PUBLISHED },
+      { sort: THREAD_SORTS[sort], limit: parseLimit(req.query.limit), cursor: req.query.cursor }
+    );
+    const replies = page.data.length
+      ? await Comment.find({
+          threadId: { $in: page.data.map((comment) => comment._id) },
+          deletedAt: null,
+          status: PUBLISHED,
+        }).lean()
+      : [];
+
+    setETag(res, restaurant);
+    setPageLinks(req, res, page);
+    res.status(200).json(buildThreads([...page.data, ...replies], sort));
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 };
 
 /**
- * Actualizar un Comentario de un Restaurante por ID (PUT).
+ * Actualizar un Comentario de un Restaurante por ID (PUT). La fecha de edición la asigna el servidor y el nuevo
+ * texto se analiza de nuevo: si parece sospechoso, el comentario vuelve a la cola de moderación. Con
+ * `COMMENT_PREMODERATION=true` cualquier edición lo devuelve a `pending` hasta que un moderador la apruebe.
  * @async
  * @function updateCommentById
  * @param {Object} req - Objeto de solicitud de Express.
@@ -174,183 +933,404 @@ exports.getAllCommentsById = async (req, res) => {
  * @param {string} req.params.commentId - El ID del comentario.
  * @param {Object} req.body - Objeto que contiene los datos del comentario actualizado.
  * @param {string} req.body.comment - El contenido del comentario actualizado.
- * @param {Date} req.body.date - La fecha del comentario actualizado.
+ * @param {string} [req.body.language] - Idioma del comentario (`es` o `en`); si se omite se conserva el anterior.
+ * @param {Object} req.user - Usuario autenticado; debe ser el autor del comentario o un moderador.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el comentario actualizado o un mensaje de error.
- * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo (403 si el usuario no puede modificarlo).
  */
-exports.updateCommentById = async (req, res) => {
+exports.updateCommentById = async (req, res, next) => {
   try {
     const restaurantId = req.params.id;
     const commentId = req.params.commentId;
-    const { comment, date } = req.body;
-
-    console.log(`Restaurant ID: ${restaurantId}`);
-    console.log(`Comment ID: ${commentId}`);
+    const ifMatch = req.get("If-Match");
+    const { comment, language } = req.body;
+
+    checkCommentOwner(await findComment(restaurantId, commentId), req.user);
+    await Comment.validate({ comment, language }, ["comment", "language"]);
+
+    // Un texto sospechoso vuelve a la cola de moderación, y con premoderación también cualquier otra edición;
+    // si no, el comentario conserva su estado
+    const flags = analyzeComment(comment);
+    const status = initialStatus(flags);
+    const moderation = flags.length
+      ? { $set: { status, autoFlags: flags } }
+      : { $set: status === "pending" ? { status } : {}, $unset: { autoFlags: "" } };
+
+    const restaurant = await bumpVersion(restaurantId, { ifMatch });
+    const updated = await Comment.findOneAndUpdate(
+      { _id: commentId, restaurantId, deletedAt: null },
+      {
+        ...moderation,
+        $set: {
+          comment,
+          updatedAt: new Date(),
+          edited: true,
+          ...moderation.$set,
+          // Si se omite el idioma, se conserva el anterior
+          ...(language !== undefined && { language }),
+        },
+      },
+      { new: true }
+    );
 
-    // Validación de entrada
-    if (!comment || !date) {
-      return res
-        .status(400)
-        .json({ message: "Datos incompletos para actualizar el comentario" });
+    // El comentario se eliminó entre ambas consultas
+    if (!updated) {
+      throw new NotFoundError("COMMENT_NOT_FOUND");
     }
 
-    // Encuentra el restaurante por ID
-    const restaurant = await Restaurant.findById(restaurantId);
-
-    if (!restaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
-    }
+    await recordHistory(restaurant, {
+      operation: "comment.update",
+      actor: actorOf(req),
+      item: trackItem("comments", updated),
+    });
 
-    console.log(`Restaurant found: ${restaurant}`);
+    setETag(res, restaurant);
+    res.status(200).json(updated);
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Encuentra el comentario por ID y actualiza los campos
-    const commentToUpdate = restaurant.comments.id(commentId);
-    if (!commentToUpdate) {
-      return res.status(404).json({ message: "Comentario no encontrado" });
-    }
+/**
+ * Agregar un comentario a un restaurante por ID (POST). El autor y las fechas los asigna el servidor, y el
+ * análisis automático del texto decide si se publica de inmediato o queda a la espera de un moderador.
+ * @async
+ * @function addComment
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {Object} req.body - Objeto que contiene los datos del comentario.
+ * @param {string} req.body.comment - El contenido del comentario.
+ * @param {string} [req.body.language] - Idioma del comentario (`es` o `en`), que decide cómo se indexa su texto.
+ * @param {Object} req.user - Usuario autenticado, que figura como autor.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con los últimos comentarios
+ *   publicados y el agregado, o un mensaje de error.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.addComment = async (req, res, next) => {
+  try {
+    const restaurantId = req.params.id;
+    const newComment = new Comment({ ...buildComment(req.user, req.body), restaurantId });
+    await newComment.validate();
+
+    const restaurant = await bumpVersion(restaurantId, { ifMatch: req.get("If-Match") });
+    await newComment.save();
+    await recordHistory(restaurant, {
+      operation: "comment.add",
+      actor: actorOf(req),
+      item: trackItem("comments", newComment),
+    });
 
-    console.log(`Comment found: ${commentToUpdate}`);
+    setETag(res, restaurant);
+    res.status(201).json(await recentComments(restaurantId, newComment));
+  } catch (err) {
+    next(err);
+  }
+};
 
-    commentToUpdate.comment = comment;
-    commentToUpdate.date = date;
+/**
+ * Responder a un Comentario de un Restaurante (POST). La respuesta se crea como un comentario más, enlazado con
+ * su comentario padre y con el comentario raíz de su hilo, y pasa por el mismo análisis automático.
+ * @async
+ * @function addReply
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {string} req.params.commentId - El ID del comentario al que se responde.
+ * @param {Object} req.body - Objeto que contiene los datos de la respuesta.
+ * @param {string} req.body.comment - El contenido de la respuesta.
+ * @param {string} [req.body.language] - Idioma de la respuesta (`es` o `en`).
+ * @param {Object} req.user - Usuario autenticado, que figura como autor.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la respuesta creada.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo (422 si se supera la profundidad máxima).
+ */
+exports.addReply = async (req, res, next) => {
+  try {
+    const restaurantId = req.params.id;
 
-    // Guarda el restaurante actualizado
-    await restaurant.save();
+    const parent = await findComment(restaurantId, req.params.commentId, { published: true });
+    const depth = (parent.depth || 0) + 1;
+    const max = maxReplyDepth();
+    if (depth > max) {
+      throw new AppError("REPLY_DEPTH_EXCEEDED", { status: 422, params: { max } });
+    }
 
-    res.status(200).json(commentToUpdate);
-  } catch (error) {
-    console.error("Error al actualizar el comentario:", error); // Log del error completo
-    res.status(500).json({
-      message: "Error al actualizar el comentario",
-      error: error.message,
+    const reply = new Comment({
+      ...buildComment(req.user, req.body, {
+        parentId: parent._id,
+        threadId: parent.threadId ?? parent._id,
+        depth,
+      }),
+      restaurantId,
+    });
+    await reply.validate();
+
+    const restaurant = await bumpVersion(restaurantId, { ifMatch: req.get("If-Match") });
+    await reply.save();
+    await recordHistory(restaurant, {
+      operation: "comment.reply",
+      actor: actorOf(req),
+      item: trackItem("comments", reply),
     });
+
+    setETag(res, restaurant);
+    res.status(201).json(toPublicComment(reply));
+  } catch (err) {
+    next(err);
   }
 };
 
 /**
- * Agregar un comentario a un restaurante por ID (POST).
+ * Reaccionar a un Comentario de un Restaurante (PUT). Cada usuario tiene como máximo una reacción por comentario;
+ * enviar otra la sustituye. Las reacciones cambian la versión del restaurante, pero no se registran en el historial.
  * @async
- * @function addComment
+ * @function setReaction
  * @param {Object} req - Objeto de solicitud de Express.
  * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
  * @param {string} req.params.id - El ID del restaurante.
- * @param {Object} req.body - Objeto que contiene los datos del comentario.
- * @param {string} req.body.comment - El contenido del comentario.
- * @param {Date} req.body.date - La fecha del comentario.
+ * @param {string} req.params.commentId - El ID del comentario.
+ * @param {Object} req.body - Objeto que contiene la reacción.
+ * @param {string} req.body.value - Reacción: `helpful` o `not_helpful`.
+ * @param {Object} req.user - Usuario autenticado.
  * @param {Object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el comentario agregado o un mensaje de error.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el comentario y sus recuentos.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.addComment = async (req, res) => {
+exports.setReaction = async (req, res, next) => {
   try {
     const restaurantId = req.params.id;
-    const { comment, date } = req.body;
+    const commentId = req.params.commentId;
+    const user = req.user._id;
+    const reaction = { user, value: req.body.value, createdAt: new Date() };
+
+    await findComment(restaurantId, commentId, { published: true });
+    const restaurant = await bumpVersion(restaurantId);
 
-    // Validación de entrada
-    if (!comment || !date) {
-      return res
-        .status(400)
-        .json({ message: "Datos incompletos para agregar el comentario" });
+    // La reacción anterior del usuario se sustituye en la misma operación que recalcula los recuentos
+    const comment = await Comment.findOneAndUpdate(
+      { _id: commentId, restaurantId, deletedAt: null, status: PUBLISHED },
+      reactionUpdate(user, reaction),
+      { new: true }
+    );
+    if (!comment) {
+      throw new NotFoundError("COMMENT_NOT_FOUND");
     }
 
-    // Encuentra el restaurante por ID
-    const restaurant = await Restaurant.findById(restaurantId);
+    setETag(res, restaurant);
+    res.status(200).json(toPublicComment(comment));
+  } catch (err) {
+    next(err);
+  }
+};
 
-    if (!restaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
-    }
+/**
+ * Retirar la reacción del usuario a un Comentario de un Restaurante (DELETE).
+ * @async
+ * @function deleteReaction
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {string} req.params.commentId - El ID del comentario.
+ * @param {Object} req.user - Usuario autenticado.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el comentario y sus recuentos.
+ * @throws {NotFoundError} - Si el comentario no existe o el usuario no había reaccionado.
+ */
+exports.deleteReaction = async (req, res, next) => {
+  try {
+    const restaurantId = req.params.id;
+    const commentId = req.params.commentId;
+    const user = req.user._id;
 
-    // Agrega el nuevo comentario al array de comentarios
-    restaurant.comments.push({ comment, date });
+    const current = await findComment(restaurantId, commentId, { published: true });
+    if (!(current.reactions || []).some((reaction) => String(reaction.user) === String(user))) {
+      throw new NotFoundError("REACTION_NOT_FOUND");
+    }
+    const restaurant = await bumpVersion(restaurantId);
 
-    // Guarda el restaurante actualizado
-    await restaurant.save();
+    const comment = await Comment.findOneAndUpdate(
+      { _id: commentId, restaurantId, deletedAt: null, status: PUBLISHED, "reactions.user": user },
+      reactionUpdate(user),
+      { new: true }
+    );
+    // El usuario retiró su reacción desde otra solicitud entre ambas operaciones
+    if (!comment) {
+      throw new NotFoundError("REACTION_NOT_FOUND");
+    }
 
-    res.status(201).json(restaurant.comments);
-  } catch (error) {
-    console.error("Error al agregar el comentario:", error); // Log del error completo
-    res.status(500).json({
-      message: "Error al agregar el comentario",
-      error: error.message,
-    });
+    setETag(res, restaurant);
+    res.status(200).json(toPublicComment(comment));
+  } catch (err) {
+    next(err);
   }
 };
 
 /**
- * Eliminar un Comentario de un Restaurante por ID (DELETE).
+ * Eliminar un Comentario de un Restaurante por ID (DELETE). El comentario pasa a la papelera.
  * @async
  * @function deleteCommentById
  * @param {Object} req - Objeto de solicitud de Express.
  * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
  * @param {string} req.params.id - El ID del restaurante.
  * @param {string} req.params.commentId - El ID del comentario.
+ * @param {Object} req.user - Usuario autenticado; debe ser el autor del comentario o un moderador.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el comentario eliminado o un mensaje de error.
- * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo (403 si el usuario no puede eliminarlo).
  */
-exports.deleteCommentById = async (req, res) => {
+exports.deleteCommentById = async (req, res, next) => {
   try {
     const restaurantId = req.params.id;
     const commentId = req.params.commentId;
+    const actor = actorOf(req);
 
-    // Encuentra el restaurante por ID
-    const restaurant = await Restaurant.findById(restaurantId);
+    checkCommentOwner(await findComment(restaurantId, commentId), req.user);
 
-    if (!restaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
-    }
+    const restaurant = await bumpVersion(restaurantId, { ifMatch: req.get("If-Match") });
+    const deleted = await Comment.findOneAndUpdate(
+      { _id: commentId, restaurantId, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: actor } },
+      { new: true }
+    );
 
-    // Encuentra el comentario por ID y elimínalo usando el método pull
-    const commentToDelete = restaurant.comments.id(commentId);
-    if (!commentToDelete) {
-      return res.status(404).json({ message: "Comentario no encontrado" });
+    // El comentario se eliminó entre ambas consultas
+    if (!deleted) {
+      throw new NotFoundError("COMMENT_NOT_FOUND");
     }
 
-    restaurant.comments.pull(commentId);
-
-    // Guarda el restaurante actualizado
-    await restaurant.save();
+    await recordHistory(restaurant, {
+      operation: "comment.delete",
+      actor,
+      item: trackItem("comments", deleted),
+    });
 
+    setETag(res, restaurant);
     res.status(200).json({ message: "Comentario eliminado con éxito" });
-  } catch (error) {
-    console.error("Error al eliminar el comentario:", error); // Log del error completo
-    res.status(500).json({
-      message: "Error al eliminar el comentario",
-      error: error.message,
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Denunciar un Comentario de un Restaurante (POST). Cada usuario puede denunciar un comentario una sola vez; al
+ * alcanzar `COMMENT_REPORT_THRESHOLD` denuncias deja de publicarse hasta que lo revise un moderador.
+ * @async
+ * @function reportComment
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {string} req.params.commentId - El ID del comentario.
+ * @param {Object} req.body - Objeto que contiene los datos de la denuncia.
+ * @param {string} req.body.reason - Motivo de la denuncia (`spam`, `offensive`, `off_topic`, `other`).
+ * @param {string} [req.body.details] - Explicación opcional.
+ * @param {Object} req.user - Usuario autenticado que denuncia el comentario.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con un mensaje de confirmación.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo (409 si el usuario ya lo había denunciado).
+ */
+exports.reportComment = async (req, res, next) => {
+  try {
+    const restaurantId = req.params.id;
+    const commentId = req.params.commentId;
+    const { reason, details } = req.body;
+    const user = req.user._id;
+    const actor = actorOf(req);
+
+    const current = await findComment(restaurantId, commentId, { published: true });
+    if ((current.reports || []).some((report) => String(report.user) === String(user))) {
+      throw new ConflictError("COMMENT_ALREADY_REPORTED");
+    }
+    let restaurant = await bumpVersion(restaurantId);
+
+    // La condición sobre `reports.user` impide que el mismo usuario denuncie dos veces el comentario
+    const reported = await Comment.findOneAndUpdate(
+      { _id: commentId, restaurantId, deletedAt: null, status: PUBLISHED, "reports.user": { $ne: user } },
+      { $push: { reports: { user, reason, details, createdAt: new Date() } } },
+      { new: true, runValidators: true }
+    );
+    // El comentario cambió entre ambas consultas
+    if (!reported) {
+      throw new ConflictError("VERSION_CONFLICT");
+    }
+
+    await recordHistory(restaurant, {
+      operation: "comment.report",
+      actor,
+      item: trackItem("comments", reported),
     });
+
+    // Al alcanzar el umbral pasa a la cola; la condición sobre el estado evita marcarlo dos veces
+    const threshold = reportThreshold();
+    if (reported.reports.length >= threshold) {
+      const flagged = await Comment.findOneAndUpdate(
+        { _id: commentId, status: PUBLISHED, [`reports.${threshold - 1}`]: { $exists: true } },
+        { $set: { status: "flagged" } },
+        { new: true }
+      );
+      if (flagged) {
+        restaurant = await bumpVersion(restaurantId);
+        await recordHistory(restaurant, {
+          operation: "comment.flag",
+          actor,
+          item: trackItem("comments", flagged),
+        });
+      }
+    }
+
+    setETag(res, restaurant);
+    res.status(201).json({ message: "Denuncia registrada con éxito" });
+  } catch (err) {
+    next(err);
   }
 };
 
 /* Enpoints para Calificar Restaurantes */
 
 /**
- * Obtener todas las Calificaciones de un Restaurante por ID (GET).
+ * Obtener las Calificaciones de un Restaurante por ID (GET), de la más reciente a la más antigua. Los enlaces a la
+ * página siguiente y a la anterior se envían en la cabecera `Link`.
  * @async
  * @function getGradesByRestaurantId
  * @param {Object} req - Objeto de solicitud de Express.
  * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
  * @param {string} req.params.id - El ID del restaurante.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.limit=10] - Número de calificaciones por página (máximo 100).
+ * @param {string} [req.query.cursor] - Cursor opaco de la cabecera `Link` de una respuesta anterior.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con las calificaciones del restaurante o un mensaje de error.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.getGradesByRestaurantId = async (req, res) => {
+exports.getGradesByRestaurantId = async (req, res, next) => {
   try {
     const restaurantId = req.params.id;
 
-    const restaurant = await Restaurant.findById(restaurantId);
+    const restaurant = await Restaurant.findById(restaurantId).select("__v").lean();
     if (!restaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
+      throw new NotFoundError("RESTAURANT_NOT_FOUND");
     }
 
-    res.status(200).json(restaurant.grades);
-  } catch (error) {
-    console.error("Error al obtener las calificaciones:", error);
-    res.status(500).json({
-      message: "Error al obtener las calificaciones",
-      error: error.message,
+    const page = await gradesPage(restaurantId, {
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
     });
+
+    setETag(res, restaurant);
+    setPageLinks(req, res, page);
+    res.status(200).json(page.data);
+  } catch (err) {
+    next(err);
   }
 };
 
@@ -367,48 +1347,47 @@ exports.getGradesByRestaurantId = async (req, res) => {
  * @param {Object} req.body - Objeto que contiene los datos de la calificación actualizada.
  * @param {number} req.body.score - La puntuación de la calificación.
  * @param {Date} req.body.date - La fecha de la calificación.
+ * @param {string} [req.body.grade] - La letra de la calificación; si se omite, se conserva la guardada.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la calificación actualizada o un mensaje de error.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.updateGradeById = async (req, res) => {
+exports.updateGradeById = async (req, res, next) => {
   try {
     const restaurantId = req.params.id;
     const gradeId = req.params.gradeId;
-    const { score, date } = req.body;
-
-    // Validación de entrada
-    if (score === undefined || !date) {
-      return res
-        .status(400)
-        .json({ message: "Datos incompletos para actualizar la calificación" });
-    }
+    const { score, date, grade } = req.body;
 
-    // Encuentra el restaurante por ID
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
-    }
+    // La letra es opcional: los clientes que solo envían la puntuación y la fecha conservan la guardada
+    const changes = { score, date, ...(grade !== undefined && { grade }) };
 
-    // Encuentra la calificación por ID y actualiza los campos
-    const gradeToUpdate = restaurant.grades.id(gradeId);
-    if (!gradeToUpdate) {
-      return res.status(404).json({ message: "Calificación no encontrada" });
-    }
+    await findItem(Grade, restaurantId, gradeId, { notFoundCode: "GRADE_NOT_FOUND" });
+    await Grade.validate(changes, Object.keys(changes));
 
-    gradeToUpdate.score = score;
-    gradeToUpdate.date = date;
+    const restaurant = await bumpVersion(restaurantId, { ifMatch: req.get("If-Match") });
+    const updated = await Grade.findOneAndUpdate(
+      { _id: gradeId, restaurantId },
+      { $set: changes },
+      { new: true }
+    );
 
-    // Guarda el restaurante actualizado
-    await restaurant.save();
+    // La calificación se eliminó entre ambas consultas
+    if (!updated) {
+      throw new NotFoundError("GRADE_NOT_FOUND");
+    }
 
-    res.status(200).json(gradeToUpdate);
-  } catch (error) {
-    console.error("Error al actualizar la calificación:", error); // Log del error completo
-    res.status(500).json({
-      message: "Error al actualizar la calificación",
-      error: error.message,
+    await Restaurant.syncRatingSummary(restaurant);
+    await recordHistory(restaurant, {
+      operation: "grade.update",
+      actor: actorOf(req),
+      item: trackItem("grades", updated),
     });
+
+    setETag(res, restaurant);
+    res.status(200).json(updated);
+  } catch (err) {
+    next(err);
   }
 };
 
@@ -421,38 +1400,36 @@ exports.updateGradeById = async (req, res) => {
  * @param {string} req.params.id - El ID del restaurante.
  * @param {string} req.params.gradeId - El ID de la calificación.
  * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con un mensaje de éxito o un mensaje de error.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.deleteGradeById = async (req, res) => {
+exports.deleteGradeById = async (req, res, next) => {
   try {
     const restaurantId = req.params.id;
     const gradeId = req.params.gradeId;
 
-    // Encuentra el restaurante por ID
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
-    }
+    await findItem(Grade, restaurantId, gradeId, { notFoundCode: "GRADE_NOT_FOUND" });
 
-    // Encuentra la calificación por ID y elimínala usando el método pull
-    const gradeToDelete = restaurant.grades.id(gradeId);
-    if (!gradeToDelete) {
-      return res.status(404).json({ message: "Calificación no encontrada" });
-    }
+    const restaurant = await bumpVersion(restaurantId, { ifMatch: req.get("If-Match") });
+    const deleted = await Grade.findOneAndDelete({ _id: gradeId, restaurantId });
 
-    restaurant.grades.pull(gradeId);
+    // La calificación se eliminó entre ambas consultas
+    if (!deleted) {
+      throw new NotFoundError("GRADE_NOT_FOUND");
+    }
 
-    // Guarda el restaurante actualizado
-    await restaurant.save();
+    await Restaurant.syncRatingSummary(restaurant);
+    await recordHistory(restaurant, {
+      operation: "grade.delete",
+      actor: actorOf(req),
+      item: trackItem("grades", null, deleted._id),
+    });
 
+    setETag(res, restaurant);
     res.status(200).json({ message: "Calificación eliminada con éxito" });
-  } catch (error) {
-    console.error("Error al eliminar la calificación:", error); // Log del error completo
-    res.status(500).json({
-      message: "Error al eliminar la calificación",
-      error: error.message,
-    });
+  } catch (err) {
+    next(err);
   }
 };
 
@@ -468,94 +1445,414 @@ exports.deleteGradeById = async (req, res) => {
  * @param {Date} req.body.date - La fecha de la calificación.
  * @param {string} req.body.grade - La letra de la calificación.
  * @param {Object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la calificación agregada o un mensaje de error.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la primera página de
+ *   calificaciones del restaurante, que incluye la agregada si es la más reciente, o un mensaje de error.
  * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
  */
-exports.addGrade = async (req, res) => {
+exports.addGrade = async (req, res, next) => {
   try {
     const restaurantId = req.params.id;
     const { score, date, grade } = req.body;
 
-    // Validación de entrada
-    if (score === undefined || !date || !grade) {
-      return res
-        .status(400)
-        .json({ message: "Datos incompletos para agregar la calificación" });
+    const newGrade = new Grade({ restaurantId, score, date, grade });
+    await newGrade.validate();
+
+    const restaurant = await bumpVersion(restaurantId, { ifMatch: req.get("If-Match") });
+    await newGrade.save();
+    await Restaurant.syncRatingSummary(restaurant);
+    await recordHistory(restaurant, {
+      operation: "grade.add",
+      actor: actorOf(req),
+      item: trackItem("grades", newGrade),
+    });
+
+    const page = await gradesPage(restaurantId, { limit: parseLimit(req.query.limit) });
+
+    setETag(res, restaurant);
+    setPageLinks(req, res, page);
+    res.status(201).json(page.data);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* Valoraciones de los comensales */
+
+/**
+ * Obtener la valoración del usuario a un Restaurante (GET).
+ * @async
+ * @function getOwnRating
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {Object} req.user - Usuario autenticado.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la valoración.
+ * @throws {NotFoundError} - Si el restaurante no existe o el usuario no lo ha valorado.
+ */
+exports.getOwnRating = async (req, res, next) => {
+  try {
+    const rating = await findOwnRating(req.params.id, req.user._id);
+    res.status(200).json(rating);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Valorar un Restaurante (PUT). Cada usuario tiene como máximo una valoración por restaurante; enviar otra la
+ * sustituye. Las valoraciones cambian la versión del restaurante, pero no se registran en el historial.
+ * @async
+ * @function setRating
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {Object} req.body - Objeto que contiene la valoración.
+ * @param {number} req.body.stars - Número de estrellas (de 1 a 5).
+ * @param {Object} req.user - Usuario autenticado.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la valoración y el nuevo
+ *   resumen de valoraciones del restaurante (201 si es la primera valoración del usuario).
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.setRating = async (req, res, next) => {
+  try {
+    const restaurantId = req.params.id;
+    const user = req.user._id;
+    const { stars } = req.body;
+    const now = new Date();
+
+    if (!(await Restaurant.exists({ _id: restaurantId }))) {
+      throw new NotFoundError("RESTAURANT_NOT_FOUND");
+    }
+
+    // Se crea o se sustituye la valoración en una sola operación que devuelve la anterior: así la diferencia
+    // aplicada al resumen del restaurante es exacta y dos primeras valoraciones simultáneas no chocan con el
+    // índice único
+    const draft = new Rating({ restaurantId, user, stars, createdAt: now, updatedAt: now });
+    const previous = await Rating.findOneAndUpdate(
+      { restaurantId, user },
+      { $set: { stars, updatedAt: now }, $setOnInsert: { _id: draft._id, createdAt: now } },
+      { upsert: true, new: false, runValidators: true }
+    ).lean();
+    const rating = previous ? { ...previous, stars, updatedAt: now } : draft.toObject();
+
+    const restaurant =
+      previous?.stars === stars
+        ? await Restaurant.findById(restaurantId).select("__v dinerRating").lean()
+        : await Restaurant.applyRatingChange(
+            restaurantId,
+            previous ? { count: 0, sum: stars - previous.stars } : { count: 1, sum: stars }
+          );
+    // El restaurante se envió a la papelera entre ambas operaciones
+    if (!restaurant) {
+      await undoRatingChange(previous, rating);
+      throw new NotFoundError("RESTAURANT_NOT_FOUND");
+    }
+
+    setETag(res, restaurant);
+    res.status(previous ? 200 : 201).json({ rating, dinerRating: restaurant.dinerRating });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Retirar la valoración del usuario a un Restaurante (DELETE).
+ * @async
+ * @function deleteRating
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {Object} req.user - Usuario autenticado.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la valoración retirada y
+ *   el nuevo resumen de valoraciones del restaurante.
+ * @throws {NotFoundError} - Si el restaurante no existe o el usuario no lo había valorado.
+ */
+exports.deleteRating = async (req, res, next) => {
+  try {
+    const restaurantId = req.params.id;
+    const user = req.user._id;
+
+    await findOwnRating(restaurantId, user);
+    const rating = await Rating.findOneAndDelete({ restaurantId, user }).lean();
+    // El usuario retiró su valoración desde otra solicitud entre ambas operaciones
+    if (!rating) {
+      throw new NotFoundError("RATING_NOT_FOUND");
+    }
+
+    const restaurant = await Restaurant.applyRatingChange(restaurantId, { count: -1, sum: -rating.stars });
+    // El restaurante se envió a la papelera entre ambas operaciones
+    if (!restaurant) {
+      await undoRatingChange(rating, null);
+      throw new NotFoundError("RESTAURANT_NOT_FOUND");
     }
 
-    // Encuentra el restaurante por ID
+    setETag(res, restaurant);
+    res.status(200).json({ rating, dinerRating: restaurant.dinerRating });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* Historial de cambios de Restaurantes */
+
+/**
+ * Obtener el historial de cambios de un restaurante (GET), de la versión más reciente a la más antigua.
+ * Cada entrada incluye las diferencias por campo con la versión registrada anterior del restaurante o, en las
+ * operaciones sobre un comentario o una calificación, con la versión anterior de ese elemento; si no hay ninguna
+ * (cambios anteriores a que existiera el historial), `changes` es `null`.
+ * @async
+ * @function getRestaurantHistory
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.limit=10] - Número de entradas por página (máximo 100).
+ * @param {string} [req.query.cursor] - Cursor opaco devuelto en `next` o `prev` por una respuesta anterior.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la página del historial.
+ * @throws {NotFoundError} - Si el restaurante no existe.
+ */
+exports.getRestaurantHistory = async (req, res, next) => {
+  try {
+    const restaurantId = req.params.id;
+    if (!(await Restaurant.exists({ _id: restaurantId }))) {
+      throw new NotFoundError("RESTAURANT_NOT_FOUND");
+    }
+
+    const page = await paginateKeyset(
+      RestaurantHistory,
+      { restaurantId },
+      { sort: HISTORY_SORT, limit: parseLimit(req.query.limit), cursor: req.query.cursor }
+    );
+
+    const data = await withChanges(restaurantId, page.data);
+    res.status(200).json({ ...page, data });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Revertir un restaurante a una versión anterior de su historial (POST). Se restauran los campos editables de esa
+ * versión, y la reversión queda registrada como una versión nueva. Los comentarios y las calificaciones no se
+ * revierten: se modifican mediante sus propias rutas.
+ * @async
+ * @function revertRestaurant
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del restaurante.
+ * @param {string} req.params.version - Versión a la que se revierte.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el restaurante revertido.
+ * @throws {NotFoundError} - Si el restaurante no existe o la versión no está en el historial.
+ * @throws {PreconditionFailedError} - Si el restaurante no está en la versión indicada en If-Match.
+ */
+exports.revertRestaurant = async (req, res, next) => {
+  try {
+    const restaurantId = req.params.id;
+    const version = Number(req.params.version);
+
     const restaurant = await Restaurant.findById(restaurantId);
     if (!restaurant) {
-      return res.status(404).json({ message: "Restaurante no encontrado" });
+      throw new NotFoundError("RESTAURANT_NOT_FOUND");
     }
+    checkIfMatch(req.get("If-Match"), restaurant);
 
-    // Agrega la nueva calificación al array de calificaciones
-    restaurant.grades.push({ score, date, grade });
+    const target = await RestaurantHistory.findOne({ restaurantId, version }).lean();
+    if (!target) {
+      throw new NotFoundError("HISTORY_VERSION_NOT_FOUND", { params: { version } });
+    }
 
-    // Guarda el restaurante actualizado
-    await restaurant.save();
+    // Solo se asignan los campos que difieren: Mongoose marca como modificados los arrays aunque sean iguales
+    const current = snapshot(restaurant);
+    for (const field of REVERTIBLE_FIELDS) {
+      if (diffStates(current[field], target.state[field], field).length) {
+        restaurant.set(field, target.state[field]);
+      }
+    }
+    // Si el restaurante ya tiene ese estado no se guarda una versión nueva
+    if (restaurant.isModified()) {
+      await restaurant.save({ validateModifiedOnly: true });
+      await recordHistory(restaurant, { operation: "revert", actor: actorOf(req), revertedTo: version });
+    }
 
-    res.status(201).json(restaurant.grades);
-  } catch (error) {
-    console.error("Error al agregar la calificación:", error); // Log del error completo
-    res.status(500).json({
-      message: "Error al agregar la calificación",
-      error: error.message,
-    });
+    setETag(res, restaurant);
+    res.status(200).json(restaurant);
+  } catch (err) {
+    next(err);
   }
 };
 
 /* Búsqueda y ordenamiento de Restaurantes con filtros */
 
 /**
- * Busca y ordena restaurantes según los filtros proporcionados y la proximidad geográfica.
+ * Busca y ordena restaurantes según los filtros proporcionados, la relevancia del texto, la proximidad geográfica
+ * o un área (rectángulo, polígono o corredor alrededor de una ruta).
  *
  * @async
  * @function searchAndSortRestaurants
  * @param {Object} req - Objeto de solicitud HTTP.
  * @param {Object} req.query - Parámetros de consulta de la solicitud.
+ * @param {string} [req.query.q] - Texto libre a buscar en nombre, cocina, calle y comentarios, ordenado por relevancia.
+ * @param {string} [req.query.lang] - Idioma del texto (`es` o `en`) para aplicar la derivación de palabras correspondiente.
+ * @param {string} [req.query.limit=10] - Número máximo de resultados de la búsqueda de texto o por página de la búsqueda por proximidad o por área (máximo 100).
  * @param {string} [req.query.name] - Nombre del restaurante a buscar.
  * @param {string} [req.query.cuisine] - Tipo de cocina del restaurante a buscar.
  * @param {string} [req.query.borough] - Distrito del restaurante a buscar.
+ * @param {Object} [req.query.filter] - Filtros con la forma `filter[campo][operador]=valor`.
  * @param {string} [req.query.lng] - Longitud para la búsqueda por proximidad.
  * @param {string} [req.query.lat] - Latitud para la búsqueda por proximidad.
+ * @param {string} [req.query.radius=5000] - Distancia máxima de la búsqueda por proximidad, en la unidad indicada.
+ * @param {string} [req.query.minDistance=0] - Distancia mínima de la búsqueda por proximidad, en la unidad indicada.
+ * @param {string} [req.query.unit=m] - Unidad de las distancias (`m`, `km` o `mi`).
+ * @param {string} [req.query.bbox] - Rectángulo `minLng,minLat,maxLng,maxLat` en el que buscar.
+ * @param {string} [req.query.polygon] - Polígono GeoJSON (`Polygon` o `MultiPolygon`) en el que buscar.
+ * @param {string} [req.query.route] - Ruta GeoJSON (`LineString`) a lo largo de la cual buscar.
+ * @param {string} [req.query.buffer=100] - Distancia máxima a la ruta, en la unidad indicada.
+ * @param {string} [req.query.sort] - Ordenación de la búsqueda de texto, de la búsqueda por filtros o de la búsqueda
+ *   por área (por defecto `-_id`), con los campos del listado o `best_rated`; no se aplica a la búsqueda por proximidad.
+ * @param {string} [req.query.cursor] - Cursor de la búsqueda por proximidad o por área devuelto en `next` o `prev`.
+ * @param {string} [req.query.includeTotal=false] - Si es `true`, la búsqueda por proximidad o por área incluye el total de resultados.
+ * @param {string} [req.query.format=json] - Formato de la respuesta (`json` o `geojson`).
  * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {function} next - Función que delega los errores al middleware de errores.
  * @returns {Promise<void>} - Devuelve una promesa que se resuelve cuando la respuesta se envía.
  * @throws {Error} - Lanza un error si ocurre un problema durante la búsqueda.
  */
-exports.searchAndSortRestaurants = async (req, res) => {
+exports.searchAndSortRestaurants = async (req, res, next) => {
   try {
-    const { name, cuisine, borough, lng, lat } = req.query;
+    const { q, lang, name, cuisine, borough, lng, lat } = req.query;
+    const unit = parseUnit(req.query.unit);
+    const format = parseFormat(req.query.format);
+    const area = parseArea(req.query, unit);
+    const sort = req.query.sort ? parseRestaurantSort(req.query.sort) : null;
 
     // Filtros de búsqueda
-    const filters = {};
-    if (name) filters.name = new RegExp(name, "i"); // Insensible a mayúsculas/minúsculas
-    if (cuisine) filters.cuisine = new RegExp(cuisine, "i");
-    if (borough) filters.borough = new RegExp(borough, "i");
-
-    let restaurants;
-
-    if (lng && lat) {
-      // Si se proporcionan coordenadas, buscar y ordenar por proximidad
-      restaurants = await Restaurant.find({
-        ...filters, // Incluye los filtros de búsqueda
-        "address.coord": {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates: [parseFloat(lng), parseFloat(lat)],
-            },
-            $maxDistance: 5000, // 5km de distancia máxima
-          },
-        },
+    const filters = await buildFilter(req.query.filter);
+    if (name) filters.name = containsText(name); // Insensible a mayúsculas/minúsculas
+    if (cuisine) filters.cuisine = containsText(cuisine);
+    if (borough) filters.borough = containsText(borough);
+    if (area) Object.assign(filters, area);
+
+    if (lng && lat && (q || area)) {
+      throw new QueryError("proximityConflict");
+    }
+
+    let result;
+
+    if (q) {
+      // Búsqueda de texto completo ordenada por relevancia, salvo que se indique otro orden
+      result = await searchText(filters, textSearch(q, lang), sort, parseLimit(req.query.limit));
+    } else if (lng && lat) {
+      // Si se proporcionan coordenadas, buscar y ordenar por proximidad con paginación por cursor
+      const page = await geoNearPage(Restaurant, {
+        point: parsePoint(lng, lat),
+        filter: filters, // Incluye los filtros de búsqueda
+        minDistance: parseDistance(req.query.minDistance, unit, "minDistance", 0),
+        maxDistance: parseDistance(
+          req.query.radius,
+          unit,
+          "radius",
+          DEFAULT_RADIUS
+        ),
+        unit,
+        limit: parseLimit(req.query.limit),
+        cursor: req.query.cursor,
+        includeTotal: parseBoolean(req.query.includeTotal),
+      });
+      result = { unit, ...page };
+    } else if (area) {
+      // Un área puede contener miles de restaurantes, así que se pagina igual que el listado
+      result = await paginateKeyset(Restaurant, filters, {
+        sort: sort ?? parseRestaurantSort(),
+        limit: parseLimit(req.query.limit),
+        cursor: req.query.cursor,
+        includeTotal: parseBoolean(req.query.includeTotal),
       });
     } else {
       // Si no se proporcionan coordenadas, solo buscar por filtros
-      restaurants = await Restaurant.find(filters);
+      result = await Restaurant.find(filters)
+        .sort(sort ? toSortObject(sort) : {})
+        .lean();
     }
 
-    res.json(restaurants);
+    res.json(format === "geojson" ? toFeatureCollection(result) : result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Agrupa los restaurantes de un rectángulo del mapa en celdas según el nivel de zoom (GET).
+ * A partir de cierto nivel de zoom se devuelven los restaurantes individuales.
+ *
+ * @async
+ * @function getRestaurantClusters
+ * @param {Object} req - Objeto de solicitud HTTP.
+ * @param {Object} req.query - Parámetros de consulta de la solicitud.
+ * @param {string} req.query.bbox - Rectángulo visible del mapa (`minLng,minLat,maxLng,maxLat`).
+ * @param {string} req.query.zoom - Nivel de zoom del mapa (0 a 22).
+ * @param {string} [req.query.breakdown=cuisine] - Desglose de cada agrupación: `cuisine` o `grade` (última calificación).
+ * @param {Object} [req.query.filter] - Filtros con la forma `filter[campo][operador]=valor`.
+ * @param {string} [req.query.format=json] - Formato de la respuesta (`json` o `geojson`).
+ * @param {Object} res - Objeto de respuesta HTTP.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que se resuelve cuando la respuesta se envía.
+ * @throws {Error} - Lanza un error si ocurre un problema durante la agrupación.
+ */
+exports.getRestaurantClusters = async (req, res, next) => {
+  try {
+    if (req.query.bbox === undefined) {
+      throw new QueryError("parameterRequired", { name: "bbox" });
+    }
+    const bbox = parseBbox(req.query.bbox);
+    const zoom = parseZoom(req.query.zoom);
+    const breakdown = parseBreakdown(req.query.breakdown);
+    const format = parseFormat(req.query.format);
+    const filter = await buildFilter(req.query.filter);
+
+    if (zoom >= INDIVIDUAL_ZOOM) {
+      // Con suficiente zoom los marcadores ya no se solapan y se devuelven los restaurantes
+      const restaurants = await Restaurant.find({
+        ...filter,
+        "address.coord": { $geoWithin: { $geometry: bbox } },
+      })
+        .limit(MAX_CLUSTER_POINTS + 1)
+        .lean();
+
+      const meta = {
+        zoom,
+        clustered: false,
+        truncated: restaurants.length > MAX_CLUSTER_POINTS,
+      };
+      const data = restaurants.slice(0, MAX_CLUSTER_POINTS);
+      return res.json(
+        format === "geojson"
+          ? { ...meta, ...toFeatureCollection(data) }
+          : { ...meta, data }
+      );
+    }
+
+    const clusters = await Restaurant.aggregate(
+      clusterPipeline({ bbox, filter, zoom, breakdown })
+    );
+
+    const meta = { zoom, clustered: true, cellSize: cellSize(zoom), breakdown };
+    res.json(
+      format === "geojson"
+        ? clustersToFeatureCollection(clusters, meta)
+        : { ...meta, clusters }
+    );
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 };
@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Lógica de los endpoints de estadísticas, construidos con pipelines de agregación sobre la colección de restaurantes.
+ */
+
+const Restaurant = require("../models/Restaurant");
+const { QueryError, buildFilter } = require("../utils/restaurantQuery");
+
+/**
+ * Etapa que añade a cada restaurante sus calificaciones, guardadas en su propia colección, como el array `grades`.
+ * @type {Object}
+ */
+const GRADES_LOOKUP = {
+  $lookup: { from: "grades", localField: "_id", foreignField: "restaurantId", as: "grades" },
+};
+
+/**
+ * Campos por los que se pueden agrupar los conteos de restaurantes.
+ * @type {string[]}
+ */
+const GROUP_FIELDS = ["borough", "cuisine"];
+
+/**
+ * Interpreta el parámetro `groupBy` (lista separada por comas de `borough` y `cuisine`).
+ * @function parseGroupBy
+ * @param {string} [groupBy="borough"] - Valor del parámetro.
+ * @returns {string[]} - Campos de agrupación.
+ * @throws {QueryError} - Si algún campo no está permitido.
+ */
+const parseGroupBy = (groupBy = "borough") => {
+  const fields = String(groupBy).split(",").map((f) => f.trim()).filter(Boolean);
+  const invalid = fields.filter((field) => !GROUP_FIELDS.includes(field));
+  if (!fields.length || invalid.length) {
+    throw new QueryError("groupByNotAllowed", {
+      groupBy: invalid.length ? invalid : groupBy,
+      allowed: GROUP_FIELDS,
+    });
+  }
+  return [...new Set(fields)];
+};
+
+/**
+ * Interpreta un parámetro entero acotado.
+ * @function parseInteger
+ * @param {string} [value] - Valor recibido.
+ * @param {string} name - Nombre del parámetro.
+ * @param {number} fallback - Valor por defecto.
+ * @param {number} min - Valor mínimo.
+ * @param {number} max - Valor máximo.
+ * @returns {number} - Valor validado.
+ * @throws {QueryError} - Si no es un entero dentro del rango.
+ */
+const parseInteger = (value, name, fallback, min, max) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (value === "" || !Number.isInteger(number) || number < min || number > max) {
+    throw new QueryError("integerOutOfRange", { name, min, max });
+  }
+  return number;
+};
+
+/**
+ * Interpreta un parámetro de fecha opcional.
+ * @function parseDate
+ * @param {string} [value] - Valor recibido.
+ * @param {string} name - Nombre del parámetro.
+ * @returns {Date|undefined} - Fecha o `undefined` si no se indicó.
+ * @throws {QueryError} - Si la fecha no es válida.
+ */
+const parseDate = (value, name) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError("invalidDate", { name });
+  }
+  return date;
+};
+
+/**
+ * Obtener el número de restaurantes por distrito y/o tipo de cocina (GET).
+ * @async
+ * @function getCounts
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.groupBy=borough] - Campos de agrupación separados por comas (`borough`, `cuisine`).
+ * @param {Object} [req.query.filter] - Filtros con la misma sintaxis que el listado de restaurantes.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con los conteos o un mensaje de error.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.getCounts = async (req, res, next) => {
+  try {
+    const groupBy = parseGroupBy(req.query.groupBy);
+    const filter = await buildFilter(req.query.filter);
+
+    const counts = await Restaurant.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: Object.fromEntries(groupBy.map((field) => [field, `$${field}`])),
+          count: { $sum: 1 },
+        },
+      },
+      { $replaceWith: { $mergeObjects: ["$_id", { count: "$count" }] } },
+      { $sort: { count: -1 } },
+    ]);
+
+    res.status(200).json({
+      groupBy,
+      total: counts.reduce((sum, item) => sum + item.count, 0),
+      data: counts,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtener la distribución de puntuaciones y la proporción de cada letra en las inspecciones (GET).
+ * @async
+ * @function getScoreDistribution
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.bucketSize=10] - Amplitud de cada intervalo de puntuación.
+ * @param {Object} [req.query.filter] - Filtros con la misma sintaxis que el listado de restaurantes.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la distribución o un mensaje de error.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.getScoreDistribution = async (req, res, next) => {
+  try {
+    const bucketSize = parseInteger(req.query.bucketSize, "bucketSize", 10, 1, 100);
+    const filter = await buildFilter(req.query.filter);
+
+    const [result] = await Restaurant.aggregate([
+      { $match: filter },
+      GRADES_LOOKUP,
+      { $unwind: "$grades" },
+      {
+        $facet: {
+          scores: [
+            { $match: { "grades.score": { $type: "number" } } },
+            {
+              $group: {
+                _id: { $multiply: [{ $floor: { $divide: ["$grades.score", bucketSize] } }, bucketSize] },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, from: "$_id", to: { $add: ["$_id", bucketSize] }, count: 1 } },
+          ],
+          grades: [
+            { $group: { _id: { $ifNull: ["$grades.grade", "unknown"] }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $project: { _id: 0, grade: "$_id", count: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    const inspections = result.grades.reduce((sum, item) => sum + item.count, 0);
+    res.status(200).json({
+      bucketSize,
+      inspections,
+      scores: result.scores,
+      grades: result.grades.map((item) => ({
+        ...item,
+        percentage: Math.round((item.count / inspections) * 10000) / 100,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtener la evolución mensual de las inspecciones (GET).
+ * @async
+ * @function getMonthlyTrends
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.from] - Fecha inicial de las inspecciones (incluida).
+ * @param {string} [req.query.to] - Fecha final de las inspecciones (excluida).
+ * @param {string} [req.query.groupBy] - Desglosar además por `borough` o `cuisine`.
+ * @param {Object} [req.query.filter] - Filtros con la misma sintaxis que el listado de restaurantes.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la serie mensual o un mensaje de error.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.getMonthlyTrends = async (req, res, next) => {
+  try {
+    const from = parseDate(req.query.from, "from");
+    const to = parseDate(req.query.to, "to");
+    const groupBy = req.query.groupBy === undefined ? [] : parseGroupBy(req.query.groupBy);
+    const filter = await buildFilter(req.query.filter);
+
+    const dateRange = {};
+    if (from) dateRange.$gte = from;
+    if (to) dateRange.$lt = to;
+
+    const trends = await Restaurant.aggregate([
+      { $match: filter },
+      GRADES_LOOKUP,
+      { $unwind: "$grades" },
+      { $match: { "grades.date": Object.keys(dateRange).length ? dateRange : { $type: "date" } } },
+      {
+        $group: {
+          _id: {
+            month: { $dateToString: { format: "%Y-%m", date: "$grades.date" } },
+            ...Object.fromEntries(groupBy.map((field) => [field, `$${field}`])),
+            grade: { $ifNull: ["$grades.grade", "unknown"] },
+          },
+          count: { $sum: 1 },
+          totalScore: { $sum: { $ifNull: ["$grades.score", 0] } },
+          scored: { $sum: { $cond: [{ $isNumber: "$grades.score" }, 1, 0] } },
+        },
+      },
+      {
+        $group: {
+          _id: { month: "$_id.month", ...Object.fromEntries(groupBy.map((f) => [f, `$_id.${f}`])) },
+          inspections: { $sum: "$count" },
+          totalScore: { $sum: "$totalScore" },
+          scored: { $sum: "$scored" },
+          grades: { $push: { k: "$_id.grade", v: "$count" } },
+        },
+      },
+      {
+        $replaceWith: {
+          $mergeObjects: [
+            "$_id",
+            {
+              inspections: "$inspections",
+              averageScore: {
+                $cond: [{ $gt: ["$scored", 0] }, { $round: [{ $divide: ["$totalScore", "$scored"] }, 2] }, null],
+              },
+              grades: { $arrayToObject: "$grades" },
+            },
+          ],
+        },
+      },
+      { $sort: { month: 1, ...Object.fromEntries(groupBy.map((f) => [f, 1])) } },
+    ]);
+
+    res.status(200).json({ groupBy, data: trends });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Obtener las mejores y peores cocinas de cada distrito según la puntuación media de sus inspecciones (GET).
+ * En las inspecciones de Nueva York una puntuación más baja indica menos infracciones, es decir, un mejor resultado.
+ * @async
+ * @function getCuisineRanking
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {string} [req.query.top=3] - Número de cocinas a devolver en cada extremo del ranking.
+ * @param {string} [req.query.minRestaurants=5] - Número mínimo de restaurantes para que una cocina entre en el ranking.
+ * @param {Object} [req.query.filter] - Filtros con la misma sintaxis que el listado de restaurantes.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con el ranking o un mensaje de error.
+ * @throws {Error} - Devuelve un mensaje de error en caso de fallo.
+ */
+exports.getCuisineRanking = async (req, res, next) => {
+  try {
+    const top = parseInteger(req.query.top, "top", 3, 1, 20);
+    const minRestaurants = parseInteger(req.query.minRestaurants, "minRestaurants", 5, 1, 1000);
+    const filter = await buildFilter(req.query.filter);
+
+    const ranking = await Restaurant.aggregate([
+      { $match: filter },
+      GRADES_LOOKUP,
+      { $unwind: "$grades" },
+      { $match: { "grades.score": { $type: "number" } } },
+      {
+        $group: {
+          _id: { borough: "$borough", cuisine: "$cuisine" },
+          averageScore: { $avg: "$grades.score" },
+          inspections: { $sum: 1 },
+          restaurants: { $addToSet: "$_id" },
+        },
+      },
+      {
+        $project: {
+          borough: "$_id.borough",
+          cuisine: "$_id.cuisine",
+          averageScore: { $round: ["$averageScore", 2] },
+          inspections: 1,
+          restaurants: { $size: "$restaurants" },
+        },
+      },
+      { $match: { restaurants: { $gte: minRestaurants } } },
+      { $sort: { averageScore: 1, cuisine: 1 } },
+      {
+        $group: {
+          _id: "$borough",
+          cuisines: {
+            $push: {
+              cuisine: "$cuisine",
+              averageScore: "$averageScore",
+              inspections: "$inspections",
+              restaurants: "$restaurants",
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          borough: "$_id",
+          best: { $slice: ["$cuisines", top] },
+          worst: { $reverseArray: { $slice: ["$cuisines", -top] } },
+        },
+      },
+      { $sort: { borough: 1 } },
+    ]);
+
+    res.status(200).json({ top, minRestaurants, data: ranking });
+  } catch (err) {
+    next(err);
+  }
+};
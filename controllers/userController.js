@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Lógica de los endpoints públicos de los usuarios: su actividad en los restaurantes.
+ */
+
+const mongoose = require("mongoose");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const { NotFoundError } = require("../utils/errors");
+const { PUBLISHED } = require("../utils/moderation");
+const {
+  parseLimit,
+  parseSort,
+  toSortObject,
+  decodeCursor,
+  keysetFilter,
+  buildPage,
+} = require("../utils/pagination");
+const { RESTAURANT_LOOKUP } = require("../utils/restaurantItems");
+
+/**
+ * Orden de los comentarios de un usuario: primero los publicados más recientemente.
+ * @type {Array<[string, number]>}
+ */
+const USER_COMMENTS_SORT = parseSort("-createdAt");
+
+/**
+ * Listar los comentarios publicados de un usuario en todos los restaurantes (GET). No incluye los que están en
+ * la papelera o pendientes de moderación, ni los de restaurantes en la papelera.
+ * @async
+ * @function getUserComments
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} req.params - Objeto que contiene los parámetros de la ruta.
+ * @param {string} req.params.id - El ID del usuario.
+ * @param {Object} req.query - Objeto que contiene los parámetros de consulta.
+ * @param {number} [req.query.limit=10] - Número de comentarios por página.
+ * @param {string} [req.query.cursor] - Cursor de la página a obtener.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función que delega los errores al middleware de errores.
+ * @returns {Promise<void>} - Devuelve una promesa que resuelve en una respuesta JSON con la página de comentarios.
+ * @throws {NotFoundError} - Si el usuario no existe.
+ */
+exports.getUserComments = async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const position = req.query.cursor ? decodeCursor(req.query.cursor, USER_COMMENTS_SORT) : null;
+    const backwards = position?.direction === "prev";
+
+    if (!(await User.exists({ _id: req.params.id }))) {
+      throw new NotFoundError("USER_NOT_FOUND");
+    }
+
+    // La agregación no convierte los tipos como las consultas: el autor se compara como ObjectId
+    const author = new mongoose.Types.ObjectId(req.params.id);
+    const comments = await Comment.aggregate([
+      { $match: { author, deletedAt: null, status: PUBLISHED } },
+      ...(position ? [{ $match: keysetFilter(USER_COMMENTS_SORT, position.values, backwards) }] : []),
+      { $sort: toSortObject(USER_COMMENTS_SORT, backwards) },
+      ...RESTAURANT_LOOKUP,
+      // Se pide un comentario extra para saber si existe otra página en el mismo sentido
+      { $limit: limit + 1 },
+      {
+        $project: {
+          restaurantId: 1,
+          restaurantName: "$restaurant.name",
+          comment: 1,
+          parentId: 1,
+          authorName: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          edited: 1,
+        },
+      },
+    ]);
+
+    res.status(200).json(buildPage(comments, { sort: USER_COMMENTS_SORT, limit, position }));
+  } catch (err) {
+    next(err);
+  }
+};
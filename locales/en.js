@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Mensajes de la API en inglés.
+ */
+
+module.exports = {
+  errors: {
+    BAD_REQUEST: "The request is not valid",
+    INVALID_REQUEST: "The request does not match the API specification",
+    INVALID_QUERY: "The query parameters are not valid",
+    INVALID_JSON: "The request body is not valid JSON",
+    INVALID_ID: "The identifier is not valid",
+    PAYLOAD_TOO_LARGE: "The request body is too large",
+    UNSUPPORTED_ENCODING: "The encoding of the request body is not supported",
+    VALIDATION_FAILED: "The submitted data is not valid",
+    NOT_FOUND: "Resource not found",
+    ROUTE_NOT_FOUND: "Route {method} {path} does not exist",
+    UNAUTHORIZED: "You must sign in to perform this operation",
+    INVALID_TOKEN: "The access token is invalid or has expired",
+    INVALID_CREDENTIALS: "The email or password is incorrect",
+    FORBIDDEN: "Your role ({role}) is not allowed to perform this operation",
+    USER_NOT_FOUND: "User not found",
+    RESTAURANT_NOT_FOUND: "Restaurant not found",
+    COMMENT_NOT_FOUND: "Comment not found",
+    COMMENT_NOT_OWNED: "Only the author or a moderator can change or remove this comment",
+    COMMENT_ALREADY_REPORTED: "You have already reported this comment",
+    REACTION_NOT_FOUND: "You have not reacted to this comment",
+    REPLY_DEPTH_EXCEEDED: "Replies cannot be nested more than {max} levels deep",
+    GRADE_NOT_FOUND: "Grade not found",
+    RATING_NOT_FOUND: "You have not rated this restaurant",
+    HISTORY_VERSION_NOT_FOUND: "Version {version} is not in the restaurant history",
+    RESTAURANT_NOT_IN_TRASH: "The restaurant is not in the trash",
+    COMMENT_NOT_IN_TRASH: "The comment is not in the trash",
+    CONFLICT: "The operation conflicts with the current state of the resource",
+    DUPLICATE_KEY: "A record with the same value already exists in {fields}",
+    VERSION_CONFLICT: "The document was modified by another request; please try again",
+    UNSUPPORTED_MEDIA_TYPE: "Unsupported content type. Accepted types: {types}",
+    PRECONDITION_FAILED: "The resource changed since it was read (current version: {etag}); read it again and retry",
+    INVALID_PATCH: "The patch cannot be applied",
+    PATCH_TEST_FAILED: "A `test` operation of the patch failed",
+    INVALID_IDEMPOTENCY_KEY: "The Idempotency-Key header must have between 1 and 255 visible ASCII characters",
+    IDEMPOTENCY_KEY_REUSED: "The Idempotency-Key was already used with a different request",
+    IDEMPOTENCY_KEY_IN_PROGRESS: "A request with the same Idempotency-Key is still being processed; retry in a few seconds",
+    BATCH_ABORTED: "The operation was not applied because another operation in the batch failed",
+    TRANSACTIONS_UNAVAILABLE: "Atomic batches require MongoDB to run as a replica set; send it again without `atomic=true`",
+    INTERNAL_ERROR: "Internal server error",
+  },
+
+  rules: {
+    required: "The field is required",
+    unknown: "The field is not allowed",
+    type: "The value must be of type {type}",
+    enum: "The value must be one of: {values}",
+    min: "The value must not be less than {limit}",
+    max: "The value must not be greater than {limit}",
+    minLength: "The value must have at least {limit} characters",
+    maxLength: "The value must not exceed {limit} characters",
+    minItems: "The list must have at least {limit} items",
+    maxItems: "The list must not have more than {limit} items",
+    pattern: "The value does not have the expected format",
+    format: "The value is not a valid {format}",
+    oneOf: "The value does not match any of the accepted formats",
+    readOnly: "The field is read-only; use its own route to modify it",
+    invalidPointer: "The path {pointer} is not a valid JSON Pointer",
+    pathNotFound: "The path {pointer} does not exist",
+    invalidIndex: "The index in {pointer} is out of the array bounds",
+    moveIntoItself: "A value cannot be moved into itself ({pointer})",
+    missingValue: "The operation on {pointer} requires `value`",
+    missingFrom: "The operation on {pointer} requires `from`",
+    invalidOperation: "Unsupported patch operation",
+    testFailed: "The value at {pointer} does not match the expected one",
+    coordinates:
+      "Coordinates must be [longitude, latitude], with longitude between -180 and 180 and latitude between -90 and 90",
+  },
+
+  queries: {
+    invalidLimit: "The 'limit' parameter must be a positive integer",
+    invalidList: "The '{name}' parameter must be a comma-separated list",
+    invalidSortField: "Invalid or repeated sort field: '{field}'",
+    sortNotAllowed: "Cannot sort by '{field}'. Allowed fields: {allowed}",
+    invalidCursor: "The cursor is not valid",
+    cursorMismatch: "The cursor does not belong to the requested query",
+    invalidFields: "Invalid fields in 'fields': {fields}",
+    expandNotAllowed: "Cannot expand '{name}'. Allowed values: {allowed}",
+    invalidExpandLimit: "The limit for '{name}' must be an integer between 1 and {max}",
+    invalidFilter: "The 'filter' parameter must use the form filter[field][operator]=value",
+    filterNotAllowed: "Cannot filter by '{field}'. Allowed fields: {allowed}",
+    operatorNotAllowed: "Operator '{operator}' is not allowed for '{field}'. Allowed operators: {allowed}",
+    filterValueRepeated: "The value of filter[{field}][{operator}] must be given only once",
+    invalidExists: "The value of filter[{field}][exists] must be 'true' or 'false'",
+    invalidFilterValue: "Invalid value for filter[{field}][{operator}]: expected a {type}",
+    searchParamRepeated: "Search parameters must be given only once",
+    emptyText: "The 'q' parameter must be a non-empty text",
+    languageNotAllowed: "Unsupported language: '{lang}'. Allowed values: {allowed}",
+    invalidLongitude: "The 'lng' longitude must be a number between -180 and 180",
+    invalidLatitude: "The 'lat' latitude must be a number between -90 and 90",
+    unitNotAllowed: "Unsupported distance unit: '{unit}'. Allowed values: {allowed}",
+    negativeDistance: "The '{name}' parameter must be a number greater than or equal to 0",
+    distanceTooLarge: "The '{name}' parameter must not exceed {max} {unit}",
+    minDistanceAboveRadius: "The minimum distance cannot be greater than the search radius",
+    invalidGeoJSON: "The '{name}' parameter must be a valid GeoJSON object",
+    geometryNotAllowed: "The '{name}' parameter must be a geometry of one of these types: {types}",
+    invalidBbox: "The 'bbox' parameter must have the form minLng,minLat,maxLng,maxLat with valid coordinates",
+    bboxTooWide: "The 'bbox' parameter must span less than {max} degrees of longitude; zoom in or split the area",
+    invalidPolygon: "The rings of 'polygon' must be closed and have at least four valid [lng, lat] positions",
+    tooManyVertices: "The '{name}' parameter cannot have more than {max} vertices",
+    invalidRoute: "The 'route' parameter must have at least two valid [lng, lat] positions",
+    invalidBuffer: "The 'buffer' parameter must be greater than 0 and not exceed {max} {unit}",
+    areaConflict: "Only one of these parameters can be used: {modes}",
+    parameterRepeated: "The '{name}' parameter must be given only once",
+    formatNotAllowed: "Unsupported format: '{format}'. Allowed values: {allowed}",
+    invalidZoom: "The 'zoom' parameter must be an integer between 0 and {max}",
+    breakdownNotAllowed: "Unsupported breakdown: '{breakdown}'. Allowed values: {allowed}",
+    proximityConflict: "Proximity search cannot be combined with text search or area search",
+    parameterRequired: "The '{name}' parameter is required",
+    groupByNotAllowed: "Cannot group by '{groupBy}'. Allowed values: {allowed}",
+    integerOutOfRange: "The '{name}' parameter must be an integer between {min} and {max}",
+    invalidDate: "The '{name}' parameter must be a valid date",
+  },
+
+  types: {
+    string: "string",
+    number: "number",
+    integer: "integer",
+    boolean: "boolean",
+    date: "date",
+    objectId: "identifier",
+    object: "object",
+    array: "list",
+  },
+};
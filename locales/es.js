@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Mensajes de la API en español (idioma por defecto).
+ */
+
+module.exports = {
+  /**
+   * Mensajes de error por código.
+   */
+  errors: {
+    BAD_REQUEST: "La solicitud no es válida",
+    INVALID_REQUEST: "La solicitud no cumple la especificación de la API",
+    INVALID_QUERY: "Los parámetros de consulta no son válidos",
+    INVALID_JSON: "El cuerpo de la solicitud no es un JSON válido",
+    INVALID_ID: "El identificador no es válido",
+    PAYLOAD_TOO_LARGE: "El cuerpo de la solicitud es demasiado grande",
+    UNSUPPORTED_ENCODING: "La codificación del cuerpo de la solicitud no está admitida",
+    VALIDATION_FAILED: "Los datos enviados no son válidos",
+    NOT_FOUND: "Recurso no encontrado",
+    ROUTE_NOT_FOUND: "La ruta {method} {path} no existe",
+    UNAUTHORIZED: "Necesitas iniciar sesión para realizar esta operación",
+    INVALID_TOKEN: "El token de acceso no es válido o ha caducado",
+    INVALID_CREDENTIALS: "El correo o la contraseña no son correctos",
+    FORBIDDEN: "Tu rol ({role}) no permite realizar esta operación",
+    USER_NOT_FOUND: "Usuario no encontrado",
+    RESTAURANT_NOT_FOUND: "Restaurante no encontrado",
+    COMMENT_NOT_FOUND: "Comentario no encontrado",
+    COMMENT_NOT_OWNED: "Solo el autor o un moderador pueden modificar o eliminar este comentario",
+    COMMENT_ALREADY_REPORTED: "Ya has denunciado este comentario",
+    REACTION_NOT_FOUND: "No has reaccionado a este comentario",
+    REPLY_DEPTH_EXCEEDED: "Las respuestas no pueden anidarse más de {max} niveles",
+    GRADE_NOT_FOUND: "Calificación no encontrada",
+    RATING_NOT_FOUND: "No has valorado este restaurante",
+    HISTORY_VERSION_NOT_FOUND: "La versión {version} no está en el historial del restaurante",
+    RESTAURANT_NOT_IN_TRASH: "El restaurante no está en la papelera",
+    COMMENT_NOT_IN_TRASH: "El comentario no está en la papelera",
+    CONFLICT: "La operación entra en conflicto con el estado actual del recurso",
+    DUPLICATE_KEY: "Ya existe un registro con el mismo valor en {fields}",
+    VERSION_CONFLICT: "El documento fue modificado por otra solicitud; vuelve a intentarlo",
+    UNSUPPORTED_MEDIA_TYPE: "Tipo de contenido no admitido. Tipos aceptados: {types}",
+    PRECONDITION_FAILED: "El recurso cambió desde que se leyó (versión actual: {etag}); vuelve a leerlo e inténtalo de nuevo",
+    INVALID_PATCH: "El parche no se puede aplicar",
+    PATCH_TEST_FAILED: "Una operación `test` del parche no se cumple",
+    INVALID_IDEMPOTENCY_KEY: "La cabecera Idempotency-Key debe tener entre 1 y 255 caracteres ASCII visibles",
+    IDEMPOTENCY_KEY_REUSED: "La clave Idempotency-Key ya se usó con una solicitud distinta",
+    IDEMPOTENCY_KEY_IN_PROGRESS: "Ya se está atendiendo una solicitud con la misma clave Idempotency-Key; vuelve a intentarlo en unos segundos",
+    BATCH_ABORTED: "La operación no se aplicó porque otra operación del lote falló",
+    TRANSACTIONS_UNAVAILABLE: "Los lotes atómicos necesitan que MongoDB sea un replica set; vuelve a enviarlo sin `atomic=true`",
+    INTERNAL_ERROR: "Error interno del servidor",
+  },
+
+  /**
+   * Mensajes de los errores de validación por regla.
+   */
+  rules: {
+    required: "El campo es obligatorio",
+    unknown: "El campo no está permitido",
+    type: "El valor debe ser de tipo {type}",
+    enum: "El valor debe ser uno de: {values}",
+    min: "El valor no puede ser menor que {limit}",
+    max: "El valor no puede ser mayor que {limit}",
+    minLength: "El valor debe tener al menos {limit} caracteres",
+    maxLength: "El valor no puede superar los {limit} caracteres",
+    minItems: "La lista debe tener al menos {limit} elementos",
+    maxItems: "La lista no puede tener más de {limit} elementos",
+    pattern: "El valor no tiene el formato esperado",
+    format: "El valor no tiene el formato {format}",
+    oneOf: "El valor no coincide con ninguno de los formatos admitidos",
+    readOnly: "El campo es de solo lectura; se modifica mediante su propia ruta",
+    invalidPointer: "La ruta {pointer} no es un JSON Pointer válido",
+    pathNotFound: "La ruta {pointer} no existe",
+    invalidIndex: "El índice de {pointer} está fuera del array",
+    moveIntoItself: "No se puede mover un valor dentro de sí mismo ({pointer})",
+    missingValue: "La operación sobre {pointer} necesita `value`",
+    missingFrom: "La operación sobre {pointer} necesita `from`",
+    invalidOperation: "Operación de parche no admitida",
+    testFailed: "El valor de {pointer} no coincide con el indicado",
+    coordinates:
+      "Las coordenadas deben ser [longitud, latitud], con la longitud entre -180 y 180 y la latitud entre -90 y 90",
+  },
+
+  /**
+   * Mensajes de los errores en los parámetros de consulta (`INVALID_QUERY`), por motivo.
+   */
+  queries: {
+    invalidLimit: "El parámetro 'limit' debe ser un entero positivo",
+    invalidList: "El parámetro '{name}' debe ser una lista separada por comas",
+    invalidSortField: "Campo de ordenación inválido o repetido: '{field}'",
+    sortNotAllowed: "No se puede ordenar por '{field}'. Campos permitidos: {allowed}",
+    invalidCursor: "El cursor no es válido",
+    cursorMismatch: "El cursor no corresponde a la consulta solicitada",
+    invalidFields: "Campos inválidos en 'fields': {fields}",
+    expandNotAllowed: "No se puede expandir '{name}'. Valores permitidos: {allowed}",
+    invalidExpandLimit: "El límite de '{name}' debe ser un entero entre 1 y {max}",
+    invalidFilter: "El parámetro 'filter' debe usar la forma filter[campo][operador]=valor",
+    filterNotAllowed: "No se puede filtrar por '{field}'. Campos permitidos: {allowed}",
+    operatorNotAllowed: "Operador '{operator}' no permitido para '{field}'. Operadores permitidos: {allowed}",
+    filterValueRepeated: "El valor de filter[{field}][{operator}] debe indicarse una sola vez",
+    invalidExists: "El valor de filter[{field}][exists] debe ser 'true' o 'false'",
+    invalidFilterValue: "Valor inválido para filter[{field}][{operator}]: se esperaba {type}",
+    searchParamRepeated: "Los parámetros de búsqueda deben indicarse una sola vez",
+    emptyText: "El parámetro 'q' debe ser un texto no vacío",
+    languageNotAllowed: "Idioma no admitido: '{lang}'. Valores permitidos: {allowed}",
+    invalidLongitude: "La longitud 'lng' debe ser un número entre -180 y 180",
+    invalidLatitude: "La latitud 'lat' debe ser un número entre -90 y 90",
+    unitNotAllowed: "Unidad de distancia no admitida: '{unit}'. Valores permitidos: {allowed}",
+    negativeDistance: "El parámetro '{name}' debe ser un número mayor o igual que 0",
+    distanceTooLarge: "El parámetro '{name}' no puede superar {max} {unit}",
+    minDistanceAboveRadius: "La distancia mínima no puede ser mayor que el radio de búsqueda",
+    invalidGeoJSON: "El parámetro '{name}' debe ser un objeto GeoJSON válido",
+    geometryNotAllowed: "El parámetro '{name}' debe ser una geometría de uno de estos tipos: {types}",
+    invalidBbox: "El parámetro 'bbox' debe tener la forma minLng,minLat,maxLng,maxLat con coordenadas válidas",
+    bboxTooWide: "El parámetro 'bbox' debe abarcar menos de {max} grados de longitud; acerca el mapa o divide el área",
+    invalidPolygon: "Los anillos de 'polygon' deben estar cerrados y tener al menos cuatro posiciones [lng, lat] válidas",
+    tooManyVertices: "El parámetro '{name}' no puede tener más de {max} vértices",
+    invalidRoute: "El parámetro 'route' debe tener al menos dos posiciones [lng, lat] válidas",
+    invalidBuffer: "El parámetro 'buffer' debe ser mayor que 0 y no superar {max} {unit}",
+    areaConflict: "Solo se puede usar uno de los parámetros: {modes}",
+    parameterRepeated: "El parámetro '{name}' debe indicarse una sola vez",
+    formatNotAllowed: "Formato no admitido: '{format}'. Valores permitidos: {allowed}",
+    invalidZoom: "El parámetro 'zoom' debe ser un entero entre 0 y {max}",
+    breakdownNotAllowed: "Desglose no admitido: '{breakdown}'. Valores permitidos: {allowed}",
+    proximityConflict: "La búsqueda por proximidad no se puede combinar con la búsqueda de texto ni con la búsqueda por área",
+    parameterRequired: "El parámetro '{name}' es obligatorio",
+    groupByNotAllowed: "No se puede agrupar por '{groupBy}'. Valores permitidos: {allowed}",
+    integerOutOfRange: "El parámetro '{name}' debe ser un entero entre {min} y {max}",
+    invalidDate: "El parámetro '{name}' debe ser una fecha válida",
+  },
+
+  /**
+   * Nombres de los tipos de datos.
+   */
+  types: {
+    string: "texto",
+    number: "número",
+    integer: "entero",
+    boolean: "booleano",
+    date: "fecha",
+    objectId: "identificador",
+    object: "objeto",
+    array: "lista",
+  },
+};
@@ -0,0 +1,171 @@
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const idempotency = require("../idempotency");
+const requestId = require("../requestId");
+const { errorHandler } = require("../errorHandler");
+const IdempotencyKey = require("../../models/IdempotencyKey");
+const { BadRequestError } = require("../../utils/errors");
+
+mongoose.set("bufferCommands", false);
+
+/**
+ * Colección de claves en memoria con las operaciones que usa el middleware. Los documentos se guardan en BSON,
+ * como en MongoDB, para que las lecturas devuelvan los mismos tipos que el driver.
+ */
+const fakeCollection = () => {
+  const { BSON } = mongoose.mongo;
+  const docs = new Map();
+  const store = (doc) => docs.set(doc._id, BSON.deserialize(BSON.serialize(doc)));
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([field, value]) =>
+      value && value.$lte ? doc[field] <= value.$lte : doc[field] === value
+    );
+
+  return {
+    docs,
+    insertOne: async (doc) => {
+      if (docs.has(doc._id)) throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+      store(doc);
+      return { acknowledged: true, insertedId: doc._id };
+    },
+    findOne: async (filter) => docs.get(filter._id) || null,
+    findOneAndUpdate: async (filter, update) => {
+      const doc = docs.get(filter._id);
+      if (!doc || !matches(doc, filter)) return null;
+      store({ _id: doc._id, requestHash: doc.requestHash, ...update.$set });
+      return doc;
+    },
+    updateOne: async (filter, update) => {
+      const doc = docs.get(filter._id);
+      if (!doc || !matches(doc, filter)) return { matchedCount: 0 };
+      store({ ...doc, ...update.$set });
+      return { matchedCount: 1 };
+    },
+    deleteOne: async (filter) => {
+      const doc = docs.get(filter._id);
+      if (!doc || !matches(doc, filter)) return { deletedCount: 0 };
+      docs.delete(filter._id);
+      return { deletedCount: 1 };
+    },
+  };
+};
+
+describe("Idempotency-Key", () => {
+  let store;
+  let handled;
+  let app;
+
+  beforeEach(() => {
+    store = fakeCollection();
+    for (const method of ["insertOne", "findOne", "findOneAndUpdate", "updateOne", "deleteOne"]) {
+      jest.spyOn(IdempotencyKey.collection, method).mockImplementation(store[method]);
+    }
+
+    handled = 0;
+    app = express();
+    app.use(requestId);
+    app.use(express.json());
+    // Usuario autenticado según la cabecera de la prueba
+    app.use((req, res, next) => {
+      if (req.get("X-User")) req.user = { _id: req.get("X-User") };
+      next();
+    });
+    app.post("/items", idempotency, async (req, res, next) => {
+      handled += 1;
+      if (req.body.fail) return next(new BadRequestError());
+      // Responde después de un turno del bucle de eventos, como una escritura en la base de datos
+      await new Promise((resolve) => setImmediate(resolve));
+      res.status(201).set("ETag", `"${handled}"`).json({ id: handled, ...req.body });
+    });
+    app.use(errorHandler);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const post = (body, key = "key-1", user = "user-1") =>
+    request(app).post("/items").set("Idempotency-Key", key).set("X-User", user).send(body);
+
+  it("sin la cabecera atiende cada solicitud", async () => {
+    await request(app).post("/items").send({ name: "a" });
+    await request(app).post("/items").send({ name: "a" });
+
+    expect(handled).toBe(2);
+    expect(store.docs.size).toBe(0);
+  });
+
+  it("repite la respuesta guardada sin repetir la operación", async () => {
+    const first = await post({ name: "a" });
+    const retry = await post({ name: "a" });
+
+    expect(handled).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.get("ETag")).toBe(first.get("ETag"));
+    expect(retry.get("Idempotent-Replayed")).toBe("true");
+    expect(first.get("Idempotent-Replayed")).toBeUndefined();
+  });
+
+  it("el orden de las propiedades del cuerpo no cambia la solicitud", async () => {
+    await post({ name: "a", cuisine: "b" });
+    const retry = await post({ cuisine: "b", name: "a" });
+
+    expect(retry.status).toBe(201);
+    expect(handled).toBe(1);
+  });
+
+  it("responde 422 si la clave se reutiliza con otro cuerpo", async () => {
+    await post({ name: "a" });
+    const res = await post({ name: "b" });
+
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe("IDEMPOTENCY_KEY_REUSED");
+    expect(handled).toBe(1);
+  });
+
+  it("responde 409 mientras la solicitud original se está atendiendo", async () => {
+    const [first, second] = await Promise.all([post({ name: "a" }), post({ name: "a" })]);
+
+    expect([first.status, second.status].sort()).toEqual([201, 409]);
+    expect(handled).toBe(1);
+  });
+
+  it("libera la clave si la solicitud falla, para que se pueda reintentar", async () => {
+    const failed = await post({ fail: true });
+    expect(failed.status).toBe(400);
+    expect(store.docs.size).toBe(0);
+
+    const retry = await post({ fail: true });
+    expect(retry.status).toBe(400);
+    expect(handled).toBe(2);
+  });
+
+  it("reserva de nuevo una clave caducada que MongoDB todavía no ha eliminado", async () => {
+    await post({ name: "a" });
+    const [id] = store.docs.keys();
+    store.docs.get(id).expiresAt = new Date(Date.now() - 1000);
+
+    const res = await post({ name: "b" });
+    expect(res.status).toBe(201);
+    expect(res.get("Idempotent-Replayed")).toBeUndefined();
+    expect(handled).toBe(2);
+  });
+
+  it("las claves de cada usuario son independientes", async () => {
+    const mine = await post({ name: "a" }, "shared", "user-1");
+    const theirs = await post({ name: "b" }, "shared", "user-2");
+
+    expect(mine.status).toBe(201);
+    expect(theirs.status).toBe(201);
+    expect(handled).toBe(2);
+    expect([...store.docs.keys()].sort()).toEqual(["user-1:shared", "user-2:shared"]);
+  });
+
+  it("rechaza las claves con un formato no válido", async () => {
+    const res = await post({ name: "a" }, "clave con espacios");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_IDEMPOTENCY_KEY");
+    expect(handled).toBe(0);
+  });
+});
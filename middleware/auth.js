@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Autenticación con JWT y autorización por roles. Los tokens se emiten al registrarse o iniciar
+ * sesión y se envían en la cabecera `Authorization: Bearer <token>`.
+ */
+
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+
+/**
+ * Duración de los tokens si no se configura `JWT_EXPIRES_IN`.
+ * @type {string}
+ */
+const DEFAULT_EXPIRES_IN = "1h";
+
+/**
+ * Clave con la que se firman los tokens, configurada en la variable de entorno `JWT_SECRET`.
+ * @function jwtSecret
+ * @returns {string}
+ * @throws {Error} - Si la variable no está configurada.
+ */
+const jwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("La variable de entorno JWT_SECRET no está configurada");
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Emite un token para el usuario. Solo contiene su identificador: el rol se lee de la base de datos
+ * en cada solicitud, de modo que los cambios de rol se aplican de inmediato.
+ * @function signToken
+ * @param {Object} user - Usuario autenticado.
+ * @returns {{token: string, expiresIn: string}}
+ */
+const signToken = (user) => {
+  const expiresIn = process.env.JWT_EXPIRES_IN || DEFAULT_EXPIRES_IN;
+  return { token: jwt.sign({ sub: String(user._id) }, jwtSecret(), { expiresIn }), expiresIn };
+};
+
+/**
+ * Lanza un error 401 indicando al cliente el esquema de autenticación esperado.
+ * @function unauthorized
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {string} code - Código del error.
+ * @returns {never}
+ * @throws {UnauthorizedError}
+ */
+const unauthorized = (res, code) => {
+  res.set("WWW-Authenticate", code === "INVALID_TOKEN" ? 'Bearer error="invalid_token"' : "Bearer");
+  throw new UnauthorizedError(code);
+};
+
+/**
+ * Exige un token válido y deja el usuario en `req.user`.
+ * @async
+ * @function authenticate
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Siguiente middleware.
+ * @returns {Promise<void>}
+ * @throws {UnauthorizedError} - Si no se envía un token, no es válido, ha caducado o el usuario ya no existe (401).
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    if (!/^Bearer$/i.test(scheme) || !token) {
+      unauthorized(res, "UNAUTHORIZED");
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret());
+    } catch (err) {
+      if (!(err instanceof jwt.JsonWebTokenError)) throw err;
+      unauthorized(res, "INVALID_TOKEN");
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      unauthorized(res, "INVALID_TOKEN");
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Indica si el usuario tiene alguno de los roles indicados. Los administradores los tienen todos.
+ * @function hasRole
+ * @param {Object} [user] - Usuario autenticado.
+ * @param {...string} roles - Roles a comprobar.
+ * @returns {boolean}
+ */
+const hasRole = (user, ...roles) => Boolean(user) && (user.role === "admin" || roles.includes(user.role));
+
+/**
+ * Exige que el usuario autenticado tenga alguno de los roles indicados. Los administradores siempre tienen acceso.
+ * Se usa después de `authenticate`.
+ * @function authorize
+ * @param {...string} roles - Roles permitidos.
+ * @returns {function} - Middleware de Express.
+ * @throws {ForbiddenError} - Si el rol del usuario no está permitido (403).
+ */
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (hasRole(req.user, ...roles)) return next();
+    next(new ForbiddenError("FORBIDDEN", { params: { role: req.user.role } }));
+  };
+
+module.exports = {
+  signToken,
+  authenticate,
+  authorize,
+  hasRole,
+};
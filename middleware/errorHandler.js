@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Manejo centralizado de errores. Todas las respuestas de error comparten el mismo formato:
+ * `{ code, message, requestId, errors? }`, con el mensaje traducido según la cabecera Accept-Language.
+ */
+
+const mongoose = require("mongoose");
+const {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+const { isValidationError, fromMongoose } = require("../utils/validation");
+const { resolveLanguage, translate, translateRule, translateQuery } = require("../utils/i18n");
+
+/**
+ * Indica si se ejecuta en producción, donde nunca se devuelven trazas de error.
+ * @function isProduction
+ * @returns {boolean}
+ */
+const isProduction = () => process.env.NODE_ENV === "production";
+
+/**
+ * Códigos de los errores 4xx de los middlewares de Express que no tienen uno más concreto, por estado HTTP.
+ * Los demás estados usan `BAD_REQUEST`.
+ * @type {Object<number, string>}
+ */
+const HTTP_ERROR_CODES = {
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_ENCODING",
+};
+
+/**
+ * Convierte cualquier error (propio, de Mongoose, de MongoDB o de Express) en un error de la API.
+ * @function normalize
+ * @param {Error} err - Error capturado.
+ * @returns {AppError} - Error con código y estado HTTP.
+ */
+const normalize = (err) => {
+  if (err instanceof AppError) return err;
+  if (isValidationError(err)) return fromMongoose(err);
+  if (err instanceof mongoose.Error.CastError) {
+    return new BadRequestError("INVALID_ID", {
+      details: [{ path: err.path, rule: "type", params: { type: "objectId" }, value: err.value }],
+    });
+  }
+  if (err instanceof mongoose.Error.VersionError) {
+    return new ConflictError("VERSION_CONFLICT");
+  }
+  if (err.code === 11000) {
+    return new ConflictError("DUPLICATE_KEY", {
+      params: { fields: Object.keys(err.keyPattern || err.keyValue || {}) },
+    });
+  }
+  // Errores de los middlewares de Express (body-parser), que ya indican su estado HTTP
+  if (err.type === "entity.parse.failed") return new BadRequestError("INVALID_JSON");
+  // Se conserva su estado (por ejemplo 415 para un charset no admitido), no solo el 400 genérico
+  if (err.status >= 400 && err.status < 500) {
+    return new AppError(HTTP_ERROR_CODES[err.status] || "BAD_REQUEST", { status: err.status });
+  }
+  return new AppError("INTERNAL_ERROR", { message: err.message });
+};
+
+/**
+ * Traduce el detalle de un error. Los detalles con regla o con motivo usan el catálogo; el resto conserva su mensaje.
+ * @function localizeDetail
+ * @param {string} lang - Código del idioma.
+ * @param {import("../utils/errors").ErrorDetail} detail - Detalle del error.
+ * @returns {Object} - Detalle listo para la respuesta.
+ */
+const localizeDetail = (lang, { params, message, ...detail }) => ({
+  ...detail,
+  message:
+    (detail.rule && translateRule(lang, detail.rule, params)) ||
+    (detail.reason && translateQuery(lang, detail.reason, params)) ||
+    message,
+});
+
+/**
+ * Convierte un error en su estado HTTP y el cuerpo común de las respuestas de error, traducido al idioma indicado.
+ * También lo usan las operaciones por lotes para describir el error de cada elemento.
+ * @function describeError
+ * @param {Error} err - Error capturado.
+ * @param {string} lang - Código del idioma.
+ * @returns {{status: number, body: {code: string, message: string, errors?: Object[]}}}
+ */
+const describeError = (err, lang) => {
+  const error = normalize(err);
+  const body = {
+    code: error.code,
+    message: translate(lang, "errors", error.code, error.params) || error.message,
+  };
+  if (error.details && error.details.length) {
+    body.errors = error.details.map((detail) => localizeDetail(lang, detail));
+  }
+  return { status: error.status, body };
+};
+
+/**
+ * Responde con 404 a las rutas que no existen.
+ * @function notFound
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Siguiente middleware.
+ * @returns {void}
+ */
+const notFound = (req, res, next) =>
+  next(new NotFoundError("ROUTE_NOT_FOUND", { params: { method: req.method, path: req.path } }));
+
+/**
+ * Middleware de errores de Express. Registra los errores internos y responde con el formato común.
+ * Express lo reconoce como manejador de errores por recibir cuatro argumentos.
+ * @function errorHandler
+ * @param {Error} err - Error producido.
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Siguiente middleware.
+ * @returns {void}
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const lang = resolveLanguage(req);
+  const { status, body } = describeError(err, lang);
+
+  if (status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  const response = { code: body.code, message: body.message, requestId: req.id, errors: body.errors };
+  if (status >= 500 && !isProduction()) {
+    response.stack = err.stack;
+  }
+
+  res.status(status).set("Content-Language", lang).json(response);
+};
+
+module.exports = {
+  describeError,
+  notFound,
+  errorHandler,
+};
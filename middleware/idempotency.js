@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Middleware de idempotencia para los POST. Si el cliente envía `Idempotency-Key`, la primera respuesta
+ * correcta se guarda y los reintentos con la misma clave y la misma solicitud la reciben de nuevo sin repetir la operación.
+ */
+
+const { createHash } = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { AppError, BadRequestError, ConflictError } = require("../utils/errors");
+
+/**
+ * Cabecera con la clave de idempotencia.
+ * @type {string}
+ */
+const HEADER = "Idempotency-Key";
+
+/**
+ * Cabecera que indica que la respuesta es la guardada de una solicitud anterior.
+ * @type {string}
+ */
+const REPLAYED_HEADER = "Idempotent-Replayed";
+
+/**
+ * Formato admitido para las claves: entre 1 y 255 caracteres ASCII visibles (por ejemplo un UUID).
+ * @type {RegExp}
+ */
+const VALID_KEY = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Cabeceras de la respuesta original que se repiten junto con el cuerpo.
+ * @type {string[]}
+ */
+const STORED_HEADERS = ["ETag", "Location", "Link"];
+
+/**
+ * Horas que se conserva una respuesta si no se configura `IDEMPOTENCY_TTL_HOURS`.
+ * @type {number}
+ */
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Tiempo máximo (ms) que una clave queda reservada mientras se atiende la solicitud. Si el servidor se detiene
+ * antes de responder, la clave vuelve a estar disponible pasado este tiempo.
+ * @type {number}
+ */
+const PROCESSING_TIMEOUT = 60 * 1000;
+
+/**
+ * Tiempo (ms) que se conserva una respuesta, configurable con la variable de entorno `IDEMPOTENCY_TTL_HOURS`.
+ * @function responseTtl
+ * @returns {number}
+ */
+const responseTtl = () => {
+  const hours = Number(process.env.IDEMPOTENCY_TTL_HOURS);
+  return (hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+};
+
+/**
+ * Serializa un valor JSON con las claves ordenadas, para que el orden de las propiedades no cambie la huella.
+ * @function canonicalJson
+ * @param {*} value - Valor a serializar.
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value !== null && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+/**
+ * Huella de la solicitud: usuario, método, ruta y cuerpo. Una clave solo se puede repetir con la misma huella,
+ * de modo que un usuario nunca recibe la respuesta guardada de otro.
+ * @function fingerprint
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @returns {string} - SHA-256 en hexadecimal.
+ */
+const fingerprint = (req) =>
+  createHash("sha256")
+    .update(`${req.user?._id ?? ""} ${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body)}`)
+    .digest("hex");
+
+/**
+ * Identificador con el que se guarda la clave: cada usuario tiene su propio espacio de claves, de modo que la clave
+ * de un usuario no bloquea ni interfiere con la misma clave enviada por otro.
+ * @function storageId
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {string} key - Clave de idempotencia enviada por el cliente.
+ * @returns {string}
+ */
+const storageId = (req, key) => `${req.user?._id ?? "anon"}:${key}`;
+
+/**
+ * Reserva la clave para esta solicitud. Si ya existe (y no ha caducado) devuelve el registro guardado.
+ * @async
+ * @function claim
+ * @param {string} key - Identificador de la clave (ver `storageId`).
+ * @param {string} requestHash - Huella de la solicitud.
+ * @returns {Promise<Object|null>} - El registro existente, o `null` si la clave quedó reservada para esta solicitud.
+ */
+const claim = async (key, requestHash) => {
+  const now = new Date();
+  const reservation = {
+    requestHash,
+    state: "processing",
+    expiresAt: new Date(now.getTime() + PROCESSING_TIMEOUT),
+  };
+
+  try {
+    await IdempotencyKey.create({ _id: key, ...reservation });
+    return null;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // MongoDB elimina las claves caducadas con cierto retraso: mientras tanto se pueden reservar de nuevo
+  const reclaimed = await IdempotencyKey.findOneAndUpdate(
+    { _id: key, expiresAt: { $lte: now } },
+    { $set: reservation, $unset: { response: 1 } }
+  );
+  if (reclaimed) return null;
+
+  const existing = await IdempotencyKey.findById(key).lean();
+  // Si desapareció entre ambas consultas se intenta reservar de nuevo
+  return existing || claim(key, requestHash);
+};
+
+/**
+ * Sustituye `res.json` para guardar la respuesta antes de enviarla. Las respuestas correctas se conservan durante
+ * el TTL; si la solicitud falla se libera la clave, ya que la operación no se realizó y el cliente puede reintentarla.
+ * @function storeResponse
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {string} key - Identificador de la clave (ver `storageId`).
+ * @param {string} requestHash - Huella de la solicitud.
+ * @returns {void}
+ */
+const storeResponse = (req, res, key, requestHash) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    res.json = json;
+    const saved =
+      res.statusCode < 400
+        ? IdempotencyKey.updateOne(
+            { _id: key, requestHash },
+            {
+              $set: {
+                state: "completed",
+                response: {
+                  status: res.statusCode,
+                  headers: Object.fromEntries(
+                    STORED_HEADERS.filter((name) => res.get(name) !== undefined).map((name) => [
+                      name,
+                      String(res.get(name)),
+                    ])
+                  ),
+                  body: JSON.stringify(body),
+                },
+                expiresAt: new Date(Date.now() + responseTtl()),
+              },
+            }
+          )
+        : IdempotencyKey.deleteOne({ _id: key, requestHash, state: "processing" });
+
+    saved
+      .catch((err) => console.error(`[${req.id}] ${HEADER} ${key}:`, err))
+      .finally(() => json(body));
+    return res;
+  };
+};
+
+/**
+ * Aplica la cabecera `Idempotency-Key` a un POST. Sin cabecera la solicitud se atiende con normalidad.
+ * @async
+ * @function idempotency
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Siguiente middleware.
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} - Si la clave no tiene un formato válido (400).
+ * @throws {AppError} - Si la clave ya se usó con otra solicitud (422).
+ * @throws {ConflictError} - Si la solicitud original con la misma clave todavía se está atendiendo (409).
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (key === undefined) return next();
+
+  try {
+    if (!VALID_KEY.test(key)) {
+      throw new BadRequestError("INVALID_IDEMPOTENCY_KEY");
+    }
+
+    const id = storageId(req, key);
+    const requestHash = fingerprint(req);
+    const existing = await claim(id, requestHash);
+
+    if (!existing) {
+      storeResponse(req, res, id, requestHash);
+      return next();
+    }
+    if (existing.requestHash !== requestHash) {
+      throw new AppError("IDEMPOTENCY_KEY_REUSED", { status: 422 });
+    }
+    if (existing.state !== "completed") {
+      throw new ConflictError("IDEMPOTENCY_KEY_IN_PROGRESS");
+    }
+
+    const { status, headers, body } = existing.response;
+    res
+      .status(status)
+      .set({ ...headers, [REPLAYED_HEADER]: "true" })
+      .type("application/json")
+      .send(body);
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Middleware que asigna un identificador a cada solicitud para relacionar respuestas y registros.
+ */
+
+const { randomUUID } = require("crypto");
+
+/**
+ * Cabecera con el identificador de la solicitud.
+ * @type {string}
+ */
+const HEADER = "X-Request-Id";
+
+/**
+ * Formato admitido para los identificadores enviados por el cliente o un proxy.
+ * @type {RegExp}
+ */
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Reutiliza el identificador recibido en `X-Request-Id` si es válido o genera uno nuevo, lo guarda en `req.id`
+ * y lo devuelve en la misma cabecera de la respuesta.
+ * @function requestId
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {function} next - Siguiente middleware.
+ * @returns {void}
+ */
+const requestId = (req, res, next) => {
+  const received = req.get(HEADER);
+  req.id = received && VALID_ID.test(received) ? received : randomUUID();
+  res.set(HEADER, req.id);
+  next();
+};
+
+module.exports = requestId;
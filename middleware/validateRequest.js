@@ -0,0 +1,301 @@
+/**
+ * @fileoverview Middleware que valida los parámetros de ruta, la query y el cuerpo de cada solicitud contra los
+ * esquemas de la especificación OpenAPI generada por Swagger, antes de que se ejecute el controlador.
+ * De este modo la documentación y el comportamiento de la API no pueden divergir.
+ */
+
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { BadRequestError, UnsupportedMediaTypeError } = require("../utils/errors");
+
+/**
+ * Identificador con el que se registran los componentes de la especificación en Ajv.
+ * @type {string}
+ */
+const SPEC_ID = "openapi.json";
+
+/**
+ * Nombre de la regla incumplida según la palabra clave de JSON Schema, con los mismos nombres que los errores 422.
+ * @type {Object<string, string>}
+ */
+const RULES = {
+  required: "required",
+  enum: "enum",
+  minimum: "min",
+  maximum: "max",
+  minLength: "minLength",
+  maxLength: "maxLength",
+  minItems: "minItems",
+  maxItems: "maxItems",
+  pattern: "pattern",
+  format: "format",
+  type: "type",
+  additionalProperties: "unknown",
+  oneOf: "oneOf",
+  readOnly: "readOnly",
+};
+
+/**
+ * Extrae los parámetros de un error de Ajv con los nombres que usan los mensajes de `locales/`.
+ * @function ruleParams
+ * @param {Object} error - Error de Ajv.
+ * @returns {Object} - Parámetros de la regla.
+ */
+const ruleParams = ({ keyword, params }) => {
+  switch (keyword) {
+    case "type":
+      return { type: params.type };
+    case "enum":
+      return { values: params.allowedValues };
+    case "pattern":
+      return { pattern: params.pattern };
+    case "format":
+      return { format: params.format };
+    default:
+      return params.limit === undefined ? {} : { limit: params.limit };
+  }
+};
+
+/**
+ * Convierte los errores de Ajv en la lista de campos inválidos de una parte de la solicitud.
+ * @function toRequestErrors
+ * @param {Object[]} errors - Errores de Ajv.
+ * @param {string} location - Parte de la solicitud validada.
+ * @returns {import("../utils/errors").ErrorDetail[]} - Un elemento por cada error.
+ */
+const toRequestErrors = (errors, location) => {
+  // Con `oneOf` basta con el error general; los de cada alternativa solo añadirían ruido
+  const alternatives = errors
+    .filter((error) => error.keyword === "oneOf")
+    .map((error) => error.instancePath);
+  return errors
+    .filter(
+      (error) =>
+        error.keyword === "oneOf" ||
+        !alternatives.some((path) => error.instancePath === path || error.instancePath.startsWith(`${path}/`))
+    )
+    .map((error) => {
+      const segments = error.instancePath.split("/").slice(1);
+      if (error.keyword === "required") segments.push(error.params.missingProperty);
+      if (error.keyword === "additionalProperties") segments.push(error.params.additionalProperty);
+      return {
+        in: location,
+        path: segments.join("."),
+        rule: RULES[error.keyword] || error.keyword,
+        params: ruleParams(error),
+        message: error.message,
+      };
+    });
+};
+
+/**
+ * Sustituye las referencias locales (`#/components/...`) por referencias a la especificación registrada en Ajv.
+ * @function qualifyRefs
+ * @param {*} schema - Esquema o fragmento de la especificación.
+ * @returns {*} - Copia del esquema con las referencias cualificadas.
+ */
+const qualifyRefs = (schema) => {
+  if (Array.isArray(schema)) return schema.map(qualifyRefs);
+  if (!schema || typeof schema !== "object") return schema;
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, value]) => [
+      key,
+      key === "$ref" && typeof value === "string" && value.startsWith("#/")
+        ? `${SPEC_ID}${value}`
+        : qualifyRefs(value),
+    ])
+  );
+};
+
+/**
+ * Resuelve un parámetro declarado como referencia a `components.parameters`.
+ * @function resolveParameter
+ * @param {Object} spec - Especificación OpenAPI.
+ * @param {Object} parameter - Parámetro o referencia.
+ * @returns {Object} - Definición del parámetro.
+ */
+const resolveParameter = (spec, parameter) =>
+  parameter.$ref
+    ? parameter.$ref
+        .replace(/^#\//, "")
+        .split("/")
+        .reduce((node, key) => node[key], spec)
+    : parameter;
+
+/**
+ * Construye el esquema de objeto que agrupa los parámetros de una ubicación (`path` o `query`).
+ * Los parámetros no declarados se rechazan.
+ * @function parametersSchema
+ * @param {Object[]} parameters - Parámetros de la operación.
+ * @param {string} location - Ubicación de los parámetros.
+ * @returns {Object} - Esquema JSON.
+ */
+const parametersSchema = (parameters, location) => {
+  const own = parameters.filter((parameter) => parameter.in === location);
+  return {
+    type: "object",
+    properties: Object.fromEntries(own.map((parameter) => [parameter.name, parameter.schema || {}])),
+    required: own.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+    additionalProperties: false,
+  };
+};
+
+/**
+ * Convierte una ruta de OpenAPI (`/restaurants/{id}`) en una expresión regular con grupos por parámetro.
+ * @function pathMatcher
+ * @param {string} path - Ruta de la especificación.
+ * @returns {{regex: RegExp, names: string[], literals: number}} - Expresión, nombres de los parámetros y número de segmentos fijos.
+ */
+const pathMatcher = (path) => {
+  const names = [];
+  const segments = path.split("/").slice(1);
+  const pattern = segments
+    .map((segment) => {
+      const param = segment.match(/^\{(.+)\}$/);
+      if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      names.push(param[1]);
+      return "([^/]+)";
+    })
+    .join("/");
+  return {
+    regex: new RegExp(`^/${pattern}/?$`),
+    names,
+    literals: segments.length - names.length,
+  };
+};
+
+/**
+ * Decodifica un segmento de la ruta; si no es una secuencia válida se devuelve tal cual para que lo rechace el esquema.
+ * @function decode
+ * @param {string} segment - Segmento de la ruta.
+ * @returns {string} - Segmento decodificado.
+ */
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+};
+
+/**
+ * Crea una instancia de Ajv con los esquemas de la especificación registrados. En las solicitudes, las propiedades
+ * marcadas como `readOnly` (identificadores y arrays que tienen su propia ruta) no se pueden enviar.
+ * @function createAjv
+ * @param {Object} spec - Especificación OpenAPI.
+ * @param {Object} [options={}] - Opciones adicionales de Ajv.
+ * @returns {Ajv} - Instancia de Ajv.
+ */
+const createAjv = (spec, options = {}) => {
+  const ajv = addFormats(new Ajv({ allErrors: true, strict: false, ...options }));
+  ajv.removeKeyword("readOnly");
+  ajv.addKeyword({ keyword: "readOnly", schemaType: "boolean", validate: (readOnly) => !readOnly });
+  ajv.addSchema({ $id: SPEC_ID, components: { schemas: spec.components?.schemas || {} } });
+  return ajv;
+};
+
+/**
+ * Indica si la solicitud incluye cuerpo.
+ * @function hasBody
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @returns {boolean}
+ */
+const hasBody = (req) => req.get("Transfer-Encoding") !== undefined || Number(req.get("Content-Length")) > 0;
+
+/**
+ * Compila los validadores de todas las operaciones de la especificación.
+ * @function compileOperations
+ * @param {Object} spec - Especificación OpenAPI.
+ * @returns {Object[]} - Operaciones con su método, su ruta y sus validadores (el del cuerpo, por tipo de contenido),
+ * ordenadas para que las rutas fijas (`/restaurants/search`) tengan prioridad sobre las que llevan parámetros
+ * (`/restaurants/{id}`).
+ */
+const compileOperations = (spec) => {
+  const ajv = createAjv(spec);
+  const coercing = createAjv(spec, { coerceTypes: true }); // La query y la ruta siempre llegan como texto
+
+  const operations = [];
+  for (const [path, item] of Object.entries(spec.paths || {})) {
+    for (const [method, operation] of Object.entries(item)) {
+      const parameters = [...(item.parameters || []), ...(operation.parameters || [])].map((parameter) =>
+        qualifyRefs(resolveParameter(spec, parameter))
+      );
+      const content = operation.requestBody?.content;
+      operations.push({
+        method: method.toUpperCase(),
+        ...pathMatcher(path),
+        validators: {
+          path: coercing.compile(parametersSchema(parameters, "path")),
+          query: coercing.compile(parametersSchema(parameters, "query")),
+          body:
+            content &&
+            Object.fromEntries(
+              Object.entries(content).map(([type, media]) => [type, ajv.compile(qualifyRefs(media.schema || {}))])
+            ),
+        },
+        bodyRequired: Boolean(operation.requestBody?.required),
+      });
+    }
+  }
+  return operations.sort((a, b) => b.literals - a.literals);
+};
+
+/**
+ * Compila un esquema de `components.schemas` para validar datos fuera del middleware (por ejemplo, el resultado
+ * de aplicar un parche).
+ * @function compileSchema
+ * @param {Object} spec - Especificación OpenAPI.
+ * @param {string} name - Nombre del esquema.
+ * @returns {function(*): import("../utils/errors").ErrorDetail[]} - Función que devuelve los errores del valor (vacío si es válido).
+ */
+const compileSchema = (spec, name) => {
+  const validator = createAjv(spec).compile({ $ref: `${SPEC_ID}#/components/schemas/${name}` });
+  return (value) => (validator(value) ? [] : toRequestErrors(validator.errors, "body"));
+};
+
+/**
+ * Crea el middleware de validación a partir de la especificación OpenAPI.
+ * Las rutas de la especificación son relativas al punto de montaje del middleware (por ejemplo `/api`).
+ * Las solicitudes que no corresponden a ninguna operación documentada continúan sin validarse.
+ * @function validateRequest
+ * @param {Object} spec - Especificación OpenAPI.
+ * @returns {function(Object, Object, function): void} - Middleware de Express.
+ */
+const validateRequest = (spec) => {
+  const operations = compileOperations(spec);
+
+  return (req, res, next) => {
+    const operation = operations.find(
+      (candidate) => candidate.method === req.method && candidate.regex.test(req.path)
+    );
+    if (!operation) return next();
+
+    const values = operation.regex.exec(req.path).slice(1);
+    const params = Object.fromEntries(
+      operation.names.map((name, i) => [name, decode(values[i])])
+    );
+    const errors = [];
+    const check = (location, validator, value) => {
+      if (!validator(value)) errors.push(...toRequestErrors(validator.errors, location));
+    };
+
+    // Se validan copias para que la conversión de tipos no altere los valores que recibe el controlador
+    check("path", operation.validators.path, params);
+    check("query", operation.validators.query, { ...req.query });
+    const bodies = operation.validators.body;
+    if (bodies && hasBody(req)) {
+      const type = Object.keys(bodies).find((candidate) => req.is(candidate));
+      if (!type) {
+        return next(new UnsupportedMediaTypeError({ params: { types: Object.keys(bodies) } }));
+      }
+      check("body", bodies[type], req.body);
+    } else if (bodies && operation.bodyRequired) {
+      check("body", Object.values(bodies)[0], {});
+    }
+
+    next(errors.length ? new BadRequestError("INVALID_REQUEST", { details: errors }) : undefined);
+  };
+};
+
+module.exports = validateRequest;
+module.exports.compileSchema = compileSchema;
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Esquema de la colección de comentarios de los restaurantes. Cada comentario (o respuesta) es un
+ * documento propio, de modo que el número de comentarios no afecta al tamaño del restaurante.
+ */
+
+const mongoose = require("mongoose");
+const { COMMENT_STATUSES, REPORT_REASONS, PUBLISHED } = require("../utils/moderation");
+const { REACTIONS } = require("../utils/comments");
+const { TEXT_LANGUAGES } = require("../utils/restaurantQuery");
+
+/**
+ * @typedef {Object} CommentReport
+ * @property {mongoose.Schema.Types.ObjectId} user - Usuario que denunció el comentario.
+ * @property {string} reason - Motivo de la denuncia (uno de `REPORT_REASONS`).
+ * @property {string} [details] - Explicación opcional.
+ * @property {Date} createdAt - Fecha de la denuncia.
+ */
+
+/**
+ * @typedef {Object} CommentReaction
+ * @property {mongoose.Schema.Types.ObjectId} user - Usuario que reaccionó.
+ * @property {string} value - Reacción (una de `REACTIONS`).
+ * @property {Date} createdAt - Fecha de la reacción.
+ */
+
+/**
+ * @typedef {Object} Comment
+ * @property {mongoose.Schema.Types.ObjectId} _id - El identificador único del comentario.
+ * @property {mongoose.Schema.Types.ObjectId} restaurantId - El restaurante comentado.
+ * @property {Date} date - La fecha del comentario. En los comentarios nuevos coincide con `createdAt`.
+ * @property {string} comment - El contenido del comentario.
+ * @property {string} [language] - El idioma del comentario (`es` o `en`); sin él se indexa en inglés.
+ * @property {mongoose.Schema.Types.ObjectId} [author] - Usuario que lo publicó (no existe en los comentarios heredados).
+ * @property {string} [authorName] - Nombre visible del autor al publicarlo.
+ * @property {Date} [createdAt] - Fecha de publicación, asignada por el servidor.
+ * @property {Date} [updatedAt] - Fecha de la última edición, asignada por el servidor.
+ * @property {boolean} edited - Indica si el comentario se ha editado después de publicarlo.
+ * @property {mongoose.Schema.Types.ObjectId} [parentId] - Comentario al que responde; ausente en los comentarios raíz.
+ * @property {mongoose.Schema.Types.ObjectId} [threadId] - Comentario raíz del hilo; ausente en los comentarios raíz.
+ * @property {number} depth - Profundidad en el hilo (0 para los comentarios raíz).
+ * @property {CommentReaction[]} reactions - Reacciones de los usuarios, como máximo una por usuario.
+ * @property {number} helpfulCount - Número de reacciones `helpful`, recalculado con cada reacción.
+ * @property {number} notHelpfulCount - Número de reacciones `not_helpful`, recalculado con cada reacción.
+ * @property {string} status - Estado de moderación (uno de `COMMENT_STATUSES`); solo los aprobados son públicos.
+ * @property {string[]} autoFlags - Motivos detectados por el análisis automático del texto.
+ * @property {CommentReport[]} reports - Denuncias de los usuarios.
+ * @property {string} [moderatedBy] - ID del moderador que aprobó o rechazó el comentario.
+ * @property {Date} [moderatedAt] - Fecha de la última decisión de moderación.
+ * @property {string} [moderationReason] - Motivo de la decisión.
+ * @property {Date} [deletedAt] - Fecha en que se envió a la papelera.
+ * @property {string} [deletedBy] - Quién lo eliminó.
+ */
+
+/**
+ * Longitud mínima y máxima de un comentario.
+ */
+const COMMENT_LENGTH = { min: 1, max: 1000 };
+
+/**
+ * Esquema de Mongoose para los comentarios.
+ * @type {mongoose.Schema<Comment>}
+ */
+const CommentSchema = new mongoose.Schema(
+  {
+    restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    date: {
+      type: Date,
+      required: [true, "La fecha del comentario es obligatoria"],
+    },
+    comment: {
+      type: String,
+      trim: true,
+      required: [true, "El comentario es obligatorio"],
+      minlength: [COMMENT_LENGTH.min, "El comentario debe tener al menos {MINLENGTH} caracteres"],
+      maxlength: [COMMENT_LENGTH.max, "El comentario no puede superar los {MAXLENGTH} caracteres"],
+    },
+    language: {
+      type: String,
+      enum: {
+        values: Object.keys(TEXT_LANGUAGES),
+        message: `El idioma del comentario debe ser uno de: ${Object.keys(TEXT_LANGUAGES).join(", ")}`,
+      },
+    },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    authorName: String,
+    createdAt: Date,
+    updatedAt: Date,
+    edited: { type: Boolean, default: false },
+    parentId: mongoose.Schema.Types.ObjectId,
+    threadId: mongoose.Schema.Types.ObjectId,
+    depth: { type: Number, default: 0 },
+    reactions: {
+      type: [
+        {
+          _id: false,
+          user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+          value: {
+            type: String,
+            required: true,
+            enum: { values: REACTIONS, message: "La reacción '{VALUE}' no es válida" },
+          },
+          createdAt: Date,
+        },
+      ],
+      default: undefined,
+    },
+    helpfulCount: { type: Number, default: 0 },
+    notHelpfulCount: { type: Number, default: 0 },
+    // Los comentarios anteriores a la moderación no tienen estado y se consideran aprobados
+    status: {
+      type: String,
+      enum: { values: COMMENT_STATUSES, message: "El estado '{VALUE}' no es válido" },
+      default: "approved",
+    },
+    autoFlags: { type: [String], default: undefined },
+    reports: {
+      type: [
+        {
+          _id: false,
+          user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+          reason: {
+            type: String,
+            required: [true, "El motivo de la denuncia es obligatorio"],
+            enum: { values: REPORT_REASONS, message: "El motivo '{VALUE}' no es válido" },
+          },
+          details: {
+            type: String,
+            trim: true,
+            maxlength: [500, "La explicación no puede superar los {MAXLENGTH} caracteres"],
+          },
+          createdAt: Date,
+        },
+      ],
+      default: undefined,
+    },
+    moderatedBy: String,
+    moderatedAt: Date,
+    moderationReason: String,
+    deletedAt: Date,
+    deletedBy: String,
+  },
+  // La versión que se expone como ETag es la del restaurante
+  { versionKey: false }
+);
+
+/**
+ * Índices para paginar los hilos de un restaurante por fecha o por utilidad, y para mostrar sus comentarios
+ * más recientes.
+ */
+CommentSchema.index({ restaurantId: 1, parentId: 1, date: -1, _id: -1 });
+CommentSchema.index({ restaurantId: 1, parentId: 1, helpfulCount: -1, date: -1, _id: -1 });
+CommentSchema.index({ restaurantId: 1, date: -1, _id: -1 });
+
+/**
+ * Índice para cargar las respuestas de los hilos de una página.
+ */
+CommentSchema.index({ threadId: 1 });
+
+/**
+ * Índice para listar los comentarios de un usuario en todos los restaurantes.
+ */
+CommentSchema.index({ author: 1, createdAt: -1 });
+
+/**
+ * Índice para la cola de moderación de comentarios.
+ */
+CommentSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Índice para listar la papelera y purgar los comentarios cuya retención ha vencido.
+ */
+CommentSchema.index({ deletedAt: 1 });
+
+/**
+ * Índice de texto de los comentarios. La búsqueda de restaurantes (`q`) suma su relevancia a la del restaurante,
+ * con el mismo peso que tenían los comentarios en el índice de texto de los restaurantes. Cada comentario se indexa
+ * con la derivación de su idioma (campo `language`) y los que no lo indican, en inglés.
+ */
+CommentSchema.index(
+  { comment: "text" },
+  {
+    name: "comment_text_search",
+    weights: { comment: 1 },
+    default_language: "english",
+    language_override: "language",
+  }
+);
+
+/**
+ * Relevancia de los comentarios publicados de cada restaurante para una búsqueda de texto: la suma de la
+ * relevancia de sus comentarios que coinciden con el texto.
+ * @async
+ * @function textScores
+ * @param {Object} search - Condición `$text` de la búsqueda (ver `textSearch`).
+ * @returns {Promise<Map<string, number>>} - Relevancia por ID de restaurante.
+ */
+CommentSchema.statics.textScores = async function (search) {
+  const matches = await this.aggregate([
+    { $match: { $text: search, deletedAt: null, status: PUBLISHED } },
+    { $group: { _id: "$restaurantId", score: { $sum: { $meta: "textScore" } } } },
+  ]);
+  return new Map(matches.map(({ _id, score }) => [String(_id), score]));
+};
+
+/**
+ * Modelo de la colección de comentarios.
+ * @type {mongoose.Model<Comment>}
+ */
+const Comment = mongoose.model("Comment", CommentSchema, "comments");
+
+module.exports = Comment;
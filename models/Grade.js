@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Esquema de la colección de calificaciones (inspecciones) de los restaurantes. Cada calificación es
+ * un documento propio, de modo que el número de inspecciones no afecta al tamaño del restaurante.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * @typedef {Object} Grade
+ * @property {mongoose.Schema.Types.ObjectId} _id - El identificador único de la calificación.
+ * @property {mongoose.Schema.Types.ObjectId} restaurantId - El restaurante evaluado.
+ * @property {Date} date - La fecha de la evaluación.
+ * @property {number} score - La puntuación obtenida.
+ * @property {string} grade - La letra de la evaluación (una de `GRADE_LETTERS`).
+ */
+
+/**
+ * Letras de inspección de la ciudad de Nueva York (N: sin calificar; P y Z: calificación pendiente).
+ * @type {string[]}
+ */
+const GRADE_LETTERS = ["A", "B", "C", "N", "P", "Z"];
+
+/**
+ * Rango admitido para la puntuación de una inspección (más puntos indican más infracciones).
+ */
+const SCORE_RANGE = { min: 0, max: 200 };
+
+/**
+ * Esquema de Mongoose para las calificaciones.
+ * @type {mongoose.Schema<Grade>}
+ */
+const GradeSchema = new mongoose.Schema(
+  {
+    restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    date: {
+      type: Date,
+      required: [true, "La fecha de la calificación es obligatoria"],
+    },
+    score: {
+      type: Number,
+      required: [true, "La puntuación es obligatoria"],
+      min: [SCORE_RANGE.min, "La puntuación no puede ser menor que {MIN}"],
+      max: [SCORE_RANGE.max, "La puntuación no puede ser mayor que {MAX}"],
+    },
+    grade: {
+      type: String,
+      required: [true, "La letra de la calificación es obligatoria"],
+      enum: {
+        values: GRADE_LETTERS,
+        message: `La letra de la calificación debe ser una de: ${GRADE_LETTERS.join(", ")}`,
+      },
+    },
+  },
+  // La versión que se expone como ETag es la del restaurante
+  { versionKey: false }
+);
+
+/**
+ * Índice para listar las calificaciones de un restaurante de la más reciente a la más antigua.
+ */
+GradeSchema.index({ restaurantId: 1, date: -1, _id: -1 });
+
+/**
+ * Modelo de la colección de calificaciones.
+ * @type {mongoose.Model<Grade>}
+ */
+const Grade = mongoose.model("Grade", GradeSchema, "grades");
+
+module.exports = Grade;
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Esquema de las claves de idempotencia: la respuesta de cada POST enviado con `Idempotency-Key`
+ * se guarda para devolverla de nuevo si el cliente repite la solicitud.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * @typedef {Object} StoredResponse
+ * @property {number} status - Estado HTTP de la respuesta original.
+ * @property {Object<string, string>} headers - Cabeceras que se repiten (por ejemplo `ETag`).
+ * @property {string} body - Cuerpo de la respuesta original, serializado tal como se envió.
+ */
+
+/**
+ * @typedef {Object} IdempotencyKey
+ * @property {string} _id - La clave enviada por el cliente, precedida del ID del usuario (`<usuario>:<clave>`, o
+ *   `anon:<clave>` sin usuario).
+ * @property {string} requestHash - Huella (SHA-256) del método, la ruta y el cuerpo de la solicitud.
+ * @property {string} state - `processing` mientras se atiende la solicitud y `completed` cuando hay respuesta.
+ * @property {StoredResponse} response - Respuesta guardada (solo en `completed`).
+ * @property {Date} expiresAt - Fecha a partir de la cual la clave se puede reutilizar y MongoDB la elimina.
+ */
+
+/**
+ * Esquema de Mongoose para las claves de idempotencia.
+ * @type {mongoose.Schema<IdempotencyKey>}
+ */
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    _id: String,
+    requestHash: { type: String, required: true },
+    state: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    response: {
+      status: Number,
+      headers: { type: Map, of: String },
+      body: String,
+    },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+/**
+ * Índice TTL: MongoDB elimina cada clave cuando llega su `expiresAt`.
+ */
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Modelo de la colección de claves de idempotencia.
+ * @type {mongoose.Model<IdempotencyKey>}
+ */
+const IdempotencyKey = mongoose.model(
+  "IdempotencyKey",
+  IdempotencyKeySchema,
+  "idempotency_keys"
+);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Esquema de la colección de valoraciones de los comensales. Cada usuario tiene como máximo una
+ * valoración por restaurante, que puede modificar o retirar.
+ */
+
+const mongoose = require("mongoose");
+const { STAR_RANGE } = require("../utils/ratings");
+
+/**
+ * @typedef {Object} Rating
+ * @property {mongoose.Schema.Types.ObjectId} _id - El identificador único de la valoración.
+ * @property {mongoose.Schema.Types.ObjectId} restaurantId - El restaurante valorado.
+ * @property {mongoose.Schema.Types.ObjectId} user - Usuario que lo valoró.
+ * @property {number} stars - Número de estrellas (de 1 a 5).
+ * @property {Date} createdAt - Fecha de la valoración, asignada por el servidor.
+ * @property {Date} updatedAt - Fecha del último cambio, asignada por el servidor.
+ */
+
+/**
+ * Esquema de Mongoose para las valoraciones.
+ * @type {mongoose.Schema<Rating>}
+ */
+const RatingSchema = new mongoose.Schema(
+  {
+    restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    stars: {
+      type: Number,
+      required: [true, "El número de estrellas es obligatorio"],
+      min: [STAR_RANGE.min, "La valoración no puede ser menor que {MIN} estrellas"],
+      max: [STAR_RANGE.max, "La valoración no puede ser mayor que {MAX} estrellas"],
+      validate: {
+        validator: Number.isInteger,
+        message: "El número de estrellas debe ser un entero",
+      },
+    },
+    createdAt: Date,
+    updatedAt: Date,
+  },
+  // La versión que se expone como ETag es la del restaurante
+  { versionKey: false }
+);
+
+/**
+ * Índice único que limita las valoraciones a una por usuario y restaurante.
+ */
+RatingSchema.index({ restaurantId: 1, user: 1 }, { unique: true });
+
+/**
+ * Modelo de la colección de valoraciones.
+ * @type {mongoose.Model<Rating>}
+ */
+const Rating = mongoose.model("Rating", RatingSchema, "ratings");
+
+module.exports = Rating;
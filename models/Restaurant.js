@@ -3,26 +3,36 @@
  */
 
 const mongoose = require("mongoose");
+const Comment = require("./Comment");
+const Grade = require("./Grade");
+const Rating = require("./Rating");
+const { isPosition } = require("../utils/geo");
+const { ConflictError } = require("../utils/errors");
+const { dinerRatingUpdate } = require("../utils/ratings");
+
+/**
+ * @typedef {Object} GeoPoint
+ * @property {string} type - Siempre "Point".
+ * @property {number[]} coordinates - Las coordenadas geográficas [longitud, latitud].
+ */
 
 /**
  * @typedef {Object} Address
  * @property {string} building - El número del edificio.
  * @property {string} street - El nombre de la calle.
  * @property {string} zipcode - El código postal.
- * @property {number[]} coord - Las coordenadas geográficas [longitud, latitud].
- */
-
-/**
- * @typedef {Object} Grade
- * @property {Date} date - La fecha de la evaluación.
- * @property {number} score - La puntuación obtenida.
+ * @property {GeoPoint} coord - La ubicación como punto GeoJSON.
  */
 
 /**
- * @typedef {Object} Comment
- * @property {Date} date - La fecha del comentario.
- * @property {string} comment - El contenido del comentario.
- * @property {mongoose.Schema.Types.ObjectId} _id - El identificador único del comentario.
+ * @typedef {Object} RatingSummary
+ * @property {number} count - Número de evaluaciones.
+ * @property {number} averageScore - Puntuación media de las evaluaciones.
+ * @property {number} minScore - Puntuación más baja.
+ * @property {number} maxScore - Puntuación más alta.
+ * @property {string} latestGrade - Letra de la evaluación más reciente.
+ * @property {Date} latestDate - Fecha de la evaluación más reciente.
+ * @property {Map<string, number>} gradeCounts - Número de evaluaciones por letra.
  */
 
 /**
@@ -31,46 +41,361 @@ const mongoose = require("mongoose");
  * @property {string} borough - El distrito donde se encuentra el restaurante.
  * @property {string} cuisine - El tipo de cocina que ofrece el restaurante.
  * @property {Address} address - La dirección del restaurante.
- * @property {Grade[]} grades - Las evaluaciones del restaurante.
+ * @property {RatingSummary} ratingSummary - Resumen de las evaluaciones (colección `grades`), recalculado cada vez que cambian.
+ * @property {DinerRating} dinerRating - Resumen de las valoraciones de los comensales (colección `ratings`).
  * @property {string} restaurant_id - El identificador del restaurante.
- * @property {Comment[]} comments - Los comentarios sobre el restaurante.
+ * @property {Date} [deletedAt] - Fecha en que se envió a la papelera; mientras tanto no aparece en las consultas.
+ * @property {string} [deletedBy] - Quién lo eliminó.
+ */
+
+/**
+ * Distritos de Nueva York admitidos.
+ * @type {string[]}
+ */
+const BOROUGHS = ["Bronx", "Brooklyn", "Manhattan", "Queens", "Staten Island"];
+
+/**
+ * Condición que excluye los documentos en la papelera (`null` coincide también con los que no tienen `deletedAt`).
  */
+const NOT_DELETED = { deletedAt: null };
+
+/**
+ * Operaciones de consulta que ocultan los restaurantes en la papelera.
+ * @type {string[]}
+ */
+const SOFT_DELETE_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+];
+
+/**
+ * Indica si un filtro ya condiciona `deletedAt`, en su nivel superior o dentro de `$and`, `$or` o `$nor`.
+ * En ese caso la consulta decide por sí misma si incluye la papelera (por ejemplo, las rutas de administración).
+ * @function mentionsDeletedAt
+ * @param {Object} [filter={}] - Filtro de MongoDB.
+ * @returns {boolean}
+ */
+const mentionsDeletedAt = (filter = {}) =>
+  Object.entries(filter).some(
+    ([key, value]) =>
+      key === "deletedAt" ||
+      (["$and", "$or", "$nor"].includes(key) && Array.isArray(value) && value.some(mentionsDeletedAt))
+  );
+
+/**
+ * Convierte las coordenadas en el formato heredado [longitud, latitud] en un punto GeoJSON.
+ * Cualquier otro valor se devuelve sin cambios para que lo valide el esquema.
+ * @function toGeoPoint
+ * @param {*} value - Coordenadas recibidas.
+ * @returns {*} - Punto GeoJSON o el valor original.
+ */
+const toGeoPoint = (value) =>
+  Array.isArray(value) ? { type: "Point", coordinates: value } : value;
+
+/**
+ * Calcula el resumen de las evaluaciones de un restaurante.
+ * @function summarizeGrades
+ * @param {Grade[]} [grades=[]] - Evaluaciones del restaurante.
+ * @returns {RatingSummary} - Resumen de las evaluaciones.
+ */
+const summarizeGrades = (grades = []) => {
+  const scores = grades
+    .map((g) => g.score)
+    .filter((score) => typeof score === "number" && Number.isFinite(score));
+  const latest = grades
+    .filter((g) => g.date)
+    .reduce((acc, g) => (!acc || new Date(g.date) > new Date(acc.date) ? g : acc), null);
+
+  const gradeCounts = {};
+  grades
+    .filter((g) => g.grade)
+    .forEach((g) => (gradeCounts[g.grade] = (gradeCounts[g.grade] || 0) + 1));
+
+  return {
+    count: grades.length,
+    averageScore: scores.length
+      ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100
+      : null,
+    minScore: scores.length ? Math.min(...scores) : null,
+    maxScore: scores.length ? Math.max(...scores) : null,
+    latestGrade: latest ? latest.grade || null : null,
+    latestDate: latest ? latest.date : null,
+    gradeCounts,
+  };
+};
+
+/**
+ * Esquema de un punto GeoJSON con validación del orden y el rango de las coordenadas.
+ * @type {mongoose.Schema<GeoPoint>}
+ */
+const PointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      validate: {
+        validator: isPosition,
+        type: "coordinates",
+        message:
+          "Las coordenadas deben ser [longitud, latitud], con la longitud entre -180 y 180 y la latitud entre -90 y 90",
+      },
+    },
+  },
+  { _id: false }
+);
 
 /**
  * Esquema de la colección de restaurantes.
  * @type {mongoose.Schema<Restaurant>}
  */
 const RestaurantSchema = new mongoose.Schema({
-  name: String,
-  borough: String,
-  cuisine: String,
+  name: {
+    type: String,
+    trim: true,
+    required: [true, "El nombre es obligatorio"],
+    maxlength: [200, "El nombre no puede superar los {MAXLENGTH} caracteres"],
+  },
+  borough: {
+    type: String,
+    required: [true, "El distrito es obligatorio"],
+    enum: {
+      values: BOROUGHS,
+      message: `El distrito debe ser uno de: ${BOROUGHS.join(", ")}`,
+    },
+  },
+  cuisine: {
+    type: String,
+    trim: true,
+    required: [true, "El tipo de cocina es obligatorio"],
+    maxlength: [100, "El tipo de cocina no puede superar los {MAXLENGTH} caracteres"],
+  },
   address: {
     building: String,
     street: String,
-    zipcode: String,
+    zipcode: {
+      type: String,
+      match: [/^\d{5}$/, "El código postal debe tener 5 dígitos"],
+    },
     coord: {
-      type: [Number],
-      index: "2dsphere" // Definición del índice geoespacial
+      type: PointSchema,
+      set: toGeoPoint, // Acepta también el formato heredado [longitud, latitud]
     },
   },
-  grades: [
-    {
-      _id: { type: mongoose.Schema.Types.ObjectId, auto: true }, // Auto-generación del _id
-      date: Date,
-      score: Number,
-      grade: String,
-    },
-  ],
+  ratingSummary: {
+    count: { type: Number, default: 0 },
+    averageScore: Number,
+    minScore: Number,
+    maxScore: Number,
+    latestGrade: String,
+    latestDate: Date,
+    gradeCounts: { type: Map, of: Number },
+  },
+  dinerRating: {
+    count: { type: Number, default: 0 },
+    sum: { type: Number, default: 0 },
+    average: Number,
+    weightedScore: Number,
+  },
   restaurant_id: String,
-  comments: [
-    {
-      date: Date,
-      comment: String,
-      _id: { type: mongoose.Schema.Types.ObjectId, auto: true }, // Auto-generación del _id
-    },
-  ],
+  deletedAt: Date,
+  deletedBy: String,
+}, {
+  // Cada `save()` comprueba e incrementa `__v`, que se expone como ETag
+  optimisticConcurrency: true,
+});
+
+/**
+ * Índice geoespacial sobre la ubicación del restaurante.
+ */
+RestaurantSchema.index({ "address.coord": "2dsphere" });
+
+/**
+ * Las actualizaciones no aplican el setter de `address.coord`, así que el formato heredado se convierte
+ * antes de que Mongoose interprete la actualización.
+ */
+RestaurantSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate() || {};
+  for (const target of [update, update.$set]) {
+    if (!target) continue;
+    if (Array.isArray(target["address.coord"])) {
+      target["address.coord"] = toGeoPoint(target["address.coord"]);
+    }
+    if (target.address && Array.isArray(target.address.coord)) {
+      target.address.coord = toGeoPoint(target.address.coord);
+    }
+  }
+});
+
+/**
+ * Borrado lógico: las consultas y agregaciones no devuelven los restaurantes en la papelera salvo que filtren
+ * por `deletedAt` explícitamente.
+ */
+RestaurantSchema.pre(SOFT_DELETE_QUERIES, function () {
+  if (!mentionsDeletedAt(this.getFilter())) {
+    this.where(NOT_DELETED);
+  }
+});
+
+/**
+ * En las agregaciones la condición se añade a la primera etapa si es `$geoNear` (que debe ir primero)
+ * o `$match` (que puede contener `$text`, que también debe ir primero); si no, se antepone un `$match`.
+ */
+RestaurantSchema.pre("aggregate", function () {
+  const pipeline = this.pipeline();
+  const [first = {}] = pipeline;
+  if (first.$geoNear) {
+    const query = first.$geoNear.query || {};
+    if (!mentionsDeletedAt(query)) first.$geoNear.query = { ...query, ...NOT_DELETED };
+  } else if (first.$match) {
+    if (!mentionsDeletedAt(first.$match)) first.$match = { ...first.$match, ...NOT_DELETED };
+  } else {
+    pipeline.unshift({ $match: NOT_DELETED });
+  }
 });
 
+/**
+ * Índice para listar la papelera y purgar los restaurantes cuya retención ha vencido.
+ */
+RestaurantSchema.index({ deletedAt: 1 });
+
+/**
+ * Índices para filtrar y ordenar por el resumen de evaluaciones.
+ */
+RestaurantSchema.index({ "ratingSummary.latestGrade": 1 });
+RestaurantSchema.index({ "ratingSummary.averageScore": 1 });
+
+/**
+ * Índice para ordenar por "mejor valorados" (ver `SORT_ALIASES`).
+ */
+RestaurantSchema.index({ "dinerRating.weightedScore": -1, "dinerRating.count": -1, _id: -1 });
+
+/**
+ * Calcula el resumen de evaluaciones (disponible como `Restaurant.summarizeGrades`).
+ */
+RestaurantSchema.statics.summarizeGrades = summarizeGrades;
+
+/**
+ * Intentos de escribir el resumen de evaluaciones antes de rendirse por modificaciones concurrentes.
+ * @type {number}
+ */
+const SYNC_ATTEMPTS = 5;
+
+/**
+ * Recalcula el resumen de evaluaciones a partir de la colección `grades` después de modificar una calificación.
+ * Solo se escribe si el restaurante sigue en la versión leída antes de calcularlo, e incrementa esa versión; si otra
+ * solicitud lo modificó entre tanto, se vuelve a calcular para que el resumen incluya también sus cambios.
+ * El restaurante recibe el resumen y la versión nueva, de modo que el ETag de la respuesta corresponde a ella.
+ * @async
+ * @function syncRatingSummary
+ * @param {mongoose.Document} restaurant - Restaurante cuyas calificaciones han cambiado.
+ * @returns {Promise<void>}
+ * @throws {ConflictError} - Si el restaurante sigue cambiando después de `SYNC_ATTEMPTS` intentos.
+ */
+RestaurantSchema.statics.syncRatingSummary = async function (restaurant) {
+  for (let attempt = 0; attempt < SYNC_ATTEMPTS; attempt++) {
+    const current = await this.findById(restaurant._id).select("__v").lean();
+    if (!current) return;
+
+    const ratingSummary = summarizeGrades(await Grade.find({ restaurantId: restaurant._id }).lean());
+    const { matchedCount } = await this.updateOne(
+      { _id: restaurant._id, __v: current.__v ?? null },
+      { $set: { ratingSummary }, $inc: { __v: 1 } }
+    );
+    if (matchedCount) {
+      restaurant.set("ratingSummary", ratingSummary);
+      restaurant.set("__v", (current.__v ?? 0) + 1);
+      return;
+    }
+  }
+  throw new ConflictError("VERSION_CONFLICT");
+};
+
+/**
+ * Aplica a un restaurante el cambio en las valoraciones de sus comensales e incrementa su versión.
+ * @async
+ * @function applyRatingChange
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {Object} change - Variación del número de valoraciones (`count`) y de la suma de estrellas (`sum`).
+ * @returns {Promise<Object|null>} - Versión y resumen de valoraciones resultantes, o `null` si el restaurante no
+ *   existe o está en la papelera.
+ */
+RestaurantSchema.statics.applyRatingChange = function (restaurantId, change) {
+  return this.findOneAndUpdate({ _id: restaurantId }, dinerRatingUpdate(change), {
+    new: true,
+    projection: { __v: 1, dinerRating: 1 },
+  }).lean();
+};
+
+/**
+ * Elimina definitivamente los restaurantes y comentarios que entraron en la papelera antes de una fecha.
+ * Cada restaurante se elimina por separado y solo si sigue en la papelera, como en la purga manual; así, los
+ * comentarios, calificaciones y valoraciones de un restaurante restaurado mientras tanto no se pierden.
+ * @async
+ * @function purgeTrash
+ * @param {Date} cutoff - Fecha límite.
+ * @returns {Promise<{restaurants: number, comments: number}>} - Número de restaurantes y comentarios eliminados.
+ */
+RestaurantSchema.statics.purgeTrash = async function (cutoff) {
+  const expired = { $lte: cutoff };
+
+  let restaurants = 0;
+  for (const _id of await this.distinct("_id", { deletedAt: expired })) {
+    const restaurant = await this.findOneAndDelete({ _id, deletedAt: expired });
+    if (!restaurant) continue;
+
+    restaurants++;
+    await Comment.deleteMany({ restaurantId: _id });
+    await Grade.deleteMany({ restaurantId: _id });
+    await Rating.deleteMany({ restaurantId: _id });
+  }
+
+  // Purgar un comentario cambia la versión de su restaurante, igual que eliminarlo
+  const commentRestaurantIds = await Comment.distinct("restaurantId", { deletedAt: expired });
+  const { deletedCount: comments } = await Comment.deleteMany({ deletedAt: expired });
+  await this.updateMany({ _id: { $in: commentRestaurantIds } }, { $inc: { __v: 1 } });
+
+  return { restaurants, comments };
+};
+
+/**
+ * Índice de texto para la búsqueda por relevancia. El nombre pesa más que la cocina y la calle; los comentarios
+ * están en su propia colección, con su propio índice de texto, y la búsqueda suma su relevancia a la del restaurante.
+ * La versión 3 de los índices de texto ignora mayúsculas y diacríticos, de modo que "cafe" coincide con "Café".
+ * El texto se indexa en inglés, el idioma de los datos de ejemplo; las búsquedas indican con `$language` el idioma
+ * de la consulta.
+ */
+RestaurantSchema.index(
+  {
+    name: "text",
+    cuisine: "text",
+    "address.street": "text",
+  },
+  {
+    name: "restaurant_text_search",
+    weights: {
+      name: 10,
+      cuisine: 5,
+      "address.street": 3,
+    },
+    default_language: "english",
+  }
+);
+
 /**
  * Modelo de la colección de restaurantes.
  * @type {mongoose.Model<Restaurant>}
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Esquema del historial de cambios de los restaurantes: cada modificación guarda quién la hizo,
+ * cuándo, qué operación fue y el estado resultante del restaurante en esa versión.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Operaciones que se registran en el historial.
+ * @type {string[]}
+ */
+const OPERATIONS = [
+  "create",
+  "replace",
+  "patch",
+  "delete",
+  "restore",
+  "revert",
+  "comment.add",
+  "comment.reply",
+  "comment.update",
+  "comment.delete",
+  "comment.restore",
+  "comment.purge",
+  "comment.report",
+  "comment.flag",
+  "comment.approve",
+  "comment.reject",
+  "grade.add",
+  "grade.update",
+  "grade.delete",
+];
+
+/**
+ * @typedef {Object} RestaurantHistory
+ * @property {mongoose.Schema.Types.ObjectId} restaurantId - El restaurante modificado.
+ * @property {number} version - Versión (`__v`) del restaurante tras el cambio.
+ * @property {string} operation - Operación realizada (una de `OPERATIONS`).
+ * @property {string} [actor] - Quién realizó el cambio.
+ * @property {Date} at - Fecha del cambio.
+ * @property {number} [revertedTo] - Versión restaurada, en las operaciones `revert`.
+ * @property {Object} state - Estado del restaurante tras el cambio, sin `_id`, `__v`, `ratingSummary` ni `dinerRating`.
+ * @property {HistoryItem} [item] - Comentario o calificación modificado, en las operaciones sobre ellos.
+ */
+
+/**
+ * @typedef {Object} HistoryItem
+ * @property {string} field - Colección del elemento con el nombre de su antiguo array (`comments` o `grades`).
+ * @property {mongoose.Schema.Types.ObjectId} id - ID del elemento.
+ * @property {Object|null} state - Estado del elemento tras el cambio, sin `restaurantId`; `null` si se eliminó
+ *   definitivamente.
+ */
+
+/**
+ * Esquema de Mongoose para el historial de los restaurantes.
+ * @type {mongoose.Schema<RestaurantHistory>}
+ */
+const RestaurantHistorySchema = new mongoose.Schema(
+  {
+    restaurantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    version: { type: Number, required: true },
+    operation: { type: String, enum: OPERATIONS, required: true },
+    actor: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+    revertedTo: Number,
+    state: { type: mongoose.Schema.Types.Mixed, required: true },
+    item: {
+      type: new mongoose.Schema(
+        {
+          field: { type: String, enum: ["comments", "grades"], required: true },
+          id: { type: mongoose.Schema.Types.ObjectId, required: true },
+          state: { type: mongoose.Schema.Types.Mixed, default: null },
+        },
+        { _id: false, minimize: false }
+      ),
+      default: undefined,
+    },
+  },
+  { versionKey: false, minimize: false }
+);
+
+/**
+ * Cada versión de un restaurante tiene una única entrada; el índice sirve también para listar el historial.
+ */
+RestaurantHistorySchema.index({ restaurantId: 1, version: -1 }, { unique: true });
+
+/**
+ * Índice para encontrar la versión anterior de un comentario o una calificación al calcular sus diferencias.
+ */
+RestaurantHistorySchema.index(
+  { restaurantId: 1, "item.id": 1, version: -1 },
+  { partialFilterExpression: { item: { $exists: true } } }
+);
+
+/**
+ * Modelo de la colección del historial de los restaurantes.
+ * @type {mongoose.Model<RestaurantHistory>}
+ */
+const RestaurantHistory = mongoose.model(
+  "RestaurantHistory",
+  RestaurantHistorySchema,
+  "restaurant_history"
+);
+
+module.exports = RestaurantHistory;
+module.exports.OPERATIONS = OPERATIONS;
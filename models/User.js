@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Esquema de los usuarios de la API: cuentas locales con contraseña cifrada y un rol que determina
+ * qué operaciones pueden realizar.
+ */
+
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+/**
+ * Roles de los usuarios:
+ * - `viewer`: publica comentarios y edita o elimina los suyos.
+ * - `reviewer`: publica comentarios y los modera (edita o elimina los de cualquier usuario).
+ * - `inspector`: publica comentarios y registra las calificaciones de las inspecciones (las agrega, modifica y elimina).
+ * - `admin`: puede realizar cualquier operación.
+ * @type {string[]}
+ */
+const ROLES = ["viewer", "reviewer", "inspector", "admin"];
+
+/**
+ * Coste del cifrado de las contraseñas con bcrypt.
+ * @type {number}
+ */
+const SALT_ROUNDS = 10;
+
+/**
+ * Longitud admitida de las contraseñas; bcrypt solo tiene en cuenta los primeros 72 bytes.
+ * @type {{min: number, max: number}}
+ */
+const PASSWORD_LENGTH = { min: 8, max: 72 };
+
+/**
+ * @typedef {Object} User
+ * @property {string} email - Correo con el que inicia sesión, único y en minúsculas.
+ * @property {string} name - Nombre visible del usuario.
+ * @property {string} passwordHash - Contraseña cifrada con bcrypt. Nunca se devuelve en las respuestas.
+ * @property {string} role - Rol del usuario (uno de `ROLES`).
+ * @property {Date} createdAt - Fecha de alta.
+ */
+
+/**
+ * Esquema de Mongoose para los usuarios.
+ * @type {mongoose.Schema<User>}
+ */
+const UserSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "El correo es obligatorio"],
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "El correo no es válido"],
+    },
+    name: {
+      type: String,
+      required: [true, "El nombre es obligatorio"],
+      trim: true,
+      maxlength: [100, "El nombre no puede superar los {MAXLENGTH} caracteres"],
+    },
+    passwordHash: { type: String, required: true, select: false },
+    role: {
+      type: String,
+      enum: { values: ROLES, message: "El rol '{VALUE}' no es válido" },
+      default: "viewer",
+    },
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Cada correo identifica a un único usuario.
+ */
+UserSchema.index({ email: 1 }, { unique: true });
+
+/**
+ * Cifra y guarda la contraseña del usuario.
+ * @async
+ * @function setPassword
+ * @param {string} password - Contraseña en claro.
+ * @returns {Promise<void>}
+ */
+UserSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+/**
+ * Comprueba una contraseña contra la guardada. El usuario debe haberse leído con `+passwordHash`.
+ * @async
+ * @function checkPassword
+ * @param {string} password - Contraseña en claro.
+ * @returns {Promise<boolean>}
+ */
+UserSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash || "");
+};
+
+/**
+ * Modelo de la colección de usuarios.
+ * @type {mongoose.Model<User>}
+ */
+const User = mongoose.model("User", UserSchema);
+
+module.exports = User;
+module.exports.ROLES = ROLES;
+module.exports.PASSWORD_LENGTH = PASSWORD_LENGTH;
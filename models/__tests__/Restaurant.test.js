@@ -0,0 +1,197 @@
+const mongoose = require("mongoose");
+const { cursorOf } = require("../../test/helpers");
+const Restaurant = require("../Restaurant");
+const Comment = require("../Comment");
+const Grade = require("../Grade");
+const Rating = require("../Rating");
+
+describe("Restaurant", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("borrado lógico", () => {
+    let find;
+
+    beforeEach(() => {
+      find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf([]));
+    });
+
+    it("las consultas excluyen los restaurantes en la papelera", async () => {
+      const countDocuments = jest.spyOn(Restaurant.collection, "countDocuments").mockResolvedValue(0);
+      const updateOne = jest
+        .spyOn(Restaurant.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, matchedCount: 0, modifiedCount: 0 });
+      const id = new mongoose.Types.ObjectId();
+
+      await Restaurant.find({ cuisine: "Italian" });
+      await Restaurant.countDocuments();
+      await Restaurant.updateOne({ _id: id }, { $set: { name: "Riviera" } });
+
+      expect(find.mock.calls[0][0]).toEqual({ cuisine: "Italian", deletedAt: null });
+      expect(countDocuments.mock.calls[0][0]).toEqual({ deletedAt: null });
+      expect(updateOne.mock.calls[0][0]).toEqual({ _id: id, deletedAt: null });
+    });
+
+    it.each([
+      ["en el nivel superior", { deletedAt: { $ne: null } }],
+      ["dentro de $or", { $or: [{ deletedAt: { $lte: new Date("2024-01-01") } }, { name: "Riviera" }] }],
+      ["dentro de $and anidados", { $and: [{ $nor: [{ deletedAt: null }] }] }],
+    ])("las consultas que filtran por deletedAt %s deciden por sí mismas", async (_, filter) => {
+      await Restaurant.find(filter);
+
+      expect(find.mock.calls[0][0]).toEqual(filter);
+    });
+
+    describe("agregaciones", () => {
+      let aggregate;
+
+      beforeEach(() => {
+        aggregate = jest.spyOn(Restaurant.collection, "aggregate").mockReturnValue(cursorOf([]));
+      });
+
+      const pipelineOf = async (pipeline) => {
+        await Restaurant.aggregate(pipeline);
+        return aggregate.mock.calls[0][0];
+      };
+
+      it("añaden la condición al $match inicial, que puede contener $text", async () => {
+        const pipeline = await pipelineOf([{ $match: { $text: { $search: "pizza" } } }, { $limit: 5 }]);
+
+        expect(pipeline).toEqual([{ $match: { $text: { $search: "pizza" }, deletedAt: null } }, { $limit: 5 }]);
+      });
+
+      it("añaden la condición a la consulta de un $geoNear inicial", async () => {
+        const near = { type: "Point", coordinates: [-73.98, 40.57] };
+        const pipeline = await pipelineOf([{ $geoNear: { near, distanceField: "distance" } }]);
+
+        expect(pipeline).toEqual([{ $geoNear: { near, distanceField: "distance", query: { deletedAt: null } } }]);
+      });
+
+      it("anteponen un $match si la primera etapa es otra", async () => {
+        const pipeline = await pipelineOf([{ $group: { _id: "$borough", total: { $sum: 1 } } }]);
+
+        expect(pipeline).toEqual([
+          { $match: { deletedAt: null } },
+          { $group: { _id: "$borough", total: { $sum: 1 } } },
+        ]);
+      });
+
+      it("respetan un $match que ya filtra por deletedAt", async () => {
+        const pipeline = await pipelineOf([{ $match: { deletedAt: { $ne: null } } }]);
+
+        expect(pipeline).toEqual([{ $match: { deletedAt: { $ne: null } } }]);
+      });
+    });
+  });
+
+  describe("syncRatingSummary", () => {
+    const id = new mongoose.Types.ObjectId();
+    const grades = [
+      { _id: new mongoose.Types.ObjectId(), restaurantId: id, date: new Date("2024-01-10"), grade: "A", score: 9 },
+      { _id: new mongoose.Types.ObjectId(), restaurantId: id, date: new Date("2024-03-02"), grade: "B", score: 18 },
+    ];
+    let findOne;
+    let updateOne;
+
+    beforeEach(() => {
+      findOne = jest.spyOn(Restaurant.collection, "findOne").mockResolvedValue({ _id: id, __v: 3 });
+      jest.spyOn(Grade.collection, "find").mockReturnValue(cursorOf(grades));
+      updateOne = jest
+        .spyOn(Restaurant.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    });
+
+    it("guarda el resumen de las calificaciones e incrementa la versión si el restaurante sigue en la leída", async () => {
+      const restaurant = new Restaurant({ _id: id, name: "Riviera Caterer" });
+
+      await Restaurant.syncRatingSummary(restaurant);
+
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: id, __v: 3, deletedAt: null });
+      const { gradeCounts, ...summary } = update.$set.ratingSummary;
+      expect(summary).toEqual({
+        count: 2,
+        averageScore: 13.5,
+        minScore: 9,
+        maxScore: 18,
+        latestGrade: "B",
+        latestDate: grades[1].date,
+      });
+      expect(Object.fromEntries(gradeCounts)).toEqual({ A: 1, B: 1 });
+      // El resumen cambia el documento, de modo que el ETag de la respuesta debe corresponder a la versión nueva
+      expect(update.$inc).toEqual({ __v: 1 });
+      expect(restaurant.ratingSummary.latestGrade).toBe("B");
+      expect(restaurant.__v).toBe(4);
+    });
+
+    it("vuelve a calcularlo si otra solicitud modificó el restaurante entre la lectura y la escritura", async () => {
+      findOne.mockResolvedValueOnce({ _id: id, __v: 3 }).mockResolvedValueOnce({ _id: id, __v: 4 });
+      updateOne.mockResolvedValueOnce({ acknowledged: true, matchedCount: 0, modifiedCount: 0 });
+
+      await Restaurant.syncRatingSummary(new Restaurant({ _id: id }));
+
+      expect(updateOne).toHaveBeenCalledTimes(2);
+      expect(updateOne.mock.calls[1][0]).toMatchObject({ __v: 4 });
+      expect(Grade.collection.find).toHaveBeenCalledTimes(2);
+    });
+
+    it("responde 409 VERSION_CONFLICT si el restaurante sigue cambiando en todos los intentos", async () => {
+      updateOne.mockResolvedValue({ acknowledged: true, matchedCount: 0, modifiedCount: 0 });
+
+      await expect(Restaurant.syncRatingSummary(new Restaurant({ _id: id }))).rejects.toMatchObject({
+        status: 409,
+        code: "VERSION_CONFLICT",
+      });
+      expect(updateOne).toHaveBeenCalledTimes(5);
+    });
+
+    it("no escribe nada si el restaurante ya no existe", async () => {
+      findOne.mockResolvedValue(null);
+
+      await Restaurant.syncRatingSummary(new Restaurant({ _id: id }));
+
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("purgeTrash", () => {
+    const cutoff = new Date("2024-05-01");
+    const [purged, restored] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    let findOneAndDelete;
+    let deleteComments;
+    let deleteGrades;
+    let deleteRatings;
+
+    beforeEach(() => {
+      jest.spyOn(Restaurant.collection, "distinct").mockResolvedValue([purged, restored]);
+      // `restored` sale de la papelera entre la consulta de los vencidos y su eliminación
+      findOneAndDelete = jest
+        .spyOn(Restaurant.collection, "findOneAndDelete")
+        .mockImplementation(async (filter) => (String(filter._id) === String(purged) ? { _id: purged } : null));
+      jest.spyOn(Restaurant.collection, "updateMany").mockResolvedValue({ acknowledged: true, modifiedCount: 0 });
+      jest.spyOn(Comment.collection, "distinct").mockResolvedValue([]);
+      deleteComments = jest
+        .spyOn(Comment.collection, "deleteMany")
+        .mockResolvedValue({ acknowledged: true, deletedCount: 0 });
+      deleteGrades = jest.spyOn(Grade.collection, "deleteMany").mockResolvedValue({ acknowledged: true, deletedCount: 0 });
+      deleteRatings = jest
+        .spyOn(Rating.collection, "deleteMany")
+        .mockResolvedValue({ acknowledged: true, deletedCount: 0 });
+    });
+
+    it("elimina cada restaurante vencido solo si sigue en la papelera, junto con sus elementos", async () => {
+      const result = await Restaurant.purgeTrash(cutoff);
+
+      expect(result.restaurants).toBe(1);
+      expect(findOneAndDelete).toHaveBeenCalledTimes(2);
+      expect(findOneAndDelete.mock.calls[1][0]).toMatchObject({ _id: restored, deletedAt: { $lte: cutoff } });
+      expect(deleteGrades).toHaveBeenCalledTimes(1);
+      expect(deleteGrades.mock.calls[0][0]).toEqual({ restaurantId: purged });
+      expect(deleteRatings).toHaveBeenCalledTimes(1);
+      expect(deleteRatings.mock.calls[0][0]).toEqual({ restaurantId: purged });
+      expect(deleteComments.mock.calls.map(([filter]) => filter)).toEqual([
+        { restaurantId: purged },
+        { deletedAt: { $lte: cutoff } },
+      ]);
+    });
+  });
+});
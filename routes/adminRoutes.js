@@ -0,0 +1,487 @@
+/**
+ * @fileoverview Definición de las rutas de administración: papelera de restaurantes y comentarios, y usuarios.
+ * Todas requieren un usuario con el rol `admin`.
+ */
+
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/adminController");
+const { authenticate, authorize } = require("../middleware/auth");
+
+router.use(authenticate, authorize("admin"));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeletedRestaurant:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Restaurant'
+ *         - type: object
+ *           properties:
+ *             purgeAt:
+ *               type: string
+ *               format: date-time
+ *               description: Fecha a partir de la cual se eliminará definitivamente
+ *     DeletedComment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         restaurantId:
+ *           type: string
+ *         restaurantName:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         author:
+ *           type: string
+ *           nullable: true
+ *         authorName:
+ *           type: string
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *         purgeAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha a partir de la cual se eliminará definitivamente
+ */
+
+/**
+ * @swagger
+ * /admin/trash/restaurants:
+ *   get:
+ *     summary: Listar los restaurantes en la papelera
+ *     description: Ordenados del eliminado más recientemente al más antiguo, con paginación por cursor.
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 10
+ *         description: Número de restaurantes por página (máximo 100)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor `next` o `prev` de una respuesta anterior
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir el número total de restaurantes en la papelera
+ *     responses:
+ *       200:
+ *         description: Página de restaurantes en la papelera
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                 prev:
+ *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeletedRestaurant'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/trash/restaurants", adminController.listDeletedRestaurants);
+
+/**
+ * @swagger
+ * /admin/trash/restaurants/{id}/restore:
+ *   post:
+ *     summary: Restaurar un restaurante de la papelera
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *     responses:
+ *       200:
+ *         description: Restaurante restaurado con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Restaurant'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post("/trash/restaurants/:id/restore", adminController.restoreRestaurant);
+
+/**
+ * @swagger
+ * /admin/trash/restaurants/{id}:
+ *   delete:
+ *     summary: Eliminar definitivamente un restaurante de la papelera
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *     responses:
+ *       200:
+ *         description: Restaurante eliminado definitivamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete("/trash/restaurants/:id", adminController.purgeRestaurant);
+
+/**
+ * @swagger
+ * /admin/trash/comments:
+ *   get:
+ *     summary: Listar los comentarios en la papelera
+ *     description: >
+ *       Ordenados del eliminado más recientemente al más antiguo, con paginación por cursor. No incluye los
+ *       comentarios de restaurantes que están a su vez en la papelera.
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 10
+ *         description: Número de comentarios por página (máximo 100)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor `next` o `prev` de una respuesta anterior
+ *     responses:
+ *       200:
+ *         description: Página de comentarios en la papelera
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                 prev:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeletedComment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/trash/comments", adminController.listDeletedComments);
+
+/**
+ * @swagger
+ * /admin/trash/restaurants/{id}/comments/{commentId}/restore:
+ *   post:
+ *     summary: Restaurar un comentario de la papelera
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del comentario
+ *     responses:
+ *       200:
+ *         description: Comentario restaurado con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 _id:
+ *                   type: string
+ *                 comment:
+ *                   type: string
+ *                 date:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/trash/restaurants/:id/comments/:commentId/restore",
+  adminController.restoreComment
+);
+
+/**
+ * @swagger
+ * /admin/trash/restaurants/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Eliminar definitivamente un comentario de la papelera
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del comentario
+ *     responses:
+ *       200:
+ *         description: Comentario eliminado definitivamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete(
+  "/trash/restaurants/:id/comments/:commentId",
+  adminController.purgeComment
+);
+
+/**
+ * @swagger
+ * /admin/trash/purge:
+ *   post:
+ *     summary: Purgar ahora los elementos cuya retención ha vencido
+ *     description: >
+ *       Los elementos se conservan en la papelera `TRASH_RETENTION_DAYS` días (30 por defecto). El servidor los
+ *       purga automáticamente cada hora; esta ruta lo hace de inmediato.
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Elementos eliminados definitivamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cutoff:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Se purgaron los elementos eliminados hasta esta fecha
+ *                 restaurants:
+ *                   type: integer
+ *                 comments:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post("/trash/purge", adminController.purgeExpired);
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: Listar los usuarios
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [viewer, reviewer, inspector, admin]
+ *         description: Mostrar solo los usuarios con este rol
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 10
+ *         description: Número de usuarios por página (máximo 100)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor `next` o `prev` de una respuesta anterior
+ *     responses:
+ *       200:
+ *         description: Página de usuarios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                 prev:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/users", adminController.listUsers);
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   put:
+ *     summary: Cambiar el rol de un usuario
+ *     tags: [Administración]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del usuario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             additionalProperties: false
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, reviewer, inspector, admin]
+ *     responses:
+ *       200:
+ *         description: Rol actualizado con éxito
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.put("/users/:id/role", adminController.updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Definición de las rutas de autenticación.
+ */
+
+const express = require("express");
+const router = express.Router();
+const authController = require("../controllers/authController");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *       description: Token obtenido en `/auth/register` o `/auth/login`.
+ *   responses:
+ *     Unauthorized:
+ *       description: Falta el token, no es válido o ha caducado (`UNAUTHORIZED`, `INVALID_TOKEN`)
+ *       headers:
+ *         WWW-Authenticate:
+ *           schema:
+ *             type: string
+ *           example: Bearer
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *     Forbidden:
+ *       description: El rol del usuario no permite la operación (`FORBIDDEN`)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [viewer, reviewer, inspector, admin]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     RegisterInput:
+ *       type: object
+ *       required: [email, name, password]
+ *       additionalProperties: false
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           maxLength: 254
+ *           example: "maria.lopez@example.com"
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *           example: "María López"
+ *         password:
+ *           type: string
+ *           minLength: 8
+ *           maxLength: 72
+ *     LoginInput:
+ *       type: object
+ *       required: [email, password]
+ *       additionalProperties: false
+ *       properties:
+ *         email:
+ *           type: string
+ *           maxLength: 254
+ *         password:
+ *           type: string
+ *           maxLength: 72
+ *     AuthResponse:
+ *       type: object
+ *       properties:
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ *         token:
+ *           type: string
+ *           description: "JWT a enviar en la cabecera `Authorization: Bearer <token>`"
+ *         expiresIn:
+ *           type: string
+ *           example: "1h"
+ */
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Registrar un usuario
+ *     description: Las cuentas nuevas tienen el rol `viewer`; un administrador puede asignarles otro rol.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterInput'
+ *     responses:
+ *       201:
+ *         description: Usuario registrado con éxito
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         description: Ya existe un usuario con ese correo (`DUPLICATE_KEY`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post("/register", authController.register);
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Iniciar sesión
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginInput'
+ *     responses:
+ *       200:
+ *         description: Sesión iniciada con éxito
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: El correo o la contraseña no son correctos (`INVALID_CREDENTIALS`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post("/login", authController.login);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Obtener el usuario autenticado
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Datos del usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/me", authenticate, authController.me);
+
+module.exports = router;
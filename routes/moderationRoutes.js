@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Definición de las rutas de moderación de comentarios. Todas requieren un usuario moderador
+ * (`reviewer` o `admin`).
+ */
+
+const express = require("express");
+const router = express.Router();
+const moderationController = require("../controllers/moderationController");
+const { authenticate, authorize } = require("../middleware/auth");
+const { MODERATOR_ROLES } = require("../utils/moderation");
+
+router.use(authenticate, authorize(...MODERATOR_ROLES));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CommentReport:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           enum: [spam, offensive, off_topic, other]
+ *         details:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ModeratedComment:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Comment'
+ *         - type: object
+ *           properties:
+ *             reports:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CommentReport'
+ *     QueuedComment:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ModeratedComment'
+ *         - type: object
+ *           properties:
+ *             restaurantId:
+ *               type: string
+ *             restaurantName:
+ *               type: string
+ *     ApproveInput:
+ *       type: object
+ *       additionalProperties: false
+ *       properties:
+ *         reason:
+ *           type: string
+ *           maxLength: 500
+ *     RejectInput:
+ *       type: object
+ *       required: [reason]
+ *       additionalProperties: false
+ *       properties:
+ *         reason:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 500
+ *           example: "Contiene publicidad"
+ */
+
+/**
+ * @swagger
+ * /moderation/comments:
+ *   get:
+ *     summary: Listar la cola de moderación
+ *     description: >
+ *       Por defecto devuelve los comentarios pendientes (`pending`) y marcados (`flagged`), del más antiguo al más
+ *       reciente y con paginación por cursor. Incluye los motivos del análisis automático y las denuncias.
+ *     tags: [Moderación]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, flagged]
+ *         description: Mostrar solo los comentarios con este estado
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 10
+ *         description: Número de comentarios por página (máximo 100)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor `next` o `prev` de una respuesta anterior
+ *     responses:
+ *       200:
+ *         description: Página de la cola de moderación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                 prev:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QueuedComment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/comments", moderationController.listComments);
+
+/**
+ * @swagger
+ * /moderation/restaurants/{id}/comments/{commentId}/approve:
+ *   post:
+ *     summary: Aprobar un comentario
+ *     description: El comentario se publica y se descartan sus denuncias.
+ *     tags: [Moderación]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del comentario
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApproveInput'
+ *     responses:
+ *       200:
+ *         description: Comentario aprobado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModeratedComment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post("/restaurants/:id/comments/:commentId/approve", moderationController.approveComment);
+
+/**
+ * @swagger
+ * /moderation/restaurants/{id}/comments/{commentId}/reject:
+ *   post:
+ *     summary: Rechazar un comentario
+ *     description: El comentario deja de publicarse. El motivo queda registrado en `moderationReason`.
+ *     tags: [Moderación]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del comentario
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RejectInput'
+ *     responses:
+ *       200:
+ *         description: Comentario rechazado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModeratedComment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post("/restaurants/:id/comments/:commentId/reject", moderationController.rejectComment);
+
+module.exports = router;
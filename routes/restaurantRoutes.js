@@ -5,6 +5,8 @@
 const express = require("express");
 const router = express.Router();
 const restaurantController = require("../controllers/restaurantController");
+const idempotency = require("../middleware/idempotency");
+const { authenticate, authorize } = require("../middleware/auth");
 
 /* Ciclo ID 2 - CRUD para restaurantes */
 
@@ -13,6 +15,10 @@ const restaurantController = require("../controllers/restaurantController");
  * /restaurants:
  *   get:
  *     summary: Obtener todos los restaurantes
+ *     description: >
+ *       Por defecto usa la paginación clásica con `page`, `total` y `pages`. Con `pagination=cursor` (o al enviar
+ *       un `cursor`) usa la paginación por cursor: cada respuesta incluye los cursores `next` y `prev`, que se
+ *       envían en el parámetro `cursor` para obtener la página siguiente o la anterior.
  *     tags: [Restaurantes]
  *     parameters:
  *       - in: query
@@ -20,19 +26,62 @@ const restaurantController = require("../controllers/restaurantController");
  *         schema:
  *           type: integer
  *           default: 10
- *         description: Número de restaurantes por página
+ *           minimum: 1
+ *         description: Número de restaurantes por página (los valores mayores que 100 se limitan a 100)
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *           default: page
+ *         description: Tipo de paginación (`cursor` es más eficiente en las páginas profundas)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco devuelto en `next` o `prev` por una respuesta anterior
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: >
+ *           Incluir el número total de restaurantes en la paginación por cursor (ejecuta un conteo adicional; la
+ *           paginación clásica siempre lo incluye)
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Número de la página actual
+ *         description: Número de la página actual (paginación clásica)
  *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           default: "-createdAt"
- *         description: Campo por el cual ordenar los resultados
+ *         description: >
+ *           Campos por los cuales ordenar los resultados, separados por comas (prefijo `-` para orden descendente).
+ *           Por defecto `-createdAt` en la paginación clásica y `-_id` en la paginación por cursor.
+ *           Permitidos: `_id`, `name`, `borough`, `cuisine`, `restaurant_id`, `address.street`, `address.zipcode`,
+ *           `ratingSummary.averageScore`, `ratingSummary.latestGrade`, `ratingSummary.latestDate`,
+ *           `dinerRating.count`, `dinerRating.average`, `dinerRating.weightedScore`. `best_rated` ordena por
+ *           "mejor valorados": la puntuación bayesiana de los comensales y, a igualdad, el número de valoraciones.
+ *       - in: query
+ *         name: filter
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         example: { "cuisine": { "in": "Italian,Pizza" }, "ratingSummary.latestGrade": "A", "address.zipcode": "10019" }
+ *         description: >
+ *           Filtros con la forma `filter[campo][operador]=valor` (o `filter[campo]=valor` para igualdad).
+ *           Campos: `name`, `borough`, `cuisine`, `restaurant_id`, `address.building`, `address.street`,
+ *           `address.zipcode`, `grades.grade`, `grades.score`, `grades.date` y el resumen de evaluaciones
+ *           (`ratingSummary.count`, `ratingSummary.averageScore`, `ratingSummary.minScore`, `ratingSummary.maxScore`,
+ *           `ratingSummary.latestGrade`, `ratingSummary.latestDate`), por ejemplo `filter[ratingSummary.latestGrade]=A`
+ *           o `filter[ratingSummary.averageScore][lt]=14`, y de las valoraciones de los comensales (`dinerRating.count`,
+ *           `dinerRating.average`, `dinerRating.weightedScore`), por ejemplo `filter[dinerRating.count][gte]=5`.
+ *           Operadores: `eq`, `ne`, `in`, `nin` (valores separados por comas), `exists` y, para números y fechas,
+ *           `gt`, `gte`, `lt`, `lte`. Las condiciones sobre `grades` se aplican a una misma inspección.
  *     responses:
  *       200:
  *         description: Lista de restaurantes
@@ -43,16 +92,24 @@ const restaurantController = require("../controllers/restaurantController");
  *               properties:
  *                 total:
  *                   type: integer
- *                   description: Número total de restaurantes
+ *                   description: Número total de restaurantes (en la paginación por cursor, solo con `includeTotal`)
  *                 page:
  *                   type: integer
- *                   description: Número de la página actual
+ *                   description: Número de la página actual (solo en la paginación clásica)
  *                 pages:
  *                   type: integer
- *                   description: Número total de páginas
+ *                   description: Número total de páginas (solo en la paginación clásica)
  *                 limit:
  *                   type: integer
  *                   description: Número de restaurantes por página
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor de la página siguiente (solo en la paginación por cursor)
+ *                 prev:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor de la página anterior (solo en la paginación por cursor)
  *                 data:
  *                   type: array
  *                   items:
@@ -70,39 +127,593 @@ const restaurantController = require("../controllers/restaurantController");
  *                       cuisine:
  *                         type: string
  *                         description: Tipo de cocina del restaurante
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  *       500:
- *         description: Error del servidor
+ *         $ref: '#/components/responses/InternalError'
  */
 router.get("/", restaurantController.getAllRestaurants);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ObjectId:
+ *       type: string
+ *       pattern: "^[0-9a-fA-F]{24}$"
+ *       example: "5eb3d668b31de5d588f4292a"
+ *     RestaurantKey:
+ *       description: ObjectId del restaurante o su `restaurant_id` heredado (solo dígitos).
+ *       type: string
+ *       pattern: "^([0-9a-fA-F]{24}|[0-9]+)$"
+ *     RestaurantInput:
+ *       type: object
+ *       required: [name, borough, cuisine]
+ *       additionalProperties: false
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 200
+ *           example: "Restaurante Ejemplo"
+ *         borough:
+ *           type: string
+ *           enum: [Bronx, Brooklyn, Manhattan, Queens, Staten Island]
+ *         cuisine:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Italian"
+ *         address:
+ *           type: object
+ *           additionalProperties: false
+ *           properties:
+ *             building:
+ *               type: string
+ *             street:
+ *               type: string
+ *             zipcode:
+ *               type: string
+ *               pattern: "^\\d{5}$"
+ *               example: "10019"
+ *             coord:
+ *               $ref: '#/components/schemas/GeoPointInput'
+ *         restaurant_id:
+ *           type: string
+ *     Restaurant:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         borough:
+ *           type: string
+ *         cuisine:
+ *           type: string
+ *         address:
+ *           type: object
+ *           properties:
+ *             building:
+ *               type: string
+ *             street:
+ *               type: string
+ *             zipcode:
+ *               type: string
+ *             coord:
+ *               $ref: '#/components/schemas/GeoPoint'
+ *         restaurant_id:
+ *           type: string
+ *         grades:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               grade:
+ *                 type: string
+ *               score:
+ *                 type: number
+ *         comments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Comment'
+ *         ratingSummary:
+ *           type: object
+ *         dinerRating:
+ *           $ref: '#/components/schemas/DinerRating'
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha en la que se envió a la papelera (solo en las rutas de administración)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: ID del usuario que lo envió a la papelera
+ *     RestaurantReplace:
+ *       description: >
+ *         Representación completa de los campos editables de un restaurante. Los identificadores y los arrays
+ *         `grades` y `comments` son de solo lectura.
+ *       type: object
+ *       required: [name, borough, cuisine]
+ *       additionalProperties: false
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 200
+ *         borough:
+ *           type: string
+ *           enum: [Bronx, Brooklyn, Manhattan, Queens, Staten Island]
+ *         cuisine:
+ *           type: string
+ *           maxLength: 100
+ *         address:
+ *           type: object
+ *           additionalProperties: false
+ *           properties:
+ *             building:
+ *               type: string
+ *             street:
+ *               type: string
+ *             zipcode:
+ *               type: string
+ *               pattern: "^\\d{5}$"
+ *             coord:
+ *               $ref: '#/components/schemas/GeoPointInput'
+ *         _id:
+ *           readOnly: true
+ *         __v:
+ *           readOnly: true
+ *         restaurant_id:
+ *           readOnly: true
+ *         grades:
+ *           readOnly: true
+ *         comments:
+ *           readOnly: true
+ *         ratingSummary:
+ *           readOnly: true
+ *         dinerRating:
+ *           readOnly: true
+ *         deletedAt:
+ *           readOnly: true
+ *         deletedBy:
+ *           readOnly: true
+ *     RestaurantMergePatch:
+ *       description: JSON Merge Patch sobre los campos editables; `null` elimina el campo.
+ *       type: object
+ *       additionalProperties: false
+ *       properties:
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         borough:
+ *           type: string
+ *           nullable: true
+ *         cuisine:
+ *           type: string
+ *           nullable: true
+ *         address:
+ *           type: object
+ *           nullable: true
+ *           additionalProperties: false
+ *           properties:
+ *             building:
+ *               type: string
+ *               nullable: true
+ *             street:
+ *               type: string
+ *               nullable: true
+ *             zipcode:
+ *               type: string
+ *               nullable: true
+ *             coord:
+ *               description: Coordenadas [longitud, latitud] u objeto GeoJSON; `null` las elimina
+ *         _id:
+ *           readOnly: true
+ *         __v:
+ *           readOnly: true
+ *         restaurant_id:
+ *           readOnly: true
+ *         grades:
+ *           readOnly: true
+ *         comments:
+ *           readOnly: true
+ *         ratingSummary:
+ *           readOnly: true
+ *         dinerRating:
+ *           readOnly: true
+ *         deletedAt:
+ *           readOnly: true
+ *         deletedBy:
+ *           readOnly: true
+ *     JsonPatch:
+ *       description: Lista de operaciones JSON Patch sobre los campos editables.
+ *       type: array
+ *       minItems: 1
+ *       items:
+ *         type: object
+ *         required: [op, path]
+ *         additionalProperties: false
+ *         properties:
+ *           op:
+ *             type: string
+ *             enum: [add, remove, replace, move, copy, test]
+ *           path:
+ *             type: string
+ *             example: "/address/zipcode"
+ *           from:
+ *             type: string
+ *           value:
+ *             description: Valor para `add`, `replace` y `test`.
+ *     GradeInput:
+ *       type: object
+ *       required: [date, grade, score]
+ *       additionalProperties: false
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         grade:
+ *           type: string
+ *           enum: [A, B, C, N, P, Z]
+ *           description: Letra de la inspección (N sin calificar; P y Z pendiente).
+ *         score:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 200
+ *     GradeUpdate:
+ *       description: Cambios de una calificación. Si se omite `grade`, se conserva la letra guardada.
+ *       type: object
+ *       required: [date, score]
+ *       additionalProperties: false
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         grade:
+ *           type: string
+ *           enum: [A, B, C, N, P, Z]
+ *           description: Letra de la inspección (N sin calificar; P y Z pendiente).
+ *         score:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 200
+ *     Grade:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         restaurantId:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         grade:
+ *           type: string
+ *         score:
+ *           type: number
+ *     DinerRating:
+ *       type: object
+ *       description: Resumen de las valoraciones de los comensales, independiente de las inspecciones (`ratingSummary`).
+ *       properties:
+ *         count:
+ *           type: integer
+ *           description: Número de valoraciones
+ *         sum:
+ *           type: integer
+ *           description: Suma de las estrellas de todas las valoraciones
+ *         average:
+ *           type: number
+ *           nullable: true
+ *           description: Media de estrellas, con dos decimales
+ *         weightedScore:
+ *           type: number
+ *           nullable: true
+ *           description: >
+ *             Puntuación bayesiana: `(sum + m * C) / (count + C)`, donde `m` es la media a priori
+ *             (`RATING_PRIOR_MEAN`, 3 por defecto) y `C` su peso en votos (`RATING_PRIOR_WEIGHT`, 10 por defecto).
+ *     RatingInput:
+ *       type: object
+ *       required: [stars]
+ *       additionalProperties: false
+ *       properties:
+ *         stars:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *     Rating:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         restaurantId:
+ *           type: string
+ *         user:
+ *           type: string
+ *         stars:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     RatingResult:
+ *       type: object
+ *       properties:
+ *         rating:
+ *           $ref: '#/components/schemas/Rating'
+ *         dinerRating:
+ *           $ref: '#/components/schemas/DinerRating'
+ *     Comment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         restaurantId:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         language:
+ *           type: string
+ *           enum: [es, en]
+ *         date:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha del comentario; en los comentarios nuevos coincide con `createdAt`
+ *         author:
+ *           type: string
+ *           description: ID del usuario que lo publicó (ausente en los comentarios anteriores a las cuentas de usuario)
+ *         authorName:
+ *           type: string
+ *           description: Nombre visible del autor al publicarlo
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         edited:
+ *           type: boolean
+ *           description: Indica si se ha editado después de publicarlo
+ *         parentId:
+ *           type: string
+ *           description: Comentario al que responde (solo en las respuestas)
+ *         threadId:
+ *           type: string
+ *           description: Comentario raíz del hilo (solo en las respuestas)
+ *         depth:
+ *           type: integer
+ *           description: Profundidad en el hilo (0 para los comentarios que no son respuestas)
+ *         helpfulCount:
+ *           type: integer
+ *           description: Usuarios que consideran útil el comentario
+ *         notHelpfulCount:
+ *           type: integer
+ *           description: Usuarios que no lo consideran útil
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, flagged]
+ *           description: Estado de moderación; las rutas públicas solo devuelven comentarios aprobados
+ *         autoFlags:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [blocked_words, links, contact, repeated_characters, uppercase]
+ *           description: Motivos por los que el análisis automático marcó el comentario
+ *         moderatedBy:
+ *           type: string
+ *         moderatedAt:
+ *           type: string
+ *           format: date-time
+ *         moderationReason:
+ *           type: string
+ *           nullable: true
+ *     CommentThread:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Comment'
+ *         - type: object
+ *           properties:
+ *             replyCount:
+ *               type: integer
+ *               description: Número total de respuestas del hilo, incluidas las respuestas a respuestas
+ *             replies:
+ *               type: array
+ *               description: Respuestas directas, de la más antigua a la más reciente
+ *               items:
+ *                 $ref: '#/components/schemas/CommentThread'
+ *     ReactionInput:
+ *       type: object
+ *       required: [value]
+ *       additionalProperties: false
+ *       properties:
+ *         value:
+ *           type: string
+ *           enum: [helpful, not_helpful]
+ *     CommentReportInput:
+ *       type: object
+ *       required: [reason]
+ *       additionalProperties: false
+ *       properties:
+ *         reason:
+ *           type: string
+ *           enum: [spam, offensive, off_topic, other]
+ *         details:
+ *           type: string
+ *           maxLength: 500
+ *     CommentInput:
+ *       type: object
+ *       required: [comment]
+ *       additionalProperties: false
+ *       properties:
+ *         comment:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 1000
+ *         date:
+ *           type: string
+ *           format: date-time
+ *           deprecated: true
+ *           description: Se ignora; el servidor asigna las fechas del comentario
+ *         language:
+ *           type: string
+ *           enum: [es, en]
+ *           description: Idioma del comentario, que decide la derivación de palabras de la búsqueda de texto
+ *     Error:
+ *       type: object
+ *       description: Formato común de todas las respuestas de error. El mensaje se traduce según Accept-Language (es, en).
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Código estable del error (`INVALID_REQUEST`, `INVALID_QUERY`, `VALIDATION_FAILED`, `RESTAURANT_NOT_FOUND`...).
+ *           example: "VALIDATION_FAILED"
+ *         message:
+ *           type: string
+ *           example: "Los datos enviados no son válidos"
+ *         requestId:
+ *           type: string
+ *           description: Identificador de la solicitud, también devuelto en la cabecera `X-Request-Id`.
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               in:
+ *                 type: string
+ *                 enum: [path, query, body]
+ *               path:
+ *                 type: string
+ *                 example: "grades.0.score"
+ *               rule:
+ *                 type: string
+ *                 description: Regla incumplida (`required`, `unknown`, `type`, `enum`, `min`, `max`, `minLength`, `maxLength`, `pattern`, `format`, `oneOf`, `coordinates`).
+ *                 example: "min"
+ *               reason:
+ *                 type: string
+ *                 description: Motivo estable de un error en los parámetros de consulta (`INVALID_QUERY`), por ejemplo `sortNotAllowed` o `invalidCursor`.
+ *                 example: "sortNotAllowed"
+ *               message:
+ *                 type: string
+ *               value:
+ *                 description: Valor recibido.
+ *         stack:
+ *           type: string
+ *           description: Traza del error (solo en errores internos y fuera de producción).
+ *   parameters:
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       schema:
+ *         type: string
+ *       example: '"3"'
+ *       description: >
+ *         ETag obtenido al leer el restaurante. Si se envía, la operación solo se aplica si el restaurante no ha
+ *         cambiado desde entonces; en caso contrario responde 412.
+ *     IfNoneMatch:
+ *       in: header
+ *       name: If-None-Match
+ *       schema:
+ *         type: string
+ *       example: '"3"'
+ *       description: ETag de una lectura anterior. Si el restaurante no ha cambiado se responde 304 sin cuerpo.
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       schema:
+ *         type: string
+ *         minLength: 1
+ *         maxLength: 255
+ *       example: "8e0f3c9a-6a2b-4c1e-9d3f-2b7a5c4e1f00"
+ *       description: >
+ *         Clave única generada por el cliente para reintentar el POST sin duplicarlo. Si se repite con la misma
+ *         solicitud se devuelve la respuesta original; con otra solicitud distinta se responde 422.
+ *   headers:
+ *     IdempotentReplayed:
+ *       description: Vale `true` si la respuesta es la guardada de una solicitud anterior con la misma Idempotency-Key.
+ *       schema:
+ *         type: string
+ *     ETag:
+ *       description: Versión del restaurante. Cambia con cada modificación del restaurante, sus comentarios o sus calificaciones.
+ *       schema:
+ *         type: string
+ *         example: '"3"'
+ *     Link:
+ *       description: >
+ *         Enlaces (RFC 8288) a la página siguiente (`rel="next"`) y a la anterior (`rel="prev"`), con la misma URL
+ *         de la solicitud y el cursor correspondiente. No se envía si solo hay una página.
+ *       schema:
+ *         type: string
+ *         example: '</api/restaurants/5eb3d668b31de5d588f4292a/grades?limit=10&cursor=eyJ...>; rel="next"'
+ *   responses:
+ *     NotModified:
+ *       description: El restaurante no ha cambiado desde la versión indicada en If-None-Match
+ *       headers:
+ *         ETag:
+ *           $ref: '#/components/headers/ETag'
+ *     PreconditionFailed:
+ *       description: El restaurante cambió desde la versión indicada en If-Match (código `PRECONDITION_FAILED`)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *     IdempotencyKeyInProgress:
+ *       description: Ya se está atendiendo una solicitud con la misma Idempotency-Key (código `IDEMPOTENCY_KEY_IN_PROGRESS`)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *     BadRequest:
+ *       description: La solicitud no cumple la especificación o los parámetros no son válidos
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *     NotFound:
+ *       description: Recurso no encontrado
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *     ValidationFailed:
+ *       description: Los datos no cumplen las reglas del esquema
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *     InternalError:
+ *       description: Error del servidor
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ */
+
 /**
  * @swagger
  * /restaurants:
  *   post:
  *     summary: Crear un nuevo restaurante
  *     tags: [Restaurantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Nombre del restaurante
- *                 example: "Restaurante Ejemplo"
- *               address:
- *                 type: string
- *                 description: Dirección del restaurante
- *                 example: "123 Calle Principal"
- *               cuisine:
- *                 type: string
- *                 description: Tipo de cocina del restaurante
- *                 example: "Italiana"
+ *             $ref: '#/components/schemas/RestaurantInput'
  *     responses:
  *       201:
  *         description: Restaurante creado con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
  *         content:
  *           application/json:
  *             schema:
@@ -120,79 +731,547 @@ router.get("/", restaurantController.getAllRestaurants);
  *                 cuisine:
  *                   type: string
  *                   description: Tipo de cocina del restaurante
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyKeyInProgress'
+ *       422:
+ *         description: >
+ *           Los datos no son válidos (`VALIDATION_FAILED`) o la Idempotency-Key ya se usó con una solicitud
+ *           distinta (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post("/", authenticate, authorize("admin"), idempotency, restaurantController.createRestaurant);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BatchRequest:
+ *       type: object
+ *       required: [operations]
+ *       additionalProperties: false
+ *       properties:
+ *         operations:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 500
+ *           items:
+ *             oneOf:
+ *               - type: object
+ *                 required: [op, data]
+ *                 additionalProperties: false
+ *                 properties:
+ *                   op:
+ *                     type: string
+ *                     enum: [create]
+ *                   data:
+ *                     type: object
+ *                     description: Datos del restaurante, con las mismas reglas que `RestaurantInput`
+ *               - type: object
+ *                 required: [op, id, data]
+ *                 additionalProperties: false
+ *                 properties:
+ *                   op:
+ *                     type: string
+ *                     enum: [update]
+ *                   id:
+ *                     $ref: '#/components/schemas/ObjectId'
+ *                   data:
+ *                     type: object
+ *                     description: Campos editables del restaurante, con las mismas reglas que `RestaurantReplace` (PUT)
+ *                   ifMatch:
+ *                     type: string
+ *                     description: ETag esperado, como la cabecera If-Match de la ruta individual
+ *               - type: object
+ *                 required: [op, id]
+ *                 additionalProperties: false
+ *                 properties:
+ *                   op:
+ *                     type: string
+ *                     enum: [delete]
+ *                   id:
+ *                     $ref: '#/components/schemas/ObjectId'
+ *                   ifMatch:
+ *                     type: string
+ *     BatchResult:
+ *       type: object
+ *       properties:
+ *         atomic:
+ *           type: boolean
+ *         succeeded:
+ *           type: integer
+ *           description: Operaciones aplicadas (0 si un lote atómico se deshizo)
+ *         failed:
+ *           type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Posición de la operación en el lote
+ *               op:
+ *                 type: string
+ *               id:
+ *                 type: string
+ *               status:
+ *                 type: integer
+ *                 description: Estado HTTP que habría devuelto la ruta individual (424 si se deshizo por el fallo de otra operación)
+ *               etag:
+ *                 type: string
+ *               error:
+ *                 $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /restaurants/batch:
+ *   post:
+ *     summary: Crear, reemplazar y eliminar restaurantes por lotes
+ *     description: >
+ *       Ejecuta las operaciones en orden. Cada una pasa las mismas validaciones que su ruta individual
+ *       (`POST /restaurants`, `PUT /restaurants/{id}` o `DELETE /restaurants/{id}`) y la respuesta incluye su resultado.
+ *       Con `atomic=true` el lote se ejecuta en una transacción y, si alguna operación falla, no se aplica ninguna.
+ *     tags: [Restaurantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: atomic
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Ejecutar el lote en una transacción (requiere que MongoDB sea un replica set)
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchRequest'
+ *           example:
+ *             operations:
+ *               - { op: create, data: { name: "Casa Pepe", borough: Queens, cuisine: Spanish } }
+ *               - { op: update, id: "5eb3d668b31de5d588f4292a", ifMatch: '"2"', data: { name: "Riviera Caterer", borough: Brooklyn, cuisine: American } }
+ *               - { op: delete, id: "5eb3d668b31de5d588f4292b" }
+ *     responses:
+ *       200:
+ *         description: Lote procesado; el resultado de cada operación está en `results`
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResult'
+ *       400:
+ *         description: >
+ *           El lote no cumple la especificación (`INVALID_REQUEST`) o se pidió `atomic=true` sin un replica set
+ *           (`TRANSACTIONS_UNAVAILABLE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyKeyInProgress'
+ *       422:
+ *         description: La Idempotency-Key ya se usó con una solicitud distinta (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post("/batch", authenticate, authorize("admin"), idempotency, restaurantController.batchRestaurants);
+
+/* Las rutas estáticas como /search o /clusters deben declararse antes de /:id para que Express no las interprete como un ID */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Nombre del restaurante.
+ *         cuisine:
+ *           type: string
+ *           description: Tipo de cocina del restaurante.
+ *         borough:
+ *           type: string
+ *           description: Distrito del restaurante.
+ *         score:
+ *           type: number
+ *           description: Relevancia del resultado (solo con `q`).
+ *         address:
+ *           type: object
+ *           properties:
+ *             coord:
+ *               $ref: '#/components/schemas/GeoPoint'
+ *         distance:
+ *           type: number
+ *           description: Distancia al punto de búsqueda en la unidad solicitada (solo con `lng` y `lat`).
+ *     GeoPoint:
+ *       type: object
+ *       description: Ubicación del restaurante como punto GeoJSON.
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [Point]
+ *         coordinates:
+ *           type: array
+ *           minItems: 2
+ *           maxItems: 2
+ *           items:
+ *             type: number
+ *           description: Coordenadas [longitud, latitud].
+ *           example: [-73.98513559999999, 40.7676919]
+ *     GeoPointInput:
+ *       description: Punto GeoJSON o, por compatibilidad, el formato heredado [longitud, latitud].
+ *       oneOf:
+ *         - $ref: '#/components/schemas/GeoPoint'
+ *         - type: array
+ *           minItems: 2
+ *           maxItems: 2
+ *           items:
+ *             type: number
+ */
+
+/**
+ * @swagger
+ * /restaurants/search:
+ *   get:
+ *     summary: Busca y ordena restaurantes según los filtros proporcionados, la relevancia del texto o la proximidad geográfica.
+ *     description: >
+ *       Con `q` se realiza una búsqueda de texto completo sobre el nombre, la cocina, la calle y los comentarios
+ *       publicados, ordenada por relevancia (campo `score`, la del restaurante más la de sus comentarios). La búsqueda ignora mayúsculas y acentos ("cafe" encuentra "Café").
+ *       Con `bbox`, `polygon` o `route` se limita la búsqueda a un área. La búsqueda por proximidad (`lng`/`lat`)
+ *       no se puede combinar con `q` ni con un área.
+ *     tags:
+ *       - Restaurantes
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto libre a buscar en el nombre, la cocina, la calle y los comentarios, ordenado por relevancia.
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [es, en]
+ *         description: >
+ *           Idioma del texto de `q`, para aplicar la derivación de palabras en español o en inglés. Cada comentario
+ *           se indexa en su propio idioma (`language`) y el resto del texto en inglés, así que la derivación solo
+ *           coincide con el texto escrito en el idioma indicado.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *         description: Número máximo de resultados de la búsqueda de texto.
+ *       - in: query
+ *         name: filter
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: Filtros con la misma sintaxis que el listado de restaurantes (`filter[campo][operador]=valor`).
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Nombre del restaurante a buscar.
+ *       - in: query
+ *         name: cuisine
+ *         schema:
+ *           type: string
+ *         description: Tipo de cocina del restaurante a buscar.
+ *       - in: query
+ *         name: borough
+ *         schema:
+ *           type: string
+ *         description: Distrito del restaurante a buscar.
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitud para la búsqueda por proximidad.
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitud para la búsqueda por proximidad.
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 5000
+ *         description: Distancia máxima de la búsqueda por proximidad, en la unidad indicada por `unit` (máximo 100 km).
+ *       - in: query
+ *         name: minDistance
+ *         schema:
+ *           type: number
+ *           default: 0
+ *         description: Distancia mínima de la búsqueda por proximidad, en la unidad indicada por `unit`.
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *           enum: [m, km, mi]
+ *           default: m
+ *         description: Unidad de `radius`, `minDistance` y del campo `distance` de los resultados.
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         example: "-74.01,40.70,-73.97,40.73"
+ *         description: >
+ *           Rectángulo visible del mapa, con la forma `minLng,minLat,maxLng,maxLat`. Debe abarcar menos de 180 grados
+ *           de longitud (en los niveles de zoom más bajos, el cliente divide la vista en varias consultas).
+ *       - in: query
+ *         name: polygon
+ *         schema:
+ *           type: string
+ *         description: Geometría GeoJSON (`Polygon` o `MultiPolygon`) serializada, por ejemplo un barrio dibujado en el mapa.
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *         description: Geometría GeoJSON `LineString` serializada; se devuelven los restaurantes a menos de `buffer` de la ruta.
+ *       - in: query
+ *         name: buffer
+ *         schema:
+ *           type: number
+ *           default: 100
+ *         description: Distancia máxima a la ruta, en la unidad indicada por `unit` (máximo 5 km).
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Ordenación con los mismos campos que el listado de restaurantes, o `best_rated`. Se aplica a la búsqueda de
+ *           texto (que por defecto ordena por relevancia), a la búsqueda por filtros y a la búsqueda por área (`-_id`
+ *           por defecto); la búsqueda por proximidad siempre ordena por distancia.
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor de la búsqueda por proximidad o por área devuelto en `next` o `prev`.
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir el número total de restaurantes de la búsqueda por proximidad o por área.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *         description: Con `geojson` la respuesta es una `FeatureCollection` que se puede cargar directamente en Leaflet o Mapbox.
+ *     responses:
+ *       200:
+ *         description: >
+ *           Lista de restaurantes que coinciden con los filtros. La búsqueda por proximidad (`lng` y `lat`)
+ *           devuelve una página ordenada del más cercano al más lejano, con los cursores `next` y `prev`
+ *           y la distancia de cada restaurante; la búsqueda por área (`bbox`, `polygon` o `route`) devuelve
+ *           una página con la misma forma que el listado. Con `format=geojson` se devuelve una `FeatureCollection`
+ *           que conserva los datos de paginación.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *                 - type: object
+ *                   properties:
+ *                     unit:
+ *                       type: string
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     next:
+ *                       type: string
+ *                       nullable: true
+ *                     prev:
+ *                       type: string
+ *                       nullable: true
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SearchResult'
  *       400:
- *         description: Error en la solicitud
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/search", restaurantController.searchAndSortRestaurants);
+
+/**
+ * @swagger
+ * /restaurants/clusters:
+ *   get:
+ *     summary: Agrupa los restaurantes del mapa en celdas según el nivel de zoom.
+ *     description: >
+ *       Divide el rectángulo visible en una cuadrícula cuyo tamaño depende del zoom y devuelve, por cada celda,
+ *       el número de restaurantes, su centroide y un desglose por cocina o por la última calificación.
+ *       A partir del zoom 16 se devuelven los restaurantes individuales (máximo 1000).
+ *     tags:
+ *       - Restaurantes
+ *     parameters:
+ *       - in: query
+ *         name: bbox
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "-74.05,40.68,-73.90,40.82"
+ *         description: >
+ *           Rectángulo visible del mapa, con la forma `minLng,minLat,maxLng,maxLat`. Debe abarcar menos de 180 grados
+ *           de longitud (en los niveles de zoom más bajos, el cliente divide la vista en varias consultas).
+ *       - in: query
+ *         name: zoom
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 22
+ *         description: Nivel de zoom del mapa.
+ *       - in: query
+ *         name: breakdown
+ *         schema:
+ *           type: string
+ *           enum: [cuisine, grade]
+ *           default: cuisine
+ *         description: Desglose de cada celda por tipo de cocina o por la letra de la última inspección.
+ *       - in: query
+ *         name: filter
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: Filtros con la misma sintaxis que el listado de restaurantes (`filter[campo][operador]=valor`).
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *         description: Con `geojson` la respuesta es una `FeatureCollection` con un punto por celda o por restaurante.
+ *     responses:
+ *       200:
+ *         description: Agrupaciones de la cuadrícula o, con zoom alto, los restaurantes individuales.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
+ *                 zoom:
+ *                   type: integer
+ *                 clustered:
+ *                   type: boolean
+ *                   description: "`false` cuando se devuelven los restaurantes individuales en `data`."
+ *                 cellSize:
+ *                   type: number
+ *                   description: Lado de cada celda en grados.
+ *                 breakdown:
  *                   type: string
- *                   description: Mensaje de error
+ *                 truncated:
+ *                   type: boolean
+ *                   description: Indica si había más restaurantes individuales de los devueltos.
+ *                 clusters:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         description: Identificador de la celda (`zoom/x/y`).
+ *                       count:
+ *                         type: integer
+ *                       centroid:
+ *                         type: object
+ *                         properties:
+ *                           lng:
+ *                             type: number
+ *                           lat:
+ *                             type: number
+ *                       bounds:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                         description: Límites de la celda `[minLng, minLat, maxLng, maxLat]`.
+ *                       breakdown:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: integer
+ *                         example: { "Pizza": 12, "Chinese": 7 }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
-router.post("/", restaurantController.createRestaurant);
+router.get("/clusters", restaurantController.getRestaurantClusters);
 
 /**
  * @swagger
  * /restaurants/{id}:
- *   put:
- *     summary: Actualizar un restaurante por ID
+ *   get:
+ *     summary: Obtener un restaurante por ID
  *     tags: [Restaurantes]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
+ *           $ref: '#/components/schemas/RestaurantKey'
+ *         description: ObjectId del restaurante o su `restaurant_id` heredado
+ *       - in: query
+ *         name: fields
+ *         schema:
  *           type: string
- *         description: El ID del restaurante a actualizar
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               address:
- *                 type: object
- *                 properties:
- *                   building:
- *                     type: string
- *                   coord:
- *                     type: array
- *                     items:
- *                       type: number
- *                   street:
- *                     type: string
- *                   zipcode:
- *                     type: string
- *               borough:
- *                 type: string
- *               cuisine:
- *                 type: string
- *               grades:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     date:
- *                       type: string
- *                       format: date-time
- *                     grade:
- *                       type: string
- *                     score:
- *                       type: number
- *               name:
- *                 type: string
- *               restaurant_id:
- *                 type: string
- *               comments:
- *                 type: array
- *                 items:
- *                   type: object
+ *         example: "name,cuisine,address.zipcode"
+ *         description: Campos a devolver, separados por comas. Los comentarios y las calificaciones solo se incluyen con `expand`.
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *         example: "comments:5,grades"
+ *         description: >
+ *           Comentarios publicados y calificaciones a incluir (`comments`, `grades`), con un límite opcional de
+ *           elementos (los más recientes) tras `:`. Sin límite se incluyen como máximo los 100 más recientes; para
+ *           obtener el resto se usan las rutas paginadas de comentarios y calificaciones.
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
- *         description: Restaurante actualizado con éxito
+ *         description: Restaurante encontrado
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -200,82 +1279,188 @@ router.post("/", restaurantController.createRestaurant);
  *               properties:
  *                 _id:
  *                   type: string
- *                 address:
- *                   type: object
- *                   properties:
- *                     building:
- *                       type: string
- *                     coord:
- *                       type: array
- *                       items:
- *                         type: number
- *                     street:
- *                       type: string
- *                     zipcode:
- *                       type: string
+ *                 name:
+ *                   type: string
  *                 borough:
  *                   type: string
  *                 cuisine:
  *                   type: string
+ *                 address:
+ *                   type: object
+ *                 restaurant_id:
+ *                   type: string
  *                 grades:
  *                   type: array
  *                   items:
  *                     type: object
- *                     properties:
- *                       date:
- *                         type: string
- *                         format: date-time
- *                       grade:
- *                         type: string
- *                       score:
- *                         type: number
- *                 name:
- *                   type: string
- *                 restaurant_id:
- *                   type: string
  *                 comments:
  *                   type: array
  *                   items:
  *                     type: object
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/:id", restaurantController.getRestaurantById);
+
+/**
+ * @swagger
+ * /restaurants/{id}:
+ *   put:
+ *     summary: Reemplazar los datos de un restaurante por ID
+ *     description: >
+ *       Reemplaza todos los campos editables (`name`, `borough`, `cuisine`, `address`); los que se omiten se eliminan.
+ *       Los identificadores y los arrays `grades` y `comments` son de solo lectura y se modifican mediante sus propias rutas.
+ *     tags: [Restaurantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante a actualizar
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RestaurantReplace'
+ *     responses:
+ *       200:
+ *         description: Restaurante actualizado con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Restaurant'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.put("/:id", authenticate, authorize("admin"), restaurantController.updateRestaurant);
+
+/**
+ * @swagger
+ * /restaurants/{id}:
+ *   patch:
+ *     summary: Modificar parcialmente un restaurante por ID
+ *     description: >
+ *       Acepta JSON Merge Patch (RFC 7386; `null` elimina el campo) o JSON Patch (RFC 6902). El parche se aplica
+ *       sobre los campos editables y el resultado debe cumplir las mismas reglas que un PUT. Si alguna operación
+ *       falla no se aplica ninguna.
+ *     tags: [Restaurantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante a modificar
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/RestaurantMergePatch'
+ *           example: { "cuisine": "Pizza", "address": { "zipcode": "10019", "building": null } }
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/JsonPatch'
+ *           example: [{ "op": "test", "path": "/cuisine", "value": "Italian" }, { "op": "replace", "path": "/cuisine", "value": "Pizza" }]
+ *     responses:
+ *       200:
+ *         description: Restaurante modificado con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Restaurant'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  *       404:
- *         description: Restaurante no encontrado
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: >
+ *           Una operación `test` del parche no se cumple (`PATCH_TEST_FAILED`) o el restaurante cambió mientras
+ *           se aplicaba el parche (`VERSION_CONFLICT`)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *       500:
- *         description: Error al actualizar el restaurante
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       415:
+ *         description: Tipo de contenido distinto de `application/merge-patch+json` o `application/json-patch+json`
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: El parche no se puede aplicar (`INVALID_PATCH`) o el resultado no es válido (`VALIDATION_FAILED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
-router.put("/:id", restaurantController.updateRestaurant);
+router.patch("/:id", authenticate, authorize("admin"), restaurantController.patchRestaurant);
 
 /**
  * @swagger
  * /restaurants/{id}:
  *   delete:
  *     summary: Eliminar un restaurante por ID
+ *     description: >
+ *       El restaurante pasa a la papelera: deja de aparecer en las consultas y se puede restaurar desde
+ *       `/admin/trash/restaurants` hasta que venza el periodo de retención (`TRASH_RETENTION_DAYS`).
  *     tags: [Restaurantes]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del restaurante a eliminar
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Restaurante eliminado con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -284,27 +1469,17 @@ router.put("/:id", restaurantController.updateRestaurant);
  *                 message:
  *                   type: string
  *       404:
- *         description: Restaurante no encontrado
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
- *         description: Error al eliminar el restaurante
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
+ *         $ref: '#/components/responses/InternalError'
  */
-router.delete("/:id", restaurantController.deleteRestaurant);
+router.delete("/:id", authenticate, authorize("admin"), restaurantController.deleteRestaurant);
 
 /* Endpoints para Comentarios de Restaurantes */
 
@@ -313,51 +1488,61 @@ router.delete("/:id", restaurantController.deleteRestaurant);
  * /restaurants/{id}/comments:
  *   get:
  *     summary: Obtener todos los comentarios de un restaurante por ID
+ *     description: >
+ *       Solo devuelve los comentarios aprobados, organizados en hilos: cada comentario incluye sus respuestas y
+ *       el número total de respuestas de su hilo. Las respuestas a un comentario que no está publicado no se
+ *       muestran. Se paginan los hilos: cada página incluye `limit` comentarios raíz con todas sus respuestas, y
+ *       los enlaces a la página siguiente y a la anterior se envían en la cabecera `Link`.
  *     tags: [Comentarios]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del restaurante
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, helpful]
+ *           default: oldest
+ *         description: >
+ *           Orden de los comentarios: más recientes, más antiguos o más útiles. Las respuestas siempre se
+ *           ordenan de la más antigua a la más reciente.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *         description: Número de hilos por página (los valores mayores que 100 se limitan a 100)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco de uno de los enlaces de la cabecera `Link` de una respuesta anterior
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Lista de comentarios obtenida con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   user:
- *                     type: string
- *                   comment:
- *                     type: string
- *                   date:
- *                     type: string
- *                     format: date-time
+ *                 $ref: '#/components/schemas/CommentThread'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
  *       404:
- *         description: Restaurante no encontrado
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *         $ref: '#/components/responses/NotFound'
  *       500:
- *         description: Error al obtener los comentarios
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
+ *         $ref: '#/components/responses/InternalError'
  */
 router.get("/:id/comments", restaurantController.getAllCommentsById);
 
@@ -366,159 +1551,161 @@ router.get("/:id/comments", restaurantController.getAllCommentsById);
  * /restaurants/{id}/comments/{commentId}:
  *   put:
  *     summary: Actualizar un comentario de un restaurante por ID
+ *     description: >
+ *       Solo el autor del comentario o un moderador (`reviewer`, `admin`) pueden editarlo. El comentario
+ *       queda marcado como editado con la fecha de la edición y, si el nuevo texto parece sospechoso, vuelve a
+ *       la cola de moderación.
  *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del restaurante
  *       - in: path
  *         name: commentId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del comentario
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               user:
- *                 type: string
- *               comment:
- *                 type: string
- *               date:
- *                 type: string
- *                 format: date-time
+ *             $ref: '#/components/schemas/CommentInput'
  *     responses:
  *       200:
  *         description: Comentario actualizado con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 user:
- *                   type: string
- *                 comment:
- *                   type: string
- *                 date:
- *                   type: string
- *                   format: date-time
+ *               $ref: '#/components/schemas/Comment'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       404:
- *         description: Restaurante o comentario no encontrado
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: El usuario no es el autor del comentario ni un moderador (`COMMENT_NOT_OWNED`)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Error al actualizar el comentario
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
+ *         $ref: '#/components/responses/InternalError'
  */
-router.put("/:id/comments/:commentId", restaurantController.updateCommentById);
+router.put(
+  "/:id/comments/:commentId",
+  authenticate,
+  restaurantController.updateCommentById
+);
 
 /**
  * @swagger
  * /restaurants/{id}/comments:
  *   post:
  *     summary: Agregar un comentario a un restaurante
+ *     description: >
+ *       El usuario autenticado figura como autor y las fechas las asigna el servidor. Si el análisis automático
+ *       encuentra palabras de la lista, demasiados enlaces u otros indicios de spam, el comentario queda marcado
+ *       (`flagged`) hasta que lo revise un moderador. La respuesta incluye los 10 últimos comentarios publicados,
+ *       del más antiguo al más reciente, y el nuevo con su estado.
  *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del restaurante
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               user:
- *                 type: string
- *               comment:
- *                 type: string
- *               date:
- *                 type: string
- *                 format: date-time
+ *             $ref: '#/components/schemas/CommentInput'
  *     responses:
  *       201:
  *         description: Comentario agregado con éxito
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 user:
- *                   type: string
- *                 comment:
- *                   type: string
- *                 date:
- *                   type: string
- *                   format: date-time
- *       404:
- *         description: Restaurante no encontrado
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Comment'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyKeyInProgress'
+ *       422:
+ *         description: >
+ *           Los datos no son válidos (`VALIDATION_FAILED`) o la Idempotency-Key ya se usó con una solicitud
+ *           distinta (`IDEMPOTENCY_KEY_REUSED`)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
- *         description: Error al agregar el comentario
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
+ *         $ref: '#/components/responses/InternalError'
  */
-router.post("/:id/comments", restaurantController.addComment);
+router.post("/:id/comments", authenticate, idempotency, restaurantController.addComment);
 
 /**
  * @swagger
  * /restaurants/{id}/comments/{commentId}:
  *   delete:
  *     summary: Eliminar un comentario de un restaurante por ID
+ *     description: >
+ *       Solo el autor del comentario o un moderador (`reviewer`, `admin`) pueden eliminarlo. El comentario
+ *       pasa a la papelera y se puede restaurar desde `/admin/trash/comments` hasta que venza el periodo
+ *       de retención.
  *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del restaurante
  *       - in: path
  *         name: commentId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del comentario
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Comentario eliminado con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -527,16 +1714,63 @@ router.post("/:id/comments", restaurantController.addComment);
  *                 message:
  *                   type: string
  *       404:
- *         description: Restaurante o comentario no encontrado
+ *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: El usuario no es el autor del comentario ni un moderador (`COMMENT_NOT_OWNED`)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Error al eliminar el comentario
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete(
+  "/:id/comments/:commentId",
+  authenticate,
+  restaurantController.deleteCommentById
+);
+
+/**
+ * @swagger
+ * /restaurants/{id}/comments/{commentId}/reports:
+ *   post:
+ *     summary: Denunciar un comentario
+ *     description: >
+ *       Cada usuario puede denunciar un comentario publicado una sola vez. Al alcanzar el número de denuncias
+ *       configurado en `COMMENT_REPORT_THRESHOLD` (3 por defecto), el comentario deja de publicarse y pasa a la
+ *       cola de moderación.
+ *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del comentario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentReportInput'
+ *     responses:
+ *       201:
+ *         description: Denuncia registrada con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -544,13 +1778,181 @@ router.post("/:id/comments", restaurantController.addComment);
  *               properties:
  *                 message:
  *                   type: string
- *                 error:
- *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: El usuario ya había denunciado el comentario (`COMMENT_ALREADY_REPORTED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
-router.delete(
-  "/:id/comments/:commentId",
-  restaurantController.deleteCommentById
-);
+router.post("/:id/comments/:commentId/reports", authenticate, restaurantController.reportComment);
+
+/**
+ * @swagger
+ * /restaurants/{id}/comments/{commentId}/replies:
+ *   post:
+ *     summary: Responder a un comentario
+ *     description: >
+ *       La respuesta es un comentario más, enlazado con su comentario padre, y pasa por la misma moderación. Solo
+ *       se puede responder a comentarios publicados y hasta la profundidad configurada en `COMMENT_MAX_DEPTH`
+ *       (3 por defecto).
+ *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del comentario al que se responde
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentInput'
+ *     responses:
+ *       201:
+ *         description: Respuesta publicada con éxito
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyKeyInProgress'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       422:
+ *         description: >
+ *           Los datos no son válidos (`VALIDATION_FAILED`), se supera la profundidad máxima de las respuestas
+ *           (`REPLY_DEPTH_EXCEEDED`) o la Idempotency-Key ya se usó con una solicitud distinta
+ *           (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post("/:id/comments/:commentId/replies", authenticate, idempotency, restaurantController.addReply);
+
+/**
+ * @swagger
+ * /restaurants/{id}/comments/{commentId}/reactions:
+ *   put:
+ *     summary: Reaccionar a un comentario
+ *     description: >
+ *       Marca un comentario publicado como útil o no útil. Cada usuario tiene una sola reacción por comentario;
+ *       enviar otra la sustituye.
+ *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del comentario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReactionInput'
+ *     responses:
+ *       200:
+ *         description: Reacción registrada; devuelve el comentario con sus recuentos
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *   delete:
+ *     summary: Retirar la reacción a un comentario
+ *     tags: [Comentarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del comentario
+ *     responses:
+ *       200:
+ *         description: Reacción retirada; devuelve el comentario con sus recuentos
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: El restaurante o el comentario no existen, o el usuario no había reaccionado (`REACTION_NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.put("/:id/comments/:commentId/reactions", authenticate, restaurantController.setReaction);
+router.delete("/:id/comments/:commentId/reactions", authenticate, restaurantController.deleteReaction);
 
 /* Endpoints para Calificaciones de Restaurantes */
 
@@ -558,52 +1960,51 @@ router.delete(
  * @swagger
  * /restaurants/{id}/grades:
  *   get:
- *     summary: Obtener todas las calificaciones de un restaurante por ID
+ *     summary: Obtener las calificaciones de un restaurante por ID
+ *     description: >
+ *       Devuelve las calificaciones de la más reciente a la más antigua, paginadas: los enlaces a la página
+ *       siguiente y a la anterior se envían en la cabecera `Link`.
  *     tags: [Calificaciones]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del restaurante
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *         description: Número de calificaciones por página (los valores mayores que 100 se limitan a 100)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco de uno de los enlaces de la cabecera `Link` de una respuesta anterior
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Lista de calificaciones obtenida con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   date:
- *                     type: string
- *                     format: date-time
- *                   grade:
- *                     type: string
- *                   score:
- *                     type: number
+ *                 $ref: '#/components/schemas/Grade'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
  *       404:
- *         description: Restaurante no encontrado
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *         $ref: '#/components/responses/NotFound'
  *       500:
- *         description: Error al obtener las calificaciones
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
+ *         $ref: '#/components/responses/InternalError'
  */
 router.get("/:id/grades", restaurantController.getGradesByRestaurantId);
 
@@ -613,70 +2014,65 @@ router.get("/:id/grades", restaurantController.getGradesByRestaurantId);
  *   put:
  *     summary: Actualizar una calificación de un restaurante por ID
  *     tags: [Calificaciones]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del restaurante
  *       - in: path
  *         name: gradeId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID de la calificación
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               date:
- *                 type: string
- *                 format: date-time
- *               grade:
- *                 type: string
- *               score:
- *                 type: number
+ *             $ref: '#/components/schemas/GradeUpdate'
  *     responses:
  *       200:
  *         description: Calificación actualizada con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 date:
- *                   type: string
- *                   format: date-time
- *                 grade:
- *                   type: string
- *                 score:
- *                   type: number
- *       404:
- *         description: Restaurante o calificación no encontrado
+ *               $ref: '#/components/schemas/Grade'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       409:
+ *         description: >
+ *           Otra solicitud siguió modificando el restaurante mientras se recalculaba su resumen de evaluaciones
+ *           (`VERSION_CONFLICT`)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
- *         description: Error al actualizar la calificación
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
+ *         $ref: '#/components/responses/InternalError'
  */
-router.put("/:id/grades/:gradeId", restaurantController.updateGradeById);
+router.put(
+  "/:id/grades/:gradeId",
+  authenticate,
+  authorize("inspector"),
+  restaurantController.updateGradeById
+);
 
 /**
  * @swagger
@@ -684,22 +2080,28 @@ router.put("/:id/grades/:gradeId", restaurantController.updateGradeById);
  *   delete:
  *     summary: Eliminar una calificación de un restaurante por ID
  *     tags: [Calificaciones]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del restaurante
  *       - in: path
  *         name: gradeId
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID de la calificación
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Calificación eliminada con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -708,27 +2110,30 @@ router.put("/:id/grades/:gradeId", restaurantController.updateGradeById);
  *                 message:
  *                   type: string
  *       404:
- *         description: Restaurante o calificación no encontrado
+ *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       409:
+ *         description: >
+ *           Otra solicitud siguió modificando el restaurante mientras se recalculaba su resumen de evaluaciones
+ *           (`VERSION_CONFLICT`)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
- *         description: Error al eliminar la calificación
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
+ *         $ref: '#/components/responses/InternalError'
  */
-router.delete("/:id/grades/:gradeId", restaurantController.deleteGradeById);
+router.delete(
+  "/:id/grades/:gradeId",
+  authenticate,
+  authorize("inspector"),
+  restaurantController.deleteGradeById
+);
 
 /**
  * @swagger
@@ -736,128 +2141,383 @@ router.delete("/:id/grades/:gradeId", restaurantController.deleteGradeById);
  *   post:
  *     summary: Agregar una calificación a un restaurante por ID
  *     tags: [Calificaciones]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *         description: El ID del restaurante
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               date:
- *                 type: string
- *                 format: date-time
- *               grade:
- *                 type: string
- *               score:
- *                 type: number
+ *             $ref: '#/components/schemas/GradeInput'
  *     responses:
  *       201:
- *         description: Calificación agregada con éxito
+ *         description: >
+ *           Calificación agregada con éxito. La respuesta es la primera página de calificaciones del restaurante,
+ *           igual que la de `GET /restaurants/{id}/grades`.
+ *         headers:
+ *           Idempotent-Replayed:
+ *             $ref: '#/components/headers/IdempotentReplayed'
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 date:
- *                   type: string
- *                   format: date-time
- *                 grade:
- *                   type: string
- *                 score:
- *                   type: number
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Grade'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       409:
+ *         description: >
+ *           Ya se está atendiendo una solicitud con la misma Idempotency-Key (`IDEMPOTENCY_KEY_IN_PROGRESS`) u
+ *           otra solicitud siguió modificando el restaurante mientras se recalculaba su resumen de evaluaciones
+ *           (`VERSION_CONFLICT`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: >
+ *           Los datos no son válidos (`VALIDATION_FAILED`) o la Idempotency-Key ya se usó con una solicitud
+ *           distinta (`IDEMPOTENCY_KEY_REUSED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/:id/grades",
+  authenticate,
+  authorize("inspector"),
+  idempotency,
+  restaurantController.addGrade
+);
+
+/* Endpoints para las Valoraciones de los comensales */
+
+/**
+ * @swagger
+ * /restaurants/{id}/ratings/me:
+ *   get:
+ *     summary: Obtener la valoración del usuario a un restaurante
+ *     tags: [Valoraciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *     responses:
+ *       200:
+ *         description: Valoración del usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Rating'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
- *         description: Restaurante no encontrado
+ *         description: El restaurante no existe o el usuario no lo ha valorado (`RATING_NOT_FOUND`)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *   put:
+ *     summary: Valorar un restaurante
+ *     description: >
+ *       Valora un restaurante de 1 a 5 estrellas. Cada usuario tiene una sola valoración por restaurante; enviar
+ *       otra la sustituye. Las valoraciones de los comensales son independientes de las calificaciones de las
+ *       inspecciones y cambian el ETag del restaurante, pero no se registran en el historial.
+ *     tags: [Valoraciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RatingInput'
+ *     responses:
+ *       200:
+ *         description: Valoración modificada; devuelve la valoración y el resumen de valoraciones del restaurante
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RatingResult'
+ *       201:
+ *         description: Primera valoración del usuario; devuelve la valoración y el resumen de valoraciones del restaurante
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RatingResult'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  *       500:
- *         description: Error al agregar la calificación
+ *         $ref: '#/components/responses/InternalError'
+ *   delete:
+ *     summary: Retirar la valoración a un restaurante
+ *     tags: [Valoraciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *     responses:
+ *       200:
+ *         description: Valoración retirada; devuelve la valoración y el resumen de valoraciones del restaurante
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
+ *               $ref: '#/components/schemas/RatingResult'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: El restaurante no existe o el usuario no lo había valorado (`RATING_NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
-router.post("/:id/grades", restaurantController.addGrade);
+router.get("/:id/ratings/me", authenticate, restaurantController.getOwnRating);
+router.put("/:id/ratings/me", authenticate, restaurantController.setRating);
+router.delete("/:id/ratings/me", authenticate, restaurantController.deleteRating);
+
+/* Endpoints para el Historial de cambios de Restaurantes */
 
 /**
  * @swagger
- * /restaurants/search:
+ * components:
+ *   schemas:
+ *     HistoryEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         restaurantId:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Versión del restaurante tras el cambio (la de su ETag)
+ *         operation:
+ *           type: string
+ *           enum: [create, replace, patch, delete, restore, revert, comment.add, comment.update, comment.delete,
+ *             comment.restore, comment.purge, grade.add, grade.update, grade.delete]
+ *         actor:
+ *           type: string
+ *           nullable: true
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         revertedTo:
+ *           type: integer
+ *           description: Versión restaurada, en las operaciones `revert`
+ *         item:
+ *           type: object
+ *           description: Comentario o calificación modificado, en las operaciones sobre ellos
+ *           properties:
+ *             field:
+ *               type: string
+ *               enum: [comments, grades]
+ *             id:
+ *               type: string
+ *         changes:
+ *           type: array
+ *           nullable: true
+ *           description: >
+ *             Diferencias con la versión registrada anterior, o `null` si no hay ninguna. En las operaciones
+ *             sobre un comentario o una calificación se compara con la versión anterior de ese elemento, que se
+ *             identifica por su `_id` en la ruta (`comments.<id>.comment`).
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 example: "address.zipcode"
+ *               from:
+ *                 nullable: true
+ *                 description: Valor anterior
+ *               to:
+ *                 nullable: true
+ *                 description: Valor nuevo
+ */
+
+/**
+ * @swagger
+ * /restaurants/{id}/history:
  *   get:
- *     summary: Busca y ordena restaurantes según los filtros proporcionados y la proximidad geográfica.
- *     tags:
- *       - Restaurantes
+ *     summary: Obtener el historial de cambios de un restaurante
+ *     description: Entradas de la versión más reciente a la más antigua, con paginación por cursor.
+ *     tags: [Historial]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: name
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
- *           type: string
- *         description: Nombre del restaurante a buscar.
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
  *       - in: query
- *         name: cuisine
+ *         name: limit
  *         schema:
- *           type: string
- *         description: Tipo de cocina del restaurante a buscar.
+ *           type: integer
+ *           minimum: 1
+ *           default: 10
+ *         description: Número de entradas por página (máximo 100)
  *       - in: query
- *         name: borough
+ *         name: cursor
  *         schema:
  *           type: string
- *         description: Distrito del restaurante a buscar.
- *       - in: query
- *         name: lng
+ *         description: Cursor `next` o `prev` de una respuesta anterior
+ *     responses:
+ *       200:
+ *         description: Página del historial
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                 prev:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HistoryEntry'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get(
+  "/:id/history",
+  authenticate,
+  authorize("admin"),
+  restaurantController.getRestaurantHistory
+);
+
+/**
+ * @swagger
+ * /restaurants/{id}/history/{version}/revert:
+ *   post:
+ *     summary: Revertir un restaurante a una versión anterior
+ *     description: >
+ *       Restaura los campos editables que tenía el restaurante en esa versión. Los comentarios y las
+ *       calificaciones no se revierten: se modifican mediante sus propias rutas.
+ *       La reversión se registra como una versión nueva, por lo que también se puede deshacer.
+ *     tags: [Historial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
- *           type: string
- *         description: Longitud para la búsqueda por proximidad.
- *       - in: query
- *         name: lat
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del restaurante
+ *       - in: path
+ *         name: version
+ *         required: true
  *         schema:
- *           type: string
- *         description: Latitud para la búsqueda por proximidad.
+ *           type: integer
+ *           minimum: 0
+ *         description: Versión del historial a la que se revierte
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
- *         description: Lista de restaurantes que coinciden con los filtros y la proximidad.
+ *         description: Restaurante revertido con éxito
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   name:
- *                     type: string
- *                     description: Nombre del restaurante.
- *                   cuisine:
- *                     type: string
- *                     description: Tipo de cocina del restaurante.
- *                   borough:
- *                     type: string
- *                     description: Distrito del restaurante.
- *                   address:
- *                     type: object
- *                     properties:
- *                       coord:
- *                         type: array
- *                         items:
- *                           type: number
- *                         description: Coordenadas del restaurante.
+ *               $ref: '#/components/schemas/Restaurant'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: El restaurante se modificó mientras se revertía (`VERSION_CONFLICT`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
- *         description: Error interno del servidor.
+ *         $ref: '#/components/responses/InternalError'
  */
-router.get("/search", restaurantController.searchAndSortRestaurants);
+router.post(
+  "/:id/history/:version/revert",
+  authenticate,
+  authorize("admin"),
+  restaurantController.revertRestaurant
+);
 
 module.exports = router;
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Definición de las rutas de estadísticas. Todas aceptan los mismos filtros que el listado de restaurantes.
+ */
+
+const express = require("express");
+const router = express.Router();
+const statsController = require("../controllers/statsController");
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     RestaurantFilter:
+ *       in: query
+ *       name: filter
+ *       style: deepObject
+ *       explode: true
+ *       schema:
+ *         type: object
+ *       description: Filtros con la misma sintaxis que el listado de restaurantes (`filter[campo][operador]=valor`).
+ */
+
+/**
+ * @swagger
+ * /stats/counts:
+ *   get:
+ *     summary: Número de restaurantes por distrito y/o tipo de cocina
+ *     tags: [Estadísticas]
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           default: borough
+ *         example: "borough,cuisine"
+ *         description: Campos de agrupación separados por comas (`borough`, `cuisine`)
+ *       - $ref: '#/components/parameters/RestaurantFilter'
+ *     responses:
+ *       200:
+ *         description: Conteos ordenados de mayor a menor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groupBy:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 total:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       borough:
+ *                         type: string
+ *                       cuisine:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/counts", statsController.getCounts);
+
+/**
+ * @swagger
+ * /stats/scores:
+ *   get:
+ *     summary: Distribución de puntuaciones y proporción de cada letra en las inspecciones
+ *     tags: [Estadísticas]
+ *     parameters:
+ *       - in: query
+ *         name: bucketSize
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Amplitud de cada intervalo de puntuación
+ *       - $ref: '#/components/parameters/RestaurantFilter'
+ *     responses:
+ *       200:
+ *         description: Histograma de puntuaciones y reparto de letras
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 bucketSize:
+ *                   type: integer
+ *                 inspections:
+ *                   type: integer
+ *                 scores:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: number
+ *                       to:
+ *                         type: number
+ *                       count:
+ *                         type: integer
+ *                 grades:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       grade:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                       percentage:
+ *                         type: number
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/scores", statsController.getScoreDistribution);
+
+/**
+ * @swagger
+ * /stats/trends:
+ *   get:
+ *     summary: Evolución mensual de las inspecciones
+ *     tags: [Estadísticas]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha inicial de las inspecciones (incluida)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Fecha final de las inspecciones (excluida)
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *         description: Desglosar además cada mes por `borough` y/o `cuisine`
+ *       - $ref: '#/components/parameters/RestaurantFilter'
+ *     responses:
+ *       200:
+ *         description: Serie mensual con el número de inspecciones, la puntuación media y el reparto de letras
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groupBy:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       month:
+ *                         type: string
+ *                         example: "2014-03"
+ *                       inspections:
+ *                         type: integer
+ *                       averageScore:
+ *                         type: number
+ *                       grades:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: integer
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/trends", statsController.getMonthlyTrends);
+
+/**
+ * @swagger
+ * /stats/cuisines/ranking:
+ *   get:
+ *     summary: Mejores y peores cocinas de cada distrito
+ *     description: >
+ *       Ordena las cocinas de cada distrito por la puntuación media de sus inspecciones. En Nueva York una
+ *       puntuación más baja indica menos infracciones, por lo que `best` contiene las de menor puntuación.
+ *     tags: [Estadísticas]
+ *     parameters:
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *           minimum: 1
+ *           maximum: 20
+ *         description: Número de cocinas en cada extremo del ranking
+ *       - in: query
+ *         name: minRestaurants
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Número mínimo de restaurantes para que una cocina entre en el ranking
+ *       - $ref: '#/components/parameters/RestaurantFilter'
+ *     responses:
+ *       200:
+ *         description: Ranking por distrito
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 top:
+ *                   type: integer
+ *                 minRestaurants:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       borough:
+ *                         type: string
+ *                       best:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/CuisineScore'
+ *                       worst:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/CuisineScore'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *
+ * components:
+ *   schemas:
+ *     CuisineScore:
+ *       type: object
+ *       properties:
+ *         cuisine:
+ *           type: string
+ *         averageScore:
+ *           type: number
+ *         inspections:
+ *           type: integer
+ *         restaurants:
+ *           type: integer
+ */
+router.get("/cuisines/ranking", statsController.getCuisineRanking);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Definición de las rutas públicas de los usuarios.
+ */
+
+const express = require("express");
+const router = express.Router();
+const userController = require("../controllers/userController");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserComment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         restaurantId:
+ *           type: string
+ *         restaurantName:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         parentId:
+ *           type: string
+ *           description: Comentario al que responde (solo en las respuestas)
+ *         authorName:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         edited:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /users/{id}/comments:
+ *   get:
+ *     summary: Listar los comentarios de un usuario en todos los restaurantes
+ *     description: >
+ *       Ordenados del publicado más recientemente al más antiguo, con paginación por cursor. No incluye los
+ *       comentarios en la papelera ni los de restaurantes en la papelera.
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: El ID del usuario
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 10
+ *         description: Número de comentarios por página (máximo 100)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor `next` o `prev` de una respuesta anterior
+ *     responses:
+ *       200:
+ *         description: Página de comentarios del usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                 prev:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserComment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: El usuario no existe (`USER_NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/:id/comments", userController.getUserComments);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const mongoose = require("mongoose");
+const { cursorOf } = require("../../test/helpers");
+const Restaurant = require("../../models/Restaurant");
+const Comment = require("../../models/Comment");
+const Grade = require("../../models/Grade");
+const { toCommentDocs, migrate } = require("../migrateEmbedded");
+
+const { ObjectId } = mongoose.Types;
+
+describe("toCommentDocs", () => {
+  it("enlaza cada respuesta con el comentario raíz de su hilo y cuenta sus reacciones", () => {
+    const restaurantId = new ObjectId();
+    const [root, reply, nested, orphan, purged] = [1, 2, 3, 4, 5].map(() => new ObjectId());
+    const restaurant = {
+      _id: restaurantId,
+      comments: [
+        {
+          _id: root,
+          comment: "Muy bueno",
+          reactions: [{ value: "helpful" }, { value: "helpful" }, { value: "not_helpful" }],
+        },
+        { _id: reply, parentId: root, comment: "Estoy de acuerdo" },
+        { _id: nested, parentId: reply, comment: "Yo también" },
+        { _id: orphan, parentId: purged, comment: "Su padre se purgó" },
+      ],
+    };
+
+    const docs = toCommentDocs(restaurant);
+
+    expect(docs.map(({ _id, threadId }) => [_id, threadId])).toEqual([
+      [root, undefined],
+      [reply, root],
+      [nested, root],
+      [orphan, purged],
+    ]);
+    expect(docs[0]).toMatchObject({ restaurantId, helpfulCount: 2, notHelpfulCount: 1 });
+    expect(docs[1]).toMatchObject({ restaurantId, helpfulCount: 0, notHelpfulCount: 0 });
+  });
+
+  it("no entra en un bucle con padres circulares", () => {
+    const [a, b] = [new ObjectId(), new ObjectId()];
+    const docs = toCommentDocs({
+      _id: new ObjectId(),
+      comments: [
+        { _id: a, parentId: b },
+        { _id: b, parentId: a },
+      ],
+    });
+
+    expect(docs).toHaveLength(2);
+  });
+
+  it("un restaurante sin comentarios no produce documentos", () => {
+    expect(toCommentDocs({ _id: new ObjectId(), grades: [] })).toEqual([]);
+  });
+});
+
+describe("migrate", () => {
+  let restaurants;
+  let migrations;
+  let find;
+  let updateMany;
+  let commentWrites;
+  let gradeWrites;
+
+  const restaurantWith = (comments, grades) => ({ _id: new ObjectId(), comments, grades });
+
+  beforeEach(() => {
+    restaurants = [
+      restaurantWith([{ _id: new ObjectId(), comment: "Muy bueno" }], [{ _id: new ObjectId(), grade: "A", score: 9 }]),
+      restaurantWith(undefined, [{ _id: new ObjectId(), grade: "B", score: 18 }]),
+    ];
+
+    // El primer lote contiene los restaurantes posteriores a `lastId`; el siguiente, ninguno
+    find = jest
+      .spyOn(Restaurant.collection, "find")
+      .mockImplementationOnce((filter) =>
+        cursorOf(filter._id ? restaurants.filter((doc) => String(doc._id) > String(filter._id.$gt)) : restaurants)
+      )
+      .mockImplementation(() => cursorOf([]));
+    updateMany = jest
+      .spyOn(Restaurant.collection, "updateMany")
+      .mockResolvedValue({ acknowledged: true, matchedCount: 2, modifiedCount: 2 });
+    commentWrites = jest.spyOn(Comment.collection, "bulkWrite").mockResolvedValue({ upsertedCount: 1 });
+    gradeWrites = jest.spyOn(Grade.collection, "bulkWrite").mockResolvedValue({ upsertedCount: 2 });
+    for (const model of [Restaurant, Comment, Grade]) {
+      jest.spyOn(model, "syncIndexes").mockResolvedValue([]);
+    }
+
+    let saved = null;
+    migrations = {
+      findOne: jest.fn(async () => saved && { ...saved }),
+      replaceOne: jest.fn(async (filter, state) => {
+        saved = { ...state };
+      }),
+      deleteOne: jest.fn(async () => {
+        saved = null;
+      }),
+      save: (state) => {
+        saved = state;
+      },
+    };
+    jest.spyOn(mongoose.connection, "collection").mockReturnValue(migrations);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("copia los comentarios y calificaciones sin sobrescribir los existentes y elimina los arrays", async () => {
+    const state = await migrate({ restart: false });
+
+    const [commentOps, commentOptions] = commentWrites.mock.calls[0];
+    expect(commentOptions).toEqual({ ordered: false });
+    expect(commentOps).toEqual([
+      {
+        updateOne: {
+          filter: { _id: restaurants[0].comments[0]._id },
+          update: { $setOnInsert: expect.objectContaining({ comment: "Muy bueno", restaurantId: restaurants[0]._id }) },
+          upsert: true,
+        },
+      },
+    ]);
+    expect(gradeWrites.mock.calls[0][0].map(({ updateOne }) => updateOne.update.$setOnInsert)).toEqual([
+      expect.objectContaining({ grade: "A", restaurantId: restaurants[0]._id }),
+      expect.objectContaining({ grade: "B", restaurantId: restaurants[1]._id }),
+    ]);
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: restaurants.map((doc) => doc._id) } },
+      { $unset: { comments: "", grades: "" } }
+    );
+
+    expect(state).toMatchObject({ lastId: restaurants[1]._id, restaurants: 2, comments: 1, grades: 2 });
+    expect(state.finishedAt).toBeInstanceOf(Date);
+    expect(migrations.replaceOne).toHaveBeenLastCalledWith({ _id: state._id }, state, { upsert: true });
+  });
+
+  it("sincroniza los índices de los tres modelos al terminar", async () => {
+    await migrate({ restart: false });
+
+    for (const model of [Restaurant, Comment, Grade]) {
+      expect(model.syncIndexes).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it("continúa desde el último restaurante procesado", async () => {
+    const lastId = restaurants[0]._id;
+    migrations.save({ _id: "embedded-comments-grades", lastId, restaurants: 1, comments: 1, grades: 1 });
+
+    const state = await migrate({ restart: false });
+
+    expect(find.mock.calls[0][0]._id).toEqual({ $gt: lastId });
+    expect(commentWrites).not.toHaveBeenCalled();
+    expect(state).toMatchObject({ restaurants: 2, comments: 1, grades: 2 });
+  });
+
+  it("con --restart descarta el progreso guardado", async () => {
+    migrations.save({ _id: "embedded-comments-grades", lastId: restaurants[1]._id, restaurants: 2, comments: 1, grades: 2 });
+
+    const state = await migrate({ restart: true });
+
+    expect(migrations.deleteOne).toHaveBeenCalledWith({ _id: "embedded-comments-grades" });
+    expect(find.mock.calls[0][0]._id).toBeUndefined();
+    expect(state).toMatchObject({ restaurants: 2, comments: 1, grades: 2 });
+  });
+});
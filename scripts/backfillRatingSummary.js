@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Calcula `ratingSummary` para los restaurantes existentes a partir de sus calificaciones en la
+ * colección `grades` (ejecutar después de `npm run migrate:embedded`), y `dinerRating` a partir de las valoraciones
+ * de la colección `ratings`. Volver a ejecutarlo con `--restart` corrige cualquier desvío del resumen de valoraciones
+ * y aplica los cambios en `RATING_PRIOR_MEAN` o `RATING_PRIOR_WEIGHT` a la puntuación bayesiana.
+ *
+ * Uso: `npm run backfill:ratings [-- --restart]`
+ *
+ * Avanza por lotes en orden de `_id` y guarda el progreso en la colección `migrations`, por lo que se puede
+ * interrumpir y volver a lanzar. Con `--restart` vuelve a calcular el resumen de todos los restaurantes.
+ */
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Restaurant = require("../models/Restaurant");
+const Grade = require("../models/Grade");
+const Rating = require("../models/Rating");
+const { summarizeRatings } = require("../utils/ratings");
+
+/**
+ * Identificador del documento de progreso en la colección `migrations`.
+ * @type {string}
+ */
+const MIGRATION_ID = "rating-summary-backfill";
+
+/**
+ * Número de restaurantes procesados por lote.
+ * @type {number}
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Agrupa por restaurante los documentos de una colección que pertenecen a un lote de restaurantes.
+ * @async
+ * @function groupByRestaurant
+ * @param {mongodb.Collection} collection - Colección con el campo `restaurantId`.
+ * @param {Object[]} batch - Restaurantes del lote.
+ * @returns {Promise<Map<string, Object[]>>} - Documentos de cada restaurante, por su `_id`.
+ */
+const groupByRestaurant = async (collection, batch) => {
+  const groups = new Map(batch.map((doc) => [String(doc._id), []]));
+  const cursor = collection.find({ restaurantId: { $in: batch.map((doc) => doc._id) } });
+  for await (const item of cursor) {
+    groups.get(String(item.restaurantId)).push(item);
+  }
+  return groups;
+};
+
+/**
+ * Ejecuta el cálculo de los resúmenes para todos los restaurantes pendientes.
+ * @async
+ * @function backfill
+ * @param {Object} options - Opciones de la línea de comandos.
+ * @param {boolean} options.restart - Si es `true`, descarta el progreso guardado.
+ * @returns {Promise<Object>} - Estado final del proceso.
+ */
+const backfill = async ({ restart }) => {
+  const restaurants = Restaurant.collection;
+  const migrations = mongoose.connection.collection("migrations");
+
+  if (restart) await migrations.deleteOne({ _id: MIGRATION_ID });
+
+  const state = (await migrations.findOne({ _id: MIGRATION_ID })) || {
+    _id: MIGRATION_ID,
+    lastId: null,
+    updated: 0,
+    startedAt: new Date(),
+  };
+
+  for (;;) {
+    const filter = state.lastId ? { _id: { $gt: state.lastId } } : {};
+    const batch = await restaurants
+      .find(filter, { projection: { __v: 1 } })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+    if (!batch.length) break;
+
+    const grades = await groupByRestaurant(Grade.collection, batch);
+    const ratings = await groupByRestaurant(Rating.collection, batch);
+
+    // Cada cambio en las calificaciones o valoraciones incrementa la versión del restaurante: la condición sobre
+    // `__v` evita sobrescribir un resumen calculado por la API mientras se ejecuta el proceso
+    await restaurants.bulkWrite(
+      batch.map((doc) => ({
+        updateOne: {
+          filter: { _id: doc._id, __v: doc.__v ?? null },
+          update: {
+            $set: {
+              ratingSummary: Restaurant.summarizeGrades(grades.get(String(doc._id))),
+              dinerRating: summarizeRatings(ratings.get(String(doc._id))),
+            },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+
+    state.lastId = batch[batch.length - 1]._id;
+    state.updated += batch.length;
+    await migrations.replaceOne({ _id: MIGRATION_ID }, state, { upsert: true });
+    console.log(`Procesados ${state.updated} restaurantes...`);
+  }
+
+  state.finishedAt = new Date();
+  await migrations.replaceOne({ _id: MIGRATION_ID }, state, { upsert: true });
+  return state;
+};
+
+connectDB()
+  .then(() => backfill({ restart: process.argv.includes("--restart") }))
+  .then((state) => console.log(`Resúmenes de evaluaciones y valoraciones calculados para ${state.updated} restaurantes`))
+  .catch((err) => {
+    console.error("Error al calcular los resúmenes:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
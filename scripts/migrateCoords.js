@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Migración de `address.coord` del formato heredado [longitud, latitud] a un punto GeoJSON.
+ *
+ * Uso: `npm run migrate:coords [-- --dry-run] [-- --restart]`
+ *
+ * La migración avanza por lotes en orden de `_id` y guarda el progreso en la colección `migrations`,
+ * por lo que se puede interrumpir y volver a lanzar. Las coordenadas invertidas ([latitud, longitud])
+ * se corrigen cuando al invertirlas caen dentro del área esperada; las que no se pueden corregir se
+ * eliminan del restaurante y quedan registradas, con su valor original, en el informe de la migración.
+ */
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Restaurant = require("../models/Restaurant");
+const { isPosition } = require("../utils/geo");
+
+/**
+ * Identificador del documento de progreso en la colección `migrations`.
+ * @type {string}
+ */
+const MIGRATION_ID = "address-coord-geojson";
+
+/**
+ * Número de restaurantes procesados por lote.
+ * @type {number}
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Área en la que se espera que estén los restaurantes (`minLng,minLat,maxLng,maxLat`).
+ * Por defecto, la ciudad de Nueva York.
+ * @type {number[]}
+ */
+const EXPECTED_AREA = (process.env.MIGRATION_EXPECTED_BBOX || "-74.3,40.45,-73.65,40.95")
+  .split(",")
+  .map(Number);
+
+/**
+ * Indica si una posición [lng, lat] está dentro del área esperada.
+ * @function inExpectedArea
+ * @param {number[]} position - Posición [longitud, latitud].
+ * @returns {boolean} - `true` si está dentro del área.
+ */
+const inExpectedArea = ([lng, lat]) => {
+  const [minLng, minLat, maxLng, maxLat] = EXPECTED_AREA;
+  return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+};
+
+/**
+ * Decide cómo migrar unas coordenadas heredadas.
+ * @function planCoord
+ * @param {*} coord - Valor actual de `address.coord`.
+ * @returns {{point?: Object, swapped?: boolean, outside?: boolean, reason?: string}} - Punto GeoJSON resultante o motivo por el que no se pudo corregir.
+ */
+const planCoord = (coord) => {
+  if (!Array.isArray(coord) || coord.length !== 2 || !coord.every(Number.isFinite)) {
+    return { reason: "Coordenadas vacías, incompletas o no numéricas" };
+  }
+
+  const swappedCoord = [coord[1], coord[0]];
+  if (!inExpectedArea(coord) && isPosition(swappedCoord) && inExpectedArea(swappedCoord)) {
+    return { point: { type: "Point", coordinates: swappedCoord }, swapped: true };
+  }
+  if (isPosition(coord)) {
+    return { point: { type: "Point", coordinates: coord }, outside: !inExpectedArea(coord) };
+  }
+  return { reason: "Coordenadas fuera de rango" };
+};
+
+/**
+ * Ejecuta la migración.
+ * @async
+ * @function migrate
+ * @param {Object} options - Opciones de la línea de comandos.
+ * @param {boolean} options.dryRun - Si es `true`, solo informa de los cambios sin escribirlos.
+ * @param {boolean} options.restart - Si es `true`, descarta el progreso guardado.
+ * @returns {Promise<Object>} - Estado final de la migración.
+ */
+const migrate = async ({ dryRun, restart }) => {
+  const restaurants = Restaurant.collection;
+  const migrations = mongoose.connection.collection("migrations");
+
+  if (restart && !dryRun) await migrations.deleteOne({ _id: MIGRATION_ID });
+
+  const state = (!dryRun && (await migrations.findOne({ _id: MIGRATION_ID }))) || {
+    _id: MIGRATION_ID,
+    lastId: null,
+    converted: 0,
+    swapped: 0,
+    outside: [],
+    failed: [],
+    startedAt: new Date(),
+  };
+
+  for (;;) {
+    const filter = { "address.coord": { $type: "array" } };
+    if (state.lastId) filter._id = { $gt: state.lastId };
+
+    const batch = await restaurants
+      .find(filter, { projection: { "address.coord": 1, restaurant_id: 1 } })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+    if (!batch.length) break;
+
+    const operations = [];
+    for (const doc of batch) {
+      const coord = doc.address.coord;
+      const plan = planCoord(coord);
+      const summary = { _id: doc._id, restaurant_id: doc.restaurant_id, coord };
+
+      // La condición sobre el valor original evita pisar cambios hechos mientras se migra
+      const match = { _id: doc._id, "address.coord": coord };
+      if (plan.point) {
+        operations.push({ updateOne: { filter: match, update: { $set: { "address.coord": plan.point } } } });
+        state.converted++;
+        if (plan.swapped) state.swapped++;
+        if (plan.outside) state.outside.push(summary);
+      } else {
+        operations.push({ updateOne: { filter: match, update: { $unset: { "address.coord": "" } } } });
+        state.failed.push({ ...summary, reason: plan.reason });
+      }
+    }
+
+    state.lastId = batch[batch.length - 1]._id;
+    if (!dryRun) {
+      await restaurants.bulkWrite(operations, { ordered: false });
+      await migrations.replaceOne({ _id: MIGRATION_ID }, state, { upsert: true });
+    }
+    console.log(`Procesados ${state.converted + state.failed.length} restaurantes...`);
+  }
+
+  state.finishedAt = new Date();
+  if (!dryRun) await migrations.replaceOne({ _id: MIGRATION_ID }, state, { upsert: true });
+  return state;
+};
+
+const args = process.argv.slice(2);
+
+connectDB()
+  .then(() => migrate({ dryRun: args.includes("--dry-run"), restart: args.includes("--restart") }))
+  .then((state) => {
+    console.log(`Coordenadas convertidas: ${state.converted} (${state.swapped} invertidas corregidas)`);
+    if (state.outside.length) {
+      console.log(`Restaurantes fuera del área esperada (convertidos sin cambios): ${state.outside.length}`);
+      state.outside.forEach((r) => console.log(`  ${r._id} (${r.restaurant_id}): ${JSON.stringify(r.coord)}`));
+    }
+    if (state.failed.length) {
+      console.log(`Restaurantes que no se pudieron corregir: ${state.failed.length}`);
+      state.failed.forEach((r) => console.log(`  ${r._id} (${r.restaurant_id}): ${JSON.stringify(r.coord)} - ${r.reason}`));
+    }
+  })
+  .catch((err) => {
+    console.error("Error en la migración:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Migración de los arrays embebidos `comments` y `grades` de los restaurantes a sus propias
+ * colecciones (`comments` y `grades`).
+ *
+ * Uso: `npm run migrate:embedded [-- --restart]`
+ *
+ * La migración avanza por lotes en orden de `_id` y guarda el progreso en la colección `migrations`,
+ * por lo que se puede interrumpir y volver a lanzar. Cada comentario y calificación conserva su `_id`, y se
+ * inserta solo si no existe todavía, de modo que repetir un lote no duplica ni sobrescribe nada. Al terminar
+ * sincroniza los índices: el índice de texto de los restaurantes deja de incluir los comentarios, que pasan a tener
+ * el suyo en su colección.
+ * Después conviene ejecutar `npm run backfill:ratings -- --restart`.
+ */
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Restaurant = require("../models/Restaurant");
+const Comment = require("../models/Comment");
+const Grade = require("../models/Grade");
+
+/**
+ * Identificador del documento de progreso en la colección `migrations`.
+ * @type {string}
+ */
+const MIGRATION_ID = "embedded-comments-grades";
+
+/**
+ * Número de restaurantes procesados por lote.
+ * @type {number}
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Convierte los comentarios embebidos de un restaurante en documentos de la colección `comments`, con el
+ * comentario raíz de cada hilo y los recuentos de reacciones que antes se calculaban al leerlos.
+ * @function toCommentDocs
+ * @param {Object} restaurant - Restaurante con su array `comments`.
+ * @returns {Object[]}
+ */
+const toCommentDocs = (restaurant) => {
+  const comments = restaurant.comments || [];
+  const byId = new Map(comments.map((comment) => [String(comment._id), comment]));
+
+  // Se sube por los padres hasta el comentario raíz (o hasta el último padre conocido, si se purgó alguno);
+  // el conjunto evita ciclos en datos corruptos
+  const rootOf = (comment) => {
+    const seen = new Set();
+    let current = comment;
+    while (current.parentId && !seen.has(String(current._id))) {
+      seen.add(String(current._id));
+      const parent = byId.get(String(current.parentId));
+      if (!parent) return current.parentId;
+      current = parent;
+    }
+    return current._id;
+  };
+  const count = (reactions = [], value) => reactions.filter((reaction) => reaction.value === value).length;
+
+  return comments.map((comment) => ({
+    ...comment,
+    restaurantId: restaurant._id,
+    ...(comment.parentId && { threadId: rootOf(comment) }),
+    helpfulCount: count(comment.reactions, "helpful"),
+    notHelpfulCount: count(comment.reactions, "not_helpful"),
+  }));
+};
+
+/**
+ * Operación de `bulkWrite` que inserta un documento solo si no existe otro con su `_id`.
+ * @function insertMissing
+ * @param {Object} doc - Documento a insertar.
+ * @returns {Object}
+ */
+const insertMissing = (doc) => ({
+  updateOne: { filter: { _id: doc._id }, update: { $setOnInsert: doc }, upsert: true },
+});
+
+/**
+ * Ejecuta la migración.
+ * @async
+ * @function migrate
+ * @param {Object} options - Opciones de la línea de comandos.
+ * @param {boolean} options.restart - Si es `true`, descarta el progreso guardado.
+ * @returns {Promise<Object>} - Estado final de la migración.
+ */
+const migrate = async ({ restart }) => {
+  const restaurants = Restaurant.collection;
+  const migrations = mongoose.connection.collection("migrations");
+
+  if (restart) await migrations.deleteOne({ _id: MIGRATION_ID });
+
+  const state = (await migrations.findOne({ _id: MIGRATION_ID })) || {
+    _id: MIGRATION_ID,
+    lastId: null,
+    restaurants: 0,
+    comments: 0,
+    grades: 0,
+    startedAt: new Date(),
+  };
+
+  for (;;) {
+    const filter = { $or: [{ comments: { $exists: true } }, { grades: { $exists: true } }] };
+    if (state.lastId) filter._id = { $gt: state.lastId };
+
+    const batch = await restaurants
+      .find(filter, { projection: { comments: 1, grades: 1 } })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+    if (!batch.length) break;
+
+    const comments = batch.flatMap(toCommentDocs);
+    const grades = batch.flatMap((doc) =>
+      (doc.grades || []).map((grade) => ({ ...grade, restaurantId: doc._id }))
+    );
+
+    if (comments.length) {
+      await Comment.collection.bulkWrite(comments.map(insertMissing), { ordered: false });
+    }
+    if (grades.length) {
+      await Grade.collection.bulkWrite(grades.map(insertMissing), { ordered: false });
+    }
+    // Los arrays se eliminan solo después de copiar sus elementos; la versión no cambia porque el contenido es el mismo
+    await restaurants.updateMany(
+      { _id: { $in: batch.map((doc) => doc._id) } },
+      { $unset: { comments: "", grades: "" } }
+    );
+
+    state.lastId = batch[batch.length - 1]._id;
+    state.restaurants += batch.length;
+    state.comments += comments.length;
+    state.grades += grades.length;
+    await migrations.replaceOne({ _id: MIGRATION_ID }, state, { upsert: true });
+    console.log(`Procesados ${state.restaurants} restaurantes...`);
+  }
+
+  // Sustituye los índices sobre los arrays embebidos por los de las nuevas colecciones
+  for (const model of [Restaurant, Comment, Grade]) {
+    await model.syncIndexes();
+  }
+
+  state.finishedAt = new Date();
+  await migrations.replaceOne({ _id: MIGRATION_ID }, state, { upsert: true });
+  return state;
+};
+
+// Solo se ejecuta desde la línea de comandos; las pruebas importan las funciones
+if (require.main === module) {
+  connectDB()
+    .then(() => migrate({ restart: process.argv.includes("--restart") }))
+    .then((state) =>
+      console.log(
+        `Restaurantes migrados: ${state.restaurants} (${state.comments} comentarios, ${state.grades} calificaciones)`
+      )
+    )
+    .catch((err) => {
+      console.error("Error en la migración:", err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { toCommentDocs, migrate };
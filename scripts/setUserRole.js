@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Asigna un rol a un usuario registrado. Sirve para crear el primer administrador, que después
+ * puede gestionar los roles desde `PUT /api/admin/users/:id/role`.
+ *
+ * Uso: `npm run user:role -- <correo> <rol>`
+ */
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const User = require("../models/User");
+
+/**
+ * Asigna el rol al usuario con el correo indicado.
+ * @async
+ * @function setUserRole
+ * @param {string} email - Correo del usuario.
+ * @param {string} role - Rol a asignar (uno de `User.ROLES`).
+ * @returns {Promise<Object>} - Usuario actualizado.
+ * @throws {Error} - Si faltan argumentos, el rol no existe o no hay ningún usuario con ese correo.
+ */
+const setUserRole = async (email, role) => {
+  if (!email || !User.ROLES.includes(role)) {
+    throw new Error(`Uso: npm run user:role -- <correo> <${User.ROLES.join("|")}>`);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { email: email.trim().toLowerCase() },
+    { $set: { role } },
+    { new: true, runValidators: true }
+  );
+  if (!user) {
+    throw new Error(`No existe ningún usuario con el correo ${email}`);
+  }
+  return user;
+};
+
+const [email, role] = process.argv.slice(2);
+
+connectDB()
+  .then(() => setUserRole(email, role))
+  .then((user) => console.log(`${user.email} ahora tiene el rol ${user.role}`))
+  .catch((err) => {
+    console.error("Error al asignar el rol:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
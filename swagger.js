@@ -27,3 +27,6 @@ const swaggerSpec = swaggerJSDoc(options);
 module.exports = (app) => {
   app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 };
+
+// La especificación también se usa para validar las solicitudes (middleware/validateRequest.js)
+module.exports.swaggerSpec = swaggerSpec;
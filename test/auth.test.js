@@ -0,0 +1,166 @@
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { buildApp, loginAs, restaurantDoc } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+const RestaurantHistory = require("../models/RestaurantHistory");
+const Comment = require("../models/Comment");
+const Grade = require("../models/Grade");
+const User = require("../models/User");
+
+const { ObjectId } = mongoose.Types;
+
+describe("Autenticación y autorización por rol", () => {
+  const app = buildApp();
+  const id = new ObjectId();
+  const itemId = new ObjectId();
+
+  beforeEach(() => {
+    // Si la operación llega al controlador, el restaurante no existe y responde 404
+    jest.spyOn(Restaurant.collection, "findOne").mockResolvedValue(null);
+    jest.spyOn(Restaurant.collection, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(Comment.collection, "findOne").mockResolvedValue(null);
+    jest.spyOn(Grade.collection, "findOne").mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const restaurant = { name: "Riviera", borough: "Queens", cuisine: "Italian" };
+  const comment = { comment: "Muy bueno", date: "2024-05-01T12:00:00Z" };
+  const grade = { grade: "A", score: 9, date: "2024-05-01T12:00:00Z" };
+
+  const operations = {
+    "PUT /restaurants/:id": (req) => req.put(`/api/restaurants/${id}`).send(restaurant),
+    "DELETE /restaurants/:id": (req) => req.delete(`/api/restaurants/${id}`),
+    "POST /restaurants/:id/history/:version/revert": (req) => req.post(`/api/restaurants/${id}/history/1/revert`),
+    "PUT /restaurants/:id/comments/:commentId": (req) =>
+      req.put(`/api/restaurants/${id}/comments/${itemId}`).send(comment),
+    "POST /restaurants/:id/comments": (req) => req.post(`/api/restaurants/${id}/comments`).send(comment),
+    "PUT /restaurants/:id/grades/:gradeId": (req) => req.put(`/api/restaurants/${id}/grades/${itemId}`).send(grade),
+    "POST /restaurants/:id/grades": (req) => req.post(`/api/restaurants/${id}/grades`).send(grade),
+  };
+
+  const send = (operation, authorization) => {
+    const test = operations[operation](request(app));
+    return authorization ? test.set("Authorization", authorization) : test;
+  };
+
+  it("las lecturas no necesitan autenticación", async () => {
+    Restaurant.collection.findOne.mockResolvedValue(restaurantDoc({ _id: id }));
+
+    const res = await request(app).get(`/api/restaurants/${id}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it("responde 401 a las escrituras sin token", async () => {
+    const res = await send("POST /restaurants/:id/comments");
+
+    expect(res.status).toBe(401);
+    expect(res.get("WWW-Authenticate")).toBe("Bearer");
+    expect(res.body).toMatchObject({
+      code: "UNAUTHORIZED",
+      message: "Necesitas iniciar sesión para realizar esta operación",
+    });
+  });
+
+  it.each([
+    ["mal firmado", () => jwt.sign({ sub: String(new ObjectId()) }, "otro-secreto")],
+    ["caducado", () => jwt.sign({ sub: String(new ObjectId()) }, process.env.JWT_SECRET, { expiresIn: -10 })],
+    ["de un usuario que ya no existe", () => jwt.sign({ sub: String(new ObjectId()) }, process.env.JWT_SECRET)],
+  ])("responde 401 INVALID_TOKEN con un token %s", async (description, token) => {
+    jest.spyOn(User.collection, "findOne").mockResolvedValue(null);
+
+    const res = await send("POST /restaurants/:id/comments", `Bearer ${token()}`);
+
+    expect(res.status).toBe(401);
+    expect(res.get("WWW-Authenticate")).toBe('Bearer error="invalid_token"');
+    expect(res.body.code).toBe("INVALID_TOKEN");
+  });
+
+  // Operación, roles que la pueden realizar además de admin
+  const permissions = [
+    ["PUT /restaurants/:id", []],
+    ["DELETE /restaurants/:id", []],
+    ["POST /restaurants/:id/history/:version/revert", []],
+    // Cualquier usuario puede intentarlo: el controlador comprueba si es el autor
+    ["PUT /restaurants/:id/comments/:commentId", ["viewer", "reviewer", "inspector"]],
+    ["POST /restaurants/:id/comments", ["viewer", "reviewer", "inspector"]],
+    ["PUT /restaurants/:id/grades/:gradeId", ["inspector"]],
+    ["POST /restaurants/:id/grades", ["inspector"]],
+  ];
+  const cases = permissions.flatMap(([operation, roles]) =>
+    User.ROLES.map((role) => [operation, role, role === "admin" || roles.includes(role)])
+  );
+
+  it.each(cases)("%s con el rol %s: permitido = %s", async (operation, role, allowed) => {
+    const { authorization } = loginAs(role);
+
+    const res = await send(operation, authorization);
+
+    if (allowed) {
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("RESTAURANT_NOT_FOUND");
+    } else {
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({
+        code: "FORBIDDEN",
+        message: `Tu rol (${role}) no permite realizar esta operación`,
+      });
+      expect(Restaurant.collection.findOneAndUpdate).not.toHaveBeenCalled();
+    }
+  });
+
+  describe("autoría de los comentarios", () => {
+    let author;
+    let authorAuthorization;
+    let stored;
+    let update;
+
+    beforeEach(() => {
+      ({ user: author, authorization: authorAuthorization } = loginAs("viewer"));
+      stored = { _id: itemId, restaurantId: id, comment: "Muy bueno", date: new Date("2024-05-01"), author: author._id };
+      Restaurant.collection.findOne.mockResolvedValue(restaurantDoc({ _id: id }));
+      Restaurant.collection.findOneAndUpdate.mockResolvedValue(restaurantDoc({ _id: id, __v: 4 }));
+      Comment.collection.findOne.mockImplementation(async () => stored);
+      update = jest
+        .spyOn(Comment.collection, "findOneAndUpdate")
+        .mockImplementation(async (filter, changes) => ({ ...stored, ...changes.$set }));
+      jest.spyOn(RestaurantHistory.collection, "updateOne").mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+    });
+
+    const edit = (authorization) =>
+      request(app)
+        .put(`/api/restaurants/${id}/comments/${itemId}`)
+        .set("Authorization", authorization)
+        .send({ comment: "Muy bueno, repetiremos" });
+
+    it("el autor puede editar su comentario", async () => {
+      const res = await edit(authorAuthorization);
+
+      expect(res.status).toBe(200);
+      expect(update.mock.calls[0][1].$set).toMatchObject({ comment: "Muy bueno, repetiremos", edited: true });
+    });
+
+    it("otro usuario recibe 403 COMMENT_NOT_OWNED", async () => {
+      const res = await edit(loginAs("inspector").authorization);
+
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({
+        code: "COMMENT_NOT_OWNED",
+        message: "Solo el autor o un moderador pueden modificar o eliminar este comentario",
+      });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it("los moderadores pueden editar cualquier comentario, también los heredados sin autor", async () => {
+      delete stored.author;
+
+      const byViewer = await edit(loginAs("viewer").authorization);
+      const byReviewer = await edit(loginAs("reviewer").authorization);
+
+      expect(byViewer.status).toBe(403);
+      expect(byReviewer.status).toBe(200);
+    });
+  });
+});
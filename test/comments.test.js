@@ -0,0 +1,181 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { buildApp, loginAs, restaurantDoc } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+const RestaurantHistory = require("../models/RestaurantHistory");
+const Comment = require("../models/Comment");
+const { buildThreads } = require("../utils/comments");
+const { PUBLISHED } = require("../utils/moderation");
+
+const { ObjectId } = mongoose.Types;
+
+/**
+ * Comentario publicado con la fecha y los campos indicados.
+ */
+const comment = (date, fields = {}) => ({
+  _id: new ObjectId(),
+  comment: `Comentario del ${date}`,
+  date: new Date(date),
+  createdAt: new Date(date),
+  status: "approved",
+  ...fields,
+});
+
+describe("buildThreads", () => {
+  it("anida las respuestas bajo su comentario y cuenta todas las del hilo", () => {
+    const root = comment("2024-05-01");
+    const reply = comment("2024-05-03", { parentId: root._id, depth: 1 });
+    const nested = comment("2024-05-04", { parentId: reply._id, depth: 2 });
+    const first = comment("2024-05-02", { parentId: root._id, depth: 1 });
+
+    const [thread] = buildThreads([root, reply, nested, first]);
+
+    expect(thread.replyCount).toBe(3);
+    expect(thread.replies.map(({ _id }) => _id)).toEqual([first._id, reply._id]);
+    expect(thread.replies[1].replies.map(({ _id }) => _id)).toEqual([nested._id]);
+  });
+
+  it("ordena los comentarios por utilidad y resuelve los empates por fecha", () => {
+    const votes = (value, count) => Array.from({ length: count }, () => ({ user: new ObjectId(), value }));
+    const old = comment("2024-05-01", { reactions: votes("helpful", 1) });
+    const popular = comment("2024-05-02", { reactions: [...votes("helpful", 3), ...votes("not_helpful", 1)] });
+    const recent = comment("2024-05-03", { reactions: votes("helpful", 1) });
+
+    const threads = buildThreads([old, popular, recent], "helpful");
+
+    expect(threads.map(({ _id }) => _id)).toEqual([popular._id, recent._id, old._id]);
+    expect(threads[0]).toMatchObject({ helpfulCount: 3, notHelpfulCount: 1 });
+    expect(threads[0]).not.toHaveProperty("reactions");
+  });
+
+  it("no muestra los comentarios sin publicar ni sus respuestas", () => {
+    const hidden = comment("2024-05-01", { status: "flagged" });
+    const reply = comment("2024-05-02", { parentId: hidden._id, depth: 1 });
+    const visible = comment("2024-05-03");
+
+    expect(buildThreads([hidden, reply, visible]).map(({ _id }) => _id)).toEqual([visible._id]);
+  });
+});
+
+describe("Respuestas y reacciones", () => {
+  const app = buildApp();
+  let user;
+  let authorization;
+  let parent;
+  let stored;
+  let bump;
+  let insert;
+  let record;
+
+  beforeEach(() => {
+    ({ user, authorization } = loginAs("viewer"));
+    stored = restaurantDoc({ __v: 3 });
+    parent = { ...comment("2024-05-01", { depth: 0, reactions: [] }), restaurantId: stored._id };
+    jest.spyOn(Restaurant.collection, "findOne").mockImplementation(async () => stored);
+    bump = jest
+      .spyOn(Restaurant.collection, "findOneAndUpdate")
+      .mockImplementation(async () => ({ ...stored, __v: stored.__v + 1 }));
+    jest.spyOn(Comment.collection, "findOne").mockImplementation(async () => parent);
+    insert = jest
+      .spyOn(Comment.collection, "insertOne")
+      .mockImplementation(async (doc) => ({ acknowledged: true, insertedId: doc._id }));
+    record = jest
+      .spyOn(RestaurantHistory.collection, "updateOne")
+      .mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const reply = () =>
+    request(app)
+      .post(`/api/restaurants/${stored._id}/comments/${parent._id}/replies`)
+      .set("Authorization", authorization)
+      .send({ comment: "Estoy de acuerdo" });
+
+  it("publica la respuesta enlazada con su comentario y su hilo, un nivel más profunda", async () => {
+    const threadId = new ObjectId();
+    Object.assign(parent, { depth: 1, parentId: threadId, threadId });
+
+    const res = await reply();
+
+    expect(res.status).toBe(201);
+    expect(res.get("ETag")).toBe('"4"');
+    expect(res.body).toMatchObject({ comment: "Estoy de acuerdo", depth: 2, helpfulCount: 0 });
+    const [saved] = insert.mock.calls[0];
+    expect(saved).toMatchObject({ parentId: parent._id, threadId, depth: 2, restaurantId: stored._id });
+    expect(record.mock.calls[0][1].$setOnInsert).toMatchObject({
+      operation: "comment.reply",
+      item: { field: "comments", id: saved._id },
+    });
+  });
+
+  it("responde 422 si la respuesta supera la profundidad máxima", async () => {
+    parent.depth = 3;
+
+    const res = await reply();
+
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({
+      code: "REPLY_DEPTH_EXCEEDED",
+      message: "Las respuestas no pueden anidarse más de 3 niveles",
+    });
+    expect(bump).not.toHaveBeenCalled();
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  it("toma la profundidad máxima de COMMENT_MAX_DEPTH", async () => {
+    parent.depth = 1;
+    process.env.COMMENT_MAX_DEPTH = "1";
+
+    try {
+      const res = await reply();
+
+      expect(res.status).toBe(422);
+      expect(res.body.message).toBe("Las respuestas no pueden anidarse más de 1 niveles");
+    } finally {
+      delete process.env.COMMENT_MAX_DEPTH;
+    }
+  });
+
+  it("solo admite respuestas a comentarios publicados", async () => {
+    Comment.collection.findOne.mockResolvedValue(null);
+
+    const res = await reply();
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("COMMENT_NOT_FOUND");
+    expect(Comment.collection.findOne.mock.calls[0][0]).toMatchObject({ deletedAt: null, status: PUBLISHED });
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  it("sustituye la reacción del usuario y cambia la versión sin registrarla en el historial", async () => {
+    const react = jest
+      .spyOn(Comment.collection, "findOneAndUpdate")
+      .mockResolvedValue({ ...parent, reactions: [{ user: user._id, value: "helpful" }], helpfulCount: 1 });
+
+    const res = await request(app)
+      .put(`/api/restaurants/${stored._id}/comments/${parent._id}/reactions`)
+      .set("Authorization", authorization)
+      .send({ value: "helpful" });
+
+    expect(res.status).toBe(200);
+    expect(res.get("ETag")).toBe('"4"');
+    expect(res.body).toMatchObject({ helpfulCount: 1, notHelpfulCount: 0 });
+    expect(res.body).not.toHaveProperty("reactions");
+    expect(bump.mock.calls[0][1]).toEqual({ $inc: { __v: 1 } });
+    // Una sola actualización retira la reacción anterior, añade la nueva y recalcula los recuentos
+    const [, pipeline] = react.mock.calls[0];
+    expect(pipeline[0].$set.reactions.$concatArrays[1]).toEqual([expect.objectContaining({ value: "helpful" })]);
+    expect(record).not.toHaveBeenCalled();
+  });
+
+  it("responde 404 REACTION_NOT_FOUND al retirar una reacción que no existe", async () => {
+    const res = await request(app)
+      .delete(`/api/restaurants/${stored._id}/comments/${parent._id}/reactions`)
+      .set("Authorization", authorization);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("REACTION_NOT_FOUND");
+    expect(bump).not.toHaveBeenCalled();
+  });
+});
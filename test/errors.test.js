@@ -0,0 +1,101 @@
+const request = require("supertest");
+const { buildApp, loginAs } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+
+describe("Catálogo de errores", () => {
+  const app = buildApp();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("responde a las rutas inexistentes con ROUTE_NOT_FOUND y el identificador de la solicitud", async () => {
+    const res = await request(app).get("/api/nada").set("X-Request-Id", "prueba-123");
+
+    expect(res.status).toBe(404);
+    expect(res.headers["x-request-id"]).toBe("prueba-123");
+    expect(res.headers["content-language"]).toBe("es");
+    expect(res.body).toEqual({
+      code: "ROUTE_NOT_FOUND",
+      message: "La ruta GET /api/nada no existe",
+      requestId: "prueba-123",
+    });
+  });
+
+  it("genera un identificador propio cuando el recibido no tiene un formato válido", async () => {
+    const res = await request(app).get("/api/nada").set("X-Request-Id", "no válido");
+
+    expect(res.body.requestId).not.toBe("no válido");
+    expect(res.headers["x-request-id"]).toBe(res.body.requestId);
+  });
+
+  it("traduce el mensaje según Accept-Language sin cambiar el código", async () => {
+    const res = await request(app).get("/api/nada").set("Accept-Language", "en-US,en;q=0.9");
+
+    expect(res.headers["content-language"]).toBe("en");
+    expect(res.body.code).toBe("ROUTE_NOT_FOUND");
+    expect(res.body.message).toBe("Route GET /api/nada does not exist");
+  });
+
+  it("devuelve INVALID_JSON cuando el cuerpo no se puede analizar", async () => {
+    const res = await request(app)
+      .post("/api/restaurants")
+      .set("Content-Type", "application/json")
+      .send("{\"name\":");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_JSON");
+  });
+
+  it("conserva el estado 415 de un charset no admitido", async () => {
+    const res = await request(app)
+      .post("/api/restaurants")
+      .set("Content-Type", "application/json; charset=latin-9")
+      .send("{}");
+
+    expect(res.status).toBe(415);
+    expect(res.body).toEqual({
+      code: "UNSUPPORTED_ENCODING",
+      message: "La codificación del cuerpo de la solicitud no está admitida",
+      requestId: expect.any(String),
+    });
+  });
+
+  it("convierte los duplicados de índice único en DUPLICATE_KEY con estado 409", async () => {
+    const duplicate = Object.assign(new Error("E11000 duplicate key error"), {
+      code: 11000,
+      keyPattern: { restaurant_id: 1 },
+    });
+    jest.spyOn(Restaurant.collection, "insertOne").mockRejectedValue(duplicate);
+    const { authorization } = loginAs("admin");
+
+    const res = await request(app)
+      .post("/api/restaurants")
+      .set("Authorization", authorization)
+      .send({ name: "Riviera Caterer", borough: "Brooklyn", cuisine: "American", restaurant_id: "40356018" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("DUPLICATE_KEY");
+    expect(res.body.message).toBe("Ya existe un registro con el mismo valor en restaurant_id");
+  });
+
+  it("oculta los detalles de los errores inesperados en producción", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(Restaurant.collection, "findOne").mockRejectedValue(new Error("conexión perdida"));
+    const env = process.env.NODE_ENV;
+
+    try {
+      const development = await request(app).get("/api/restaurants/40356018");
+      process.env.NODE_ENV = "production";
+      const production = await request(app).get("/api/restaurants/40356018");
+
+      expect(development.status).toBe(500);
+      expect(development.body.code).toBe("INTERNAL_ERROR");
+      expect(development.body.message).toBe("Error interno del servidor");
+      expect(development.body.stack).toEqual(expect.stringContaining("conexión perdida"));
+      expect(production.status).toBe(500);
+      expect(production.body).not.toHaveProperty("stack");
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining("GET /api/restaurants/40356018"), expect.any(Error));
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
@@ -0,0 +1,119 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { buildApp, cursorOf, restaurantDoc } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+const Grade = require("../models/Grade");
+const { buildFilter } = require("../utils/restaurantQuery");
+
+const { ObjectId } = mongoose.Types;
+
+describe("Filtros del listado de restaurantes", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("convierte los operadores permitidos al tipo de cada campo", async () => {
+    const restaurantId = new ObjectId();
+    const distinct = jest.spyOn(Grade.collection, "distinct").mockResolvedValue([restaurantId]);
+
+    const filter = await buildFilter({
+      cuisine: { in: "Italian, Pizza" },
+      "address.zipcode": "10019",
+      "grades.score": { lte: "13" },
+      "grades.date": { gte: "2024-01-01" },
+    });
+
+    // Las condiciones sobre las calificaciones se cumplen en la misma inspección
+    expect(distinct.mock.calls[0][0]).toBe("restaurantId");
+    expect(distinct.mock.calls[0][1]).toEqual({ score: { $lte: 13 }, date: { $gte: new Date("2024-01-01") } });
+    expect(filter).toEqual({
+      cuisine: { $in: ["Italian", "Pizza"] },
+      "address.zipcode": { $eq: "10019" },
+      _id: { $in: [restaurantId] },
+    });
+  });
+
+  it("interpreta exists como booleano", async () => {
+    await expect(buildFilter({ borough: { exists: "false" } })).resolves.toEqual({ borough: { $exists: false } });
+  });
+
+  it("reúne todos los problemas en un único error", async () => {
+    const error = await buildFilter({
+      deletedAt: "x",
+      name: { gt: "A" },
+      "grades.score": { gte: "mucho" },
+      borough: { exists: "quizá" },
+    }).catch((err) => err);
+
+    expect(error).toMatchObject({ name: "QueryError", status: 400, code: "INVALID_QUERY", message: "invalidFilter" });
+    expect(error.details.map(({ reason, params }) => [reason, params.field])).toEqual([
+      ["filterNotAllowed", "deletedAt"],
+      ["operatorNotAllowed", "name"],
+      ["invalidFilterValue", "grades.score"],
+      ["invalidExists", "borough"],
+    ]);
+  });
+
+  it("rechaza un valor repetido para el mismo operador", async () => {
+    await expect(buildFilter({ name: { eq: ["A", "B"] } })).rejects.toThrow("invalidFilter");
+  });
+
+  it("rechaza un filtro que no es un objeto", async () => {
+    await expect(buildFilter("cuisine")).rejects.toThrow("invalidFilter");
+  });
+});
+
+describe("GET /api/restaurants con filtros y ordenación", () => {
+  const app = buildApp();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("aplica el filtro a la consulta y al conteo", async () => {
+    const restaurant = restaurantDoc();
+    jest.spyOn(Grade.collection, "distinct").mockResolvedValue([restaurant._id]);
+    const find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf([restaurant]));
+    const count = jest.spyOn(Restaurant.collection, "countDocuments").mockResolvedValue(1);
+
+    const res = await request(app).get("/api/restaurants?filter[cuisine][in]=Italian,Pizza&filter[grades.score][lte]=13");
+
+    expect(res.status).toBe(200);
+    // Los restaurantes de la papelera quedan fuera del listado
+    const expected = {
+      cuisine: { $in: ["Italian", "Pizza"] },
+      _id: { $in: [restaurant._id] },
+      deletedAt: null,
+    };
+    expect(find.mock.calls[0][0]).toEqual(expected);
+    expect(count.mock.calls[0][0]).toEqual(expected);
+  });
+
+  it("ordena por varios campos permitidos", async () => {
+    const find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf([]));
+    jest.spyOn(Restaurant.collection, "countDocuments").mockResolvedValue(0);
+
+    const res = await request(app).get("/api/restaurants?sort=borough,-name");
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][1].sort).toEqual({ borough: 1, name: -1, _id: -1 });
+  });
+
+  it("rechaza ordenar por un campo fuera de la lista permitida", async () => {
+    const find = jest.spyOn(Restaurant.collection, "find");
+
+    const res = await request(app).get("/api/restaurants?sort=grades.score");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({
+      code: "INVALID_QUERY",
+      errors: [expect.objectContaining({ in: "query", reason: "sortNotAllowed" })],
+    });
+    expect(res.body.errors[0].message).toContain("No se puede ordenar por 'grades.score'");
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it("devuelve la lista de problemas del filtro", async () => {
+    const res = await request(app).get("/api/restaurants?filter[secret]=1&filter[grades.score][gt]=x");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_QUERY");
+    expect(res.body.errors.map(({ reason }) => reason)).toEqual(["filterNotAllowed", "invalidFilterValue"]);
+  });
+});
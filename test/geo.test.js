@@ -0,0 +1,315 @@
+const request = require("supertest");
+const { buildApp, cursorOf, restaurantDoc } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+const {
+  parsePoint,
+  parseUnit,
+  parseDistance,
+  MAX_RADIUS,
+  parseArea,
+  toFeatureCollection,
+  parseBbox,
+  parseZoom,
+  cellSize,
+  INDIVIDUAL_ZOOM,
+  MAX_CLUSTER_POINTS,
+} = require("../utils/geo");
+
+describe("Parámetros geográficos", () => {
+  it("interpreta el punto de origen como GeoJSON", () => {
+    expect(parsePoint("-73.98", "40.57")).toEqual({ type: "Point", coordinates: [-73.98, 40.57] });
+  });
+
+  it("rechaza coordenadas fuera de rango", () => {
+    expect(() => parsePoint("-190", "40")).toThrow("invalidLongitude");
+    expect(() => parsePoint("-73", "abc")).toThrow("invalidLatitude");
+  });
+
+  it("convierte las distancias a metros según la unidad", () => {
+    expect(parseDistance("2", "km", "radius")).toBe(2000);
+    expect(parseDistance("1", "mi", "radius")).toBeCloseTo(1609.344);
+    expect(parseDistance(undefined, "m", "radius", 5000)).toBe(5000);
+  });
+
+  it("rechaza distancias negativas, vacías o mayores que el máximo", () => {
+    expect(() => parseDistance("-1", "m", "radius")).toThrow("negativeDistance");
+    expect(() => parseDistance("", "m", "radius")).toThrow("negativeDistance");
+    expect(() => parseDistance(String(MAX_RADIUS / 1000 + 1), "km", "radius")).toThrow("distanceTooLarge");
+  });
+
+  it("rechaza unidades no admitidas", () => {
+    expect(parseUnit()).toBe("m");
+    expect(() => parseUnit("ft")).toThrow("unitNotAllowed");
+  });
+});
+
+describe("GET /api/restaurants/search por proximidad", () => {
+  const app = buildApp();
+  const origin = "lng=-73.98&lat=40.57";
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("usa $geoNear con el radio en metros y devuelve la distancia en la unidad pedida", async () => {
+    const docs = [restaurantDoc({ distance: 150 }), restaurantDoc({ distance: 900 }), restaurantDoc({ distance: 1200 })];
+    const aggregate = jest.spyOn(Restaurant.collection, "aggregate").mockReturnValue(cursorOf(docs));
+
+    const res = await request(app).get(`/api/restaurants/search?${origin}&radius=2&unit=km&limit=2&filter[cuisine]=Pizza`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ unit: "km", limit: 2, prev: null });
+    expect(res.body.data.map(({ distance }) => distance)).toEqual([0.15, 0.9]);
+    expect(res.body.next).toEqual(expect.any(String));
+
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0].$geoNear).toMatchObject({
+      near: { type: "Point", coordinates: [-73.98, 40.57] },
+      key: "address.coord",
+      distanceField: "distance",
+      spherical: true,
+      query: { cuisine: { $eq: "Pizza" } },
+      minDistance: 0,
+      maxDistance: 2000,
+    });
+    expect(pipeline.slice(1)).toEqual([{ $sort: { distance: 1, _id: 1 } }, { $limit: 3 }]);
+  });
+
+  it("la página siguiente parte de la distancia del último resultado", async () => {
+    const docs = [restaurantDoc({ distance: 150 }), restaurantDoc({ distance: 900 }), restaurantDoc({ distance: 1200 })];
+    const aggregate = jest
+      .spyOn(Restaurant.collection, "aggregate")
+      .mockReturnValueOnce(cursorOf(docs))
+      .mockReturnValueOnce(cursorOf(docs.slice(2)));
+
+    const first = await request(app).get(`/api/restaurants/search?${origin}&limit=2`);
+    const res = await request(app).get(`/api/restaurants/search?${origin}&limit=2&cursor=${first.body.next}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ next: null, prev: expect.any(String) });
+    const [pipeline] = aggregate.mock.calls[1];
+    expect(pipeline[0].$geoNear).toMatchObject({ minDistance: 900, maxDistance: 5000 });
+    expect(pipeline[1].$match).toBeDefined();
+  });
+
+  it("rechaza un cursor obtenido con otro origen", async () => {
+    jest
+      .spyOn(Restaurant.collection, "aggregate")
+      .mockReturnValue(cursorOf([restaurantDoc({ distance: 1 }), restaurantDoc({ distance: 2 })]));
+
+    const first = await request(app).get(`/api/restaurants/search?${origin}&limit=1`);
+    const res = await request(app).get(`/api/restaurants/search?lng=-74&lat=40.7&limit=1&cursor=${first.body.next}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it("con includeTotal cuenta los resultados dentro del radio", async () => {
+    const aggregate = jest
+      .spyOn(Restaurant.collection, "aggregate")
+      .mockReturnValueOnce(cursorOf([]))
+      .mockReturnValueOnce(cursorOf([{ total: 7 }]));
+
+    const res = await request(app).get(`/api/restaurants/search?${origin}&includeTotal=true`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(7);
+    expect(aggregate.mock.calls[1][0][1]).toEqual({ $count: "total" });
+  });
+
+  it("rechaza una distancia mínima mayor que el radio", async () => {
+    const res = await request(app).get(`/api/restaurants/search?${origin}&radius=100&minDistance=200`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("Búsqueda por área", () => {
+  const square = JSON.stringify({
+    type: "Polygon",
+    coordinates: [
+      [
+        [-74, 40.7],
+        [-73.9, 40.7],
+        [-73.9, 40.8],
+        [-74, 40.8],
+        [-74, 40.7],
+      ],
+    ],
+  });
+
+  it("convierte bbox en un polígono cerrado", () => {
+    expect(parseArea({ bbox: "-74,40.7,-73.9,40.8" }, "m")).toEqual({
+      "address.coord": { $geoWithin: { $geometry: JSON.parse(square) } },
+    });
+  });
+
+  it("rechaza un bbox con las esquinas invertidas", () => {
+    expect(() => parseArea({ bbox: "-73.9,40.7,-74,40.8" }, "m")).toThrow("invalidBbox");
+  });
+
+  it("acepta un polígono GeoJSON, también dentro de un Feature", () => {
+    const feature = JSON.stringify({ type: "Feature", geometry: JSON.parse(square), properties: {} });
+
+    expect(parseArea({ polygon: feature }, "m")["address.coord"].$geoWithin.$geometry).toEqual(JSON.parse(square));
+  });
+
+  it("rechaza un polígono con un anillo abierto", () => {
+    const open = JSON.stringify({ type: "Polygon", coordinates: [JSON.parse(square).coordinates[0].slice(0, 4)] });
+
+    expect(() => parseArea({ polygon: open }, "m")).toThrow("invalidPolygon");
+  });
+
+  it("une un corredor por cada tramo de la ruta, con el ancho en la unidad pedida", () => {
+    const route = JSON.stringify({
+      type: "LineString",
+      coordinates: [
+        [-74, 40.7],
+        [-73.95, 40.75],
+        [-73.9, 40.75],
+      ],
+    });
+
+    const { $or: corridors } = parseArea({ route, buffer: "0.2", unit: "km" }, "km");
+
+    expect(corridors).toHaveLength(2);
+    const [ring] = corridors[0]["address.coord"].$geoWithin.$geometry.coordinates;
+    expect(ring[0]).toEqual(ring[ring.length - 1]);
+    // El corredor rodea el tramo: su extremo izquierdo queda al oeste del inicio de la ruta
+    expect(Math.min(...ring.map(([lng]) => lng))).toBeLessThan(-74);
+  });
+
+  it("rechaza combinar varias formas de área", () => {
+    expect(() => parseArea({ bbox: "-74,40.7,-73.9,40.8", polygon: square }, "m")).toThrow("areaConflict");
+  });
+
+  it("convierte los resultados en una FeatureCollection, conservando la paginación", () => {
+    const restaurant = restaurantDoc();
+
+    const collection = toFeatureCollection({ limit: 10, next: null, prev: null, data: [restaurant] });
+
+    expect(collection).toMatchObject({ type: "FeatureCollection", limit: 10, next: null });
+    expect(collection.features[0]).toEqual({
+      type: "Feature",
+      id: String(restaurant._id),
+      geometry: restaurant.address.coord,
+      properties: expect.objectContaining({
+        name: restaurant.name,
+        address: { building: "2780", street: "Stillwell Avenue", zipcode: "11224" },
+      }),
+    });
+  });
+});
+
+describe("GET /api/restaurants/search por área", () => {
+  const app = buildApp();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("pagina los restaurantes del área y los devuelve como GeoJSON", async () => {
+    const find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf([restaurantDoc()]));
+
+    const res = await request(app).get("/api/restaurants/search?bbox=-74,40.7,-73.9,40.8&format=geojson&cuisine=Pizza");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ type: "FeatureCollection", next: null, prev: null });
+    expect(res.body.features).toHaveLength(1);
+    const [filter] = find.mock.calls[0];
+    expect(filter).toHaveProperty(["address.coord", "$geoWithin"]);
+    expect(filter.cuisine).toEqual(/Pizza/i);
+  });
+
+  it("no combina el área con la búsqueda por proximidad", async () => {
+    const res = await request(app).get("/api/restaurants/search?bbox=-74,40.7,-73.9,40.8&lng=-73.95&lat=40.75");
+
+    expect(res.status).toBe(400);
+  });
+
+  it("rechaza un formato no admitido", async () => {
+    const res = await request(app).get("/api/restaurants/search?format=kml");
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("Agrupación de restaurantes para mapas", () => {
+  const app = buildApp();
+  const bbox = "bbox=-74.05,40.6,-73.85,40.8";
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("las celdas se dividen a la mitad con cada nivel de zoom", () => {
+    expect(cellSize(0)).toBe(90);
+    expect(cellSize(1)).toBe(45);
+    expect(cellSize(10) * 2).toBe(cellSize(9));
+  });
+
+  it("rechaza un zoom fuera de rango y un bbox de 180 grados o más de longitud", () => {
+    expect(() => parseZoom("23")).toThrow("invalidZoom");
+    expect(() => parseZoom("1.5")).toThrow("invalidZoom");
+    expect(() => parseBbox("-90,0,90,10")).toThrow();
+  });
+
+  it("agrupa por celdas de la rejilla del zoom y devuelve el desglose por cocina", async () => {
+    const cluster = {
+      id: "12/-8417/4621",
+      count: 3,
+      centroid: { lng: -73.95, lat: 40.7 },
+      bounds: [-73.96, 40.69, -73.94, 40.71],
+      breakdown: { Pizza: 2, Bakery: 1 },
+    };
+    const aggregate = jest.spyOn(Restaurant.collection, "aggregate").mockReturnValue(cursorOf([cluster]));
+
+    const res = await request(app).get(`/api/restaurants/clusters?${bbox}&zoom=12&filter[borough]=Brooklyn`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ zoom: 12, clustered: true, cellSize: cellSize(12), breakdown: "cuisine", clusters: [cluster] });
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toMatchObject({ borough: { $eq: "Brooklyn" } });
+    expect(pipeline[0].$match["address.coord"].$geoWithin.$geometry.type).toBe("Polygon");
+    expect(pipeline[1].$project.key).toEqual({ $ifNull: ["$cuisine", "unknown"] });
+    expect(pipeline[2].$group._id.x).toEqual({ $floor: { $divide: ["$lng", cellSize(12)] } });
+  });
+
+  it("con breakdown=grade desglosa por la letra del resumen de calificaciones", async () => {
+    const aggregate = jest.spyOn(Restaurant.collection, "aggregate").mockReturnValue(cursorOf([]));
+
+    const res = await request(app).get(`/api/restaurants/clusters?${bbox}&zoom=10&breakdown=grade`);
+
+    expect(res.status).toBe(200);
+    expect(aggregate.mock.calls[0][0][1].$project.key).toEqual({ $ifNull: ["$ratingSummary.latestGrade", "unknown"] });
+  });
+
+  it("en GeoJSON cada grupo es un punto en su centroide", async () => {
+    const cluster = { id: "3/1/2", count: 5, centroid: { lng: -73.9, lat: 40.7 }, bounds: [], breakdown: {} };
+    jest.spyOn(Restaurant.collection, "aggregate").mockReturnValue(cursorOf([cluster]));
+
+    const res = await request(app).get(`/api/restaurants/clusters?${bbox}&zoom=3&format=geojson`);
+
+    expect(res.body).toMatchObject({ type: "FeatureCollection", zoom: 3, clustered: true });
+    expect(res.body.features[0]).toEqual({
+      type: "Feature",
+      id: "3/1/2",
+      geometry: { type: "Point", coordinates: [-73.9, 40.7] },
+      properties: { cluster: true, count: 5, bounds: [], breakdown: {} },
+    });
+  });
+
+  it("con suficiente zoom devuelve los restaurantes sin agrupar y avisa si se truncan", async () => {
+    const docs = Array.from({ length: MAX_CLUSTER_POINTS + 1 }, () => restaurantDoc());
+    const find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf(docs));
+    const aggregate = jest.spyOn(Restaurant.collection, "aggregate");
+
+    const res = await request(app).get(`/api/restaurants/clusters?${bbox}&zoom=${INDIVIDUAL_ZOOM}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ zoom: INDIVIDUAL_ZOOM, clustered: false, truncated: true });
+    expect(res.body.data).toHaveLength(MAX_CLUSTER_POINTS);
+    expect(find.mock.calls[0][1]).toMatchObject({ limit: MAX_CLUSTER_POINTS + 1 });
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+
+  it("exige el bbox", async () => {
+    const res = await request(app).get("/api/restaurants/clusters?zoom=3");
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ in: "query", path: "bbox", rule: "required" })]);
+  });
+});
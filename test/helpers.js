@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Utilidades comunes de las pruebas: la aplicación de Express con las mismas capas que el servidor
+ * y usuarios autenticados. Las pruebas no se conectan a MongoDB: sustituyen las operaciones de las colecciones
+ * de los modelos (`Model.collection`) por las respuestas que necesita cada caso.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { swaggerSpec } = require("../swagger");
+const requestId = require("../middleware/requestId");
+const validateRequest = require("../middleware/validateRequest");
+const { signToken } = require("../middleware/auth");
+const { notFound, errorHandler } = require("../middleware/errorHandler");
+const User = require("../models/User");
+
+// Sin conexión, una operación que la prueba no ha sustituido falla de inmediato en lugar de quedar esperando
+mongoose.set("bufferCommands", false);
+
+/**
+ * Usuarios registrados con `loginAs`, por ID.
+ * @type {Map<string, Object>}
+ */
+const users = new Map();
+
+/**
+ * Crea la aplicación de Express con el mismo orden de middlewares que `bin/server.js`, sin Swagger UI.
+ * @function buildApp
+ * @returns {express.Express}
+ */
+const buildApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use(
+    express.json({
+      limit: "1mb",
+      type: ["application/json", "application/merge-patch+json", "application/json-patch+json"],
+    })
+  );
+  app.use("/api", validateRequest(swaggerSpec));
+  app.use("/api/restaurants", require("../routes/restaurantRoutes"));
+  app.use(notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Resultado de `collection.find` o `collection.aggregate` del driver de MongoDB con los documentos indicados.
+ * @function cursorOf
+ * @param {Object[]} docs - Documentos que devuelve el cursor.
+ * @returns {Object}
+ */
+const cursorOf = (docs) => {
+  const cursor = {
+    sort: () => cursor,
+    limit: () => cursor,
+    toArray: async () => docs,
+  };
+  return cursor;
+};
+
+/**
+ * Registra un usuario con el rol indicado y devuelve la cabecera `Authorization` con la que se autentica.
+ * @function loginAs
+ * @param {string} [role="viewer"] - Rol del usuario.
+ * @returns {{user: Object, authorization: string}}
+ */
+const loginAs = (role = "viewer") => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: `${role}-${users.size}@example.com`,
+    name: `Usuario ${users.size}`,
+    role,
+  };
+  users.set(String(user._id), user);
+  jest
+    .spyOn(User.collection, "findOne")
+    .mockImplementation(async (filter) => users.get(String(filter._id)) || null);
+  return { user, authorization: `Bearer ${signToken(user).token}` };
+};
+
+/**
+ * Restaurante de ejemplo tal como se guarda en la colección.
+ * @function restaurantDoc
+ * @param {Object} [overrides] - Campos que sustituyen a los del ejemplo.
+ * @returns {Object}
+ */
+const restaurantDoc = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  restaurant_id: "40356018",
+  name: "Riviera Caterer",
+  borough: "Brooklyn",
+  cuisine: "American",
+  address: {
+    building: "2780",
+    street: "Stillwell Avenue",
+    zipcode: "11224",
+    coord: { type: "Point", coordinates: [-73.982419, 40.579505] },
+  },
+  __v: 3,
+  ...overrides,
+});
+
+module.exports = {
+  buildApp,
+  cursorOf,
+  loginAs,
+  restaurantDoc,
+};
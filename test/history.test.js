@@ -0,0 +1,297 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { buildApp, cursorOf, loginAs, restaurantDoc } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+const RestaurantHistory = require("../models/RestaurantHistory");
+const Rating = require("../models/Rating");
+const { diffStates } = require("../utils/history");
+const { summarizeRatings } = require("../utils/ratings");
+
+const { ObjectId } = mongoose.Types;
+
+describe("diffStates", () => {
+  it("compara los objetos anidados campo a campo", () => {
+    const before = { name: "Riviera", address: { street: "Stillwell Avenue", zipcode: "11224" } };
+    const after = { name: "Riviera", address: { street: "Surf Avenue" } };
+
+    expect(diffStates(before, after)).toEqual([
+      { path: "address.street", from: "Stillwell Avenue", to: "Surf Avenue" },
+      { path: "address.zipcode", from: "11224", to: null },
+    ]);
+  });
+
+  it("identifica los elementos de los arrays por su _id", () => {
+    const [kept, removed, added] = [new ObjectId(), new ObjectId(), new ObjectId()];
+    const before = { grades: [{ _id: kept, score: 5 }, { _id: removed, score: 12 }] };
+    const after = { grades: [{ _id: added, score: 3 }, { _id: kept, score: 9 }] };
+
+    expect(diffStates(before, after)).toEqual([
+      { path: `grades.${kept}.score`, from: 5, to: 9 },
+      { path: `grades.${removed}`, from: { _id: removed, score: 12 }, to: null },
+      { path: `grades.${added}`, from: null, to: { _id: added, score: 3 } },
+    ]);
+  });
+
+  it("considera iguales las fechas y los identificadores con el mismo valor", () => {
+    const id = new ObjectId();
+    const before = { date: new Date("2024-01-01"), ref: id };
+    const after = { date: new Date("2024-01-01"), ref: new ObjectId(String(id)) };
+
+    expect(diffStates(before, after)).toEqual([]);
+  });
+});
+
+describe("Historial de cambios de los restaurantes", () => {
+  const app = buildApp();
+  const gradeId = new ObjectId();
+  const gradeDate = new Date("2024-01-10");
+  let admin;
+  let authorization;
+  let stored;
+  let entries;
+  let find;
+  let previous;
+
+  /**
+   * Entrada del historial de `stored` con el estado indicado.
+   */
+  const entry = (version, operation, state, item) => ({
+    _id: new ObjectId(),
+    restaurantId: stored._id,
+    version,
+    operation,
+    actor: null,
+    at: new Date("2024-05-01T12:00:00Z"),
+    state,
+    ...(item && { item }),
+  });
+
+  /**
+   * Estado de la calificación `gradeId` registrado en las operaciones sobre ella.
+   */
+  const grade = (score) => ({ field: "grades", id: gradeId, state: { _id: gradeId, date: gradeDate, grade: "A", score } });
+
+  beforeEach(() => {
+    ({ user: admin, authorization } = loginAs("admin"));
+    stored = restaurantDoc({ cuisine: "Italian", __v: 5 });
+    const { name, borough, address } = stored;
+    entries = [
+      entry(5, "grade.update", { name, borough, cuisine: "Italian", address }, grade(9)),
+      entry(4, "patch", { name, borough, cuisine: "Italian", address }),
+      entry(3, "grade.add", { name, borough, cuisine: "American", address }, grade(5)),
+    ];
+    jest.spyOn(Restaurant.collection, "findOne").mockImplementation(async () => ({ ...stored }));
+    // Las versiones anteriores de los elementos se piden con `item.id` y las del restaurante, con `version: {$lt}`
+    find = jest
+      .spyOn(RestaurantHistory.collection, "find")
+      .mockImplementation((filter) =>
+        cursorOf(
+          filter["item.id"]
+            ? entries.filter(({ item, version }) => item && version < filter.version.$lt)
+            : entries
+        )
+      );
+    previous = jest
+      .spyOn(RestaurantHistory.collection, "findOne")
+      .mockImplementation(async (filter) => entries.find(({ version }) => version < filter.version.$lt) || null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("GET /api/restaurants/:id/history", () => {
+    it("devuelve cada versión con sus diferencias respecto a la anterior, aunque esté en otra página", async () => {
+      const res = await request(app)
+        .get(`/api/restaurants/${stored._id}/history?limit=2`)
+        .set("Authorization", authorization);
+
+      expect(res.status).toBe(200);
+      expect(res.body.next).toEqual(expect.any(String));
+      expect(res.body.data).toEqual([
+        expect.objectContaining({
+          version: 5,
+          operation: "grade.update",
+          changes: [{ path: `grades.${gradeId}.score`, from: 5, to: 9 }],
+        }),
+        expect.objectContaining({
+          version: 4,
+          operation: "patch",
+          changes: [{ path: "cuisine", from: "American", to: "Italian" }],
+        }),
+      ]);
+      expect(res.body.data[0]).not.toHaveProperty("state");
+      expect(previous).toHaveBeenCalledTimes(1);
+      expect(previous.mock.calls[0][0]).toMatchObject({ version: { $lt: 4 } });
+    });
+
+    it("compara con la versión registrada anterior aunque haya versiones intermedias sin registrar", async () => {
+      // Las versiones 1 a 6 corresponden a reacciones, que no se registran
+      entries = [entry(7, "patch", { name: "Riviera" }), entry(0, "create", { name: "Riviera Caterer" })];
+
+      const res = await request(app).get(`/api/restaurants/${stored._id}/history`).set("Authorization", authorization);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(({ version, changes }) => ({ version, changes }))).toEqual([
+        { version: 7, changes: [{ path: "name", from: "Riviera Caterer", to: "Riviera" }] },
+        { version: 0, changes: [{ path: "name", from: null, to: "Riviera Caterer" }] },
+      ]);
+      expect(previous).not.toHaveBeenCalled();
+    });
+
+    it("deja changes en null si no hay ninguna versión registrada anterior", async () => {
+      entries = [entry(7, "patch", { name: "Riviera" })];
+
+      const res = await request(app).get(`/api/restaurants/${stored._id}/history`).set("Authorization", authorization);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([expect.objectContaining({ version: 7, changes: null })]);
+    });
+
+    it("responde 404 si el restaurante no existe", async () => {
+      Restaurant.collection.findOne.mockResolvedValue(null);
+
+      const res = await request(app).get(`/api/restaurants/${stored._id}/history`).set("Authorization", authorization);
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("RESTAURANT_NOT_FOUND");
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("registro de versiones", () => {
+    it("cada modificación guarda el estado resultante con la operación y quién la hizo", async () => {
+      jest
+        .spyOn(Restaurant.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+      const record = jest
+        .spyOn(RestaurantHistory.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+
+      const res = await request(app)
+        .patch(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .set("Content-Type", "application/merge-patch+json")
+        .send({ cuisine: "Pizza" });
+
+      expect(res.status).toBe(200);
+      const [filter, update, options] = record.mock.calls[0];
+      expect(filter).toEqual({ restaurantId: stored._id, version: 6 });
+      expect(update.$setOnInsert).toMatchObject({ operation: "patch", actor: String(admin._id), state: { cuisine: "Pizza" } });
+      expect(update.$setOnInsert.state).not.toHaveProperty("__v");
+      expect(update.$setOnInsert.state).not.toHaveProperty("ratingSummary");
+      expect(options).toMatchObject({ upsert: true });
+    });
+  });
+
+  describe("valoraciones", () => {
+    it("una valoración cambia la versión sin registrarla y el siguiente cambio se compara con la registrada", async () => {
+      jest.spyOn(Rating.collection, "findOneAndUpdate").mockResolvedValue(null);
+      jest
+        .spyOn(Restaurant.collection, "findOneAndUpdate")
+        .mockResolvedValue({ _id: stored._id, __v: 6, dinerRating: summarizeRatings([{ stars: 4 }]) });
+      jest
+        .spyOn(Restaurant.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+      const record = jest
+        .spyOn(RestaurantHistory.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+
+      const rated = await request(app)
+        .put(`/api/restaurants/${stored._id}/ratings/me`)
+        .set("Authorization", authorization)
+        .send({ stars: 4 });
+      expect(rated.get("ETag")).toBe('"6"');
+      expect(record).not.toHaveBeenCalled();
+
+      stored.__v = 6;
+      const patched = await request(app)
+        .patch(`/api/restaurants/${stored._id}`)
+        .set("Authorization", authorization)
+        .set("Content-Type", "application/merge-patch+json")
+        .set("If-Match", '"6"')
+        .send({ cuisine: "Pizza" });
+      expect(patched.status).toBe(200);
+      const [filter, update] = record.mock.calls[0];
+      expect(filter).toEqual({ restaurantId: stored._id, version: 7 });
+
+      // La versión 6 no está en el historial: la 7 se compara con la 5
+      const { state } = update.$setOnInsert;
+      entries = [entry(7, "patch", state), entry(5, "patch", { ...state, cuisine: "Italian" })];
+      const res = await request(app).get(`/api/restaurants/${stored._id}/history`).set("Authorization", authorization);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0]).toMatchObject({
+        version: 7,
+        changes: [{ path: "cuisine", from: "Italian", to: "Pizza" }],
+      });
+    });
+  });
+
+  describe("POST /api/restaurants/:id/history/:version/revert", () => {
+    let updateOne;
+    let record;
+
+    beforeEach(() => {
+      jest
+        .spyOn(RestaurantHistory.collection, "findOne")
+        .mockImplementation(async (filter) => entries.find(({ version }) => version === filter.version) || null);
+      updateOne = jest
+        .spyOn(Restaurant.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+      record = jest
+        .spyOn(RestaurantHistory.collection, "updateOne")
+        .mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+    });
+
+    it("restaura el estado de la versión y registra la reversión como una versión nueva", async () => {
+      const res = await request(app)
+        .post(`/api/restaurants/${stored._id}/history/3/revert`)
+        .set("Authorization", authorization);
+
+      expect(res.status).toBe(200);
+      expect(res.get("ETag")).toBe('"6"');
+      expect(res.body).toMatchObject({ cuisine: "American", __v: 6 });
+      expect(updateOne.mock.calls[0][0]).toMatchObject({ _id: stored._id, __v: 5 });
+      expect(record.mock.calls[0][0]).toEqual({ restaurantId: stored._id, version: 6 });
+      expect(record.mock.calls[0][1].$setOnInsert).toMatchObject({
+        operation: "revert",
+        actor: String(admin._id),
+        revertedTo: 3,
+        state: { cuisine: "American" },
+      });
+    });
+
+    it("no guarda una versión nueva si el restaurante ya tiene ese estado", async () => {
+      const res = await request(app)
+        .post(`/api/restaurants/${stored._id}/history/5/revert`)
+        .set("Authorization", authorization);
+
+      expect(res.status).toBe(200);
+      expect(res.get("ETag")).toBe('"5"');
+      expect(updateOne).not.toHaveBeenCalled();
+      expect(record).not.toHaveBeenCalled();
+    });
+
+    it("responde 404 si la versión no está en el historial", async () => {
+      const res = await request(app)
+        .post(`/api/restaurants/${stored._id}/history/1/revert`)
+        .set("Authorization", authorization);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({
+        code: "HISTORY_VERSION_NOT_FOUND",
+        message: "La versión 1 no está en el historial del restaurante",
+      });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    it("responde 412 si el restaurante no está en la versión de If-Match", async () => {
+      const res = await request(app)
+        .post(`/api/restaurants/${stored._id}/history/3/revert`)
+        .set("Authorization", authorization)
+        .set("If-Match", '"4"');
+
+      expect(res.status).toBe(412);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
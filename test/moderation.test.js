@@ -0,0 +1,229 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { buildApp, cursorOf, loginAs, restaurantDoc } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+const RestaurantHistory = require("../models/RestaurantHistory");
+const Comment = require("../models/Comment");
+const { analyzeComment, initialStatus } = require("../utils/moderation");
+
+const { ObjectId } = mongoose.Types;
+
+/**
+ * Ejecuta `fn` con las variables de entorno indicadas y restaura después los valores anteriores.
+ */
+const withEnv = async (vars, fn) => {
+  const previous = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+};
+
+describe("analyzeComment", () => {
+  it("no marca un comentario normal", () => {
+    expect(analyzeComment("La paella estaba buenísima y el servicio fue muy atento. Volveremos.")).toEqual([]);
+  });
+
+  it("detecta las palabras de la lista sin distinguir mayúsculas ni tildes", () => {
+    expect(analyzeComment("El camarero es un ESTÚPIDO")).toEqual(["blocked_words"]);
+    expect(analyzeComment("What an idiot")).toEqual(["blocked_words"]);
+  });
+
+  it("solo coincide con palabras completas", () => {
+    expect(analyzeComment("Los casinos de la zona")).toEqual([]);
+  });
+
+  it("admite un enlace y marca los comentarios con más", () => {
+    expect(analyzeComment("La carta está en https://example.com")).toEqual([]);
+    expect(analyzeComment("Mira www.example.com y oferta.xyz")).toEqual(["links"]);
+    return withEnv({ MODERATION_MAX_LINKS: "2" }, () => {
+      expect(analyzeComment("Mira www.example.com y oferta.xyz")).toEqual([]);
+    });
+  });
+
+  it("detecta correos y teléfonos", () => {
+    expect(analyzeComment("Escríbeme a pepe@example.com")).toEqual(["contact"]);
+    expect(analyzeComment("Llama al +34 600 123 456")).toEqual(["contact"]);
+  });
+
+  it("detecta los caracteres repetidos y los textos casi todo en mayúsculas", () => {
+    expect(analyzeComment("Buenooooooo")).toEqual(["repeated_characters"]);
+    expect(analyzeComment("NO VENGÁIS NUNCA A ESTE SITIO")).toEqual(["uppercase"]);
+    // Un texto corto en mayúsculas no alcanza el mínimo de letras
+    expect(analyzeComment("MUY BIEN")).toEqual([]);
+  });
+
+  it("acumula todos los motivos", () => {
+    expect(analyzeComment("ESTAFA!!!!!! LLAMAD AL 600123456 O ESCRIBID A ESTAFA@EXAMPLE.COM")).toEqual([
+      "blocked_words",
+      "contact",
+      "repeated_characters",
+      "uppercase",
+    ]);
+  });
+
+  it("usa la lista de palabras de MODERATION_WORDS_FILE", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "moderation-"));
+    const file = path.join(dir, "words.json");
+    fs.writeFileSync(file, JSON.stringify({ es: ["croqueta"] }));
+
+    try {
+      await withEnv({ MODERATION_WORDS_FILE: file }, () => {
+        expect(analyzeComment("Una croqueta fría")).toEqual(["blocked_words"]);
+        expect(analyzeComment("Sois unos idiotas")).toEqual([]);
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("initialStatus", () => {
+  it("marca los comentarios sospechosos y publica el resto salvo con premoderación", async () => {
+    expect(initialStatus(["links"])).toBe("flagged");
+    expect(initialStatus([])).toBe("approved");
+    await withEnv({ COMMENT_PREMODERATION: "true" }, () => {
+      expect(initialStatus([])).toBe("pending");
+      expect(initialStatus(["links"])).toBe("flagged");
+    });
+  });
+});
+
+describe("Moderación de los comentarios", () => {
+  const app = buildApp();
+  let author;
+  let authorization;
+  let stored;
+  let storedComment;
+  let bump;
+  let insert;
+  let update;
+
+  beforeEach(() => {
+    ({ user: author, authorization } = loginAs("viewer"));
+    stored = restaurantDoc();
+    storedComment = {
+      _id: new ObjectId(),
+      restaurantId: stored._id,
+      comment: "Muy bueno",
+      date: new Date("2024-05-01"),
+      author: author._id,
+      status: "approved",
+      reports: [],
+    };
+    jest.spyOn(Restaurant.collection, "findOne").mockImplementation(async () => stored);
+    bump = jest
+      .spyOn(Restaurant.collection, "findOneAndUpdate")
+      .mockImplementation(async () => ({ ...stored, __v: stored.__v + 1 }));
+    jest.spyOn(Comment.collection, "findOne").mockImplementation(async () => storedComment);
+    jest.spyOn(Comment.collection, "find").mockImplementation(() => cursorOf([storedComment]));
+    insert = jest
+      .spyOn(Comment.collection, "insertOne")
+      .mockImplementation(async (doc) => ({ acknowledged: true, insertedId: doc._id }));
+    update = jest
+      .spyOn(Comment.collection, "findOneAndUpdate")
+      .mockImplementation(async (filter, changes) => ({ ...storedComment, ...changes.$set }));
+    jest.spyOn(RestaurantHistory.collection, "updateOne").mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const publish = (comment) =>
+    request(app)
+      .post(`/api/restaurants/${stored._id}/comments`)
+      .set("Authorization", authorization)
+      .send({ comment });
+
+  const edit = (comment) =>
+    request(app)
+      .put(`/api/restaurants/${stored._id}/comments/${storedComment._id}`)
+      .set("Authorization", authorization)
+      .send({ comment });
+
+  it("un comentario sospechoso se guarda marcado y solo lo ve su autor", async () => {
+    const res = await publish("Escríbeme a pepe@example.com");
+
+    expect(res.status).toBe(201);
+    expect(insert.mock.calls[0][0]).toMatchObject({ status: "flagged", autoFlags: ["contact"] });
+    expect(res.body).toHaveLength(2);
+    expect(res.body[1]).toMatchObject({ status: "flagged", autoFlags: ["contact"] });
+    expect(res.body[0]).not.toHaveProperty("reports");
+  });
+
+  it("con premoderación los comentarios nuevos quedan pendientes", async () => {
+    const res = await withEnv({ COMMENT_PREMODERATION: "true" }, () => publish("Muy recomendable"));
+
+    expect(res.status).toBe(201);
+    expect(insert.mock.calls[0][0]).toMatchObject({ status: "pending" });
+    expect(res.body[1]).toMatchObject({ status: "pending" });
+  });
+
+  it("al editar, un texto sospechoso vuelve a la cola con sus motivos", async () => {
+    const res = await edit("Reserva en www.example.com o www.example.org");
+
+    expect(res.status).toBe(200);
+    expect(update.mock.calls[0][1].$set).toMatchObject({ status: "flagged", autoFlags: ["links"] });
+  });
+
+  it("al editar un texto correcto se conserva el estado y se quitan los motivos anteriores", async () => {
+    const res = await edit("Muy bueno, repetiremos");
+
+    expect(res.status).toBe(200);
+    const [, changes] = update.mock.calls[0];
+    expect(changes.$set).not.toHaveProperty("status");
+    expect(changes.$unset).toEqual({ autoFlags: "" });
+  });
+
+  it("con premoderación cualquier edición vuelve a quedar pendiente", async () => {
+    const res = await withEnv({ COMMENT_PREMODERATION: "true" }, () => edit("Muy bueno, repetiremos"));
+
+    expect(res.status).toBe(200);
+    const [, changes] = update.mock.calls[0];
+    expect(changes.$set).toMatchObject({ status: "pending" });
+    expect(changes.$unset).toEqual({ autoFlags: "" });
+  });
+
+  it("al alcanzar el umbral de denuncias el comentario deja de publicarse", async () => {
+    const reporter = loginAs("viewer");
+    update.mockImplementationOnce(async (filter, changes) => ({
+      ...storedComment,
+      reports: [changes.$push.reports],
+    }));
+
+    const res = await withEnv({ COMMENT_REPORT_THRESHOLD: "1" }, () =>
+      request(app)
+        .post(`/api/restaurants/${stored._id}/comments/${storedComment._id}/reports`)
+        .set("Authorization", reporter.authorization)
+        .send({ reason: "spam" })
+    );
+
+    expect(res.status).toBe(201);
+    expect(update).toHaveBeenCalledTimes(2);
+    const [filter, changes] = update.mock.calls[1];
+    expect(filter).toMatchObject({ _id: storedComment._id, "reports.0": { $exists: true } });
+    expect(changes.$set).toEqual({ status: "flagged" });
+    expect(bump).toHaveBeenCalledTimes(2);
+  });
+
+  it("un usuario no puede denunciar dos veces el mismo comentario", async () => {
+    const reporter = loginAs("viewer");
+    storedComment.reports = [{ user: reporter.user._id, reason: "spam" }];
+
+    const res = await request(app)
+      .post(`/api/restaurants/${stored._id}/comments/${storedComment._id}/reports`)
+      .set("Authorization", reporter.authorization)
+      .send({ reason: "offensive" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("COMMENT_ALREADY_REPORTED");
+    expect(update).not.toHaveBeenCalled();
+  });
+});
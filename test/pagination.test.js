@@ -0,0 +1,146 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { buildApp, cursorOf, restaurantDoc } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+const { parseSort, encodeCursor, decodeCursor, keysetFilter } = require("../utils/pagination");
+
+const { ObjectId } = mongoose.Types;
+
+describe("Cursores de la paginación", () => {
+  const sort = parseSort("borough,-name");
+
+  it("parseSort añade _id como desempate con la dirección del último campo", () => {
+    expect(sort).toEqual([
+      ["borough", 1],
+      ["name", -1],
+      ["_id", -1],
+    ]);
+    expect(parseSort()).toEqual([["_id", -1]]);
+  });
+
+  it("rechaza campos de ordenación repetidos", () => {
+    expect(() => parseSort("name,-name")).toThrow("invalidSortField");
+  });
+
+  it("un cursor conserva los valores frontera, incluidos ObjectId y fechas", () => {
+    const doc = { _id: new ObjectId(), borough: "Queens", name: "Tacos", date: new Date("2024-01-01") };
+
+    const { direction, values } = decodeCursor(encodeCursor(doc, sort, "next"), sort);
+
+    expect(direction).toBe("next");
+    expect(values).toEqual(["Queens", "Tacos", doc._id]);
+    expect(values[2]).toBeInstanceOf(ObjectId);
+  });
+
+  it("los campos ausentes del documento se codifican como null", () => {
+    const doc = { _id: new ObjectId(), name: "Tacos" };
+
+    expect(decodeCursor(encodeCursor(doc, sort, "prev"), sort).values).toEqual([null, "Tacos", doc._id]);
+  });
+
+  it("rechaza un cursor mal formado", () => {
+    expect(() => decodeCursor("no-es-un-cursor", sort)).toThrow("invalidCursor");
+  });
+
+  it("rechaza un cursor generado con otra ordenación", () => {
+    const cursor = encodeCursor({ _id: new ObjectId(), name: "Tacos" }, parseSort("name,borough"), "next");
+
+    expect(() => decodeCursor(cursor, sort)).toThrow("cursorMismatch");
+  });
+
+  it("rechaza un cursor generado para otro contexto de la consulta", () => {
+    const cursor = encodeCursor({ _id: new ObjectId() }, parseSort("_id"), "next", "-73.98,40.57");
+
+    expect(decodeCursor(cursor, parseSort("_id"), "-73.98,40.57").direction).toBe("next");
+    expect(() => decodeCursor(cursor, parseSort("_id"), "-74,40.7")).toThrow("cursorMismatch");
+    expect(() => decodeCursor(cursor, parseSort("_id"))).toThrow("cursorMismatch");
+  });
+
+  it("el filtro keyset desempata por los campos anteriores y admite valores nulos en orden descendente", () => {
+    const id = new ObjectId();
+
+    expect(keysetFilter(sort, ["Queens", "Tacos", id], false)).toEqual({
+      $or: [
+        { borough: { $gt: "Queens" } },
+        { $and: [{ borough: "Queens" }, { $or: [{ name: { $lt: "Tacos" } }, { name: null }] }] },
+        { $and: [{ borough: "Queens" }, { name: "Tacos" }, { $or: [{ _id: { $lt: id } }, { _id: null }] }] },
+      ],
+    });
+  });
+});
+
+describe("GET /api/restaurants", () => {
+  const app = buildApp();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("por defecto usa la paginación clásica ordenada por -createdAt", async () => {
+    const docs = [restaurantDoc({ name: "A" }), restaurantDoc({ name: "B" })];
+    const find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf(docs));
+    jest.spyOn(Restaurant.collection, "countDocuments").mockResolvedValue(5);
+
+    const res = await request(app).get("/api/restaurants?limit=2&page=2");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 5, page: 2, pages: 3, limit: 2 });
+    expect(res.body).not.toHaveProperty("next");
+    expect(res.body.data.map(({ name }) => name)).toEqual(["A", "B"]);
+    expect(find.mock.calls[0][1]).toMatchObject({ sort: { createdAt: -1, _id: -1 }, skip: 2, limit: 2 });
+  });
+
+  it("con pagination=cursor devuelve los cursores y pide un documento extra para saber si hay más", async () => {
+    const docs = [restaurantDoc({ name: "A" }), restaurantDoc({ name: "B" }), restaurantDoc({ name: "C" })];
+    const find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf(docs));
+    const count = jest.spyOn(Restaurant.collection, "countDocuments");
+
+    const res = await request(app).get("/api/restaurants?pagination=cursor&limit=2&sort=name");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(({ name }) => name)).toEqual(["A", "B"]);
+    expect(res.body.prev).toBeNull();
+    expect(decodeCursor(res.body.next, parseSort("name")).values).toEqual(["B", docs[1]._id]);
+    expect(res.body).not.toHaveProperty("total");
+    expect(count).not.toHaveBeenCalled();
+    expect(find.mock.calls[0][1]).toMatchObject({ sort: { name: 1, _id: 1 }, limit: 3 });
+  });
+
+  it("un cursor `prev` recorre en sentido inverso y devuelve la página en el orden pedido", async () => {
+    const sort = parseSort("name");
+    const boundary = restaurantDoc({ name: "C" });
+    const docs = [restaurantDoc({ name: "B" }), restaurantDoc({ name: "A" })];
+    const find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf(docs));
+
+    const cursor = encodeCursor(boundary, sort, "prev");
+    const res = await request(app).get(`/api/restaurants?sort=name&limit=2&cursor=${cursor}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(({ name }) => name)).toEqual(["A", "B"]);
+    expect(res.body.prev).toBeNull();
+    expect(res.body.next).not.toBeNull();
+    expect(find.mock.calls[0][1]).toMatchObject({ sort: { name: -1, _id: -1 } });
+  });
+
+  it("con includeTotal cuenta los restaurantes en la paginación por cursor", async () => {
+    jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf([restaurantDoc()]));
+    jest.spyOn(Restaurant.collection, "countDocuments").mockResolvedValue(1);
+
+    const res = await request(app).get("/api/restaurants?pagination=cursor&includeTotal=true");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 1, next: null, prev: null });
+  });
+
+  it("rechaza un cursor que no corresponde a la ordenación", async () => {
+    const cursor = encodeCursor(restaurantDoc(), parseSort("name"), "next");
+
+    const res = await request(app).get(`/api/restaurants?sort=borough&cursor=${cursor}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it("rechaza un límite que no es un entero positivo", async () => {
+    const res = await request(app).get("/api/restaurants?limit=0");
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,117 @@
+const request = require("supertest");
+const { buildApp, cursorOf, loginAs, restaurantDoc } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+const RestaurantHistory = require("../models/RestaurantHistory");
+const Comment = require("../models/Comment");
+
+describe("Búsqueda de texto completo", () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    jest.spyOn(Comment.collection, "aggregate").mockReturnValue(cursorOf([]));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  /**
+   * Opciones del índice con el nombre indicado en el esquema de `model`.
+   */
+  const indexOptions = (model, name) => model.schema.indexes().find(([, options]) => options.name === name)[1];
+
+  it("el índice de texto de los restaurantes pondera el nombre por encima de la cocina", () => {
+    const options = indexOptions(Restaurant, "restaurant_text_search");
+
+    expect(options).toMatchObject({ default_language: "english" });
+    expect(options).not.toHaveProperty("language_override");
+    expect(options.weights.name).toBeGreaterThan(options.weights.cuisine);
+  });
+
+  it("el índice de texto de los comentarios toma el idioma de cada uno de su campo language", () => {
+    expect(indexOptions(Comment, "comment_text_search")).toMatchObject({
+      default_language: "english",
+      language_override: "language",
+    });
+  });
+
+  it("ordena por relevancia, expone la puntuación y combina la búsqueda con los filtros", async () => {
+    const find = jest
+      .spyOn(Restaurant.collection, "find")
+      .mockReturnValue(cursorOf([restaurantDoc({ score: 12.5 })]));
+
+    const res = await request(app).get("/api/restaurants/search?q=%20cafe%20&lang=es&filter[borough]=Queens&limit=5");
+
+    expect(res.status).toBe(200);
+    expect(res.body[0].score).toBe(12.5);
+    const [filter, options] = find.mock.calls[0];
+    expect(filter).toEqual({
+      borough: { $eq: "Queens" },
+      deletedAt: null,
+      $text: { $search: "cafe", $diacriticSensitive: false, $language: "spanish" },
+    });
+    expect(options).toMatchObject({
+      projection: { score: { $meta: "textScore" } },
+      sort: { score: { $meta: "textScore" } },
+      limit: 5,
+    });
+  });
+
+  it("sin lang usa el idioma por defecto del índice", async () => {
+    const find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf([]));
+
+    await request(app).get("/api/restaurants/search?q=pizza");
+
+    expect(find.mock.calls[0][0].$text).not.toHaveProperty("$language");
+  });
+
+  it("rechaza un idioma no admitido", async () => {
+    const res = await request(app).get("/api/restaurants/search?q=pizza&lang=fr");
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ in: "query", path: "lang", rule: "enum" })]);
+  });
+
+  it("no combina la búsqueda de texto con la búsqueda por proximidad", async () => {
+    const res = await request(app).get("/api/restaurants/search?q=pizza&lng=-73.98&lat=40.57");
+
+    expect(res.status).toBe(400);
+  });
+
+  describe("idioma de los comentarios", () => {
+    let authorization;
+    let stored;
+    let insert;
+
+    beforeEach(() => {
+      ({ authorization } = loginAs("viewer"));
+      stored = restaurantDoc();
+      jest.spyOn(Restaurant.collection, "findOneAndUpdate").mockResolvedValue({ ...stored, __v: 4 });
+      insert = jest
+        .spyOn(Comment.collection, "insertOne")
+        .mockImplementation(async (doc) => ({ acknowledged: true, insertedId: doc._id }));
+      jest.spyOn(Comment.collection, "find").mockReturnValue(cursorOf([]));
+      jest.spyOn(RestaurantHistory.collection, "updateOne").mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+    });
+
+    it("guarda el idioma del comentario para indexarlo con su derivación", async () => {
+      const res = await request(app)
+        .post(`/api/restaurants/${stored._id}/comments`)
+        .set("Authorization", authorization)
+        .send({ comment: "Las tortillas estaban riquísimas", language: "es" });
+
+      expect(res.status).toBe(201);
+      expect(res.body[0]).toMatchObject({ comment: "Las tortillas estaban riquísimas", language: "es" });
+      expect(insert.mock.calls[0][0]).toMatchObject({ language: "es" });
+    });
+
+    it("rechaza un idioma no admitido", async () => {
+      const res = await request(app)
+        .post(`/api/restaurants/${stored._id}/comments`)
+        .set("Authorization", authorization)
+        .send({ comment: "Très bon", language: "fr" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([expect.objectContaining({ in: "body", path: "language", rule: "enum" })]);
+      expect(insert).not.toHaveBeenCalled();
+    });
+  });
+});
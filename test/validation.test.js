@@ -0,0 +1,100 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { buildApp, cursorOf, loginAs, restaurantDoc } = require("./helpers");
+const Restaurant = require("../models/Restaurant");
+const RestaurantHistory = require("../models/RestaurantHistory");
+const Grade = require("../models/Grade");
+
+const { ObjectId } = mongoose.Types;
+
+describe("Validación de las solicitudes contra la especificación OpenAPI", () => {
+  const app = buildApp();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("rechaza los parámetros de consulta que no están documentados", async () => {
+    const find = jest.spyOn(Restaurant.collection, "find");
+
+    const res = await request(app).get("/api/restaurants?limt=5");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      code: "INVALID_REQUEST",
+      message: "La solicitud no cumple la especificación de la API",
+      requestId: expect.any(String),
+      errors: [{ in: "query", path: "limt", rule: "unknown", message: "El campo no está permitido" }],
+    });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it("comprueba el tipo de los parámetros de consulta sin alterar los que recibe el controlador", async () => {
+    const find = jest.spyOn(Restaurant.collection, "find").mockReturnValue(cursorOf([]));
+    jest.spyOn(Restaurant.collection, "countDocuments").mockResolvedValue(0);
+
+    const invalid = await request(app).get("/api/restaurants?limit=muchos");
+    const valid = await request(app).get("/api/restaurants?limit=5");
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors).toEqual([
+      { in: "query", path: "limit", rule: "type", message: "El valor debe ser de tipo entero" },
+    ]);
+    expect(valid.status).toBe(200);
+    expect(valid.body.limit).toBe(5);
+    expect(find).toHaveBeenCalledTimes(1);
+  });
+
+  it("rechaza un identificador de ruta que no es un ObjectId", async () => {
+    const res = await request(app)
+      .put(`/api/restaurants/${new ObjectId()}/grades/no-es-un-id`)
+      .send({ date: "2024-01-01T00:00:00Z", score: 10 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ in: "path", path: "gradeId", rule: "pattern" })]);
+  });
+
+  it("reúne todos los problemas del cuerpo con la ruta de cada campo", async () => {
+    const res = await request(app)
+      .post(`/api/restaurants/${new ObjectId()}/grades`)
+      .send({ date: "ayer", grade: "F", score: 500, inspector: "Ana" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ in: "body", path: "inspector", rule: "unknown" }),
+        expect.objectContaining({ in: "body", path: "date", rule: "format" }),
+        expect.objectContaining({ in: "body", path: "grade", rule: "enum", message: "El valor debe ser uno de: A, B, C, N, P, Z" }),
+        expect.objectContaining({ in: "body", path: "score", rule: "max", message: "El valor no puede ser mayor que 200" }),
+      ])
+    );
+  });
+
+  it("exige el cuerpo cuando la operación lo requiere", async () => {
+    const res = await request(app).post(`/api/restaurants/${new ObjectId()}/comments`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(({ path }) => path)).toEqual(["comment"]);
+  });
+
+  it("la letra es opcional al actualizar una calificación y se conserva la guardada", async () => {
+    const stored = restaurantDoc();
+    const grade = { _id: new ObjectId(), restaurantId: stored._id, date: new Date("2023-01-01"), grade: "B", score: 20 };
+    jest.spyOn(Restaurant.collection, "findOne").mockResolvedValue(stored);
+    jest.spyOn(Restaurant.collection, "findOneAndUpdate").mockResolvedValue({ ...stored, __v: 4 });
+    jest.spyOn(Grade.collection, "findOne").mockResolvedValue(grade);
+    const update = jest
+      .spyOn(Grade.collection, "findOneAndUpdate")
+      .mockImplementation(async (filter, changes) => ({ ...grade, ...changes.$set }));
+    jest.spyOn(Grade.collection, "find").mockImplementation(() => cursorOf([grade]));
+    jest.spyOn(Restaurant.collection, "updateOne").mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(RestaurantHistory.collection, "updateOne").mockResolvedValue({ acknowledged: true, upsertedCount: 1 });
+
+    const res = await request(app)
+      .put(`/api/restaurants/${stored._id}/grades/${grade._id}`)
+      .set("Authorization", loginAs("inspector").authorization)
+      .send({ date: "2024-01-01T00:00:00Z", score: 12 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ grade: "B", score: 12, date: "2024-01-01T00:00:00.000Z" });
+    expect(update.mock.calls[0][1].$set).not.toHaveProperty("grade");
+  });
+});
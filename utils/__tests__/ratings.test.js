@@ -0,0 +1,130 @@
+const { summarizeRatings, dinerRatingUpdate, priorMean, priorWeight } = require("../ratings");
+
+/**
+ * Evalúa las expresiones de agregación que usa `dinerRatingUpdate`, como lo haría MongoDB.
+ */
+const evaluate = (expr, doc) => {
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return expr.slice(1).split(".").reduce((value, key) => value?.[key], doc);
+  }
+  if (expr === null || typeof expr !== "object") return expr;
+
+  const [[operator, args]] = Object.entries(expr);
+  const values = args.map((arg) => evaluate(arg, doc));
+  switch (operator) {
+    case "$add":
+      return values.reduce((sum, value) => sum + value, 0);
+    case "$divide":
+      return values[0] / values[1];
+    case "$gt":
+      return values[0] > values[1];
+    case "$ifNull":
+      return values[0] ?? values[1];
+    case "$cond":
+      return values[0] ? values[1] : values[2];
+    case "$round":
+      return Math.round(values[0] * 10 ** values[1]) / 10 ** values[1];
+    default:
+      throw new Error(`Operador no soportado: ${operator}`);
+  }
+};
+
+/**
+ * Aplica una actualización con pipeline a un documento: cada etapa `$set` ve el resultado de la anterior.
+ */
+const applyPipeline = (doc, pipeline) =>
+  pipeline.reduce((current, { $set }) => {
+    const next = structuredClone(current);
+    for (const [path, expr] of Object.entries($set)) {
+      const keys = path.split(".");
+      const parent = keys.slice(0, -1).reduce((target, key) => (target[key] ??= {}), next);
+      parent[keys[keys.length - 1]] = evaluate(expr, current);
+    }
+    return next;
+  }, doc);
+
+describe("valoraciones de los comensales", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe("summarizeRatings", () => {
+    it("sin valoraciones no hay media ni puntuación", () => {
+      expect(summarizeRatings()).toEqual({ count: 0, sum: 0, average: null, weightedScore: null });
+    });
+
+    it("acerca la puntuación de los restaurantes con pocas valoraciones a la media a priori", () => {
+      expect(summarizeRatings([{ stars: 5 }])).toEqual({ count: 1, sum: 5, average: 5, weightedScore: 3.1818 });
+      expect(summarizeRatings([{ stars: 4 }, { stars: 5 }, { stars: 3 }])).toEqual({
+        count: 3,
+        sum: 12,
+        average: 4,
+        weightedScore: 3.2308,
+      });
+    });
+
+    it("usa la media y el peso a priori configurados", () => {
+      process.env.RATING_PRIOR_MEAN = "4";
+      process.env.RATING_PRIOR_WEIGHT = "0";
+
+      expect(summarizeRatings([{ stars: 1 }, { stars: 2 }])).toMatchObject({ average: 1.5, weightedScore: 1.5 });
+    });
+
+    it.each([
+      ["RATING_PRIOR_MEAN", "6", priorMean, 3],
+      ["RATING_PRIOR_MEAN", "abc", priorMean, 3],
+      ["RATING_PRIOR_WEIGHT", "-1", priorWeight, 10],
+      ["RATING_PRIOR_WEIGHT", "", priorWeight, 10],
+    ])("ignora %s=%j y usa el valor por defecto", (name, value, read, expected) => {
+      process.env[name] = value;
+
+      expect(read()).toBe(expected);
+    });
+  });
+
+  describe("dinerRatingUpdate", () => {
+    it("mantiene el mismo resumen que summarizeRatings al valorar, cambiar y retirar valoraciones", () => {
+      const ratings = [];
+      let restaurant = { name: "Riviera Caterer", __v: 2 };
+      const apply = (change) => {
+        restaurant = applyPipeline(restaurant, dinerRatingUpdate(change));
+      };
+
+      ratings.push({ stars: 5 });
+      apply({ count: 1, sum: 5 });
+      expect(restaurant.dinerRating).toEqual(summarizeRatings(ratings));
+
+      ratings.push({ stars: 4 });
+      apply({ count: 1, sum: 4 });
+      expect(restaurant.dinerRating).toEqual(summarizeRatings(ratings));
+
+      ratings[1] = { stars: 2 };
+      apply({ count: 0, sum: -2 });
+      expect(restaurant.dinerRating).toEqual(summarizeRatings(ratings));
+
+      ratings.shift();
+      apply({ count: -1, sum: -5 });
+      expect(restaurant.dinerRating).toEqual(summarizeRatings(ratings));
+
+      expect(restaurant.__v).toBe(6);
+      expect(restaurant.name).toBe("Riviera Caterer");
+    });
+
+    it("al retirar la última valoración el resumen vuelve a no tener media", () => {
+      const restaurant = applyPipeline(
+        { dinerRating: summarizeRatings([{ stars: 4 }]), __v: 0 },
+        dinerRatingUpdate({ count: -1, sum: -4 })
+      );
+
+      expect(restaurant.dinerRating).toEqual(summarizeRatings([]));
+    });
+
+    it("un restaurante sin versión ni valoraciones previas empieza desde cero", () => {
+      const restaurant = applyPipeline({}, dinerRatingUpdate({ count: 1, sum: 3 }));
+
+      expect(restaurant).toEqual({ dinerRating: summarizeRatings([{ stars: 3 }]), __v: 1 });
+    });
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Identificación de quién realiza una operación, para los campos de auditoría como `deletedBy`
+ * y el historial de cambios.
+ */
+
+/**
+ * Devuelve quién realiza la operación.
+ * @function actorOf
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @returns {string|null} - ID del usuario autenticado, o `null` si la ruta no requiere autenticación.
+ */
+const actorOf = (req) => (req.user ? String(req.user._id) : null);
+
+module.exports = {
+  actorOf,
+};
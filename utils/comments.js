@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Hilos de comentarios: respuestas anidadas con un límite de profundidad, reacciones de los usuarios
+ * y representación pública de los comentarios.
+ */
+
+const { isPublished } = require("./moderation");
+const { parseSort } = require("./pagination");
+
+/**
+ * Reacciones admitidas sobre un comentario.
+ * @type {string[]}
+ */
+const REACTIONS = ["helpful", "not_helpful"];
+
+/**
+ * Órdenes admitidos para los comentarios de un restaurante.
+ * @type {string[]}
+ */
+const COMMENT_SORTS = ["newest", "oldest", "helpful"];
+
+/**
+ * Ordenación en la base de datos de los comentarios raíz para cada orden, con la que se paginan los hilos.
+ * @type {Object<string, Array<[string, number]>>}
+ */
+const THREAD_SORTS = {
+  newest: parseSort("-date"),
+  oldest: parseSort("date"),
+  helpful: parseSort("-helpfulCount,-date"),
+};
+
+/**
+ * Profundidad máxima de las respuestas si no se configura `COMMENT_MAX_DEPTH`.
+ * @type {number}
+ */
+const DEFAULT_MAX_DEPTH = 3;
+
+/**
+ * Profundidad máxima de una respuesta: los comentarios tienen profundidad 0 y cada respuesta, la de su
+ * comentario padre más uno.
+ * @function maxReplyDepth
+ * @returns {number}
+ */
+const maxReplyDepth = () => {
+  const depth = Number(process.env.COMMENT_MAX_DEPTH);
+  return Number.isInteger(depth) && depth > 0 ? depth : DEFAULT_MAX_DEPTH;
+};
+
+/**
+ * Fecha de publicación de un comentario; los comentarios heredados solo tienen `date`.
+ * @function publishedAt
+ * @param {Object} comment - Comentario.
+ * @returns {number}
+ */
+const publishedAt = (comment) => new Date(comment.createdAt || comment.date || 0).getTime();
+
+/**
+ * Funciones de comparación para cada orden. Los empates se resuelven por fecha, del más reciente al más antiguo.
+ * @type {Object<string, function(Object, Object): number>}
+ */
+const COMPARATORS = {
+  newest: (a, b) => publishedAt(b) - publishedAt(a),
+  oldest: (a, b) => publishedAt(a) - publishedAt(b),
+  helpful: (a, b) => b.helpfulCount - a.helpfulCount || publishedAt(b) - publishedAt(a),
+};
+
+/**
+ * Representación pública de un comentario: sin las denuncias ni las reacciones, que identifican a sus autores,
+ * y con el recuento de cada reacción (el guardado en el comentario o, si no lo tiene, el calculado a partir
+ * de sus reacciones).
+ * @function toPublicComment
+ * @param {Object} comment - Comentario como subdocumento de Mongoose u objeto plano.
+ * @returns {Object}
+ */
+const toPublicComment = (comment) => {
+  const { reports, reactions = [], ...rest } = typeof comment.toJSON === "function" ? comment.toJSON() : comment;
+  return {
+    ...rest,
+    helpfulCount: rest.helpfulCount ?? reactions.filter((reaction) => reaction.value === "helpful").length,
+    notHelpfulCount:
+      rest.notHelpfulCount ?? reactions.filter((reaction) => reaction.value === "not_helpful").length,
+  };
+};
+
+/**
+ * Organiza los comentarios publicados en hilos. Recibe los comentarios raíz junto con todas las respuestas de sus
+ * hilos. Cada comentario incluye sus respuestas en `replies` y el número total de respuestas de su hilo en
+ * `replyCount`. Los comentarios se ordenan según `sort` y las respuestas siempre de la más antigua a la más
+ * reciente. Las respuestas a un comentario que no está publicado no se muestran.
+ * @function buildThreads
+ * @param {Object[]} comments - Comentarios raíz y respuestas de sus hilos.
+ * @param {string} [sort="oldest"] - Orden de los comentarios (uno de `COMMENT_SORTS`).
+ * @returns {Object[]}
+ */
+const buildThreads = (comments, sort = "oldest") => {
+  const published = comments.filter(isPublished).map(toPublicComment);
+  const children = new Map();
+  for (const comment of published) {
+    const parent = comment.parentId ? String(comment.parentId) : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(comment);
+  }
+
+  const thread = (comment) => {
+    const replies = (children.get(String(comment._id)) || []).sort(COMPARATORS.oldest).map(thread);
+    const replyCount = replies.reduce((total, reply) => total + 1 + reply.replyCount, 0);
+    return { ...comment, replyCount, replies };
+  };
+  return (children.get(null) || []).map(thread).sort(COMPARATORS[sort]);
+};
+
+module.exports = {
+  REACTIONS,
+  COMMENT_SORTS,
+  THREAD_SORTS,
+  maxReplyDepth,
+  toPublicComment,
+  buildThreads,
+};
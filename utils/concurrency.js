@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Control de concurrencia optimista de los restaurantes. La versión del documento (`__v`) se expone
+ * como ETag y las escrituras que envían `If-Match` solo se aplican si la versión sigue siendo la indicada.
+ */
+
+const { PreconditionFailedError } = require("./errors");
+
+/**
+ * Versión de un documento. Los documentos importados sin `__v` se consideran versión 0.
+ * @function versionOf
+ * @param {Object} restaurant - Documento o restaurante como objeto plano.
+ * @returns {number}
+ */
+const versionOf = (restaurant) => restaurant.__v || 0;
+
+/**
+ * Genera el ETag (fuerte) de un restaurante a partir de su versión.
+ * @function etagOf
+ * @param {Object} restaurant - Documento o restaurante como objeto plano.
+ * @returns {string} - ETag entre comillas, por ejemplo `"3"`.
+ */
+const etagOf = (restaurant) => `"${versionOf(restaurant)}"`;
+
+/**
+ * Añade la cabecera ETag a la respuesta.
+ * @function setETag
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {Object} restaurant - Documento o restaurante como objeto plano.
+ * @returns {void}
+ */
+const setETag = (res, restaurant) => {
+  res.set("ETag", etagOf(restaurant));
+};
+
+/**
+ * Interpreta el valor de If-Match. Solo se admiten ETags fuertes, como exige la comparación de If-Match;
+ * los ETags débiles (`W/"3"`) o con otro formato nunca coinciden.
+ * @function parseIfMatch
+ * @param {string} [ifMatch] - Valor de la cabecera If-Match (o del campo `ifMatch` de una operación por lotes).
+ * @returns {number[]|null|undefined} - Versiones aceptadas, `null` si es `*` o `undefined` si no se envió.
+ */
+const parseIfMatch = (ifMatch) => {
+  if (ifMatch === undefined) return undefined;
+  if (ifMatch.trim() === "*") return null;
+  return ifMatch
+    .split(",")
+    .map((tag) => tag.trim().match(/^"(\d+)"$/))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+};
+
+/**
+ * Comprueba el valor de If-Match contra un documento ya leído.
+ * @function checkIfMatch
+ * @param {string} [ifMatch] - Valor de If-Match.
+ * @param {Object} restaurant - Documento del restaurante.
+ * @returns {void}
+ * @throws {PreconditionFailedError} - Si la versión del documento no es ninguna de las indicadas.
+ */
+const checkIfMatch = (ifMatch, restaurant) => {
+  const versions = parseIfMatch(ifMatch);
+  if (versions && !versions.includes(versionOf(restaurant))) {
+    throw new PreconditionFailedError({ params: { etag: etagOf(restaurant) } });
+  }
+};
+
+/**
+ * Condición sobre la versión para las actualizaciones atómicas, según el valor de If-Match.
+ * @function versionFilter
+ * @param {string} [ifMatch] - Valor de If-Match.
+ * @returns {Object} - Filtro a combinar con el del documento (vacío si no hay If-Match o es `*`).
+ */
+const versionFilter = (ifMatch) => {
+  const versions = parseIfMatch(ifMatch);
+  if (!versions) return {};
+  // `null` coincide también con los documentos sin `__v`, que son la versión 0
+  return { __v: { $in: versions.includes(0) ? [...versions, null] : versions } };
+};
+
+/**
+ * Actualización que incrementa la versión, para combinar con los operadores de las actualizaciones atómicas.
+ */
+const VERSION_INCREMENT = { $inc: { __v: 1 } };
+
+module.exports = {
+  versionOf,
+  etagOf,
+  setETag,
+  parseIfMatch,
+  checkIfMatch,
+  versionFilter,
+  VERSION_INCREMENT,
+};
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Clases de error de la API. Cada error lleva un código estable (`code`) que identifica el mensaje
+ * en los catálogos de `locales/` y el estado HTTP con el que se responde.
+ */
+
+/**
+ * @typedef {Object} ErrorDetail
+ * @property {string} [in] - Parte de la solicitud (`path`, `query` o `body`).
+ * @property {string} [path] - Ruta del campo afectado.
+ * @property {string} [rule] - Regla incumplida.
+ * @property {string} [reason] - Motivo de un error en los parámetros de consulta.
+ * @property {Object} [params] - Parámetros de la regla o del motivo, usados para traducir el mensaje.
+ * @property {*} [value] - Valor recibido.
+ * @property {string} [message] - Mensaje original, usado si la regla o el motivo no tienen traducción.
+ */
+
+/**
+ * Error base de la API.
+ * @class
+ * @extends Error
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - Código del error (clave del catálogo de mensajes).
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - Estado HTTP.
+   * @param {Object} [options.params] - Valores de los marcadores del mensaje.
+   * @param {ErrorDetail[]} [options.details] - Detalle de los problemas concretos.
+   * @param {string} [options.message] - Mensaje para los registros; por defecto el código.
+   */
+  constructor(code, { status = 500, params, details, message } = {}) {
+    super(message || code);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.params = params;
+    this.details = details;
+  }
+}
+
+/**
+ * Solicitud mal formada (400).
+ * @class
+ * @extends AppError
+ */
+class BadRequestError extends AppError {
+  constructor(code = "BAD_REQUEST", options = {}) {
+    super(code, { ...options, status: 400 });
+  }
+}
+
+/**
+ * Datos que no cumplen las reglas del esquema (422).
+ * @class
+ * @extends AppError
+ */
+class ValidationError extends AppError {
+  /**
+   * @param {ErrorDetail[]} details - Campos inválidos.
+   */
+  constructor(details) {
+    super("VALIDATION_FAILED", { status: 422, details });
+  }
+}
+
+/**
+ * Falta la autenticación o no es válida (401).
+ * @class
+ * @extends AppError
+ */
+class UnauthorizedError extends AppError {
+  constructor(code = "UNAUTHORIZED", options = {}) {
+    super(code, { ...options, status: 401 });
+  }
+}
+
+/**
+ * El usuario autenticado no tiene permiso para la operación (403).
+ * @class
+ * @extends AppError
+ */
+class ForbiddenError extends AppError {
+  constructor(code = "FORBIDDEN", options = {}) {
+    super(code, { ...options, status: 403 });
+  }
+}
+
+/**
+ * Recurso inexistente (404).
+ * @class
+ * @extends AppError
+ */
+class NotFoundError extends AppError {
+  constructor(code = "NOT_FOUND", options = {}) {
+    super(code, { ...options, status: 404 });
+  }
+}
+
+/**
+ * Conflicto con el estado actual del recurso (409).
+ * @class
+ * @extends AppError
+ */
+class ConflictError extends AppError {
+  constructor(code = "CONFLICT", options = {}) {
+    super(code, { ...options, status: 409 });
+  }
+}
+
+/**
+ * Tipo de contenido no admitido por la operación (415).
+ * @class
+ * @extends AppError
+ */
+class UnsupportedMediaTypeError extends AppError {
+  constructor(options = {}) {
+    super("UNSUPPORTED_MEDIA_TYPE", { ...options, status: 415 });
+  }
+}
+
+/**
+ * La versión del recurso no coincide con la indicada en `If-Match` (412).
+ * @class
+ * @extends AppError
+ */
+class PreconditionFailedError extends AppError {
+  constructor(options = {}) {
+    super("PRECONDITION_FAILED", { ...options, status: 412 });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnsupportedMediaTypeError,
+  PreconditionFailedError,
+};
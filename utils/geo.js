@@ -0,0 +1,645 @@
+/**
+ * @fileoverview Utilidades para las búsquedas geográficas de restaurantes: validación de coordenadas, unidades de distancia,
+ * paginación de `$geoNear`, búsquedas por área (`$geoWithin`), agrupación en celdas para mapas y salida en formato GeoJSON.
+ */
+
+const { QueryError } = require("./restaurantQuery");
+const { decodeCursor, keysetFilter, buildPage } = require("./pagination");
+
+/**
+ * Metros equivalentes a cada unidad de distancia admitida.
+ * @type {Object<string, number>}
+ */
+const UNITS = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344,
+};
+
+/**
+ * Radio por defecto de la búsqueda por proximidad, en metros.
+ * @type {number}
+ */
+const DEFAULT_RADIUS = 5000;
+
+/**
+ * Radio máximo de la búsqueda por proximidad, en metros.
+ * @type {number}
+ */
+const MAX_RADIUS = 100000;
+
+/**
+ * Ancho por defecto del corredor alrededor de una ruta, en metros.
+ * @type {number}
+ */
+const DEFAULT_ROUTE_BUFFER = 100;
+
+/**
+ * Ancho máximo del corredor alrededor de una ruta, en metros.
+ * @type {number}
+ */
+const MAX_ROUTE_BUFFER = 5000;
+
+/**
+ * Número máximo de vértices de un polígono o de una ruta.
+ * @type {number}
+ */
+const MAX_VERTICES = 1000;
+
+/**
+ * Metros por grado de latitud (y de longitud en el ecuador), usado para aproximar el corredor de una ruta.
+ * @type {number}
+ */
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Puntos con los que se aproxima cada semicírculo de los extremos de un tramo de ruta.
+ * @type {number}
+ */
+const ARC_STEPS = 8;
+
+/**
+ * Nivel de zoom a partir del cual se devuelven los restaurantes individuales en lugar de agrupaciones.
+ * @type {number}
+ */
+const INDIVIDUAL_ZOOM = 16;
+
+/**
+ * Nivel de zoom máximo admitido.
+ * @type {number}
+ */
+const MAX_ZOOM = 22;
+
+/**
+ * Celdas por lado de cada tesela del mapa; determina el tamaño de las agrupaciones en cada nivel de zoom.
+ * @type {number}
+ */
+const CELLS_PER_TILE = 4;
+
+/**
+ * Número máximo de restaurantes individuales devueltos por la agrupación.
+ * @type {number}
+ */
+const MAX_CLUSTER_POINTS = 1000;
+
+/**
+ * Criterios por los que se puede desglosar cada agrupación.
+ * @type {string[]}
+ */
+const BREAKDOWNS = ["cuisine", "grade"];
+
+/**
+ * Ordenación de los resultados por proximidad: distancia y `_id` como desempate.
+ * @type {Array<[string, number]>}
+ */
+const DISTANCE_SORT = [
+  ["distance", 1],
+  ["_id", 1],
+];
+
+/**
+ * Interpreta un par longitud/latitud recibido en la query.
+ * @function parsePoint
+ * @param {string} lng - Longitud.
+ * @param {string} lat - Latitud.
+ * @returns {{type: "Point", coordinates: number[]}} - Punto GeoJSON.
+ * @throws {QueryError} - Si las coordenadas no son números o están fuera de rango.
+ */
+const parsePoint = (lng, lat) => {
+  const longitude = Number(lng);
+  const latitude = Number(lat);
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new QueryError("invalidLongitude");
+  }
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    throw new QueryError("invalidLatitude");
+  }
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+/**
+ * Interpreta el parámetro `unit`.
+ * @function parseUnit
+ * @param {string} [unit="m"] - Unidad de distancia (`m`, `km` o `mi`).
+ * @returns {string} - Unidad validada.
+ * @throws {QueryError} - Si la unidad no está admitida.
+ */
+const parseUnit = (unit = "m") => {
+  if (!UNITS[unit]) {
+    throw new QueryError("unitNotAllowed", { unit, allowed: Object.keys(UNITS) });
+  }
+  return unit;
+};
+
+/**
+ * Convierte una distancia recibida en la query a metros.
+ * @function parseDistance
+ * @param {string} [value] - Distancia en la unidad indicada.
+ * @param {string} unit - Unidad de la distancia.
+ * @param {string} name - Nombre del parámetro, para los mensajes de error.
+ * @param {number} fallback - Distancia en metros a usar si no se indicó el parámetro.
+ * @returns {number} - Distancia en metros.
+ * @throws {QueryError} - Si la distancia no es un número no negativo o supera el radio máximo.
+ */
+const parseDistance = (value, unit, name, fallback) => {
+  if (value === undefined) return fallback;
+  const distance = Number(value);
+  if (value === "" || !Number.isFinite(distance) || distance < 0) {
+    throw new QueryError("negativeDistance", { name });
+  }
+  const meters = distance * UNITS[unit];
+  if (meters > MAX_RADIUS) {
+    throw new QueryError("distanceTooLarge", { name, max: MAX_RADIUS / UNITS[unit], unit });
+  }
+  return meters;
+};
+
+/**
+ * Busca restaurantes ordenados por cercanía mediante `$geoNear`, con paginación por cursor sobre la distancia.
+ * @async
+ * @function geoNearPage
+ * @param {mongoose.Model} model - Modelo sobre el que consultar.
+ * @param {Object} options - Opciones de la búsqueda.
+ * @param {{type: "Point", coordinates: number[]}} options.point - Punto de origen.
+ * @param {Object} [options.filter={}] - Filtro adicional sobre los documentos.
+ * @param {number} [options.minDistance=0] - Distancia mínima en metros.
+ * @param {number} options.maxDistance - Distancia máxima en metros.
+ * @param {string} options.unit - Unidad en la que se devuelve el campo `distance`.
+ * @param {number} options.limit - Documentos por página.
+ * @param {string} [options.cursor] - Cursor recibido del cliente.
+ * @param {boolean} [options.includeTotal=false] - Si se debe contar el total de documentos dentro del radio.
+ * @returns {Promise<{limit: number, data: Object[], next: string|null, prev: string|null, total?: number}>} - Página de resultados con `distance` en cada documento.
+ */
+const geoNearPage = async (
+  model,
+  { point, filter = {}, minDistance = 0, maxDistance, unit, limit, cursor, includeTotal = false }
+) => {
+  if (minDistance > maxDistance) {
+    throw new QueryError("minDistanceAboveRadius");
+  }
+
+  // El cursor solo es válido para el mismo origen y radio
+  const scope = [...point.coordinates, minDistance, maxDistance].join(",");
+  const position = cursor ? decodeCursor(cursor, DISTANCE_SORT, scope) : null;
+  const backwards = position?.direction === "prev";
+
+  const geoNear = {
+    near: point,
+    key: "address.coord",
+    distanceField: "distance",
+    spherical: true,
+    query: filter,
+    minDistance,
+    maxDistance,
+  };
+
+  // La distancia del cursor acota el radio para no recorrer los documentos ya devueltos
+  if (position) {
+    const [distance] = position.values;
+    if (backwards) geoNear.maxDistance = Math.min(maxDistance, distance);
+    else geoNear.minDistance = Math.max(minDistance, distance);
+  }
+
+  const pipeline = [{ $geoNear: geoNear }];
+  if (position) {
+    pipeline.push({ $match: keysetFilter(DISTANCE_SORT, position.values, backwards) });
+  }
+  const direction = backwards ? -1 : 1;
+  pipeline.push({ $sort: { distance: direction, _id: direction } }, { $limit: limit + 1 });
+
+  const docs = await model.aggregate(pipeline);
+  const page = buildPage(docs, { sort: DISTANCE_SORT, limit, position, scope });
+
+  // Los cursores usan la distancia en metros; al cliente se le devuelve en la unidad solicitada
+  page.data.forEach((doc) => (doc.distance = doc.distance / UNITS[unit]));
+
+  if (includeTotal) {
+    const [count] = await model.aggregate([
+      { $geoNear: { ...geoNear, minDistance, maxDistance } },
+      { $count: "total" },
+    ]);
+    page.total = count ? count.total : 0;
+  }
+  return page;
+};
+
+/**
+ * Indica si una posición GeoJSON es un par [longitud, latitud] válido.
+ * @function isPosition
+ * @param {*} position - Posición a comprobar.
+ * @returns {boolean} - `true` si la posición es válida.
+ */
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length === 2 &&
+  position.every(Number.isFinite) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+/**
+ * Interpreta un parámetro que contiene un objeto GeoJSON serializado.
+ * @function parseGeoJSON
+ * @param {string} value - Valor recibido en la query.
+ * @param {string} name - Nombre del parámetro.
+ * @param {string[]} types - Tipos de geometría admitidos.
+ * @returns {Object} - Geometría GeoJSON.
+ * @throws {QueryError} - Si el valor no es JSON o no es una geometría de los tipos admitidos.
+ */
+const parseGeoJSON = (value, name, types) => {
+  let geometry;
+  try {
+    geometry = JSON.parse(value);
+  } catch (err) {
+    throw new QueryError("invalidGeoJSON", { name });
+  }
+  if (geometry && geometry.type === "Feature") geometry = geometry.geometry;
+  if (!geometry || !types.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    throw new QueryError("geometryNotAllowed", { name, types });
+  }
+  return geometry;
+};
+
+/**
+ * Valida los anillos de un polígono GeoJSON.
+ * @function validateRings
+ * @param {Array<Array<number[]>>} rings - Anillos del polígono.
+ * @returns {boolean} - `true` si todos los anillos están cerrados y tienen al menos cuatro posiciones válidas.
+ */
+const validateRings = (rings) =>
+  Array.isArray(rings) &&
+  rings.length > 0 &&
+  rings.every(
+    (ring) =>
+      Array.isArray(ring) &&
+      ring.length >= 4 &&
+      ring.every(isPosition) &&
+      ring[0][0] === ring[ring.length - 1][0] &&
+      ring[0][1] === ring[ring.length - 1][1]
+  );
+
+/**
+ * Anchura máxima (exclusiva), en grados de longitud, de un rectángulo `bbox`. MongoDB rechaza en `$geoWithin` los
+ * polígonos que abarcan más de un hemisferio, y con 180 grados los lados del rectángulo son ambiguos.
+ * @type {number}
+ */
+const MAX_BBOX_WIDTH = 180;
+
+/**
+ * Interpreta el parámetro `bbox` (`minLng,minLat,maxLng,maxLat`) como un polígono.
+ * @function parseBbox
+ * @param {string} bbox - Valor del parámetro.
+ * @returns {{type: "Polygon", coordinates: Array<Array<number[]>>}} - Rectángulo como polígono GeoJSON.
+ * @throws {QueryError} - Si el rectángulo no es válido o abarca 180 grados de longitud o más.
+ */
+const parseBbox = (bbox) => {
+  const values = String(bbox).split(",").map(Number);
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (
+    values.length !== 4 ||
+    !isPosition([minLng, minLat]) ||
+    !isPosition([maxLng, maxLat]) ||
+    minLng >= maxLng ||
+    minLat >= maxLat
+  ) {
+    throw new QueryError("invalidBbox");
+  }
+  if (maxLng - minLng >= MAX_BBOX_WIDTH) {
+    throw new QueryError("bboxTooWide", { max: MAX_BBOX_WIDTH });
+  }
+  return {
+    type: "Polygon",
+    coordinates: [
+      [
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat],
+      ],
+    ],
+  };
+};
+
+/**
+ * Interpreta el parámetro `polygon` (un `Polygon` o `MultiPolygon` GeoJSON).
+ * @function parsePolygon
+ * @param {string} polygon - Valor del parámetro.
+ * @returns {Object} - Geometría GeoJSON validada.
+ * @throws {QueryError} - Si la geometría no es válida o tiene demasiados vértices.
+ */
+const parsePolygon = (polygon) => {
+  const geometry = parseGeoJSON(polygon, "polygon", ["Polygon", "MultiPolygon"]);
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+
+  if (!Array.isArray(polygons) || !polygons.length || !polygons.every(validateRings)) {
+    throw new QueryError("invalidPolygon");
+  }
+  if (polygons.flat(2).length > MAX_VERTICES) {
+    throw new QueryError("tooManyVertices", { name: "polygon", max: MAX_VERTICES });
+  }
+  return { type: geometry.type, coordinates: geometry.coordinates };
+};
+
+/**
+ * Aproxima como polígono el corredor de ancho `buffer` alrededor de un tramo de ruta
+ * (un rectángulo con semicírculos en los extremos), proyectando localmente en metros.
+ * @function segmentCorridor
+ * @param {number[]} from - Posición inicial [lng, lat].
+ * @param {number[]} to - Posición final [lng, lat].
+ * @param {number} buffer - Distancia máxima a la ruta, en metros.
+ * @returns {{type: "Polygon", coordinates: Array<Array<number[]>>}} - Polígono GeoJSON del corredor.
+ */
+const segmentCorridor = (from, to, buffer) => {
+  const latitude = ((from[1] + to[1]) / 2) * (Math.PI / 180);
+  const xScale = METERS_PER_DEGREE * Math.cos(latitude);
+  const toMeters = ([lng, lat]) => [lng * xScale, lat * METERS_PER_DEGREE];
+  const toDegrees = ([x, y]) => [x / xScale, y / METERS_PER_DEGREE];
+
+  const [ax, ay] = toMeters(from);
+  const [bx, by] = toMeters(to);
+  const heading = Math.atan2(by - ay, bx - ax);
+
+  const ring = [];
+  // Semicírculo alrededor del final (del lado izquierdo al derecho pasando por delante)...
+  for (let k = 0; k <= ARC_STEPS; k++) {
+    const angle = heading + Math.PI / 2 - (Math.PI * k) / ARC_STEPS;
+    ring.push(toDegrees([bx + buffer * Math.cos(angle), by + buffer * Math.sin(angle)]));
+  }
+  // ...y alrededor del inicio (del lado derecho al izquierdo pasando por detrás)
+  for (let k = 0; k <= ARC_STEPS; k++) {
+    const angle = heading - Math.PI / 2 - (Math.PI * k) / ARC_STEPS;
+    ring.push(toDegrees([ax + buffer * Math.cos(angle), ay + buffer * Math.sin(angle)]));
+  }
+  ring.push(ring[0]);
+
+  return { type: "Polygon", coordinates: [ring] };
+};
+
+/**
+ * Interpreta los parámetros `route` (un `LineString` GeoJSON) y `buffer`, y construye el filtro de los
+ * restaurantes situados a menos de `buffer` de la ruta.
+ * @function parseRoute
+ * @param {string} route - Valor del parámetro `route`.
+ * @param {string} [buffer] - Ancho del corredor en la unidad indicada.
+ * @param {string} unit - Unidad de `buffer`.
+ * @returns {Object} - Filtro de MongoDB con una condición `$geoWithin` por tramo.
+ * @throws {QueryError} - Si la ruta o el ancho no son válidos.
+ */
+const parseRoute = (route, buffer, unit) => {
+  const geometry = parseGeoJSON(route, "route", ["LineString"]);
+  const positions = geometry.coordinates;
+  if (positions.length < 2 || !positions.every(isPosition)) {
+    throw new QueryError("invalidRoute");
+  }
+  if (positions.length > MAX_VERTICES) {
+    throw new QueryError("tooManyVertices", { name: "route", max: MAX_VERTICES });
+  }
+
+  const width = parseDistance(buffer, unit, "buffer", DEFAULT_ROUTE_BUFFER);
+  if (width <= 0 || width > MAX_ROUTE_BUFFER) {
+    throw new QueryError("invalidBuffer", { max: MAX_ROUTE_BUFFER / UNITS[unit], unit });
+  }
+
+  // MongoDB no calcula el área de influencia de una línea: se une un corredor por cada tramo
+  const corridors = positions.slice(1).map((to, i) => ({
+    "address.coord": {
+      $geoWithin: { $geometry: segmentCorridor(positions[i], to, width) },
+    },
+  }));
+  return { $or: corridors };
+};
+
+/**
+ * Construye el filtro de la búsqueda por área a partir de `bbox`, `polygon` o `route` (solo uno de ellos).
+ * @function parseArea
+ * @param {Object} query - Parámetros de consulta de la solicitud.
+ * @param {string} unit - Unidad de las distancias.
+ * @returns {Object|null} - Filtro de MongoDB o `null` si no se pidió una búsqueda por área.
+ * @throws {QueryError} - Si se combinan varios modos o alguno no es válido.
+ */
+const parseArea = (query, unit) => {
+  const modes = ["bbox", "polygon", "route"].filter((mode) => query[mode] !== undefined);
+  if (!modes.length) return null;
+  if (modes.length > 1) {
+    throw new QueryError("areaConflict", { modes });
+  }
+  if (modes.some((mode) => typeof query[mode] !== "string")) {
+    throw new QueryError("parameterRepeated", { name: modes[0] });
+  }
+
+  switch (modes[0]) {
+    case "bbox":
+      return { "address.coord": { $geoWithin: { $geometry: parseBbox(query.bbox) } } };
+    case "polygon":
+      return { "address.coord": { $geoWithin: { $geometry: parsePolygon(query.polygon) } } };
+    default:
+      return parseRoute(query.route, query.buffer, unit);
+  }
+};
+
+/**
+ * Interpreta el parámetro `format`.
+ * @function parseFormat
+ * @param {string} [format="json"] - Formato de la respuesta (`json` o `geojson`).
+ * @returns {string} - Formato validado.
+ * @throws {QueryError} - Si el formato no está admitido.
+ */
+const parseFormat = (format = "json") => {
+  if (!["json", "geojson"].includes(format)) {
+    throw new QueryError("formatNotAllowed", { format, allowed: ["json", "geojson"] });
+  }
+  return format;
+};
+
+/**
+ * Convierte las coordenadas de un restaurante en un punto GeoJSON, admitiendo también el formato heredado [lng, lat].
+ * @function toPoint
+ * @param {Object|number[]} [coord] - Coordenadas del restaurante.
+ * @returns {{type: "Point", coordinates: number[]}|null} - Punto GeoJSON o `null` si no hay coordenadas válidas.
+ */
+const toPoint = (coord) => {
+  if (Array.isArray(coord)) {
+    return isPosition(coord) ? { type: "Point", coordinates: coord } : null;
+  }
+  if (coord && coord.type === "Point" && isPosition(coord.coordinates)) {
+    return { type: "Point", coordinates: coord.coordinates };
+  }
+  return null;
+};
+
+/**
+ * Convierte un restaurante en una `Feature` GeoJSON; el resto de campos pasan a `properties`.
+ * @function toFeature
+ * @param {Object} restaurant - Restaurante como objeto plano.
+ * @returns {Object} - Feature GeoJSON.
+ */
+const toFeature = (restaurant) => {
+  const { _id, address = {}, ...properties } = restaurant;
+  const { coord, ...rest } = address;
+  return {
+    type: "Feature",
+    id: String(_id),
+    geometry: toPoint(coord),
+    properties: { ...properties, address: rest },
+  };
+};
+
+/**
+ * Convierte una lista o una página de restaurantes en una `FeatureCollection`, conservando los datos de paginación.
+ * @function toFeatureCollection
+ * @param {Object[]|{data: Object[]}} result - Lista de restaurantes o página con `data`.
+ * @returns {Object} - FeatureCollection GeoJSON.
+ */
+const toFeatureCollection = (result) => {
+  if (Array.isArray(result)) {
+    return { type: "FeatureCollection", features: result.map(toFeature) };
+  }
+  const { data, ...pagination } = result;
+  return { type: "FeatureCollection", features: data.map(toFeature), ...pagination };
+};
+
+/**
+ * Interpreta el parámetro `zoom`.
+ * @function parseZoom
+ * @param {string} zoom - Nivel de zoom del mapa.
+ * @returns {number} - Nivel de zoom validado.
+ * @throws {QueryError} - Si no es un entero entre 0 y el zoom máximo.
+ */
+const parseZoom = (zoom) => {
+  const value = Number(zoom);
+  if (zoom === undefined || zoom === "" || !Number.isInteger(value) || value < 0 || value > MAX_ZOOM) {
+    throw new QueryError("invalidZoom", { max: MAX_ZOOM });
+  }
+  return value;
+};
+
+/**
+ * Interpreta el parámetro `breakdown`.
+ * @function parseBreakdown
+ * @param {string} [breakdown="cuisine"] - Criterio de desglose (`cuisine` o `grade`).
+ * @returns {string} - Criterio validado.
+ * @throws {QueryError} - Si el criterio no está admitido.
+ */
+const parseBreakdown = (breakdown = "cuisine") => {
+  if (!BREAKDOWNS.includes(breakdown)) {
+    throw new QueryError("breakdownNotAllowed", { breakdown, allowed: BREAKDOWNS });
+  }
+  return breakdown;
+};
+
+/**
+ * Tamaño de las celdas de agrupación, en grados, para un nivel de zoom.
+ * @function cellSize
+ * @param {number} zoom - Nivel de zoom.
+ * @returns {number} - Lado de la celda en grados.
+ */
+const cellSize = (zoom) => 360 / (2 ** zoom * CELLS_PER_TILE);
+
+/**
+ * Construye el pipeline que agrupa los restaurantes de un rectángulo en celdas de una cuadrícula.
+ * Cada celda devuelve el número de restaurantes, su centroide y el desglose por cocina o por la última calificación.
+ * @function clusterPipeline
+ * @param {Object} options - Opciones de la agrupación.
+ * @param {Object} options.bbox - Rectángulo como polígono GeoJSON.
+ * @param {Object} [options.filter={}] - Filtro adicional sobre los restaurantes.
+ * @param {number} options.zoom - Nivel de zoom.
+ * @param {string} options.breakdown - Criterio de desglose (`cuisine` o `grade`).
+ * @returns {Object[]} - Pipeline de agregación.
+ */
+const clusterPipeline = ({ bbox, filter = {}, zoom, breakdown }) => {
+  const size = cellSize(zoom);
+  return [
+    { $match: { ...filter, "address.coord": { $geoWithin: { $geometry: bbox } } } },
+    {
+      $project: {
+        lng: { $arrayElemAt: ["$address.coord.coordinates", 0] },
+        lat: { $arrayElemAt: ["$address.coord.coordinates", 1] },
+        key: {
+          $ifNull: [breakdown === "grade" ? "$ratingSummary.latestGrade" : "$cuisine", "unknown"],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ["$lng", size] } },
+          y: { $floor: { $divide: ["$lat", size] } },
+          key: "$key",
+        },
+        count: { $sum: 1 },
+        sumLng: { $sum: "$lng" },
+        sumLat: { $sum: "$lat" },
+      },
+    },
+    {
+      $group: {
+        _id: { x: "$_id.x", y: "$_id.y" },
+        count: { $sum: "$count" },
+        sumLng: { $sum: "$sumLng" },
+        sumLat: { $sum: "$sumLat" },
+        breakdown: { $push: { k: { $toString: "$_id.key" }, v: "$count" } },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        id: { $concat: [String(zoom), "/", { $toString: "$_id.x" }, "/", { $toString: "$_id.y" }] },
+        count: 1,
+        centroid: {
+          lng: { $divide: ["$sumLng", "$count"] },
+          lat: { $divide: ["$sumLat", "$count"] },
+        },
+        bounds: [
+          { $multiply: ["$_id.x", size] },
+          { $multiply: ["$_id.y", size] },
+          { $multiply: [{ $add: ["$_id.x", 1] }, size] },
+          { $multiply: [{ $add: ["$_id.y", 1] }, size] },
+        ],
+        breakdown: { $arrayToObject: "$breakdown" },
+      },
+    },
+    { $sort: { count: -1 } },
+  ];
+};
+
+/**
+ * Convierte las agrupaciones en una `FeatureCollection` con un punto por celda, situado en su centroide.
+ * @function clustersToFeatureCollection
+ * @param {Object[]} clusters - Agrupaciones devueltas por `clusterPipeline`.
+ * @param {Object} meta - Datos comunes de la respuesta (zoom, tamaño de celda...).
+ * @returns {Object} - FeatureCollection GeoJSON.
+ */
+const clustersToFeatureCollection = (clusters, meta) => ({
+  type: "FeatureCollection",
+  ...meta,
+  features: clusters.map(({ id, centroid, ...properties }) => ({
+    type: "Feature",
+    id,
+    geometry: { type: "Point", coordinates: [centroid.lng, centroid.lat] },
+    properties: { cluster: true, ...properties },
+  })),
+});
+
+module.exports = {
+  UNITS,
+  DEFAULT_RADIUS,
+  MAX_RADIUS,
+  parsePoint,
+  parseUnit,
+  parseDistance,
+  geoNearPage,
+  isPosition,
+  toPoint,
+  parseBbox,
+  parseArea,
+  parseFormat,
+  toFeatureCollection,
+  INDIVIDUAL_ZOOM,
+  MAX_CLUSTER_POINTS,
+  parseZoom,
+  parseBreakdown,
+  cellSize,
+  clusterPipeline,
+  clustersToFeatureCollection,
+};
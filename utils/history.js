@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Historial de cambios de los restaurantes. Cada modificación guarda el estado resultante del
+ * restaurante en su versión; las diferencias por campo se calculan comparando cada versión con la anterior.
+ * Los comentarios y las calificaciones están en sus propias colecciones: las operaciones sobre ellos guardan
+ * además el estado del elemento modificado, que se compara con su versión anterior en el historial.
+ */
+
+const mongoose = require("mongoose");
+const RestaurantHistory = require("../models/RestaurantHistory");
+const { versionOf } = require("./concurrency");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * Campos que no forman parte del estado guardado: los identifica la entrada o se recalculan a partir de otros.
+ * @type {string[]}
+ */
+const UNTRACKED_FIELDS = ["_id", "__v", "ratingSummary", "dinerRating"];
+
+/**
+ * Arrays que los restaurantes tenían embebidos antes de guardar sus elementos en colecciones propias. Los estados
+ * registrados antes de la migración todavía los incluyen.
+ * @type {string[]}
+ */
+const EMBEDDED_FIELDS = ["comments", "grades"];
+
+/**
+ * Operaciones que crean un comentario o una calificación: no tienen versión anterior con la que compararse.
+ * @type {string[]}
+ */
+const ITEM_CREATIONS = ["comment.add", "comment.reply", "grade.add"];
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} path - Ruta del campo; los elementos de `comments` y `grades` se identifican por su `_id`
+ *   (por ejemplo `comments.66a1f0c2e4b0a1b2c3d4e5f6.comment`).
+ * @property {*} from - Valor anterior (`null` si no existía).
+ * @property {*} to - Valor nuevo (`null` si se eliminó).
+ */
+
+/**
+ * Estado de un restaurante tal como se guarda en el historial.
+ * @function snapshot
+ * @param {mongoose.Document|Object} restaurant - Documento del restaurante.
+ * @returns {Object} - Copia plana del restaurante sin los campos de `UNTRACKED_FIELDS`.
+ */
+const snapshot = (restaurant) => {
+  const state =
+    typeof restaurant.toObject === "function" ? restaurant.toObject({ depopulate: true }) : { ...restaurant };
+  for (const field of UNTRACKED_FIELDS) delete state[field];
+  return state;
+};
+
+/**
+ * Estado de un comentario o una calificación tal como se guarda en el historial.
+ * @function trackItem
+ * @param {string} field - Nombre de su antiguo array en el restaurante (`comments` o `grades`).
+ * @param {mongoose.Document|Object|null} doc - Elemento tras el cambio; `null` si se eliminó definitivamente.
+ * @param {mongoose.Types.ObjectId|string} [id=doc._id] - ID del elemento.
+ * @returns {{field: string, id: *, state: Object|null}}
+ */
+const trackItem = (field, doc, id = doc._id) => {
+  if (!doc) return { field, id, state: null };
+  const { restaurantId, ...state } =
+    typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+  return { field, id, state };
+};
+
+/**
+ * Registra la versión actual de un restaurante en el historial. Si la escritura falla fuera de una transacción
+ * solo se registra el error: el cambio ya se aplicó y la respuesta no debe fallar por ello.
+ * @async
+ * @function recordHistory
+ * @param {mongoose.Document} restaurant - Restaurante tras el cambio.
+ * @param {Object} options
+ * @param {string} options.operation - Operación realizada.
+ * @param {string} [options.actor] - Quién la realizó.
+ * @param {number} [options.revertedTo] - Versión restaurada, en las operaciones `revert`.
+ * @param {Object} [options.item] - Comentario o calificación modificado (resultado de `trackItem`).
+ * @param {mongoose.ClientSession} [options.session] - Sesión de la transacción en curso.
+ * @returns {Promise<void>}
+ * @throws {Error} - Solo dentro de una transacción, para que se aborte junto con el cambio.
+ */
+const recordHistory = async (restaurant, { operation, actor = null, revertedTo, item, session = null }) => {
+  try {
+    // Cada versión se registra una sola vez, aunque la misma escritura se notifique de nuevo
+    await RestaurantHistory.updateOne(
+      { restaurantId: restaurant._id, version: versionOf(restaurant) },
+      {
+        $setOnInsert: {
+          operation,
+          actor,
+          at: new Date(),
+          ...(revertedTo !== undefined && { revertedTo }),
+          ...(item && { item }),
+          state: snapshot(restaurant),
+        },
+      },
+      { upsert: true, session }
+    );
+  } catch (err) {
+    if (session) throw err;
+    console.error(`Error al registrar la versión ${versionOf(restaurant)} del restaurante ${restaurant._id}:`, err);
+  }
+};
+
+/**
+ * Indica si un valor es un objeto plano (no un array, una fecha ni un ObjectId).
+ * @function isPlainObject
+ * @param {*} value - Valor a comprobar.
+ * @returns {boolean}
+ */
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId);
+
+/**
+ * Indica si un valor es un array de subdocumentos con `_id`, que se comparan elemento a elemento.
+ * @function isKeyedArray
+ * @param {*} value - Valor a comprobar.
+ * @returns {boolean}
+ */
+const isKeyedArray = (value) =>
+  Array.isArray(value) && value.every((item) => isPlainObject(item) && item._id != null);
+
+/**
+ * Compara dos valores escalares o arrays con la representación de MongoDB, de modo que fechas e identificadores
+ * iguales se consideran iguales aunque sean objetos distintos.
+ * @function isEqual
+ * @param {*} a - Primer valor.
+ * @param {*} b - Segundo valor.
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => EJSON.stringify(a ?? null) === EJSON.stringify(b ?? null);
+
+/**
+ * Une una ruta y una clave con un punto.
+ * @function joinPath
+ * @param {string} path - Ruta actual.
+ * @param {string} key - Clave a añadir.
+ * @returns {string}
+ */
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+/**
+ * Diferencias por campo entre dos estados de un restaurante.
+ * @function diffStates
+ * @param {*} before - Estado anterior.
+ * @param {*} after - Estado nuevo.
+ * @param {string} [path=""] - Ruta de los valores comparados.
+ * @returns {FieldChange[]}
+ */
+const diffStates = (before, after, path = "") => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap((key) => diffStates(before[key], after[key], joinPath(path, key)));
+  }
+
+  const [beforeItems, afterItems] = [before ?? [], after ?? []];
+  if (path && isKeyedArray(beforeItems) && isKeyedArray(afterItems)) {
+    const byId = (items) => new Map(items.map((item) => [String(item._id), item]));
+    const [previous, current] = [byId(beforeItems), byId(afterItems)];
+    const ids = new Set([...previous.keys(), ...current.keys()]);
+    return [...ids].flatMap((id) => diffStates(previous.get(id), current.get(id), joinPath(path, id)));
+  }
+
+  return isEqual(before, after) ? [] : [{ path, from: before ?? null, to: after ?? null }];
+};
+
+/**
+ * Estado anterior con el que se compara el de un restaurante. Si el restaurante ya no tiene los arrays
+ * embebidos, se ignoran también en el estado anterior: sus elementos se comparan como elementos propios.
+ * @function comparableState
+ * @param {Object} before - Estado de la versión anterior.
+ * @param {Object} after - Estado de la versión actual.
+ * @returns {Object}
+ */
+const comparableState = (before, after) => {
+  const state = { ...before };
+  for (const field of EMBEDDED_FIELDS) {
+    if (!(field in after)) delete state[field];
+  }
+  return state;
+};
+
+/**
+ * Añade a cada entrada de una página del historial sus diferencias por campo (`changes`) y elimina los estados
+ * guardados. Las entradas de un comentario o una calificación se comparan con la versión anterior del mismo
+ * elemento; el resto, con el estado del restaurante en la versión registrada anterior. Si no hay ninguna (cambios
+ * anteriores a que existiera el historial), `changes` es `null`.
+ * @async
+ * @function withChanges
+ * @param {mongoose.Types.ObjectId|string} restaurantId - ID del restaurante.
+ * @param {Object[]} entries - Entradas de la página, de la versión más reciente a la más antigua.
+ * @returns {Promise<Object[]>}
+ */
+const withChanges = async (restaurantId, entries) => {
+  // Los cambios del restaurante se comparan con la versión registrada anterior, que no siempre es `version - 1`:
+  // las reacciones cambian la versión sin registrarse. Dentro de la página es la entrada siguiente y la de la
+  // última se consulta
+  const last = entries[entries.length - 1];
+  const previous =
+    last && !last.item && last.operation !== "create"
+      ? await RestaurantHistory.findOne({ restaurantId, version: { $lt: last.version } })
+          .sort({ version: -1 })
+          .select("version state")
+          .lean()
+      : null;
+
+  // Versiones anteriores de los comentarios y calificaciones de la página, de la más reciente a la más antigua
+  const items = entries.filter((entry) => entry.item);
+  const itemVersions = items.length
+    ? await RestaurantHistory.find({
+        restaurantId,
+        "item.id": { $in: items.map((entry) => entry.item.id) },
+        version: { $lt: Math.max(...items.map((entry) => entry.version)) },
+      })
+        .select("version item")
+        .sort({ version: -1 })
+        .lean()
+    : [];
+  const previousItem = ({ item, version }) =>
+    itemVersions.find((entry) => entry.version < version && String(entry.item.id) === String(item.id));
+
+  return entries.map(({ state, item, ...entry }, index) => {
+    if (item) {
+      const path = joinPath(item.field, String(item.id));
+      const tracked = { ...entry, item: { field: item.field, id: item.id } };
+      if (ITEM_CREATIONS.includes(entry.operation)) {
+        return { ...tracked, changes: diffStates(undefined, item.state, path) };
+      }
+      const before = previousItem({ item, version: entry.version });
+      return { ...tracked, changes: before ? diffStates(before.item.state, item.state, path) : null };
+    }
+
+    const before = entry.operation === "create" ? {} : (entries[index + 1] ?? previous)?.state;
+    return { ...entry, changes: before ? diffStates(comparableState(before, state), state) : null };
+  });
+};
+
+module.exports = {
+  snapshot,
+  trackItem,
+  recordHistory,
+  diffStates,
+  withChanges,
+};
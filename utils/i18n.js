@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Traducción de los mensajes de la API según la cabecera Accept-Language.
+ */
+
+/**
+ * Catálogos de mensajes por idioma.
+ * @type {Object<string, Object>}
+ */
+const CATALOGS = {
+  es: require("../locales/es"),
+  en: require("../locales/en"),
+};
+
+/**
+ * Idiomas admitidos; el primero es el predeterminado.
+ * @type {string[]}
+ */
+const LANGUAGES = Object.keys(CATALOGS);
+
+/**
+ * Idioma predeterminado.
+ * @type {string}
+ */
+const DEFAULT_LANGUAGE = LANGUAGES[0];
+
+/**
+ * Elige el idioma de la respuesta a partir de la cabecera Accept-Language de la solicitud.
+ * @function resolveLanguage
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @returns {string} - Código del idioma (`es` o `en`).
+ */
+const resolveLanguage = (req) => req.acceptsLanguages(LANGUAGES) || DEFAULT_LANGUAGE;
+
+/**
+ * Sustituye los marcadores `{nombre}` del mensaje por los valores indicados. Las listas se separan por comas.
+ * @function interpolate
+ * @param {string} template - Mensaje con marcadores.
+ * @param {Object} [params={}] - Valores de los marcadores.
+ * @returns {string} - Mensaje final.
+ */
+const interpolate = (template, params = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined) return match;
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  });
+
+/**
+ * Traduce un mensaje del catálogo.
+ * @function translate
+ * @param {string} lang - Código del idioma.
+ * @param {string} section - Sección del catálogo (`errors`, `rules`, `queries` o `types`).
+ * @param {string} key - Clave del mensaje.
+ * @param {Object} [params] - Valores de los marcadores.
+ * @returns {string|undefined} - Mensaje traducido o `undefined` si la clave no existe.
+ */
+const translate = (lang, section, key, params) => {
+  const catalog = CATALOGS[lang] || CATALOGS[DEFAULT_LANGUAGE];
+  const template = catalog[section][key] ?? CATALOGS[DEFAULT_LANGUAGE][section][key];
+  return template === undefined ? undefined : interpolate(template, params);
+};
+
+/**
+ * Traduce el mensaje de un error de validación de un campo a partir de su regla y sus parámetros.
+ * @function translateRule
+ * @param {string} lang - Código del idioma.
+ * @param {string} rule - Regla incumplida.
+ * @param {Object} [params={}] - Parámetros de la regla (`limit`, `values`, `type`, `format`...).
+ * @returns {string|undefined} - Mensaje traducido o `undefined` si la regla no tiene mensaje.
+ */
+const translateRule = (lang, rule, params = {}) =>
+  translate(lang, "rules", rule, {
+    ...params,
+    type: params.type && (translate(lang, "types", params.type) || params.type),
+  });
+
+/**
+ * Traduce el mensaje de un error en los parámetros de consulta a partir de su motivo y sus parámetros.
+ * @function translateQuery
+ * @param {string} lang - Código del idioma.
+ * @param {string} reason - Motivo del error.
+ * @param {Object} [params={}] - Parámetros del motivo (`name`, `field`, `allowed`, `type`...).
+ * @returns {string|undefined} - Mensaje traducido o `undefined` si el motivo no tiene mensaje.
+ */
+const translateQuery = (lang, reason, params = {}) =>
+  translate(lang, "queries", reason, {
+    ...params,
+    type: params.type && (translate(lang, "types", params.type) || params.type),
+  });
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  translate,
+  translateRule,
+  translateQuery,
+};
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Moderación de los comentarios: estados, análisis automático del texto (lista de palabras en
+ * español e inglés y heurísticas de enlaces y spam) y umbral de denuncias.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Estados de un comentario:
+ * - `pending`: pendiente de revisión (solo si la premoderación está activada).
+ * - `approved`: publicado.
+ * - `rejected`: rechazado por un moderador.
+ * - `flagged`: marcado por el análisis automático o por las denuncias, a la espera de un moderador.
+ * @type {string[]}
+ */
+const COMMENT_STATUSES = ["pending", "approved", "rejected", "flagged"];
+
+/**
+ * Roles que moderan los comentarios: revisan la cola y editan o eliminan los de cualquier usuario.
+ * Los administradores tienen también todos los permisos de moderación.
+ * @type {string[]}
+ */
+const MODERATOR_ROLES = ["reviewer"];
+
+/**
+ * Estados que forman la cola de moderación.
+ * @type {string[]}
+ */
+const QUEUE_STATUSES = ["pending", "flagged"];
+
+/**
+ * Motivos admitidos al denunciar un comentario.
+ * @type {string[]}
+ */
+const REPORT_REASONS = ["spam", "offensive", "off_topic", "other"];
+
+/**
+ * Condición que selecciona los comentarios publicados (`null` coincide también con los comentarios anteriores
+ * a la moderación, que no tienen `status`).
+ */
+const PUBLISHED = { $in: ["approved", null] };
+
+/**
+ * Lista de palabras por defecto si no se configura `MODERATION_WORDS_FILE`.
+ * @type {string}
+ */
+const DEFAULT_WORDS_FILE = path.join(__dirname, "..", "config", "moderationWords.json");
+
+/**
+ * Enlaces admitidos en un comentario si no se configura `MODERATION_MAX_LINKS`.
+ * @type {number}
+ */
+const DEFAULT_MAX_LINKS = 1;
+
+/**
+ * Denuncias que marcan un comentario publicado si no se configura `COMMENT_REPORT_THRESHOLD`.
+ * @type {number}
+ */
+const DEFAULT_REPORT_THRESHOLD = 3;
+
+/**
+ * Enlaces: URLs con esquema, direcciones que empiezan por `www.` o dominios sueltos.
+ */
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|info|biz|io|co|xyz|ru|es)\b/gi;
+
+/**
+ * Datos de contacto: correos y números de teléfono.
+ */
+const CONTACT_PATTERN = /[^\s@]+@[^\s@]+\.[a-z]{2,}|(?:\+?\d[\s.-]?){9,}/i;
+
+/**
+ * El mismo carácter repetido seis o más veces seguidas.
+ */
+const REPEATED_PATTERN = /(.)\1{5,}/u;
+
+/**
+ * Letras a partir de las cuales se evalúa la proporción de mayúsculas, y proporción que se considera gritar.
+ */
+const UPPERCASE = { minLetters: 20, ratio: 0.7 };
+
+/**
+ * Lee un entero no negativo de una variable de entorno.
+ * @function envInteger
+ * @param {string} name - Nombre de la variable.
+ * @param {number} fallback - Valor si no está configurada o no es válida.
+ * @returns {number}
+ */
+const envInteger = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Pasa el texto a minúsculas y elimina los diacríticos, de modo que "Estúpido" coincide con "estupido".
+ * @function normalize
+ * @param {string} text - Texto a normalizar.
+ * @returns {string}
+ */
+const normalize = (text) => text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+/**
+ * Escapa los caracteres especiales de una expresión regular.
+ * @function escapeRegExp
+ * @param {string} text - Texto literal.
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Expresión compilada de la última lista de palabras leída, junto con el fichero del que procede.
+ * @type {{file: string, pattern: RegExp|null}|undefined}
+ */
+let wordList;
+
+/**
+ * Expresión que encuentra las palabras y expresiones de la lista, completas y en cualquier idioma. La lista es un
+ * JSON con un array por idioma (`{"es": [...], "en": [...]}`) en `MODERATION_WORDS_FILE`.
+ * @function blockedPattern
+ * @returns {RegExp|null} - `null` si la lista está vacía.
+ */
+const blockedPattern = () => {
+  const file = process.env.MODERATION_WORDS_FILE || DEFAULT_WORDS_FILE;
+  if (wordList?.file !== file) {
+    const words = JSON.parse(fs.readFileSync(file, "utf8"));
+    const terms = Object.values(words)
+      .flat()
+      .map((word) => normalize(String(word)).trim())
+      .filter(Boolean)
+      .map(escapeRegExp);
+    const pattern = terms.length
+      ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join("|")})(?![\\p{L}\\p{N}])`, "u")
+      : null;
+    wordList = { file, pattern };
+  }
+  return wordList.pattern;
+};
+
+/**
+ * Analiza el texto de un comentario y devuelve los motivos por los que parece sospechoso:
+ * - `blocked_words`: contiene palabras de la lista.
+ * - `links`: contiene más enlaces de los admitidos en `MODERATION_MAX_LINKS`.
+ * - `contact`: contiene un correo o un número de teléfono.
+ * - `repeated_characters`: repite el mismo carácter seis o más veces seguidas.
+ * - `uppercase`: está escrito casi por completo en mayúsculas.
+ * @function analyzeComment
+ * @param {string} text - Texto del comentario.
+ * @returns {string[]} - Motivos detectados; vacío si el comentario parece legítimo.
+ */
+const analyzeComment = (text = "") => {
+  const flags = [];
+
+  if (blockedPattern()?.test(normalize(text))) flags.push("blocked_words");
+
+  const links = text.match(LINK_PATTERN) || [];
+  if (links.length > envInteger("MODERATION_MAX_LINKS", DEFAULT_MAX_LINKS)) flags.push("links");
+
+  if (CONTACT_PATTERN.test(text)) flags.push("contact");
+  if (REPEATED_PATTERN.test(text)) flags.push("repeated_characters");
+
+  const letters = text.match(/\p{L}/gu) || [];
+  const upper = letters.filter((letter) => letter !== letter.toLowerCase());
+  if (letters.length >= UPPERCASE.minLetters && upper.length / letters.length > UPPERCASE.ratio) {
+    flags.push("uppercase");
+  }
+
+  return flags;
+};
+
+/**
+ * Estado con el que se publica un comentario nuevo: marcado si el análisis detecta algún motivo; si no,
+ * pendiente cuando `COMMENT_PREMODERATION` está activada y aprobado en caso contrario.
+ * @function initialStatus
+ * @param {string[]} flags - Motivos detectados por `analyzeComment`.
+ * @returns {string}
+ */
+const initialStatus = (flags) => {
+  if (flags.length) return "flagged";
+  return process.env.COMMENT_PREMODERATION === "true" ? "pending" : "approved";
+};
+
+/**
+ * Número de denuncias a partir del cual un comentario publicado pasa a la cola de moderación.
+ * @function reportThreshold
+ * @returns {number}
+ */
+const reportThreshold = () => Math.max(1, envInteger("COMMENT_REPORT_THRESHOLD", DEFAULT_REPORT_THRESHOLD));
+
+/**
+ * Indica si un comentario es visible para el público: no está en la papelera y está aprobado.
+ * @function isPublished
+ * @param {Object} comment - Comentario.
+ * @returns {boolean}
+ */
+const isPublished = (comment) => !comment.deletedAt && (comment.status ?? "approved") === "approved";
+
+module.exports = {
+  MODERATOR_ROLES,
+  COMMENT_STATUSES,
+  QUEUE_STATUSES,
+  REPORT_REASONS,
+  PUBLISHED,
+  analyzeComment,
+  initialStatus,
+  reportThreshold,
+  isPublished,
+};
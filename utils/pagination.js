@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Paginación por cursor (keyset) basada en la clave de ordenación más el `_id` del documento.
+ */
+
+const mongoose = require("mongoose");
+const { QueryError } = require("./restaurantQuery");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * Número de documentos por página cuando no se indica `limit`.
+ * @type {number}
+ */
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Límite máximo de documentos por página.
+ * @type {number}
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * Interpreta el parámetro `limit`, aplicando el valor por defecto y el tope máximo.
+ * @function parseLimit
+ * @param {string} [limit] - Valor del parámetro `limit`.
+ * @returns {number} - Número de documentos por página.
+ * @throws {QueryError} - Si el valor no es un entero positivo.
+ */
+const parseLimit = (limit) => {
+  if (limit === undefined || limit === "") return DEFAULT_LIMIT;
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new QueryError("invalidLimit");
+  }
+  return Math.min(value, MAX_LIMIT);
+};
+
+/**
+ * Interpreta un parámetro booleano de la query (`true`/`1`).
+ * @function parseBoolean
+ * @param {string} [value] - Valor del parámetro.
+ * @returns {boolean} - `true` si el valor es `true` o `1`.
+ */
+const parseBoolean = (value) => value === "true" || value === "1";
+
+/**
+ * Convierte el parámetro `sort` (por ejemplo `borough,-name`) en una lista de pares [campo, dirección].
+ * Siempre se añade `_id` como desempate para que el orden sea total.
+ * @function parseSort
+ * @param {string} [sort="-_id"] - Valor del parámetro `sort`.
+ * @param {string[]} [allowed] - Campos por los que se permite ordenar; si se omite se acepta cualquiera.
+ * @returns {Array<[string, number]>} - Campos de ordenación con su dirección (1 o -1).
+ * @throws {QueryError} - Si el formato no es válido o algún campo no está permitido.
+ */
+const parseSort = (sort = "-_id", allowed) => {
+  if (typeof sort !== "string") {
+    throw new QueryError("invalidList", { name: "sort" });
+  }
+
+  const spec = [];
+  for (const item of sort.split(/[,\s]+/).filter(Boolean)) {
+    const field = item.replace(/^[-+]/, "");
+    if (!field || spec.some(([f]) => f === field)) {
+      throw new QueryError("invalidSortField", { field: item });
+    }
+    if (allowed && !allowed.includes(field)) {
+      throw new QueryError("sortNotAllowed", { field, allowed });
+    }
+    spec.push([field, item.startsWith("-") ? -1 : 1]);
+  }
+
+  if (!spec.some(([field]) => field === "_id")) {
+    spec.push(["_id", spec.length ? spec[spec.length - 1][1] : 1]);
+  }
+  return spec;
+};
+
+/**
+ * Convierte la lista de ordenación en el objeto que espera Mongoose.
+ * @function toSortObject
+ * @param {Array<[string, number]>} spec - Campos de ordenación.
+ * @param {boolean} [reverse=false] - Invierte todas las direcciones.
+ * @returns {Object<string, number>} - Objeto de ordenación.
+ */
+const toSortObject = (spec, reverse = false) =>
+  Object.fromEntries(spec.map(([field, dir]) => [field, reverse ? -dir : dir]));
+
+/**
+ * Representación canónica de la ordenación, usada para comprobar que un cursor pertenece a la misma consulta.
+ * @function sortKey
+ * @param {Array<[string, number]>} spec - Campos de ordenación.
+ * @returns {string} - Clave de la ordenación.
+ */
+const sortKey = (spec) =>
+  spec.map(([field, dir]) => (dir === -1 ? `-${field}` : field)).join(",");
+
+/**
+ * Obtiene el valor de una ruta anidada (`address.zipcode`) de un documento plano.
+ * @function getPath
+ * @param {Object} doc - Documento.
+ * @param {string} path - Ruta separada por puntos.
+ * @returns {*} - Valor encontrado o `null`.
+ */
+const getPath = (doc, path) => {
+  const value = path
+    .split(".")
+    .reduce((acc, key) => (acc == null ? undefined : acc[key]), doc);
+  return value === undefined ? null : value;
+};
+
+/**
+ * Función de comparación de documentos planos según los campos de ordenación, con el mismo criterio que MongoDB
+ * para los valores nulos o ausentes (antes que cualquier otro).
+ * @function compareBySort
+ * @param {Array<[string, number]>} spec - Campos de ordenación.
+ * @returns {function(Object, Object): number}
+ */
+const compareBySort = (spec) => (a, b) => {
+  for (const [field, dir] of spec) {
+    const [x, y] = [getPath(a, field), getPath(b, field)].map((value) =>
+      value instanceof Date ? value.getTime() : value instanceof mongoose.Types.ObjectId ? String(value) : value
+    );
+    if (x === y) continue;
+    if (x === null) return -dir;
+    if (y === null) return dir;
+    return x < y ? -dir : dir;
+  }
+  return 0;
+};
+
+/**
+ * Genera un cursor opaco a partir de un documento.
+ * @function encodeCursor
+ * @param {Object} doc - Documento frontera de la página.
+ * @param {Array<[string, number]>} spec - Campos de ordenación.
+ * @param {"next"|"prev"} direction - Sentido en el que avanza el cursor.
+ * @param {string} [scope] - Contexto adicional de la consulta (por ejemplo el punto de origen de una búsqueda geográfica).
+ * @returns {string} - Cursor codificado en base64url.
+ */
+const encodeCursor = (doc, spec, direction, scope) =>
+  Buffer.from(
+    EJSON.stringify({
+      s: sortKey(spec),
+      c: scope,
+      d: direction,
+      v: spec.map(([field]) => getPath(doc, field)),
+    })
+  ).toString("base64url");
+
+/**
+ * Decodifica y valida un cursor.
+ * @function decodeCursor
+ * @param {string} cursor - Cursor recibido en la query.
+ * @param {Array<[string, number]>} spec - Campos de ordenación de la consulta actual.
+ * @param {string} [scope] - Contexto de la consulta actual; debe coincidir con el del cursor.
+ * @returns {{direction: "next"|"prev", values: Array<*>}} - Sentido y valores frontera.
+ * @throws {QueryError} - Si el cursor está mal formado o pertenece a otra consulta.
+ */
+const decodeCursor = (cursor, spec, scope) => {
+  let payload;
+  try {
+    payload = EJSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (err) {
+    throw new QueryError("invalidCursor");
+  }
+
+  if (
+    !payload ||
+    !["next", "prev"].includes(payload.d) ||
+    !Array.isArray(payload.v) ||
+    payload.v.length !== spec.length
+  ) {
+    throw new QueryError("invalidCursor");
+  }
+  if (payload.s !== sortKey(spec) || (payload.c ?? null) !== (scope ?? null)) {
+    throw new QueryError("cursorMismatch");
+  }
+  return { direction: payload.d, values: payload.v };
+};
+
+/**
+ * Condición "estrictamente después de `value`" para un campo, teniendo en cuenta que en MongoDB
+ * los valores nulos o ausentes se ordenan antes que cualquier otro.
+ * @function beyond
+ * @param {string} field - Campo.
+ * @param {*} value - Valor frontera.
+ * @param {number} dir - Dirección efectiva (1 ascendente, -1 descendente).
+ * @returns {Object|null} - Condición de Mongo o `null` si ningún documento puede cumplirla.
+ */
+const beyond = (field, value, dir) => {
+  if (value === null) {
+    return dir === 1 ? { [field]: { $ne: null } } : null;
+  }
+  if (dir === 1) return { [field]: { $gt: value } };
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Construye el filtro keyset que selecciona los documentos posteriores (o anteriores) a los valores frontera.
+ * @function keysetFilter
+ * @param {Array<[string, number]>} spec - Campos de ordenación.
+ * @param {Array<*>} values - Valores frontera, en el mismo orden que `spec`.
+ * @param {boolean} reverse - `true` para recorrer hacia atrás.
+ * @returns {Object} - Filtro de Mongo.
+ */
+const keysetFilter = (spec, values, reverse) => {
+  const branches = [];
+  spec.forEach(([field, dir], i) => {
+    const condition = beyond(field, values[i], reverse ? -dir : dir);
+    if (!condition) return;
+    const equalities = spec
+      .slice(0, i)
+      .map(([prevField], j) => ({ [prevField]: values[j] }));
+    branches.push(equalities.length ? { $and: [...equalities, condition] } : condition);
+  });
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Construye la respuesta paginada a partir de los documentos obtenidos (uno más que `limit` si hay más resultados).
+ * @function buildPage
+ * @param {Object[]} docs - Documentos obtenidos, en el orden de la consulta.
+ * @param {Object} options - Opciones de paginación.
+ * @param {Array<[string, number]>} options.sort - Campos de ordenación.
+ * @param {number} options.limit - Documentos por página.
+ * @param {{direction: "next"|"prev"}|null} options.position - Cursor decodificado, si lo hay.
+ * @param {string} [options.scope] - Contexto de la consulta que se guarda en los cursores.
+ * @returns {{limit: number, next: string|null, prev: string|null, data: Object[]}} - Página de resultados.
+ */
+const buildPage = (docs, { sort, limit, position, scope }) => {
+  const backwards = position?.direction === "prev";
+  const hasMore = docs.length > limit;
+  const data = docs.slice(0, limit);
+  if (backwards) data.reverse();
+
+  const first = data[0];
+  const last = data[data.length - 1];
+  const hasNext = backwards ? Boolean(position) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position);
+
+  return {
+    limit,
+    next: hasNext && last ? encodeCursor(last, sort, "next", scope) : null,
+    prev: hasPrev && first ? encodeCursor(first, sort, "prev", scope) : null,
+    data,
+  };
+};
+
+/**
+ * Obtiene una página de resultados usando paginación por cursor.
+ * @async
+ * @function paginateKeyset
+ * @param {mongoose.Model} model - Modelo sobre el que consultar.
+ * @param {Object} filter - Filtro base de la consulta.
+ * @param {Object} options - Opciones de paginación.
+ * @param {Array<[string, number]>} options.sort - Campos de ordenación (resultado de `parseSort`).
+ * @param {number} options.limit - Documentos por página.
+ * @param {string} [options.cursor] - Cursor recibido del cliente.
+ * @param {boolean} [options.includeTotal=false] - Si se debe contar el total de documentos del filtro.
+ * @param {Object} [options.projection] - Proyección a aplicar.
+ * @returns {Promise<{limit: number, data: Object[], next: string|null, prev: string|null, total?: number}>} - Página de resultados.
+ */
+const paginateKeyset = async (
+  model,
+  filter,
+  { sort, limit, cursor, includeTotal = false, projection }
+) => {
+  const position = cursor ? decodeCursor(cursor, sort) : null;
+  const backwards = position?.direction === "prev";
+
+  const query = position
+    ? { $and: [filter, keysetFilter(sort, position.values, backwards)] }
+    : filter;
+
+  // Se pide un documento extra para saber si existe otra página en el mismo sentido
+  const docs = await model
+    .find(query, projection)
+    .sort(toSortObject(sort, backwards))
+    .limit(limit + 1)
+    .lean();
+
+  const page = buildPage(docs, { sort, limit, position });
+
+  if (includeTotal) {
+    page.total = await model.countDocuments(filter);
+  }
+  return page;
+};
+
+/**
+ * Añade la cabecera `Link` (RFC 8288) con los enlaces a la página siguiente y a la anterior, para las rutas que
+ * devuelven directamente un array y no tienen dónde incluir `next` y `prev`. Los enlaces repiten la URL de la
+ * solicitud con el cursor correspondiente.
+ * @function setPageLinks
+ * @param {Object} req - Objeto de solicitud de Express.
+ * @param {Object} res - Objeto de respuesta de Express.
+ * @param {{next: string|null, prev: string|null}} page - Página de resultados (resultado de `buildPage`).
+ * @returns {void}
+ */
+const setPageLinks = (req, res, page) => {
+  const links = ["next", "prev"]
+    .filter((rel) => page[rel])
+    .map((rel) => {
+      const url = new URL(req.originalUrl, "http://localhost");
+      url.searchParams.set("cursor", page[rel]);
+      return `<${url.pathname}${url.search}>; rel="${rel}"`;
+    });
+  if (links.length) {
+    res.set("Link", links.join(", "));
+  }
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  parseBoolean,
+  parseSort,
+  toSortObject,
+  sortKey,
+  getPath,
+  compareBySort,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  buildPage,
+  paginateKeyset,
+  setPageLinks,
+};
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Aplicación de parches JSON Merge Patch (RFC 7386) y JSON Patch (RFC 6902).
+ */
+
+const { AppError, ConflictError } = require("./errors");
+
+/**
+ * Tipos de contenido de los parches admitidos.
+ */
+const MERGE_PATCH = "application/merge-patch+json";
+const JSON_PATCH = "application/json-patch+json";
+
+/**
+ * Error producido por un parche que no se puede aplicar (422). No se aplica ninguna operación del parche.
+ * @class
+ * @extends AppError
+ */
+class PatchError extends AppError {
+  /**
+   * @param {number} index - Posición de la operación en el parche.
+   * @param {string} rule - Motivo (`pathNotFound`, `invalidPointer`, `invalidIndex`, `moveIntoItself`, `missingValue`...).
+   * @param {string} pointer - Ruta de la operación.
+   */
+  constructor(index, rule, pointer) {
+    super("INVALID_PATCH", {
+      status: 422,
+      details: [{ in: "body", path: String(index), rule, params: { pointer } }],
+    });
+  }
+}
+
+/**
+ * Indica si un valor es un objeto JSON (no un array ni null).
+ * @function isObject
+ * @param {*} value - Valor a comprobar.
+ * @returns {boolean}
+ */
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Compara dos valores JSON en profundidad.
+ * @function deepEqual
+ * @param {*} a - Primer valor.
+ * @param {*} b - Segundo valor.
+ * @returns {boolean}
+ */
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (!isObject(a) || !isObject(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => deepEqual(a[key], b[key]));
+};
+
+/**
+ * Aplica un JSON Merge Patch: las propiedades con `null` se eliminan y los objetos se combinan recursivamente.
+ * @function applyMergePatch
+ * @param {*} target - Documento original (no se modifica).
+ * @param {*} patch - Parche.
+ * @returns {*} - Documento resultante.
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) return patch;
+  const result = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  }
+  return result;
+};
+
+/**
+ * Divide un JSON Pointer (`/address/coord`) en sus segmentos.
+ * @function parsePointer
+ * @param {string} pointer - JSON Pointer.
+ * @returns {string[]|null} - Segmentos, o `null` si el puntero no es válido.
+ */
+const parsePointer = (pointer) => {
+  if (pointer === "") return [];
+  if (typeof pointer !== "string" || !pointer.startsWith("/")) return null;
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+/**
+ * Devuelve el contenedor de la última clave de la ruta y esa clave.
+ * @function locate
+ * @param {*} document - Documento.
+ * @param {string[]} segments - Segmentos de la ruta (al menos uno).
+ * @returns {{parent: *, key: string}|null} - Contenedor y clave, o `null` si algún tramo intermedio no existe.
+ */
+const locate = (document, segments) => {
+  let parent = document;
+  for (const segment of segments.slice(0, -1)) {
+    if (Array.isArray(parent) ? !/^(0|[1-9]\d*)$/.test(segment) : !isObject(parent)) return null;
+    if (!Object.prototype.hasOwnProperty.call(parent, segment)) return null;
+    parent = parent[segment];
+  }
+  return isObject(parent) || Array.isArray(parent) ? { parent, key: segments[segments.length - 1] } : null;
+};
+
+/**
+ * Aplica una lista de operaciones JSON Patch. Si alguna falla no se aplica ninguna.
+ * @function applyJsonPatch
+ * @param {*} target - Documento original (no se modifica).
+ * @param {Object[]} operations - Operaciones (`add`, `remove`, `replace`, `move`, `copy`, `test`).
+ * @returns {*} - Documento resultante.
+ * @throws {PatchError} - Si una ruta no existe o no es válida.
+ * @throws {ConflictError} - Si una operación `test` no se cumple.
+ */
+const applyJsonPatch = (target, operations) => {
+  let document = structuredClone(target);
+
+  operations.forEach((operation, index) => {
+    const resolve = (pointer) => {
+      const segments = parsePointer(pointer);
+      if (!segments) throw new PatchError(index, "invalidPointer", pointer);
+      return segments;
+    };
+    const get = (pointer) => {
+      const segments = resolve(pointer);
+      if (!segments.length) return document;
+      const location = locate(document, segments);
+      if (!location || !Object.prototype.hasOwnProperty.call(location.parent, location.key)) {
+        throw new PatchError(index, "pathNotFound", pointer);
+      }
+      return location.parent[location.key];
+    };
+    const remove = (pointer) => {
+      const value = get(pointer);
+      const segments = resolve(pointer);
+      if (!segments.length) {
+        document = undefined;
+        return value;
+      }
+      const { parent, key } = locate(document, segments);
+      if (Array.isArray(parent)) parent.splice(Number(key), 1);
+      else delete parent[key];
+      return value;
+    };
+    const add = (pointer, value) => {
+      const segments = resolve(pointer);
+      if (!segments.length) {
+        document = value;
+        return;
+      }
+      const location = locate(document, segments);
+      if (!location) throw new PatchError(index, "pathNotFound", pointer);
+      const { parent, key } = location;
+      if (Array.isArray(parent)) {
+        const position = key === "-" ? parent.length : /^(0|[1-9]\d*)$/.test(key) ? Number(key) : NaN;
+        if (!(position <= parent.length)) throw new PatchError(index, "invalidIndex", pointer);
+        parent.splice(position, 0, value);
+      } else {
+        parent[key] = value;
+      }
+    };
+
+    const { op, path, from, value } = operation;
+    if (["add", "replace", "test"].includes(op) && !("value" in operation)) {
+      throw new PatchError(index, "missingValue", path);
+    }
+    if (["move", "copy"].includes(op) && from === undefined) {
+      throw new PatchError(index, "missingFrom", path);
+    }
+    switch (op) {
+      case "add":
+        add(path, structuredClone(value));
+        break;
+      case "remove":
+        remove(path);
+        break;
+      case "replace":
+        get(path);
+        if (path === "") document = structuredClone(value);
+        else {
+          remove(path);
+          add(path, structuredClone(value));
+        }
+        break;
+      case "move":
+        if (path !== from && path.startsWith(`${from}/`)) {
+          throw new PatchError(index, "moveIntoItself", path);
+        }
+        add(path, remove(from));
+        break;
+      case "copy":
+        add(path, structuredClone(get(from)));
+        break;
+      case "test":
+        if (!deepEqual(get(path), value)) {
+          throw new ConflictError("PATCH_TEST_FAILED", {
+            details: [{ in: "body", path: String(index), rule: "testFailed", params: { pointer: path } }],
+          });
+        }
+        break;
+      default:
+        throw new PatchError(index, "invalidOperation", path);
+    }
+  });
+
+  return document;
+};
+
+module.exports = {
+  MERGE_PATCH,
+  JSON_PATCH,
+  PatchError,
+  applyMergePatch,
+  applyJsonPatch,
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Valoraciones de los comensales (de 1 a 5 estrellas), independientes de las calificaciones de las
+ * inspecciones sanitarias. Cada restaurante guarda el recuento y la suma de sus valoraciones, la media y una
+ * puntuación bayesiana que acerca a la media a priori los restaurantes con pocos votos, de modo que al ordenar por
+ * "mejor valorados" no dominen los que tienen una sola valoración de 5 estrellas.
+ */
+
+/**
+ * Número mínimo y máximo de estrellas de una valoración.
+ */
+const STAR_RANGE = { min: 1, max: 5 };
+
+/**
+ * Media a priori si no se configura `RATING_PRIOR_MEAN`.
+ * @type {number}
+ */
+const DEFAULT_PRIOR_MEAN = 3;
+
+/**
+ * Peso de la media a priori, en votos, si no se configura `RATING_PRIOR_WEIGHT`.
+ * @type {number}
+ */
+const DEFAULT_PRIOR_WEIGHT = 10;
+
+/**
+ * @typedef {Object} DinerRating
+ * @property {number} count - Número de valoraciones.
+ * @property {number} sum - Suma de las estrellas de todas las valoraciones.
+ * @property {number|null} average - Media de estrellas, con dos decimales (`null` sin valoraciones).
+ * @property {number|null} weightedScore - Puntuación bayesiana: la media ponderada con la media a priori
+ *   (`null` sin valoraciones).
+ */
+
+/**
+ * Media a priori de la puntuación bayesiana, configurada en la variable de entorno `RATING_PRIOR_MEAN`.
+ * @function priorMean
+ * @returns {number}
+ */
+const priorMean = () => {
+  const mean = Number(process.env.RATING_PRIOR_MEAN);
+  return mean >= STAR_RANGE.min && mean <= STAR_RANGE.max ? mean : DEFAULT_PRIOR_MEAN;
+};
+
+/**
+ * Peso de la media a priori, configurado en la variable de entorno `RATING_PRIOR_WEIGHT`: el número de votos a
+ * partir del cual las valoraciones del restaurante pesan más que la media a priori.
+ * @function priorWeight
+ * @returns {number}
+ */
+const priorWeight = () => {
+  const weight = Number(process.env.RATING_PRIOR_WEIGHT);
+  return process.env.RATING_PRIOR_WEIGHT && Number.isFinite(weight) && weight >= 0 ? weight : DEFAULT_PRIOR_WEIGHT;
+};
+
+/**
+ * Calcula el resumen de las valoraciones de un restaurante.
+ * @function summarizeRatings
+ * @param {Object[]} [ratings=[]] - Valoraciones del restaurante.
+ * @returns {DinerRating}
+ */
+const summarizeRatings = (ratings = []) => {
+  const count = ratings.length;
+  const sum = ratings.reduce((acc, rating) => acc + rating.stars, 0);
+  const weight = priorWeight();
+
+  return {
+    count,
+    sum,
+    average: count ? Math.round((sum / count) * 100) / 100 : null,
+    weightedScore: count
+      ? Math.round(((sum + priorMean() * weight) / (count + weight)) * 10000) / 10000
+      : null,
+  };
+};
+
+/**
+ * Actualización (pipeline de agregación) que aplica a un restaurante el cambio en sus valoraciones, recalcula la
+ * media y la puntuación bayesiana e incrementa su versión, todo en una sola operación atómica.
+ * @function dinerRatingUpdate
+ * @param {Object} change - Cambio en las valoraciones.
+ * @param {number} change.count - Variación del número de valoraciones (1, 0 o -1).
+ * @param {number} change.sum - Variación de la suma de estrellas.
+ * @returns {Object[]}
+ */
+const dinerRatingUpdate = ({ count, sum }) => {
+  const weight = priorWeight();
+  const rated = (expression) => ({ $cond: [{ $gt: ["$dinerRating.count", 0] }, expression, null] });
+
+  return [
+    {
+      $set: {
+        "dinerRating.count": { $add: [{ $ifNull: ["$dinerRating.count", 0] }, count] },
+        "dinerRating.sum": { $add: [{ $ifNull: ["$dinerRating.sum", 0] }, sum] },
+        __v: { $add: [{ $ifNull: ["$__v", 0] }, 1] },
+      },
+    },
+    {
+      $set: {
+        "dinerRating.average": rated({
+          $round: [{ $divide: ["$dinerRating.sum", "$dinerRating.count"] }, 2],
+        }),
+        "dinerRating.weightedScore": rated({
+          $round: [
+            {
+              $divide: [
+                { $add: ["$dinerRating.sum", priorMean() * weight] },
+                { $add: ["$dinerRating.count", weight] },
+              ],
+            },
+            4,
+          ],
+        }),
+      },
+    },
+  ];
+};
+
+module.exports = {
+  STAR_RANGE,
+  priorMean,
+  priorWeight,
+  summarizeRatings,
+  dinerRatingUpdate,
+};
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Acceso a los comentarios y calificaciones de un restaurante, que se guardan en sus propias
+ * colecciones. Cada modificación incrementa también la versión del restaurante, de modo que su ETag y la
+ * comprobación de If-Match siguen cubriendo sus comentarios y calificaciones.
+ */
+
+const Restaurant = require("../models/Restaurant");
+const Comment = require("../models/Comment");
+const { NotFoundError, PreconditionFailedError } = require("./errors");
+const { etagOf, checkIfMatch, versionFilter, VERSION_INCREMENT } = require("./concurrency");
+const { PUBLISHED } = require("./moderation");
+
+/**
+ * Etapas de agregación que añaden a cada comentario el nombre de su restaurante (`restaurant.name`) y descartan los
+ * comentarios de restaurantes en la papelera, que `$lookup` no excluye por sí solo.
+ * @type {Object[]}
+ */
+const RESTAURANT_LOOKUP = [
+  {
+    $lookup: {
+      from: "restaurants",
+      let: { restaurantId: "$restaurantId" },
+      pipeline: [
+        { $match: { $expr: { $eq: ["$_id", "$$restaurantId"] }, deletedAt: null } },
+        { $project: { name: 1 } },
+      ],
+      as: "restaurant",
+    },
+  },
+  { $unwind: "$restaurant" },
+];
+
+/**
+ * Determina por qué una actualización atómica no modificó ningún documento y lanza el error correspondiente:
+ * el restaurante no existe, su versión no coincide con If-Match o no existe el elemento buscado.
+ * @async
+ * @function failUpdate
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - Valor de If-Match de la operación.
+ * @param {string} [options.notFoundCode] - Código del error si el elemento no existe.
+ * @param {mongoose.ClientSession} [options.session] - Sesión de la transacción en curso.
+ * @returns {Promise<never>}
+ * @throws {NotFoundError|PreconditionFailedError}
+ */
+const failUpdate = async (restaurantId, { ifMatch, notFoundCode, session = null } = {}) => {
+  const restaurant = await Restaurant.findById(restaurantId)
+    .select("__v")
+    .session(session)
+    .lean();
+  if (!restaurant) {
+    throw new NotFoundError("RESTAURANT_NOT_FOUND");
+  }
+  checkIfMatch(ifMatch, restaurant);
+  // Sin elemento que buscar, la única causa posible es que la versión cambiara entre ambas consultas
+  throw notFoundCode
+    ? new NotFoundError(notFoundCode)
+    : new PreconditionFailedError({ params: { etag: etagOf(restaurant) } });
+};
+
+/**
+ * Incrementa la versión de un restaurante antes de modificar uno de sus comentarios o calificaciones. La
+ * comprobación de If-Match forma parte de la misma operación atómica.
+ * @async
+ * @function bumpVersion
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - Valor de If-Match de la operación.
+ * @returns {Promise<mongoose.Document>} - Restaurante en su nueva versión.
+ * @throws {NotFoundError|PreconditionFailedError} - Si el restaurante no existe o su versión no coincide.
+ */
+const bumpVersion = async (restaurantId, { ifMatch } = {}) => {
+  const restaurant = await Restaurant.findOneAndUpdate(
+    { _id: restaurantId, ...versionFilter(ifMatch) },
+    VERSION_INCREMENT,
+    { new: true }
+  );
+  if (!restaurant) {
+    await failUpdate(restaurantId, { ifMatch });
+  }
+  return restaurant;
+};
+
+/**
+ * Busca un comentario o una calificación de un restaurante que no esté en la papelera.
+ * @async
+ * @function findItem
+ * @param {mongoose.Model} model - Modelo del elemento (`Comment` o `Grade`).
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {string} itemId - ID del elemento.
+ * @param {Object} options
+ * @param {Object} [options.filter] - Condiciones adicionales sobre el elemento.
+ * @param {string} options.notFoundCode - Código del error si el elemento no existe o no cumple las condiciones.
+ * @returns {Promise<Object>} - El elemento como objeto plano.
+ * @throws {NotFoundError} - Si el restaurante o el elemento no existen.
+ */
+const findItem = async (model, restaurantId, itemId, { filter = {}, notFoundCode }) => {
+  const [restaurant, item] = await Promise.all([
+    Restaurant.exists({ _id: restaurantId }),
+    model.findOne({ _id: itemId, restaurantId, ...filter }).lean(),
+  ]);
+  if (!restaurant) {
+    throw new NotFoundError("RESTAURANT_NOT_FOUND");
+  }
+  if (!item) {
+    throw new NotFoundError(notFoundCode);
+  }
+  return item;
+};
+
+/**
+ * Busca un comentario de un restaurante que no esté en la papelera.
+ * @async
+ * @function findComment
+ * @param {string} restaurantId - ID del restaurante.
+ * @param {string} commentId - ID del comentario.
+ * @param {Object} [options]
+ * @param {boolean} [options.published=false] - Exigir que esté publicado; los comentarios sin publicar no son
+ *   visibles, así que tampoco admiten respuestas, reacciones ni denuncias.
+ * @returns {Promise<Object>} - El comentario como objeto plano.
+ * @throws {NotFoundError} - Si el restaurante o el comentario no existen.
+ */
+const findComment = (restaurantId, commentId, { published = false } = {}) =>
+  findItem(Comment, restaurantId, commentId, {
+    filter: { deletedAt: null, ...(published && { status: PUBLISHED }) },
+    notFoundCode: "COMMENT_NOT_FOUND",
+  });
+
+module.exports = {
+  RESTAURANT_LOOKUP,
+  failUpdate,
+  bumpVersion,
+  findItem,
+  findComment,
+};
@@ -0,0 +1,402 @@
+/**
+ * @fileoverview Utilidades para interpretar los parámetros de consulta de la API de restaurantes (proyecciones, expansiones, filtros, ordenación y búsqueda de texto).
+ */
+
+const mongoose = require("mongoose");
+const Grade = require("../models/Grade");
+const { BadRequestError } = require("./errors");
+
+/**
+ * Comentarios y calificaciones, que están en sus propias colecciones y solo se devuelven con el restaurante
+ * cuando se solicitan mediante `expand`.
+ * @type {string[]}
+ */
+const EXPANDABLE = ["comments", "grades"];
+
+/**
+ * Número máximo de elementos que se pueden solicitar por cada array expandido, y los que se devuelven si no se
+ * indica un límite.
+ * @type {number}
+ */
+const MAX_EXPAND_LIMIT = 100;
+
+/**
+ * Expresión que deben cumplir los nombres de campo usados en `fields`.
+ * @type {RegExp}
+ */
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+/**
+ * Campos por los que se puede filtrar y su tipo.
+ * @type {Object<string, "string"|"number"|"date">}
+ */
+const FILTERABLE_FIELDS = {
+  name: "string",
+  borough: "string",
+  cuisine: "string",
+  restaurant_id: "string",
+  "address.building": "string",
+  "address.street": "string",
+  "address.zipcode": "string",
+  "grades.grade": "string",
+  "grades.score": "number",
+  "grades.date": "date",
+  "ratingSummary.count": "number",
+  "ratingSummary.averageScore": "number",
+  "ratingSummary.minScore": "number",
+  "ratingSummary.maxScore": "number",
+  "ratingSummary.latestGrade": "string",
+  "ratingSummary.latestDate": "date",
+  "dinerRating.count": "number",
+  "dinerRating.average": "number",
+  "dinerRating.weightedScore": "number",
+};
+
+/**
+ * Campos por los que se puede ordenar. Se excluyen los arrays porque no tienen un valor único por documento.
+ * @type {string[]}
+ */
+const SORTABLE_FIELDS = [
+  "_id",
+  "name",
+  "borough",
+  "cuisine",
+  "restaurant_id",
+  "address.street",
+  "address.zipcode",
+  "ratingSummary.averageScore",
+  "ratingSummary.latestGrade",
+  "ratingSummary.latestDate",
+  "dinerRating.count",
+  "dinerRating.average",
+  "dinerRating.weightedScore",
+];
+
+/**
+ * Nombres admitidos en `sort` en lugar de la lista de campos. `best_rated` ordena por la puntuación bayesiana de
+ * las valoraciones de los comensales y, a igual puntuación, por número de valoraciones; los restaurantes sin
+ * valoraciones quedan al final.
+ * @type {Object<string, string>}
+ */
+const SORT_ALIASES = {
+  best_rated: "-dinerRating.weightedScore,-dinerRating.count",
+};
+
+/**
+ * Operadores permitidos para cada tipo de campo.
+ * @type {Object<string, string[]>}
+ */
+const OPERATORS = {
+  string: ["eq", "ne", "in", "nin", "exists"],
+  number: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "exists"],
+  date: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "exists"],
+};
+
+/**
+ * Idiomas admitidos por la búsqueda de texto y su nombre en MongoDB. Los comentarios guardan el código (`es` o
+ * `en`) en su campo `language`, que el índice de texto usa para elegir la derivación de cada comentario.
+ * @type {Object<string, string>}
+ */
+const TEXT_LANGUAGES = {
+  es: "spanish",
+  en: "english",
+};
+
+/**
+ * Error producido por un parámetro de consulta inválido. Se responde con el código `INVALID_QUERY`
+ * y el motivo concreto de cada problema en el detalle, que se traduce con la sección `queries` del catálogo.
+ * @class
+ * @extends BadRequestError
+ */
+class QueryError extends BadRequestError {
+  /**
+   * @param {string} reason - Motivo del problema (clave de la sección `queries` del catálogo).
+   * @param {Object} [params={}] - Parámetros del motivo, usados para traducir el mensaje.
+   * @param {{reason: string, params?: Object}[]} [details] - Lista de problemas concretos, si hay varios.
+   */
+  constructor(reason, params = {}, details) {
+    super("INVALID_QUERY", {
+      message: reason,
+      details: (details || [{ reason, params }]).map((detail) => ({
+        in: "query",
+        reason: detail.reason,
+        params: detail.params || {},
+        message: detail.reason,
+      })),
+    });
+  }
+}
+
+/**
+ * Indica si el identificador recibido es un ObjectId de MongoDB (24 caracteres hexadecimales).
+ * @function isObjectId
+ * @param {string} id - Identificador a comprobar.
+ * @returns {boolean} - `true` si el identificador es un ObjectId válido.
+ */
+const isObjectId = (id) =>
+  /^[0-9a-fA-F]{24}$/.test(id) && mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Construye el filtro para localizar un restaurante por `_id` o, en su defecto, por el `restaurant_id` heredado.
+ * @function idFilter
+ * @param {string} id - ObjectId o `restaurant_id` del restaurante.
+ * @returns {Object} - Filtro de Mongoose.
+ */
+const idFilter = (id) => (isObjectId(id) ? { _id: id } : { restaurant_id: id });
+
+/**
+ * Interpreta el parámetro `fields` (lista separada por comas) y devuelve los campos a incluir.
+ * Los arrays embebidos se ignoran porque solo se controlan mediante `expand`.
+ * @function parseFields
+ * @param {string} [fields] - Valor del parámetro `fields`.
+ * @returns {string[]} - Campos a incluir; vacío si se deben devolver todos.
+ * @throws {QueryError} - Si algún nombre de campo no es válido.
+ */
+const parseFields = (fields) => {
+  if (fields === undefined || fields === "") return [];
+  if (typeof fields !== "string") {
+    throw new QueryError("invalidList", { name: "fields" });
+  }
+
+  const paths = [...new Set(fields.split(",").map((f) => f.trim()).filter(Boolean))];
+  const invalid = paths.filter((path) => !FIELD_PATTERN.test(path));
+  if (invalid.length) {
+    throw new QueryError("invalidFields", { fields: invalid });
+  }
+
+  const selectable = paths.filter(
+    (path) => !EXPANDABLE.includes(path.split(".")[0])
+  );
+
+  // Si se pide un campo y uno de sus subcampos, MongoDB rechaza la proyección por colisión de rutas
+  return selectable.filter(
+    (path) => !selectable.some((other) => path.startsWith(`${other}.`))
+  );
+};
+
+/**
+ * Interpreta el parámetro `expand`, con el formato `comments,grades:5`.
+ * @function parseExpand
+ * @param {string} [expand] - Valor del parámetro `expand`.
+ * @returns {Object<string, number|null>} - Límite de elementos por array expandido (`null` si no se indica).
+ * @throws {QueryError} - Si se solicita un array desconocido o un límite inválido.
+ */
+const parseExpand = (expand) => {
+  if (expand === undefined || expand === "") return {};
+  if (typeof expand !== "string") {
+    throw new QueryError("invalidList", { name: "expand" });
+  }
+
+  const result = {};
+  for (const item of expand.split(",").map((e) => e.trim()).filter(Boolean)) {
+    const [name, rawLimit] = item.split(":");
+    if (!EXPANDABLE.includes(name)) {
+      throw new QueryError("expandNotAllowed", { name, allowed: EXPANDABLE });
+    }
+
+    let limit = null;
+    if (rawLimit !== undefined) {
+      limit = Number(rawLimit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EXPAND_LIMIT) {
+        throw new QueryError("invalidExpandLimit", { name, max: MAX_EXPAND_LIMIT });
+      }
+    }
+    result[name] = limit;
+  }
+  return result;
+};
+
+/**
+ * Construye la proyección de Mongoose a partir de los campos solicitados. Sin campos se excluyen los arrays
+ * embebidos que aún conserven los restaurantes sin migrar; los expandidos se leen de sus colecciones.
+ * @function buildProjection
+ * @param {string[]} fields - Campos a incluir (resultado de `parseFields`).
+ * @returns {Object} - Proyección de Mongoose.
+ */
+const buildProjection = (fields) => {
+  const projection = {};
+  if (fields.length) {
+    fields.forEach((field) => (projection[field] = 1));
+  } else {
+    EXPANDABLE.forEach((name) => (projection[name] = 0));
+  }
+  return projection;
+};
+
+/**
+ * Convierte un valor recibido en la query al tipo del campo.
+ * @function castValue
+ * @param {string} value - Valor recibido.
+ * @param {"string"|"number"|"date"} type - Tipo del campo.
+ * @returns {string|number|Date|undefined} - Valor convertido o `undefined` si no es válido.
+ */
+const castValue = (value, type) => {
+  if (type === "number") {
+    const number = Number(value);
+    return value.trim() !== "" && Number.isFinite(number) ? number : undefined;
+  }
+  if (type === "date") {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  return value;
+};
+
+/**
+ * Traduce una condición `filter[campo][operador]=valor` a su equivalente de MongoDB.
+ * @function buildCondition
+ * @param {string} field - Campo filtrado.
+ * @param {string} operator - Operador solicitado.
+ * @param {*} raw - Valor recibido en la query.
+ * @param {{reason: string, params: Object}[]} errors - Lista donde se acumulan los errores encontrados.
+ * @returns {Object|undefined} - Condición de MongoDB (por ejemplo `{ $lte: 13 }`).
+ */
+const buildCondition = (field, operator, raw, errors) => {
+  const type = FILTERABLE_FIELDS[field];
+  if (!OPERATORS[type].includes(operator)) {
+    errors.push({
+      reason: "operatorNotAllowed",
+      params: { operator, field, allowed: OPERATORS[type] },
+    });
+    return undefined;
+  }
+  if (typeof raw !== "string") {
+    errors.push({ reason: "filterValueRepeated", params: { field, operator } });
+    return undefined;
+  }
+
+  if (operator === "exists") {
+    if (!["true", "false"].includes(raw)) {
+      errors.push({ reason: "invalidExists", params: { field } });
+      return undefined;
+    }
+    return { $exists: raw === "true" };
+  }
+
+  const rawValues = ["in", "nin"].includes(operator)
+    ? raw.split(",").map((v) => v.trim()).filter(Boolean)
+    : [raw];
+  const values = rawValues.map((v) => castValue(v, type));
+
+  if (!rawValues.length || values.some((v) => v === undefined)) {
+    errors.push({ reason: "invalidFilterValue", params: { field, operator, type } });
+    return undefined;
+  }
+
+  return ["in", "nin"].includes(operator)
+    ? { [`$${operator}`]: values }
+    : { [`$${operator}`]: values[0] };
+};
+
+/**
+ * Construye el filtro de MongoDB a partir del parámetro `filter` de la query, por ejemplo
+ * `filter[cuisine][in]=Italian,Pizza` o `filter[address.zipcode]=10019`.
+ * Las condiciones sobre campos de `grades` se evalúan juntas sobre la misma inspección en la colección de
+ * calificaciones y se traducen a los IDs de los restaurantes que tienen alguna que las cumple.
+ * @async
+ * @function buildFilter
+ * @param {Object} [filter] - Objeto `filter` ya interpretado por Express.
+ * @returns {Promise<Object>} - Filtro de MongoDB.
+ * @throws {QueryError} - Si algún campo, operador o valor no es válido.
+ */
+const buildFilter = async (filter) => {
+  if (filter === undefined) return {};
+  if (typeof filter !== "object" || Array.isArray(filter)) {
+    throw new QueryError("invalidFilter");
+  }
+
+  const errors = [];
+  const mongoFilter = {};
+  const gradeConditions = {};
+
+  for (const [field, spec] of Object.entries(filter)) {
+    if (!FILTERABLE_FIELDS[field]) {
+      errors.push({
+        reason: "filterNotAllowed",
+        params: { field, allowed: Object.keys(FILTERABLE_FIELDS) },
+      });
+      continue;
+    }
+
+    const operations =
+      spec !== null && typeof spec === "object" && !Array.isArray(spec)
+        ? Object.entries(spec)
+        : [["eq", spec]];
+
+    const conditions = {};
+    for (const [operator, raw] of operations) {
+      const condition = buildCondition(field, operator, raw, errors);
+      if (condition) Object.assign(conditions, condition);
+    }
+    if (!Object.keys(conditions).length) continue;
+
+    const [root, ...rest] = field.split(".");
+    if (root === "grades") {
+      gradeConditions[rest.join(".")] = conditions;
+    } else {
+      mongoFilter[field] = conditions;
+    }
+  }
+
+  if (errors.length) {
+    throw new QueryError("invalidFilter", {}, errors);
+  }
+
+  if (Object.keys(gradeConditions).length) {
+    mongoFilter._id = { $in: await Grade.distinct("restaurantId", gradeConditions) };
+  }
+  return mongoFilter;
+};
+
+/**
+ * Construye una expresión regular que busca el texto literal, sin interpretar metacaracteres.
+ * @function containsText
+ * @param {string} text - Texto a buscar.
+ * @returns {RegExp} - Expresión regular insensible a mayúsculas y minúsculas.
+ * @throws {QueryError} - Si el valor no es una cadena.
+ */
+const containsText = (text) => {
+  if (typeof text !== "string") {
+    throw new QueryError("searchParamRepeated");
+  }
+  return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+};
+
+/**
+ * Construye la condición `$text` para la búsqueda de texto completo.
+ * @function textSearch
+ * @param {string} q - Texto a buscar.
+ * @param {string} [lang] - Idioma del texto (`es` o `en`); si se omite se usa el idioma del índice.
+ * @returns {Object} - Condición `$text` de MongoDB.
+ * @throws {QueryError} - Si el texto o el idioma no son válidos.
+ */
+const textSearch = (q, lang) => {
+  if (typeof q !== "string" || !q.trim()) {
+    throw new QueryError("emptyText");
+  }
+  if (lang !== undefined && !Object.hasOwn(TEXT_LANGUAGES, lang)) {
+    throw new QueryError("languageNotAllowed", { lang, allowed: Object.keys(TEXT_LANGUAGES) });
+  }
+
+  const search = { $search: q.trim(), $diacriticSensitive: false };
+  if (lang) search.$language = TEXT_LANGUAGES[lang];
+  return search;
+};
+
+module.exports = {
+  FILTERABLE_FIELDS,
+  SORTABLE_FIELDS,
+  SORT_ALIASES,
+  QueryError,
+  isObjectId,
+  idFilter,
+  parseFields,
+  EXPANDABLE,
+  MAX_EXPAND_LIMIT,
+  parseExpand,
+  buildProjection,
+  buildFilter,
+  TEXT_LANGUAGES,
+  containsText,
+  textSearch,
+};
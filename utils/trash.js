@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Retención de la papelera: los restaurantes y comentarios eliminados se conservan durante
+ * `TRASH_RETENTION_DAYS` días (30 por defecto) y después se eliminan definitivamente.
+ */
+
+const Restaurant = require("../models/Restaurant");
+
+/**
+ * Días de retención si no se configura `TRASH_RETENTION_DAYS`.
+ * @type {number}
+ */
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Cada cuánto (ms) se purgan los elementos cuya retención ha vencido.
+ * @type {number}
+ */
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Días que se conservan los elementos en la papelera.
+ * @function retentionDays
+ * @returns {number}
+ */
+const retentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Fecha en la que se purgará un elemento enviado a la papelera en `deletedAt`.
+ * @function purgeDate
+ * @param {Date} deletedAt - Fecha de eliminación.
+ * @returns {Date}
+ */
+const purgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + retentionDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Elimina definitivamente los elementos cuya retención ha vencido.
+ * @async
+ * @function purgeExpiredTrash
+ * @param {Date} [now=new Date()] - Fecha de referencia.
+ * @returns {Promise<{cutoff: Date, restaurants: number, comments: number}>} - Fecha límite y elementos eliminados.
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays() * 24 * 60 * 60 * 1000);
+  const purged = await Restaurant.purgeTrash(cutoff);
+  return { cutoff, ...purged };
+};
+
+/**
+ * Purga la papelera al arrancar y después periódicamente. El temporizador no impide que el proceso termine.
+ * @function scheduleTrashPurge
+ * @returns {NodeJS.Timeout} - Temporizador de la purga periódica.
+ */
+const scheduleTrashPurge = () => {
+  const run = () =>
+    purgeExpiredTrash()
+      .then(({ restaurants, comments }) => {
+        if (restaurants || comments) {
+          console.log(`Papelera purgada: ${restaurants} restaurantes y ${comments} comentarios`);
+        }
+      })
+      .catch((err) => console.error("Error al purgar la papelera:", err));
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  retentionDays,
+  purgeDate,
+  purgeExpiredTrash,
+  scheduleTrashPurge,
+};
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Conversión de los errores de validación de Mongoose en errores 422 con el detalle de cada campo.
+ */
+
+const mongoose = require("mongoose");
+const { ValidationError } = require("./errors");
+
+/**
+ * Nombre de la regla incumplida según el tipo de validador de Mongoose.
+ * @type {Object<string, string>}
+ */
+const RULES = {
+  required: "required",
+  enum: "enum",
+  min: "min",
+  max: "max",
+  minlength: "minLength",
+  maxlength: "maxLength",
+  regexp: "pattern",
+  coordinates: "coordinates",
+};
+
+/**
+ * Nombre del tipo de dato según el tipo de Mongoose de un error de conversión.
+ * @type {Object<string, string>}
+ */
+const TYPES = {
+  Number: "number",
+  date: "date",
+  Date: "date",
+  String: "string",
+  Boolean: "boolean",
+  ObjectId: "objectId",
+  Array: "array",
+  Embedded: "object",
+};
+
+/**
+ * Extrae los parámetros de un validador de Mongoose con los mismos nombres que los de la validación de solicitudes.
+ * @function ruleParams
+ * @param {Object} properties - Propiedades del error de validación.
+ * @returns {Object} - Parámetros de la regla.
+ */
+const ruleParams = ({ kind, min, max, minlength, maxlength, enumValues }) => {
+  switch (kind) {
+    case "min":
+      return { limit: min };
+    case "max":
+      return { limit: max };
+    case "minlength":
+      return { limit: minlength };
+    case "maxlength":
+      return { limit: maxlength };
+    case "enum":
+      return { values: enumValues };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Indica si un error proviene de la validación del esquema.
+ * @function isValidationError
+ * @param {Error} err - Error capturado.
+ * @returns {boolean} - `true` si es un error de validación de Mongoose.
+ */
+const isValidationError = (err) => err instanceof mongoose.Error.ValidationError;
+
+/**
+ * Convierte un error de validación de Mongoose en la lista de campos que no cumplen las reglas.
+ * @function toFieldErrors
+ * @param {mongoose.Error.ValidationError} err - Error de validación.
+ * @returns {import("./errors").ErrorDetail[]} - Un elemento por cada campo inválido.
+ */
+const toFieldErrors = (err) =>
+  Object.entries(err.errors)
+    .filter(([, error]) => !isValidationError(error)) // Los errores de subdocumentos ya aparecen con su ruta completa
+    .map(([path, error]) => {
+      const fieldError =
+        error instanceof mongoose.Error.CastError
+          ? {
+              path,
+              rule: "type",
+              params: { type: TYPES[error.kind] || error.kind },
+              message: error.message,
+            }
+          : {
+              path,
+              rule: RULES[error.kind] || error.kind,
+              params: ruleParams(error.properties || {}),
+              message: error.message,
+            };
+      if (error.value !== undefined) fieldError.value = error.value;
+      return fieldError;
+    });
+
+/**
+ * Convierte un error de validación de Mongoose en un error 422 de la API.
+ * @function fromMongoose
+ * @param {mongoose.Error.ValidationError} err - Error de validación.
+ * @returns {ValidationError} - Error con el detalle de los campos inválidos.
+ */
+const fromMongoose = (err) => new ValidationError(toFieldErrors(err));
+
+module.exports = {
+  isValidationError,
+  toFieldErrors,
+  fromMongoose,
+};